@@ -6,6 +6,18 @@ const fs = require('fs');
 // Import utility modules
 const config = require('./utils/config');
 const ftpClient = require('./utils/ftp-client');
+const localFiles = require('./utils/local-files');
+const transferQueue = require('./utils/transfer-queue');
+const folderSync = require('./utils/folder-sync');
+const publishWatcher = require('./utils/publish-watcher');
+const remoteCopy = require('./utils/remote-copy');
+const remoteSearch = require('./utils/remote-search');
+const { lanNetwork } = require('./utils/lan-network');
+const lanChat = require('./utils/lan-chat');
+const lanTransfer = require('./utils/lan-transfer');
+const presence = require('./utils/presence');
+const { lockFiles } = require('./utils/lock-files');
+const { trustHostKey } = require('./utils/sftp-client');
 
 
 // Keep a global reference of the window object
@@ -68,7 +80,83 @@ function createWindow() {
 }
 
 // App event listeners
-app.whenReady().then(createWindow);
+app.whenReady().then(async () => {
+  createWindow();
+  
+  // Continue unfinished transfers from the last run
+  try {
+    await transferQueue.initTransferQueue();
+  } catch (error) {
+    console.error('Error initializing transfer queue:', error);
+  }
+
+  await startLanChat();
+});
+
+// Forward transfer queue updates to the renderer
+transferQueue.transferQueue.on('changed', (items) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('transfer-queue:changed', items);
+  }
+});
+
+transferQueue.transferQueue.on('progress', (item) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('transfer-queue:progress', item);
+  }
+});
+
+// Forward publish folder activity to the renderer
+publishWatcher.publishWatcher.on('log', (entry) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('publish:log', entry);
+  }
+});
+
+publishWatcher.publishWatcher.on('status', (status) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('publish:status', status);
+  }
+});
+
+// Forward LAN chat activity to the renderer
+lanChat.lanChat.on('message', (message) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('chat:message', message);
+  }
+});
+
+lanNetwork.on('peers', (peers) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('chat:peers', peers);
+  }
+});
+
+// Forward LAN file transfer offers and progress to the renderer
+lanTransfer.lanTransfer.on('offer', (offer) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('lan-transfer:offer', offer);
+  }
+});
+
+lanTransfer.lanTransfer.on('offer-withdrawn', (offer) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('lan-transfer:offer-withdrawn', offer);
+  }
+});
+
+lanTransfer.lanTransfer.on('progress', (transfer) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('lan-transfer:progress', transfer);
+  }
+});
+
+// Forward what other LAN users are viewing or editing to the renderer
+presence.presenceService.on('changed', (update) => {
+  if (mainWindow) {
+    mainWindow.webContents.send('presence:changed', update);
+  }
+});
 
 app.on('window-all-closed', () => {
   // On macOS, keep app running even when all windows are closed
@@ -121,29 +209,123 @@ ipcMain.handle('config:validate-ftp', async (event, ftpConfig) => {
     return { success: true, result };
   } catch (error) {
     console.error('Error validating FTP:', error);
+    return { success: false, error: error.message, code: error.code, certificate: error.certificate };
+  }
+});
+
+ipcMain.handle('config:get-profiles', async () => {
+  try {
+    const profiles = await config.getProfiles();
+    return { success: true, profiles };
+  } catch (error) {
+    console.error('Error getting profiles:', error);
     return { success: false, error: error.message };
   }
 });
 
+ipcMain.handle('config:save-profile', async (event, profile, makeActive = false) => {
+  try {
+    const savedProfile = await config.saveProfile(profile, makeActive);
+    return { success: true, profile: savedProfile };
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    return { success: false, error: error.message };
+  }
+});
 
+ipcMain.handle('config:delete-profile', async (event, profileId) => {
+  try {
+    await config.deleteProfile(profileId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('config:set-active-profile', async (event, profileId) => {
+  try {
+    await config.setActiveProfile(profileId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error setting active profile:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('config:pin-certificate', async (event, profileId, fingerprint) => {
+  try {
+    const profile = await config.pinCertificate(profileId, fingerprint);
+    return { success: true, profile };
+  } catch (error) {
+    console.error('Error pinning certificate:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('config:trust-host-key', async (event, host, port, fingerprint) => {
+  try {
+    const result = trustHostKey(host, port, fingerprint);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error trusting host key:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+
+
+// =============================================
+// IPC Handlers for FTP Sessions
+// =============================================
+
+ipcMain.handle('ftp:create-session', async (event, profileId = null) => {
+  try {
+    const session = ftpClient.createSession(profileId);
+    return { success: true, session };
+  } catch (error) {
+    console.error('Error creating FTP session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ftp:close-session', async (event, sessionId) => {
+  try {
+    publishWatcher.stopPublishing(sessionId);
+    return await ftpClient.closeSession(sessionId);
+  } catch (error) {
+    console.error('Error closing FTP session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ftp:list-sessions', async () => {
+  try {
+    return { success: true, sessions: ftpClient.listSessions() };
+  } catch (error) {
+    console.error('Error listing FTP sessions:', error);
+    return { success: false, error: error.message };
+  }
+});
 
 // =============================================
 // IPC Handlers for FTP Operations
 // =============================================
 
-ipcMain.handle('ftp:connect', async () => {
+ipcMain.handle('ftp:connect', async (event, sessionId, profileId = null) => {
   try {
-    const result = await ftpClient.connect();
+    const result = await ftpClient.connect(sessionId, profileId);
+    await startProfilePublishing(sessionId, result.profileId);
     return { success: true, result };
   } catch (error) {
     console.error('Error connecting to FTP:', error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, code: error.code, certificate: error.certificate };
   }
 });
 
-ipcMain.handle('ftp:list', async (event, remotePath = '/') => {
+ipcMain.handle('ftp:list', async (event, sessionId, remotePath = '/') => {
   try {
-    const files = await ftpClient.list(remotePath);
+    const files = await ftpClient.list(sessionId, remotePath);
     return { success: true, files };
   } catch (error) {
     console.error('Error listing FTP directory:', error);
@@ -151,7 +333,7 @@ ipcMain.handle('ftp:list', async (event, remotePath = '/') => {
   }
 });
 
-ipcMain.handle('ftp:download-and-open', async (event, remotePath, fileName) => {
+ipcMain.handle('ftp:download-and-open', async (event, sessionId, remotePath, fileName) => {
   try {
     // Create temp directory if it doesn't exist
     const tempDir = path.join(os.tmpdir(), 'ftp-explorer-temp');
@@ -162,7 +344,7 @@ ipcMain.handle('ftp:download-and-open', async (event, remotePath, fileName) => {
     const localPath = path.join(tempDir, fileName);
     
     // Download file
-    await ftpClient.download(remotePath, localPath);
+    await ftpClient.download(sessionId, remotePath, localPath);
     
     // Open file with default application
     await shell.openPath(localPath);
@@ -174,11 +356,12 @@ ipcMain.handle('ftp:download-and-open', async (event, remotePath, fileName) => {
   }
 });
 
-ipcMain.handle('ftp:download-with-progress', async (event, remotePath, localPath, allowResume = true) => {
+ipcMain.handle('ftp:download-with-progress', async (event, sessionId, remotePath, localPath, allowResume = true) => {
   try {
     // Progress callback to send updates to renderer
     const onProgress = (progress, downloaded, total, status) => {
       event.sender.send('download-progress', {
+        sessionId,
         remotePath,
         localPath,
         progress,
@@ -189,7 +372,7 @@ ipcMain.handle('ftp:download-with-progress', async (event, remotePath, localPath
     };
     
     // Download file with progress tracking
-    const result = await ftpClient.downloadWithProgress(remotePath, localPath, onProgress, allowResume);
+    const result = await ftpClient.downloadWithProgress(sessionId, remotePath, localPath, onProgress, allowResume);
     
     return { success: true, ...result };
   } catch (error) {
@@ -198,9 +381,9 @@ ipcMain.handle('ftp:download-with-progress', async (event, remotePath, localPath
   }
 });
 
-ipcMain.handle('ftp:get-cache', async (event, forceRefresh = false) => {
+ipcMain.handle('ftp:get-cache', async (event, sessionId, forceRefresh = false) => {
   try {
-    const structure = await ftpClient.getCachedStructure(null, forceRefresh);
+    const structure = await ftpClient.getCachedStructure(sessionId, null, forceRefresh);
     return { success: true, cache: { structure } };
   } catch (error) {
     console.error('Error getting FTP cache:', error);
@@ -208,13 +391,13 @@ ipcMain.handle('ftp:get-cache', async (event, forceRefresh = false) => {
   }
 });
 
-ipcMain.handle('ftp:load-directory', async (event, dirPath) => {
+ipcMain.handle('ftp:load-directory', async (event, sessionId, dirPath) => {
   try {
     // Use lazy loading system for better performance and concurrency control
-    const contents = await ftpClient.loadDirectoryLazy(dirPath, { forceRefresh: false });
+    const contents = await ftpClient.loadDirectoryLazy(sessionId, dirPath, { forceRefresh: false });
     
     // Optimize cache in background after successful load
-    ftpClient.optimizeCache().catch(error => {
+    ftpClient.optimizeCache(sessionId).catch(error => {
       console.warn('Cache optimization failed:', error);
     });
     
@@ -225,12 +408,12 @@ ipcMain.handle('ftp:load-directory', async (event, dirPath) => {
   }
 });
 
-ipcMain.handle('ftp:refresh-cache', async (event, forceRefresh = true) => {
+ipcMain.handle('ftp:refresh-cache', async (event, sessionId, forceRefresh = true) => {
   try {
-    const structure = await ftpClient.refreshCache(null, forceRefresh);
+    const structure = await ftpClient.refreshCache(sessionId, null, forceRefresh);
     
     // Optimize cache after refresh
-    ftpClient.optimizeCache().catch(error => {
+    ftpClient.optimizeCache(sessionId).catch(error => {
       console.warn('Cache optimization after refresh failed:', error);
     });
     
@@ -242,9 +425,9 @@ ipcMain.handle('ftp:refresh-cache', async (event, forceRefresh = true) => {
 });
 
 // Clear cache for current user
-ipcMain.handle('ftp:clear-cache', async () => {
+ipcMain.handle('ftp:clear-cache', async (event, sessionId) => {
   try {
-    const result = await ftpClient.clearUserCache();
+    const result = await ftpClient.clearUserCache(sessionId);
     return { success: true, message: result.message };
   } catch (error) {
     console.error('Error clearing FTP cache:', error);
@@ -253,9 +436,9 @@ ipcMain.handle('ftp:clear-cache', async () => {
 });
 
 // Check if cache exists
-ipcMain.handle('ftp:check-cache-exists', async () => {
+ipcMain.handle('ftp:check-cache-exists', async (event, sessionId) => {
   try {
-    const exists = await ftpClient.checkCacheExists();
+    const exists = await ftpClient.checkCacheExists(sessionId);
     return exists;
   } catch (error) {
     console.error('Error checking cache existence:', error);
@@ -275,9 +458,9 @@ ipcMain.handle('ftp:get-cached-users', async () => {
 });
 
 // Initialize username for cache
-ipcMain.handle('ftp:init-username', async () => {
+ipcMain.handle('ftp:init-username', async (event, sessionId, profileId = null) => {
   try {
-    await ftpClient.initializeUsername();
+    await ftpClient.initializeUsername(sessionId, profileId);
     return { success: true };
   } catch (error) {
     console.error('Error initializing username:', error);
@@ -285,9 +468,10 @@ ipcMain.handle('ftp:init-username', async () => {
   }
 });
 
-ipcMain.handle('ftp:disconnect', async () => {
+ipcMain.handle('ftp:disconnect', async (event, sessionId) => {
   try {
-    await ftpClient.disconnect();
+    publishWatcher.stopPublishing(sessionId);
+    await ftpClient.disconnect(sessionId);
     return { success: true };
   } catch (error) {
     console.error('Error disconnecting from FTP:', error);
@@ -295,15 +479,17 @@ ipcMain.handle('ftp:disconnect', async () => {
   }
 });
 
-ipcMain.handle('ftp:upload', async (event, localPath, remotePath, onProgress) => {
+ipcMain.handle('ftp:upload', async (event, sessionId, localPath, remotePath, onProgress) => {
   try {
-    const result = await ftpClient.upload(localPath, remotePath, (progress) => {
+    const result = await ftpClient.upload(sessionId, localPath, remotePath, (progress, transferred, total) => {
       // Send progress updates to renderer
       event.sender.send('ftp:upload-progress', {
+        sessionId,
+        localPath,
         remotePath,
-        progress: progress.percentage,
-        transferred: progress.transferred,
-        total: progress.total
+        progress,
+        transferred,
+        total
       });
     });
     return { success: true, result };
@@ -313,22 +499,51 @@ ipcMain.handle('ftp:upload', async (event, localPath, remotePath, onProgress) =>
   }
 });
 
-ipcMain.handle('ftp:upload-multiple', async (event, files) => {
+ipcMain.handle('ftp:upload-multiple', async (event, sessionId, files, targetDirectory) => {
   try {
-    const results = await ftpClient.uploadMultiple(files, (fileProgress) => {
-      // Send progress updates to renderer
-      event.sender.send('ftp:upload-progress', fileProgress);
-    });
-    return { success: true, results };
+    const onFileProgress = (index, fileName, progress, transferred, total) => {
+      // Send per-file progress updates to renderer
+      event.sender.send('ftp:upload-progress', {
+        sessionId,
+        type: 'file',
+        index,
+        fileName,
+        progress,
+        transferred,
+        total
+      });
+    };
+    
+    const onOverallProgress = (progress, completed, failed, totalFiles, transferred, total) => {
+      event.sender.send('ftp:upload-progress', {
+        sessionId,
+        type: 'overall',
+        progress,
+        completed,
+        failed,
+        totalFiles,
+        transferred,
+        total
+      });
+    };
+    
+    const result = await ftpClient.uploadMultiple(sessionId, files, targetDirectory, onFileProgress, onOverallProgress);
+    return {
+      success: true,
+      results: result.results,
+      skipped: result.skipped,
+      failed: result.failed,
+      summary: result.summary
+    };
   } catch (error) {
     console.error('Error uploading multiple files:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('ftp:create-directory', async (event, remotePath) => {
+ipcMain.handle('ftp:create-directory', async (event, sessionId, remotePath) => {
   try {
-    await ftpClient.createDirectory(remotePath);
+    await ftpClient.createDirectory(sessionId, remotePath);
     return { success: true };
   } catch (error) {
     console.error('Error creating directory:', error);
@@ -336,10 +551,10 @@ ipcMain.handle('ftp:create-directory', async (event, remotePath) => {
   }
 });
 
-ipcMain.handle('dialog:open-files', async () => {
+ipcMain.handle('dialog:open-files', async (event, options = {}) => {
   try {
     const result = await dialog.showOpenDialog(mainWindow, {
-      properties: ['openFile', 'multiSelections'],
+      properties: [options.directories ? 'openDirectory' : 'openFile', 'multiSelections'],
       filters: [
         { name: 'All Files', extensions: ['*'] }
       ]
@@ -351,19 +566,19 @@ ipcMain.handle('dialog:open-files', async () => {
   }
 });
 
-ipcMain.handle('ftp:delete-file', async (event, remotePath) => {
+ipcMain.handle('ftp:delete-file', async (event, sessionId, remotePath, options = {}) => {
   try {
-    const result = await ftpClient.deleteFile(remotePath);
+    const result = await ftpClient.deleteFile(sessionId, remotePath, options);
     return result;
   } catch (error) {
     console.error('Error deleting file:', error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, code: error.code, lock: error.lock };
   }
 });
 
-ipcMain.handle('ftp:delete-directory', async (event, remotePath) => {
+ipcMain.handle('ftp:delete-directory', async (event, sessionId, remotePath) => {
   try {
-    const result = await ftpClient.deleteDirectory(remotePath);
+    const result = await ftpClient.deleteDirectory(sessionId, remotePath);
     return result;
   } catch (error) {
     console.error('Error deleting directory:', error);
@@ -371,11 +586,58 @@ ipcMain.handle('ftp:delete-directory', async (event, remotePath) => {
   }
 });
 
-ipcMain.handle('ftp:delete-multiple', async (event, items) => {
+ipcMain.handle('ftp:rename', async (event, sessionId, fromPath, toPath) => {
   try {
-    const results = await ftpClient.deleteMultiple(items, (progress) => {
-      mainWindow.webContents.send('delete-progress', progress);
-    });
+    return await ftpClient.rename(sessionId, fromPath, toPath);
+  } catch (error) {
+    console.error('Error renaming:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ftp:chmod', async (event, sessionId, remotePath, mode, options = {}) => {
+  try {
+    return await ftpClient.chmod(sessionId, remotePath, mode, options);
+  } catch (error) {
+    console.error('Error changing permissions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ftp:get-properties', async (event, sessionId, remotePath) => {
+  try {
+    const properties = await ftpClient.getItemProperties(sessionId, remotePath);
+    return { success: true, properties };
+  } catch (error) {
+    console.error('Error getting properties:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ftp:resolve-symlink', async (event, sessionId, remotePath) => {
+  try {
+    const link = await ftpClient.resolveSymlink(sessionId, remotePath);
+    return { success: true, link };
+  } catch (error) {
+    console.error('Error resolving symlink:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ftp:directory-size', async (event, sessionId, remotePath) => {
+  try {
+    return await ftpClient.calculateDirectorySize(sessionId, remotePath);
+  } catch (error) {
+    console.error('Error calculating directory size:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ftp:delete-multiple', async (event, sessionId, items, options = {}) => {
+  try {
+    const results = await ftpClient.deleteMultiple(sessionId, items, (progress) => {
+      mainWindow.webContents.send('delete-progress', { sessionId, ...progress });
+    }, options);
     return { success: true, results };
   } catch (error) {
     console.error('Error deleting multiple items:', error);
@@ -457,13 +719,459 @@ ipcMain.handle('shell:show-item-in-folder', async (event, path) => {
   }
 });
 
+// =============================================
+// IPC Handlers for Local File System
+// =============================================
+
+ipcMain.handle('local:get-roots', async () => {
+  try {
+    const result = await localFiles.getLocalRoots();
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error getting local roots:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('local:list', async (event, dirPath) => {
+  try {
+    const contents = await localFiles.listLocalDirectory(dirPath);
+    return { success: true, contents };
+  } catch (error) {
+    console.error('Error listing local directory:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('local:create-directory', async (event, dirPath) => {
+  try {
+    const result = await localFiles.createLocalDirectory(dirPath);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error creating local directory:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// =============================================
+// IPC Handlers for Transfer Queue
+// =============================================
+
+ipcMain.handle('transfers:list', async () => {
+  try {
+    return { success: true, items: transferQueue.listTransfers() };
+  } catch (error) {
+    console.error('Error listing transfers:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('transfers:enqueue-upload', async (event, sessionId, localPaths, remoteDir) => {
+  try {
+    const result = await transferQueue.enqueueUpload(sessionId, localPaths, remoteDir);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error queueing upload:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('transfers:enqueue-download', async (event, sessionId, remoteItems, localDir, options = {}) => {
+  try {
+    const result = await transferQueue.enqueueDownload(sessionId, remoteItems, localDir, options);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error queueing download:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// pause / resume / cancel / retry / remove all take a transfer id
+const transferActions = {
+  pause: transferQueue.pauseTransfer,
+  resume: transferQueue.resumeTransfer,
+  cancel: transferQueue.cancelTransfer,
+  retry: transferQueue.retryTransfer,
+  remove: transferQueue.removeTransfer
+};
+
+Object.entries(transferActions).forEach(([action, handler]) => {
+  ipcMain.handle(`transfers:${action}`, async (event, transferId) => {
+    try {
+      handler(transferId);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error running transfer action ${action}:`, error);
+      return { success: false, error: error.message };
+    }
+  });
+});
+
+ipcMain.handle('transfers:move', async (event, transferId, toIndex) => {
+  try {
+    transferQueue.moveTransfer(transferId, toIndex);
+    return { success: true };
+  } catch (error) {
+    console.error('Error moving transfer:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('transfers:clear-finished', async () => {
+  try {
+    transferQueue.clearFinishedTransfers();
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing finished transfers:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// =============================================
+// IPC Handlers for Folder Sync
+// =============================================
+
+ipcMain.handle('sync:preview', async (event, sessionId, localDir, remoteDir, mode) => {
+  try {
+    const plan = await folderSync.previewSync(sessionId, localDir, remoteDir, mode);
+    return { success: true, plan };
+  } catch (error) {
+    console.error('Error previewing folder sync:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('sync:execute', async (event, sessionId, planId, actionIndexes) => {
+  try {
+    const result = await folderSync.executeSync(sessionId, planId, actionIndexes, (progress) => {
+      event.sender.send('sync:progress', { sessionId, ...progress });
+    });
+    return { ...result, complete: result.success, success: true };
+  } catch (error) {
+    console.error('Error running folder sync:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// =============================================
+// IPC Handlers for Publish Folder
+// =============================================
+
+// Start watching the profile's publish folder after connecting, when it is enabled
+async function startProfilePublishing(sessionId, profileId) {
+  if (!profileId || publishWatcher.getPublishStatus().some(watch => watch.sessionId === sessionId)) {
+    return;
+  }
+
+  try {
+    const profile = await config.getProfile(profileId);
+    if (profile.publishFolder.enabled) {
+      await publishWatcher.startPublishing(sessionId, profileId, profile.publishFolder);
+    }
+  } catch (error) {
+    // A missing local folder shouldn't fail the connection
+    console.error('Error starting publish folder:', error);
+  }
+}
+
+ipcMain.handle('publish:get', async (event, profileId) => {
+  try {
+    const profile = await config.getProfile(profileId);
+    return { success: true, publishFolder: profile.publishFolder, status: publishWatcher.getPublishStatus() };
+  } catch (error) {
+    console.error('Error getting publish folder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('publish:save', async (event, profileId, mapping) => {
+  try {
+    const publishFolder = await config.savePublishFolder(profileId, mapping);
+    return { success: true, publishFolder };
+  } catch (error) {
+    console.error('Error saving publish folder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('publish:start', async (event, sessionId, profileId) => {
+  try {
+    const profile = await config.getProfile(profileId);
+    const watch = await publishWatcher.startPublishing(sessionId, profile.id, profile.publishFolder);
+    return { success: true, watch };
+  } catch (error) {
+    console.error('Error starting publish folder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('publish:stop', async (event, sessionId) => {
+  try {
+    publishWatcher.stopPublishing(sessionId);
+    return { success: true };
+  } catch (error) {
+    console.error('Error stopping publish folder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('publish:status', async () => {
+  try {
+    return { success: true, status: publishWatcher.getPublishStatus() };
+  } catch (error) {
+    console.error('Error getting publish folder status:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('publish:log', async (event, sessionId = null) => {
+  try {
+    return { success: true, log: publishWatcher.getPublishLog(sessionId) };
+  } catch (error) {
+    console.error('Error getting publish log:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// =============================================
+// IPC Handlers for Remote Copy
+// =============================================
+
+// Running copies by session, so they can be cancelled
+const activeCopies = new Map();
+
+ipcMain.handle('ftp:copy-items', async (event, sessionId, items, targetDir) => {
+  if (activeCopies.has(sessionId)) {
+    return { success: false, error: 'A copy is already running for this session' };
+  }
+
+  const controller = new AbortController();
+  activeCopies.set(sessionId, controller);
+  try {
+    const result = await remoteCopy.copyRemoteItems(sessionId, items, targetDir, {
+      signal: controller.signal,
+      onProgress: (progress) => {
+        event.sender.send('ftp:copy-progress', { sessionId, ...progress });
+      }
+    });
+    return { ...result, complete: result.success, success: true };
+  } catch (error) {
+    console.error('Error copying items:', error);
+    return { success: false, error: error.message };
+  } finally {
+    activeCopies.delete(sessionId);
+  }
+});
+
+ipcMain.handle('ftp:cancel-copy', async (event, sessionId) => {
+  const controller = activeCopies.get(sessionId);
+  if (controller) {
+    controller.abort();
+  }
+  return { success: true };
+});
+
+// =============================================
+// IPC Handlers for Remote Search
+// =============================================
+
+// Running searches by session; a new search replaces the previous one
+const activeSearches = new Map();
+
+ipcMain.handle('ftp:search', async (event, sessionId, searchId, criteria) => {
+  const previous = activeSearches.get(sessionId);
+  if (previous) {
+    previous.abort();
+  }
+
+  const controller = new AbortController();
+  activeSearches.set(sessionId, controller);
+  try {
+    const result = await remoteSearch.searchRemote(sessionId, criteria, {
+      signal: controller.signal,
+      onResults: (batch) => {
+        event.sender.send('ftp:search-results', { sessionId, searchId, ...batch });
+      }
+    });
+    return { ...result, searchId };
+  } catch (error) {
+    console.error('Error searching remote files:', error);
+    return { success: false, searchId, error: error.message };
+  } finally {
+    if (activeSearches.get(sessionId) === controller) {
+      activeSearches.delete(sessionId);
+    }
+  }
+});
+
+ipcMain.handle('ftp:cancel-search', async (event, sessionId) => {
+  const controller = activeSearches.get(sessionId);
+  if (controller) {
+    controller.abort();
+  }
+  return { success: true };
+});
+
+// =============================================
+// IPC Handlers for LAN Chat
+// =============================================
+
+let lanChatError = null;
+
+// Join the LAN under the configured display name; the app works without it
+async function startLanChat() {
+  try {
+    await lanChat.initChat();
+    const appConfig = await config.getConfig();
+    lockFiles.setOwner(appConfig.app.displayName);
+    await lanNetwork.start({ name: appConfig.app.displayName || os.userInfo().username });
+    lanChatError = null;
+  } catch (error) {
+    console.error('Error starting LAN chat:', error);
+    lanChatError = error.message;
+  }
+
+  // Direct file transfers only need their TCP port; it is announced once the network runs
+  try {
+    await lanTransfer.startLanTransfer();
+  } catch (error) {
+    console.error('Error starting LAN file transfer:', error);
+  }
+}
+
+function getChatState() {
+  return {
+    online: lanNetwork.isRunning(),
+    error: lanChatError,
+    identity: lanNetwork.getIdentity(),
+    peers: lanNetwork.getPeers(),
+    messages: lanChat.getChatHistory()
+  };
+}
+
+ipcMain.handle('chat:get-state', async () => {
+  try {
+    return { success: true, ...getChatState() };
+  } catch (error) {
+    console.error('Error getting chat state:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('chat:reconnect', async () => {
+  try {
+    await lanNetwork.stop();
+    await startLanChat();
+    return { success: !lanChatError, error: lanChatError, ...getChatState() };
+  } catch (error) {
+    console.error('Error reconnecting LAN chat:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('chat:send', async (event, text) => {
+  try {
+    const message = await lanChat.sendChatMessage(text);
+    return { success: true, message };
+  } catch (error) {
+    console.error('Error sending chat message:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('chat:share-file', async (event, file, text = '') => {
+  try {
+    const message = await lanChat.shareFileInChat(file, text);
+    return { success: true, message };
+  } catch (error) {
+    console.error('Error sharing file in chat:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('chat:set-name', async (event, name) => {
+  try {
+    const displayName = (name || '').trim().slice(0, 40);
+    await config.saveConfig({ app: { displayName } });
+    lanNetwork.setName(displayName);
+    lockFiles.setOwner(displayName);
+    return { success: true, identity: lanNetwork.getIdentity() };
+  } catch (error) {
+    console.error('Error saving chat name:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('chat:clear-history', async () => {
+  try {
+    await lanChat.clearChatHistory();
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing chat history:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// =============================================
+// IPC Handlers for LAN File Transfer
+// =============================================
+
+ipcMain.handle('lan-transfer:send', async (event, peerId, localPath) => {
+  try {
+    return await lanTransfer.sendLanFile(peerId, localPath);
+  } catch (error) {
+    console.error('Error sending file over LAN:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('lan-transfer:respond', async (event, transferId, accept, localPath = null) => {
+  try {
+    return await lanTransfer.respondToLanOffer(transferId, accept, localPath);
+  } catch (error) {
+    console.error('Error receiving file over LAN:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('lan-transfer:cancel', async (event, transferId) => {
+  try {
+    return { success: lanTransfer.cancelLanTransfer(transferId) };
+  } catch (error) {
+    console.error('Error cancelling LAN transfer:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// =============================================
+// IPC Handlers for LAN Presence
+// =============================================
+
+ipcMain.handle('presence:set-activity', async (event, activity) => {
+  try {
+    return { success: true, activity: presence.setActivity(activity) };
+  } catch (error) {
+    console.error('Error updating presence:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('presence:get', async () => {
+  try {
+    return { success: true, presence: presence.getPresence(), feed: presence.getActivityFeed() };
+  } catch (error) {
+    console.error('Error getting presence:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // =============================================
 // IPC Handlers for File Operations
 // =============================================
 
-ipcMain.handle('ftp:get-file-content', async (event, remotePath) => {
+ipcMain.handle('ftp:get-file-content', async (event, sessionId, remotePath) => {
   try {
-    const content = await ftpClient.getFileContent(remotePath);
+    const content = await ftpClient.getFileContent(sessionId, remotePath);
     return { success: true, content };
   } catch (error) {
     console.error('Error getting file content:', error);
@@ -471,33 +1179,71 @@ ipcMain.handle('ftp:get-file-content', async (event, remotePath) => {
   }
 });
 
-ipcMain.handle('ftp:update-file', async (event, remotePath, content) => {
+ipcMain.handle('ftp:update-file', async (event, sessionId, remotePath, content, options = {}) => {
   try {
-    await ftpClient.updateFile(remotePath, content);
+    await ftpClient.updateFile(sessionId, remotePath, content, null, options);
     return { success: true };
   } catch (error) {
     console.error('Error updating file:', error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, code: error.code, lock: error.lock };
   }
 });
 
-ipcMain.handle('ftp:replace-file', async (event, remotePath, localPath) => {
+ipcMain.handle('ftp:replace-file', async (event, sessionId, remotePath, localPath, options = {}) => {
    try {
-     await ftpClient.replaceFile(remotePath, localPath);
+     await ftpClient.replaceFile(sessionId, localPath, remotePath, null, options);
      return { success: true };
    } catch (error) {
      console.error('Error replacing file:', error);
-     return { success: false, error: error.message };
+     return { success: false, error: error.message, code: error.code, lock: error.lock };
    }
  });
 
+ipcMain.handle('ftp:get-lock', async (event, sessionId, remotePath) => {
+  try {
+    const lock = await ftpClient.getLock(sessionId, remotePath);
+    return { success: true, lock };
+  } catch (error) {
+    console.error('Error reading lock:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ftp:get-locks', async (event, sessionId, remotePaths) => {
+  try {
+    const locks = await ftpClient.getLocks(sessionId, remotePaths);
+    return { success: true, locks };
+  } catch (error) {
+    console.error('Error reading locks:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ftp:acquire-lock', async (event, sessionId, remotePath, options = {}) => {
+  try {
+    return await ftpClient.acquireLock(sessionId, remotePath, options);
+  } catch (error) {
+    console.error('Error acquiring lock:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('ftp:release-lock', async (event, sessionId, remotePath, options = {}) => {
+  try {
+    return await ftpClient.releaseLock(sessionId, remotePath, options);
+  } catch (error) {
+    console.error('Error releasing lock:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // =============================================
 // IPC Handlers for Connection Pool Operations
 // =============================================
 
-ipcMain.handle('ftp:list-pooled', async (event, remotePath = '/') => {
+ipcMain.handle('ftp:list-pooled', async (event, sessionId, remotePath = '/') => {
   try {
-    const result = await ftpClient.listPooled(remotePath);
+    const result = await ftpClient.listPooled(sessionId, remotePath);
     return result;
   } catch (error) {
     console.error('Error listing directory with pool:', error);
@@ -505,9 +1251,9 @@ ipcMain.handle('ftp:list-pooled', async (event, remotePath = '/') => {
   }
 });
 
-ipcMain.handle('ftp:download-pooled', async (event, remotePath, localPath) => {
+ipcMain.handle('ftp:download-pooled', async (event, sessionId, remotePath, localPath) => {
   try {
-    const result = await ftpClient.downloadPooled(remotePath, localPath);
+    const result = await ftpClient.downloadPooled(sessionId, remotePath, localPath);
     return result;
   } catch (error) {
     console.error('Error downloading file with pool:', error);
@@ -515,9 +1261,9 @@ ipcMain.handle('ftp:download-pooled', async (event, remotePath, localPath) => {
   }
 });
 
-ipcMain.handle('ftp:upload-pooled', async (event, localPath, remotePath) => {
+ipcMain.handle('ftp:upload-pooled', async (event, sessionId, localPath, remotePath) => {
   try {
-    const result = await ftpClient.uploadPooled(localPath, remotePath);
+    const result = await ftpClient.uploadPooled(sessionId, localPath, remotePath);
     return result;
   } catch (error) {
     console.error('Error uploading file with pool:', error);
@@ -525,9 +1271,9 @@ ipcMain.handle('ftp:upload-pooled', async (event, localPath, remotePath) => {
   }
 });
 
-ipcMain.handle('ftp:concurrent-operations', async (event, operations, maxConcurrency = 3) => {
+ipcMain.handle('ftp:concurrent-operations', async (event, sessionId, operations, maxConcurrency = 3) => {
   try {
-    const result = await ftpClient.performConcurrentOperations(operations, maxConcurrency);
+    const result = await ftpClient.performConcurrentOperations(sessionId, operations, maxConcurrency);
     return result;
   } catch (error) {
     console.error('Error performing concurrent operations:', error);
@@ -535,9 +1281,9 @@ ipcMain.handle('ftp:concurrent-operations', async (event, operations, maxConcurr
   }
 });
 
-ipcMain.handle('ftp:get-pool-stats', async () => {
+ipcMain.handle('ftp:get-pool-stats', async (event, sessionId) => {
   try {
-    const stats = ftpClient.getPoolStats();
+    const stats = ftpClient.getPoolStats(sessionId);
     return stats;
   } catch (error) {
     console.error('Error getting pool stats:', error);
@@ -545,9 +1291,9 @@ ipcMain.handle('ftp:get-pool-stats', async () => {
   }
 });
 
-ipcMain.handle('ftp:optimize-pool', async () => {
+ipcMain.handle('ftp:optimize-pool', async (event, sessionId) => {
     try {
-      return await ftpClient.optimizeConnectionPool();
+      return await ftpClient.optimizeConnectionPool(sessionId);
     } catch (error) {
       console.error('Error optimizing connection pool:', error);
       throw error;
@@ -555,45 +1301,45 @@ ipcMain.handle('ftp:optimize-pool', async () => {
   });
 
   // Windows Explorer-like lazy loading IPC handlers
-  ipcMain.handle('ftp:load-directory-lazy', async (event, dirPath, options = {}) => {
+  ipcMain.handle('ftp:load-directory-lazy', async (event, sessionId, dirPath, options = {}) => {
     try {
-      return await ftpClient.loadDirectoryLazy(dirPath, options);
+      return await ftpClient.loadDirectoryLazy(sessionId, dirPath, options);
     } catch (error) {
       console.error('Error lazy loading directory:', error);
       throw error;
     }
   });
 
-  ipcMain.handle('ftp:set-visible-directories', async (event, directories) => {
+  ipcMain.handle('ftp:set-visible-directories', async (event, sessionId, directories) => {
     try {
-      return ftpClient.setVisibleDirectories(directories);
+      return ftpClient.setVisibleDirectories(sessionId, directories);
     } catch (error) {
       console.error('Error setting visible directories:', error);
       throw error;
     }
   });
 
-  ipcMain.handle('ftp:refresh-visible-directories', async () => {
+  ipcMain.handle('ftp:refresh-visible-directories', async (event, sessionId) => {
     try {
-      return await ftpClient.refreshVisibleDirectories();
+      return await ftpClient.refreshVisibleDirectories(sessionId);
     } catch (error) {
       console.error('Error refreshing visible directories:', error);
       throw error;
     }
   });
 
-  ipcMain.handle('ftp:get-lazy-load-stats', async () => {
+  ipcMain.handle('ftp:get-lazy-load-stats', async (event, sessionId) => {
     try {
-      return ftpClient.getLazyLoadStats();
+      return ftpClient.getLazyLoadStats(sessionId);
     } catch (error) {
       console.error('Error getting lazy load stats:', error);
       throw error;
     }
   });
 
-  ipcMain.handle('ftp:clear-lazy-cache', async (event, dirPath) => {
+  ipcMain.handle('ftp:clear-lazy-cache', async (event, sessionId, dirPath) => {
     try {
-      return ftpClient.clearLazyCache(dirPath);
+      return ftpClient.clearLazyCache(sessionId, dirPath);
     } catch (error) {
       console.error('Error clearing lazy cache:', error);
       throw error;
@@ -601,54 +1347,54 @@ ipcMain.handle('ftp:optimize-pool', async () => {
   });
 
   // Background worker IPC handlers
-  ipcMain.handle('ftp:start-background-worker', async (event, refreshInterval) => {
+  ipcMain.handle('ftp:start-background-worker', async (event, sessionId, refreshInterval) => {
     try {
-      return ftpClient.startBackgroundWorker(refreshInterval);
+      return ftpClient.startBackgroundWorker(sessionId, refreshInterval);
     } catch (error) {
       console.error('Error starting background worker:', error);
       throw error;
     }
   });
 
-  ipcMain.handle('ftp:stop-background-worker', async () => {
+  ipcMain.handle('ftp:stop-background-worker', async (event, sessionId) => {
     try {
-      return ftpClient.stopBackgroundWorker();
+      return ftpClient.stopBackgroundWorker(sessionId);
     } catch (error) {
       console.error('Error stopping background worker:', error);
       throw error;
     }
   });
 
-  ipcMain.handle('ftp:add-monitored-directory', async (event, dirPath) => {
+  ipcMain.handle('ftp:add-monitored-directory', async (event, sessionId, dirPath) => {
     try {
-      return ftpClient.addMonitoredDirectory(dirPath);
+      return ftpClient.addMonitoredDirectory(sessionId, dirPath);
     } catch (error) {
       console.error('Error adding monitored directory:', error);
       throw error;
     }
   });
 
-  ipcMain.handle('ftp:remove-monitored-directory', async (event, dirPath) => {
+  ipcMain.handle('ftp:remove-monitored-directory', async (event, sessionId, dirPath) => {
     try {
-      return ftpClient.removeMonitoredDirectory(dirPath);
+      return ftpClient.removeMonitoredDirectory(sessionId, dirPath);
     } catch (error) {
       console.error('Error removing monitored directory:', error);
       throw error;
     }
   });
 
-  ipcMain.handle('ftp:update-worker-activity', async () => {
+  ipcMain.handle('ftp:update-worker-activity', async (event, sessionId) => {
     try {
-      return ftpClient.updateWorkerActivity();
+      return ftpClient.updateWorkerActivity(sessionId);
     } catch (error) {
       console.error('Error updating worker activity:', error);
       throw error;
     }
   });
 
-  ipcMain.handle('ftp:get-background-worker-stats', async () => {
+  ipcMain.handle('ftp:get-background-worker-stats', async (event, sessionId) => {
     try {
-      return ftpClient.getBackgroundWorkerStats();
+      return ftpClient.getBackgroundWorkerStats(sessionId);
     } catch (error) {
       console.error('Error getting background worker stats:', error);
       throw error;
@@ -661,7 +1407,12 @@ ipcMain.handle('ftp:optimize-pool', async () => {
 
 app.on('before-quit', async () => {
   try {
-    await ftpClient.disconnect();
+    publishWatcher.stopAllPublishing();
+    await lanChat.shutdownChat();
+    lanTransfer.stopLanTransfer();
+    await lanNetwork.stop();
+    await transferQueue.shutdownTransferQueue();
+    await ftpClient.disconnectAll();
   } catch (error) {
     console.error('Error during cleanup:', error);
   }
@@ -7,69 +7,194 @@ contextBridge.exposeInMainWorld('electronAPI', {
   config: {
     get: () => ipcRenderer.invoke('config:get'),
     save: (config) => ipcRenderer.invoke('config:save', config),
-    validateFTP: (ftpConfig) => ipcRenderer.invoke('config:validate-ftp', ftpConfig)
+    validateFTP: (ftpConfig) => ipcRenderer.invoke('config:validate-ftp', ftpConfig),
+    getProfiles: () => ipcRenderer.invoke('config:get-profiles'),
+    saveProfile: (profile, makeActive = false) => ipcRenderer.invoke('config:save-profile', profile, makeActive),
+    deleteProfile: (profileId) => ipcRenderer.invoke('config:delete-profile', profileId),
+    setActiveProfile: (profileId) => ipcRenderer.invoke('config:set-active-profile', profileId),
+    pinCertificate: (profileId, fingerprint) => ipcRenderer.invoke('config:pin-certificate', profileId, fingerprint),
+    trustHostKey: (host, port, fingerprint) => ipcRenderer.invoke('config:trust-host-key', host, port, fingerprint)
   },
 
   // FTP APIs
   ftp: {
-    connect: () => ipcRenderer.invoke('ftp:connect'),
-    list: (path) => ipcRenderer.invoke('ftp:list', path),
-    loadDirectory: (dirPath) => ipcRenderer.invoke('ftp:load-directory', dirPath),
-    downloadAndOpen: (remotePath, fileName) => ipcRenderer.invoke('ftp:download-and-open', remotePath, fileName),
-    downloadWithProgress: (remotePath, localPath, allowResume = true) => ipcRenderer.invoke('ftp:download-with-progress', remotePath, localPath, allowResume),
+    // Session management - every other FTP call takes the session id first
+    createSession: (profileId = null) => ipcRenderer.invoke('ftp:create-session', profileId),
+    closeSession: (sessionId) => ipcRenderer.invoke('ftp:close-session', sessionId),
+    listSessions: () => ipcRenderer.invoke('ftp:list-sessions'),
+    connect: (sessionId, profileId = null) => ipcRenderer.invoke('ftp:connect', sessionId, profileId),
+    list: (sessionId, path) => ipcRenderer.invoke('ftp:list', sessionId, path),
+    loadDirectory: (sessionId, dirPath) => ipcRenderer.invoke('ftp:load-directory', sessionId, dirPath),
+    downloadAndOpen: (sessionId, remotePath, fileName) => ipcRenderer.invoke('ftp:download-and-open', sessionId, remotePath, fileName),
+    downloadWithProgress: (sessionId, remotePath, localPath, allowResume = true) => ipcRenderer.invoke('ftp:download-with-progress', sessionId, remotePath, localPath, allowResume),
     onDownloadProgress: (callback) => {
       ipcRenderer.on('download-progress', (event, data) => callback(data));
       return () => ipcRenderer.removeAllListeners('download-progress');
     },
-    getCache: (forceRefresh = false) => ipcRenderer.invoke('ftp:get-cache', forceRefresh),
-    refreshCache: (forceRefresh = true) => ipcRenderer.invoke('ftp:refresh-cache', forceRefresh),
-    clearCache: () => ipcRenderer.invoke('ftp:clear-cache'),
-    checkCacheExists: () => ipcRenderer.invoke('ftp:check-cache-exists'),
+    getCache: (sessionId, forceRefresh = false) => ipcRenderer.invoke('ftp:get-cache', sessionId, forceRefresh),
+    refreshCache: (sessionId, forceRefresh = true) => ipcRenderer.invoke('ftp:refresh-cache', sessionId, forceRefresh),
+    clearCache: (sessionId) => ipcRenderer.invoke('ftp:clear-cache', sessionId),
+    checkCacheExists: (sessionId) => ipcRenderer.invoke('ftp:check-cache-exists', sessionId),
     getCachedUsers: () => ipcRenderer.invoke('ftp:get-cached-users'),
-    initUsername: () => ipcRenderer.invoke('ftp:init-username'),
-    disconnect: () => ipcRenderer.invoke('ftp:disconnect'),
-    upload: (localPath, remotePath) => ipcRenderer.invoke('ftp:upload', localPath, remotePath),
-    uploadMultiple: (files) => ipcRenderer.invoke('ftp:upload-multiple', files),
-    createDirectory: (remotePath) => ipcRenderer.invoke('ftp:create-directory', remotePath),
+    initUsername: (sessionId, profileId = null) => ipcRenderer.invoke('ftp:init-username', sessionId, profileId),
+    disconnect: (sessionId) => ipcRenderer.invoke('ftp:disconnect', sessionId),
+    upload: (sessionId, localPath, remotePath) => ipcRenderer.invoke('ftp:upload', sessionId, localPath, remotePath),
+    uploadMultiple: (sessionId, files, targetDirectory) => ipcRenderer.invoke('ftp:upload-multiple', sessionId, files, targetDirectory),
+    createDirectory: (sessionId, remotePath) => ipcRenderer.invoke('ftp:create-directory', sessionId, remotePath),
     onUploadProgress: (callback) => {
       ipcRenderer.on('ftp:upload-progress', (event, data) => callback(data));
       return () => ipcRenderer.removeAllListeners('ftp:upload-progress');
     },
-    deleteFile: (remotePath) => ipcRenderer.invoke('ftp:delete-file', remotePath),
-    deleteDirectory: (remotePath) => ipcRenderer.invoke('ftp:delete-directory', remotePath),
-    deleteMultiple: (items) => ipcRenderer.invoke('ftp:delete-multiple', items),
+    deleteFile: (sessionId, remotePath, options = {}) => ipcRenderer.invoke('ftp:delete-file', sessionId, remotePath, options),
+    deleteDirectory: (sessionId, remotePath) => ipcRenderer.invoke('ftp:delete-directory', sessionId, remotePath),
+    deleteMultiple: (sessionId, items, options = {}) => ipcRenderer.invoke('ftp:delete-multiple', sessionId, items, options),
+    rename: (sessionId, fromPath, toPath) => ipcRenderer.invoke('ftp:rename', sessionId, fromPath, toPath),
+    chmod: (sessionId, remotePath, mode, options) => ipcRenderer.invoke('ftp:chmod', sessionId, remotePath, mode, options),
+    getProperties: (sessionId, remotePath) => ipcRenderer.invoke('ftp:get-properties', sessionId, remotePath),
+    resolveSymlink: (sessionId, remotePath) => ipcRenderer.invoke('ftp:resolve-symlink', sessionId, remotePath),
+    getDirectorySize: (sessionId, remotePath) => ipcRenderer.invoke('ftp:directory-size', sessionId, remotePath),
+    copyItems: (sessionId, items, targetDir) => ipcRenderer.invoke('ftp:copy-items', sessionId, items, targetDir),
+    cancelCopy: (sessionId) => ipcRenderer.invoke('ftp:cancel-copy', sessionId),
+    onCopyProgress: (callback) => {
+      ipcRenderer.on('ftp:copy-progress', (event, data) => callback(data));
+      return () => ipcRenderer.removeAllListeners('ftp:copy-progress');
+    },
+    search: (sessionId, searchId, criteria) => ipcRenderer.invoke('ftp:search', sessionId, searchId, criteria),
+    cancelSearch: (sessionId) => ipcRenderer.invoke('ftp:cancel-search', sessionId),
+    onSearchResults: (callback) => {
+      ipcRenderer.on('ftp:search-results', (event, data) => callback(data));
+      return () => ipcRenderer.removeAllListeners('ftp:search-results');
+    },
     onDeleteProgress: (callback) => {
       ipcRenderer.on('delete-progress', callback);
       return () => ipcRenderer.removeAllListeners('delete-progress');
     },
     // File operation APIs
-    getFileContent: (remotePath) => ipcRenderer.invoke('ftp:get-file-content', remotePath),
-    updateFile: (remotePath, content) => ipcRenderer.invoke('ftp:update-file', remotePath, content),
-    replaceFile: (remotePath, localPath) => ipcRenderer.invoke('ftp:replace-file', remotePath, localPath),
+    getFileContent: (sessionId, remotePath) => ipcRenderer.invoke('ftp:get-file-content', sessionId, remotePath),
+    updateFile: (sessionId, remotePath, content, options = {}) => ipcRenderer.invoke('ftp:update-file', sessionId, remotePath, content, options),
+    replaceFile: (sessionId, remotePath, localPath, options = {}) => ipcRenderer.invoke('ftp:replace-file', sessionId, remotePath, localPath, options),
+    getLock: (sessionId, remotePath) => ipcRenderer.invoke('ftp:get-lock', sessionId, remotePath),
+    getLocks: (sessionId, remotePaths) => ipcRenderer.invoke('ftp:get-locks', sessionId, remotePaths),
+    acquireLock: (sessionId, remotePath, options = {}) => ipcRenderer.invoke('ftp:acquire-lock', sessionId, remotePath, options),
+    releaseLock: (sessionId, remotePath, options = {}) => ipcRenderer.invoke('ftp:release-lock', sessionId, remotePath, options),
     // Connection Pool Functions
-    listPooled: (remotePath) => ipcRenderer.invoke('ftp:list-pooled', remotePath),
-    downloadPooled: (remotePath, localPath) => ipcRenderer.invoke('ftp:download-pooled', remotePath, localPath),
-    uploadPooled: (localPath, remotePath) => ipcRenderer.invoke('ftp:upload-pooled', localPath, remotePath),
-    performConcurrentOperations: (operations, maxConcurrency) => ipcRenderer.invoke('ftp:concurrent-operations', operations, maxConcurrency),
-    getPoolStats: () => ipcRenderer.invoke('ftp:get-pool-stats'),
-    optimizePool: () => ipcRenderer.invoke('ftp:optimize-pool'),
+    listPooled: (sessionId, remotePath) => ipcRenderer.invoke('ftp:list-pooled', sessionId, remotePath),
+    downloadPooled: (sessionId, remotePath, localPath) => ipcRenderer.invoke('ftp:download-pooled', sessionId, remotePath, localPath),
+    uploadPooled: (sessionId, localPath, remotePath) => ipcRenderer.invoke('ftp:upload-pooled', sessionId, localPath, remotePath),
+    performConcurrentOperations: (sessionId, operations, maxConcurrency) => ipcRenderer.invoke('ftp:concurrent-operations', sessionId, operations, maxConcurrency),
+    getPoolStats: (sessionId) => ipcRenderer.invoke('ftp:get-pool-stats', sessionId),
+    optimizePool: (sessionId) => ipcRenderer.invoke('ftp:optimize-pool', sessionId),
     // Windows Explorer-like lazy loading functions
-    loadDirectoryLazy: (dirPath, options) => ipcRenderer.invoke('ftp:load-directory-lazy', dirPath, options),
-    setVisibleDirectories: (directories) => ipcRenderer.invoke('ftp:set-visible-directories', directories),
-    refreshVisibleDirectories: () => ipcRenderer.invoke('ftp:refresh-visible-directories'),
-    getLazyLoadStats: () => ipcRenderer.invoke('ftp:get-lazy-load-stats'),
-    clearLazyCache: (dirPath) => ipcRenderer.invoke('ftp:clear-lazy-cache', dirPath),
+    loadDirectoryLazy: (sessionId, dirPath, options) => ipcRenderer.invoke('ftp:load-directory-lazy', sessionId, dirPath, options),
+    setVisibleDirectories: (sessionId, directories) => ipcRenderer.invoke('ftp:set-visible-directories', sessionId, directories),
+    refreshVisibleDirectories: (sessionId) => ipcRenderer.invoke('ftp:refresh-visible-directories', sessionId),
+    getLazyLoadStats: (sessionId) => ipcRenderer.invoke('ftp:get-lazy-load-stats', sessionId),
+    clearLazyCache: (sessionId, dirPath) => ipcRenderer.invoke('ftp:clear-lazy-cache', sessionId, dirPath),
     // Background worker functions
-    startBackgroundWorker: (refreshInterval) => ipcRenderer.invoke('ftp:start-background-worker', refreshInterval),
-    stopBackgroundWorker: () => ipcRenderer.invoke('ftp:stop-background-worker'),
-    addMonitoredDirectory: (dirPath) => ipcRenderer.invoke('ftp:add-monitored-directory', dirPath),
-    removeMonitoredDirectory: (dirPath) => ipcRenderer.invoke('ftp:remove-monitored-directory', dirPath),
-    updateWorkerActivity: () => ipcRenderer.invoke('ftp:update-worker-activity'),
-    getBackgroundWorkerStats: () => ipcRenderer.invoke('ftp:get-background-worker-stats')
+    startBackgroundWorker: (sessionId, refreshInterval) => ipcRenderer.invoke('ftp:start-background-worker', sessionId, refreshInterval),
+    stopBackgroundWorker: (sessionId) => ipcRenderer.invoke('ftp:stop-background-worker', sessionId),
+    addMonitoredDirectory: (sessionId, dirPath) => ipcRenderer.invoke('ftp:add-monitored-directory', sessionId, dirPath),
+    removeMonitoredDirectory: (sessionId, dirPath) => ipcRenderer.invoke('ftp:remove-monitored-directory', sessionId, dirPath),
+    updateWorkerActivity: (sessionId) => ipcRenderer.invoke('ftp:update-worker-activity', sessionId),
+    getBackgroundWorkerStats: (sessionId) => ipcRenderer.invoke('ftp:get-background-worker-stats', sessionId)
   },
 
 
 
+  // Local file system APIs (left pane of the explorer)
+  local: {
+    getRoots: () => ipcRenderer.invoke('local:get-roots'),
+    list: (dirPath) => ipcRenderer.invoke('local:list', dirPath),
+    createDirectory: (dirPath) => ipcRenderer.invoke('local:create-directory', dirPath)
+  },
+
+  // Transfer queue APIs
+  sync: {
+    preview: (sessionId, localDir, remoteDir, mode) => ipcRenderer.invoke('sync:preview', sessionId, localDir, remoteDir, mode),
+    execute: (sessionId, planId, actionIndexes) => ipcRenderer.invoke('sync:execute', sessionId, planId, actionIndexes),
+    onProgress: (callback) => {
+      ipcRenderer.on('sync:progress', (event, data) => callback(data));
+      return () => ipcRenderer.removeAllListeners('sync:progress');
+    }
+  },
+  publish: {
+    get: (profileId) => ipcRenderer.invoke('publish:get', profileId),
+    save: (profileId, mapping) => ipcRenderer.invoke('publish:save', profileId, mapping),
+    start: (sessionId, profileId) => ipcRenderer.invoke('publish:start', sessionId, profileId),
+    stop: (sessionId) => ipcRenderer.invoke('publish:stop', sessionId),
+    status: () => ipcRenderer.invoke('publish:status'),
+    getLog: (sessionId) => ipcRenderer.invoke('publish:log', sessionId),
+    onLog: (callback) => {
+      ipcRenderer.on('publish:log', (event, entry) => callback(entry));
+      return () => ipcRenderer.removeAllListeners('publish:log');
+    },
+    onStatus: (callback) => {
+      ipcRenderer.on('publish:status', (event, status) => callback(status));
+      return () => ipcRenderer.removeAllListeners('publish:status');
+    }
+  },
+  chat: {
+    getState: () => ipcRenderer.invoke('chat:get-state'),
+    reconnect: () => ipcRenderer.invoke('chat:reconnect'),
+    send: (text) => ipcRenderer.invoke('chat:send', text),
+    shareFile: (file, text = '') => ipcRenderer.invoke('chat:share-file', file, text),
+    setName: (name) => ipcRenderer.invoke('chat:set-name', name),
+    clearHistory: () => ipcRenderer.invoke('chat:clear-history'),
+    onMessage: (callback) => {
+      ipcRenderer.on('chat:message', (event, message) => callback(message));
+      return () => ipcRenderer.removeAllListeners('chat:message');
+    },
+    onPeers: (callback) => {
+      ipcRenderer.on('chat:peers', (event, peers) => callback(peers));
+      return () => ipcRenderer.removeAllListeners('chat:peers');
+    }
+  },
+  presence: {
+    setActivity: (activity) => ipcRenderer.invoke('presence:set-activity', activity),
+    get: () => ipcRenderer.invoke('presence:get'),
+    onChanged: (callback) => {
+      ipcRenderer.on('presence:changed', (event, update) => callback(update));
+      return () => ipcRenderer.removeAllListeners('presence:changed');
+    }
+  },
+  lanTransfer: {
+    send: (peerId, localPath) => ipcRenderer.invoke('lan-transfer:send', peerId, localPath),
+    respond: (transferId, accept, localPath = null) => ipcRenderer.invoke('lan-transfer:respond', transferId, accept, localPath),
+    cancel: (transferId) => ipcRenderer.invoke('lan-transfer:cancel', transferId),
+    onOffer: (callback) => {
+      ipcRenderer.on('lan-transfer:offer', (event, offer) => callback(offer));
+      return () => ipcRenderer.removeAllListeners('lan-transfer:offer');
+    },
+    onOfferWithdrawn: (callback) => {
+      ipcRenderer.on('lan-transfer:offer-withdrawn', (event, offer) => callback(offer));
+      return () => ipcRenderer.removeAllListeners('lan-transfer:offer-withdrawn');
+    },
+    onProgress: (callback) => {
+      ipcRenderer.on('lan-transfer:progress', (event, transfer) => callback(transfer));
+      return () => ipcRenderer.removeAllListeners('lan-transfer:progress');
+    }
+  },
+  transfers: {
+    list: () => ipcRenderer.invoke('transfers:list'),
+    enqueueUpload: (sessionId, localPaths, remoteDir) => ipcRenderer.invoke('transfers:enqueue-upload', sessionId, localPaths, remoteDir),
+    enqueueDownload: (sessionId, remoteItems, localDir, options = {}) => ipcRenderer.invoke('transfers:enqueue-download', sessionId, remoteItems, localDir, options),
+    pause: (transferId) => ipcRenderer.invoke('transfers:pause', transferId),
+    resume: (transferId) => ipcRenderer.invoke('transfers:resume', transferId),
+    cancel: (transferId) => ipcRenderer.invoke('transfers:cancel', transferId),
+    retry: (transferId) => ipcRenderer.invoke('transfers:retry', transferId),
+    remove: (transferId) => ipcRenderer.invoke('transfers:remove', transferId),
+    move: (transferId, toIndex) => ipcRenderer.invoke('transfers:move', transferId, toIndex),
+    clearFinished: () => ipcRenderer.invoke('transfers:clear-finished'),
+    onChanged: (callback) => {
+      ipcRenderer.on('transfer-queue:changed', (event, items) => callback(items));
+      return () => ipcRenderer.removeAllListeners('transfer-queue:changed');
+    },
+    onProgress: (callback) => {
+      ipcRenderer.on('transfer-queue:progress', (event, item) => callback(item));
+      return () => ipcRenderer.removeAllListeners('transfer-queue:progress');
+    }
+  },
+
   // App APIs
   app: {
     getVersion: () => ipcRenderer.invoke('app:get-version'),
@@ -81,7 +206,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     showSaveDialog: (options) => ipcRenderer.invoke('dialog:show-save-dialog', options),
     showMessageBox: (options) => ipcRenderer.invoke('dialog:show-message-box', options),
     showError: (title, content) => ipcRenderer.invoke('dialog:show-error', title, content),
-    openFiles: () => ipcRenderer.invoke('dialog:open-files'),
+    openFiles: (options = {}) => ipcRenderer.invoke('dialog:open-files', options),
     showConfirmation: (title, message) => ipcRenderer.invoke('dialog:show-confirmation', title, message)
   },
 
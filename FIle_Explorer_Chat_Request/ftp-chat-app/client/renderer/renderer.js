@@ -1,8 +1,14 @@
 // Global application state
 let appState = {
     config: null,
+    profiles: [],
+    activeProfileId: null,
+    editingProfileId: null,
     ftpConnected: false,
     activeTab: 'ftp',
+    activeSessionId: null,
+    sessions: {},
+    newSessionRequested: false,
     ftpStructure: null,
     selectedFtpPath: null
 };
@@ -18,8 +24,9 @@ const elements = {
     ftpStatus: document.getElementById('ftpStatus'),
     
     // Tab elements
-    tabButtons: document.querySelectorAll('.tab-button'),
+    sessionTabs: document.getElementById('sessionTabs'),
     ftpTab: document.getElementById('ftpTab'),
+    chatTab: document.getElementById('chatTab'),
     
     // FTP elements
     ftpTree: document.getElementById('ftpTree'),
@@ -69,7 +76,7 @@ document.addEventListener('DOMContentLoaded', async function() {
             // Auto-connect if configuration is valid
             console.log('Valid configuration found, auto-connecting to FTP...');
             hideConfigModal();
-            await initializeConnections();
+            await connectProfileSession(appState.activeProfileId);
         } else {
             console.log('No existing configuration found, showing empty form');
         }
@@ -94,7 +101,7 @@ async function toggleDirectoryLazy(treeItem, item, fullPath, expandIconEl) {
         expandIconEl.dataset.expanded = 'false';
         
         // Remove from visible directories
-        await electronAPI.ftp.setVisibleDirectories([]);
+        await electronAPI.ftp.setVisibleDirectories(appState.activeSessionId, []);
     } else {
         // Expand - load directory contents lazily
         try {
@@ -104,7 +111,7 @@ async function toggleDirectoryLazy(treeItem, item, fullPath, expandIconEl) {
             expandIconEl.dataset.expanded = 'true';
             
             // Use lazy loading to get directory contents
-            const result = await electronAPI.ftp.loadDirectoryLazy(fullPath, { priority: 'high' });
+            const result = await electronAPI.ftp.loadDirectoryLazy(appState.activeSessionId, fullPath, { priority: 'high' });
             
             if (result.success && result.structure) {
                 // Clear and rebuild children
@@ -119,8 +126,8 @@ async function toggleDirectoryLazy(treeItem, item, fullPath, expandIconEl) {
                 }
                 
                 // Set as visible directory for background monitoring
-                await electronAPI.ftp.setVisibleDirectories([fullPath]);
-                await electronAPI.ftp.addMonitoredDirectory(fullPath);
+                await electronAPI.ftp.setVisibleDirectories(appState.activeSessionId, [fullPath]);
+                await electronAPI.ftp.addMonitoredDirectory(appState.activeSessionId, fullPath);
                 
                 childrenContainer.style.display = 'block';
                 expandIconEl.textContent = '▼';
@@ -164,7 +171,7 @@ async function selectFTPPathLazy(path, item) {
             showFileListSkeleton();
             
             // Use lazy loading to get directory contents
-            const result = await electronAPI.ftp.loadDirectoryLazy(path, { priority: 'high' });
+            const result = await electronAPI.ftp.loadDirectoryLazy(appState.activeSessionId, path, { priority: 'high' });
             
             if (result.success && result.structure) {
                 // Render the file list with loaded contents
@@ -175,9 +182,9 @@ async function selectFTPPathLazy(path, item) {
                 );
                 
                 // Set as visible directory and add to monitoring
-                await electronAPI.ftp.setVisibleDirectories([path]);
-                await electronAPI.ftp.addMonitoredDirectory(path);
-                await electronAPI.ftp.updateWorkerActivity();
+                await electronAPI.ftp.setVisibleDirectories(appState.activeSessionId, [path]);
+                await electronAPI.ftp.addMonitoredDirectory(appState.activeSessionId, path);
+                await electronAPI.ftp.updateWorkerActivity(appState.activeSessionId);
             } else {
                 // Handle errors
                 if (result.error && (result.error.includes('Access denied') || result.error.includes('550'))) {
@@ -211,6 +218,14 @@ function setupEventListeners() {
     document.getElementById('testFtpButton').addEventListener('click', testFTPConnection);
     document.getElementById('connectFtpButton').addEventListener('click', handleConnectFTP);
     
+    // Server profile events
+    document.getElementById('profileSelect').addEventListener('change', handleProfileSelect);
+    document.getElementById('ftpProtocol').addEventListener('change', updateProtocolFields);
+    document.getElementById('ftpTlsMode').addEventListener('change', updateProtocolFields);
+    document.getElementById('clearPinnedCertButton').addEventListener('click', handleClearPinnedCertificate);
+    document.getElementById('newProfileButton').addEventListener('click', handleNewProfile);
+    document.getElementById('deleteProfileButton').addEventListener('click', handleDeleteProfile);
+    
     // Import/Export config buttons
     const importButton = document.getElementById('importConfigButton');
     const exportButton = document.getElementById('exportConfigButton');
@@ -247,10 +262,8 @@ function setupEventListeners() {
     document.getElementById('refreshButton').addEventListener('click', refreshAll);
     document.getElementById('refreshFtpButton').addEventListener('click', refreshFTPCache);
     
-    // Tab navigation events
-    elements.tabButtons.forEach(button => {
-        button.addEventListener('click', () => switchTab(button.dataset.tab));
-    });
+    // Session tab events
+    document.getElementById('newSessionButton').addEventListener('click', handleNewSession);
     
 
     
@@ -265,10 +278,13 @@ async function loadConfiguration() {
     try {
         const config = await electronAPI.config.get();
         appState.config = config;
+        appState.profiles = (config && config.profiles) || [];
+        appState.activeProfileId = config ? config.activeProfileId : null;
         
         if (config) {
             populateConfigForm(config);
         }
+        populateProfileSelect();
         
         console.log('Configuration loaded:', config ? 'Found' : 'Not found');
     } catch (error) {
@@ -279,14 +295,226 @@ async function loadConfiguration() {
 
 function populateConfigForm(config) {
     if (config.ftp) {
+        appState.editingProfileId = config.ftp.id || null;
+        document.getElementById('profileName').value = config.ftp.name || '';
+        document.getElementById('ftpProtocol').value = config.ftp.protocol || 'ftp';
         document.getElementById('ftpHost').value = config.ftp.host || '';
         document.getElementById('ftpPort').value = config.ftp.port || 21;
         document.getElementById('ftpUsername').value = config.ftp.username || '';
         document.getElementById('ftpPassword').value = config.ftp.password || '';
-        document.getElementById('ftpSecure').checked = config.ftp.secure || false;
+        document.getElementById('ftpTlsMode').value = config.ftp.tlsMode || (config.ftp.secure ? 'explicit' : 'none');
+        document.getElementById('ftpCaCertPath').value = config.ftp.caCertPath || '';
+        document.getElementById('ftpPinnedFingerprint').value = config.ftp.pinnedFingerprint || '';
+        document.getElementById('sftpPrivateKeyPath').value = config.ftp.privateKeyPath || '';
+        document.getElementById('sftpPassphrase').value = config.ftp.passphrase || '';
+        document.getElementById('ftpRemoteDir').value = config.ftp.remoteDir || '/';
+        updateProtocolFields();
+    }
+    
+
+}
+
+// Server profile management
+// Show the fields that apply to the selected protocol
+function updateProtocolFields(event = null) {
+    const protocol = document.getElementById('ftpProtocol').value;
+    const tlsMode = document.getElementById('ftpTlsMode').value;
+    const isSFTP = protocol === 'sftp';
+    const portInput = document.getElementById('ftpPort');
+    
+    document.getElementById('sftpAuthFields').style.display = isSFTP ? 'block' : 'none';
+    document.getElementById('ftpSecureGroup').style.display = isSFTP ? 'none' : '';
+    document.getElementById('ftpsFields').style.display = !isSFTP && tlsMode !== 'none' ? 'block' : 'none';
+    
+    // A private key can replace the password over SFTP
+    document.getElementById('ftpPassword').required = !isSFTP;
+    
+    // Switch between the default ports when the user changes protocol or TLS mode
+    if (event && ['21', '22', '990'].includes(portInput.value)) {
+        portInput.value = isSFTP ? 22 : (tlsMode === 'implicit' ? 990 : 21);
+    }
+    
+    updatePinnedCertificateInfo();
+}
+
+// Show the certificate fingerprint pinned for the profile being edited
+function updatePinnedCertificateInfo() {
+    const fingerprint = document.getElementById('ftpPinnedFingerprint').value;
+    document.getElementById('pinnedCertificateInfo').style.display = fingerprint ? 'flex' : 'none';
+    document.getElementById('pinnedFingerprintText').textContent = fingerprint;
+}
+
+function handleClearPinnedCertificate() {
+    document.getElementById('ftpPinnedFingerprint').value = '';
+    updatePinnedCertificateInfo();
+    showNotification('Pin sertifikat dihapus. Simpan profil untuk menerapkan.', 'info');
+}
+
+// Ask the user whether to trust a server certificate or an unknown SFTP host key.
+// Returns the fingerprint to trust, or null.
+async function confirmCertificateTrust(result) {
+    const certificate = result.certificate;
+    if (!certificate || !certificate.fingerprint) {
+        return null;
+    }
+    
+    if (certificate.hostKey) {
+        const answer = await electronAPI.dialog.showMessageBox({
+            type: 'warning',
+            buttons: ['Batal', 'Percayai Host Key'],
+            defaultId: 0,
+            cancelId: 0,
+            title: 'Verifikasi Host Key SFTP',
+            message: `Host key ${certificate.hostPattern} belum dikenal`,
+            detail: [
+                `Tipe: ${certificate.keyType}`,
+                `Fingerprint: ${certificate.fingerprint}`,
+                '',
+                'Cocokkan fingerprint ini dengan administrator server sebelum mempercayainya. Key yang dipercaya disimpan di known_hosts aplikasi.'
+            ].join('\n')
+        });
+        return answer.response === 1 ? certificate.fingerprint : null;
+    }
+    
+    const changed = result.code === 'CERT_CHANGED';
+    const details = [
+        `Subject: ${certificate.subject}`,
+        `Issuer: ${certificate.issuer}`,
+        `Berlaku: ${certificate.validFrom} - ${certificate.validTo}`,
+        '',
+        `SHA-256: ${certificate.fingerprint}`
+    ];
+    
+    if (changed) {
+        details.push(`Sebelumnya: ${certificate.pinnedFingerprint}`);
+        details.push('', 'Sertifikat server berbeda dari yang dipercaya sebelumnya. Ini bisa berarti sertifikat diperbarui, atau koneksi sedang disadap.');
+    } else if (certificate.reason) {
+        details.push('', `Alasan: ${certificate.reason}`);
+    }
+    
+    const response = await electronAPI.dialog.showMessageBox({
+        type: 'warning',
+        buttons: ['Batal', changed ? 'Percayai Sertifikat Baru' : 'Percayai Sertifikat'],
+        defaultId: 0,
+        cancelId: 0,
+        title: 'Verifikasi Sertifikat FTPS',
+        message: changed ? '⚠️ Sertifikat server telah berubah!' : 'Sertifikat server belum dipercaya',
+        detail: details.join('\n')
+    });
+    
+    return response.response === 1 ? certificate.fingerprint : null;
+}
+
+async function trustSftpHostKey(hostKey, fingerprint) {
+    const result = await electronAPI.config.trustHostKey(hostKey.host, hostKey.port, fingerprint);
+    if (!result.success) {
+        throw new Error(result.error || 'Gagal menyimpan host key');
+    }
+}
+
+// Pin a trusted fingerprint on a saved profile and keep the local profile list in sync
+async function pinProfileCertificate(profileId, fingerprint) {
+    const result = await electronAPI.config.pinCertificate(profileId, fingerprint);
+    if (!result.success) {
+        throw new Error(result.error || 'Gagal menyimpan sertifikat');
+    }
+    
+    const index = appState.profiles.findIndex(profile => profile.id === profileId);
+    if (index > -1) {
+        appState.profiles[index] = result.profile;
+    }
+    if (appState.editingProfileId === profileId) {
+        document.getElementById('ftpPinnedFingerprint').value = fingerprint;
+        updatePinnedCertificateInfo();
+    }
+}
+
+function populateProfileSelect() {
+    const select = document.getElementById('profileSelect');
+    select.innerHTML = '';
+    
+    appState.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = `${profile.name} (${profile.protocol === 'sftp' ? 'sftp://' : ''}${profile.username}@${profile.host})`;
+        select.appendChild(option);
+    });
+    
+    // Placeholder entry for a profile that has not been saved yet
+    const newOption = document.createElement('option');
+    newOption.value = '';
+    newOption.textContent = '(Profil baru)';
+    select.appendChild(newOption);
+    
+    select.value = appState.editingProfileId || '';
+    document.getElementById('deleteProfileButton').disabled = !appState.editingProfileId;
+    
+    if (appState.profiles.length > 0) {
+        updateConfigModalForConnection();
+    }
+}
+
+function handleProfileSelect(event) {
+    const profile = appState.profiles.find(item => item.id === event.target.value);
+    clearFormErrors();
+    document.getElementById('ftpTestResult').textContent = '';
+    
+    if (profile) {
+        populateConfigForm({ ftp: profile });
+    } else {
+        handleNewProfile();
     }
     
+    document.getElementById('deleteProfileButton').disabled = !appState.editingProfileId;
+    document.getElementById('connectFtpButton').disabled = !appState.editingProfileId;
+}
+
+function handleNewProfile() {
+    populateConfigForm({
+        ftp: { id: null, name: '', protocol: 'ftp', host: '', port: 21, username: '', password: '', privateKeyPath: '', passphrase: '', tlsMode: 'none', caCertPath: '', pinnedFingerprint: '', remoteDir: '/' }
+    });
+    document.getElementById('profileSelect').value = '';
+    document.getElementById('deleteProfileButton').disabled = true;
+    document.getElementById('connectFtpButton').disabled = true;
+}
+
+async function handleDeleteProfile() {
+    const profile = appState.profiles.find(item => item.id === appState.editingProfileId);
+    if (!profile) return;
+    
+    const confirmed = await electronAPI.dialog.showConfirmation({
+        title: 'Hapus Profil',
+        message: `Hapus profil "${profile.name}"?`,
+        detail: 'Pengaturan koneksi untuk profil ini akan dihapus.'
+    });
+    
+    if (!confirmed.confirmed) return;
+    
+    const result = await electronAPI.config.deleteProfile(profile.id);
+    if (result.success) {
+        await loadConfiguration();
+        showNotification(`Profil ${profile.name} dihapus`, 'success');
+    } else {
+        showNotification('Gagal menghapus profil: ' + result.error, 'error');
+    }
+}
 
+function getProfileFromForm() {
+    return {
+        id: appState.editingProfileId,
+        name: document.getElementById('profileName').value.trim(),
+        protocol: document.getElementById('ftpProtocol').value,
+        host: document.getElementById('ftpHost').value.trim(),
+        port: parseInt(document.getElementById('ftpPort').value),
+        username: document.getElementById('ftpUsername').value.trim(),
+        password: document.getElementById('ftpPassword').value,
+        privateKeyPath: document.getElementById('sftpPrivateKeyPath').value.trim(),
+        passphrase: document.getElementById('sftpPassphrase').value,
+        tlsMode: document.getElementById('ftpTlsMode').value,
+        caCertPath: document.getElementById('ftpCaCertPath').value.trim(),
+        pinnedFingerprint: document.getElementById('ftpPinnedFingerprint').value,
+        remoteDir: document.getElementById('ftpRemoteDir').value.trim() || '/'
+    };
 }
 
 async function handleConfigSubmit(event) {
@@ -299,15 +527,8 @@ async function handleConfigSubmit(event) {
         clearFormErrors();
         
         // Get form data
-        const formData = new FormData(event.target);
         const newConfig = {
-            ftp: {
-                host: formData.get('ftpHost').trim(),
-                port: parseInt(formData.get('ftpPort')),
-                username: formData.get('ftpUsername').trim(),
-                password: formData.get('ftpPassword'),
-                secure: formData.has('ftpSecure')
-            }
+            ftp: getProfileFromForm()
         };
         
         // Basic validation
@@ -321,23 +542,28 @@ async function handleConfigSubmit(event) {
             return;
         }
         
-        if (!newConfig.ftp.password) {
-            showFieldError('ftpPasswordError', 'Password FTP harus diisi');
+        const usesPrivateKey = newConfig.ftp.protocol === 'sftp' && newConfig.ftp.privateKeyPath;
+        if (!newConfig.ftp.password && !usesPrivateKey) {
+            showFieldError('ftpPasswordError', newConfig.ftp.protocol === 'sftp'
+                ? 'Password atau private key SFTP harus diisi'
+                : 'Password FTP harus diisi');
             return;
         }
         
 
         
-        // Save configuration
-        const result = await electronAPI.config.save(newConfig);
+        // Save the profile and make it the default one
+        const result = await electronAPI.config.saveProfile(newConfig.ftp, true);
         
         if (result.success) {
-            appState.config = newConfig;
+            appState.editingProfileId = result.profile.id;
+            await loadConfiguration();
+            const openNewTab = appState.newSessionRequested;
             hideConfigModal();
             showNotification('Konfigurasi berhasil disimpan!', 'success');
             
-            // Initialize connections
-            await initializeConnections();
+            // Initialize connections in the profile's session tab
+            await connectProfileSession(result.profile.id, openNewTab);
         } else {
             throw new Error(result.error || 'Gagal menyimpan konfigurasi');
         }
@@ -360,15 +586,25 @@ async function testFTPConnection() {
     resultDiv.textContent = 'Menguji koneksi FTP...';
     
     try {
-        const ftpConfig = {
-            host: document.getElementById('ftpHost').value.trim(),
-            port: parseInt(document.getElementById('ftpPort').value),
-            username: document.getElementById('ftpUsername').value.trim(),
-            password: document.getElementById('ftpPassword').value,
-            secure: document.getElementById('ftpSecure').checked
-        };
+        const ftpConfig = getProfileFromForm();
+        
+        let result = await electronAPI.config.validateFTP(ftpConfig);
         
-        const result = await electronAPI.config.validateFTP(ftpConfig);
+        // Unknown or changed FTPS certificate or unknown SFTP host key - let the user decide and test again
+        if (!result.success && result.certificate) {
+            const fingerprint = await confirmCertificateTrust(result);
+            if (fingerprint && result.certificate.hostKey) {
+                await trustSftpHostKey(result.certificate, fingerprint);
+                result = await electronAPI.config.validateFTP(ftpConfig);
+            } else if (fingerprint) {
+                document.getElementById('ftpPinnedFingerprint').value = fingerprint;
+                updatePinnedCertificateInfo();
+                if (ftpConfig.id) {
+                    await pinProfileCertificate(ftpConfig.id, fingerprint);
+                }
+                result = await electronAPI.config.validateFTP({ ...ftpConfig, pinnedFingerprint: fingerprint });
+            }
+        }
         
         if (result.success) {
             resultDiv.className = 'test-result success';
@@ -413,12 +649,9 @@ async function handleConfigFileSelect(event) {
             throw new Error('Invalid config file format');
         }
         
-        // Populate form with imported config
-        document.getElementById('ftpHost').value = config.ftp.host || '';
-        document.getElementById('ftpPort').value = config.ftp.port || 21;
-        document.getElementById('ftpUsername').value = config.ftp.username || '';
-        document.getElementById('ftpPassword').value = config.ftp.password || '';
-        document.getElementById('ftpSecure').checked = config.ftp.secure || false;
+        // Populate form with imported config as a new profile
+        populateConfigForm({ ftp: { ...config.ftp, id: null } });
+        document.getElementById('profileSelect').value = '';
         
         showNotification('✅ Config berhasil diimport!', 'success');
         
@@ -433,13 +666,21 @@ async function handleConfigFileSelect(event) {
 function handleExportConfig() {
     try {
         // Get current form values
+        const profile = getProfileFromForm();
         const config = {
             ftp: {
-                host: document.getElementById('ftpHost').value,
-                port: parseInt(document.getElementById('ftpPort').value) || 21,
-                username: document.getElementById('ftpUsername').value,
-                password: document.getElementById('ftpPassword').value,
-                secure: document.getElementById('ftpSecure').checked
+                name: profile.name,
+                protocol: profile.protocol,
+                host: profile.host,
+                port: profile.port || (profile.protocol === 'sftp' ? 22 : 21),
+                username: profile.username,
+                password: profile.password,
+                privateKeyPath: profile.privateKeyPath,
+                passphrase: profile.passphrase,
+                tlsMode: profile.tlsMode,
+                caCertPath: profile.caCertPath,
+                pinnedFingerprint: profile.pinnedFingerprint,
+                remoteDir: profile.remoteDir
             },
             exportDate: new Date().toISOString(),
             version: '1.0'
@@ -473,7 +714,7 @@ async function initializeConnections() {
         console.log('=== INITIALIZING INTELLIGENT CACHING SYSTEM ===');
         
         // Check if cache data is available
-        const cacheExists = await electronAPI.ftp.checkCacheExists();
+        const cacheExists = await electronAPI.ftp.checkCacheExists(appState.activeSessionId);
         console.log('Cache exists:', cacheExists);
         
         if (cacheExists) {
@@ -504,7 +745,7 @@ async function initializeConnections() {
         
         // Start background worker for continuous updates
         console.log('Starting background worker for continuous monitoring...');
-        await electronAPI.ftp.startBackgroundWorker();
+        await electronAPI.ftp.startBackgroundWorker(appState.activeSessionId);
         
         showNotification('Sistem caching dan koneksi FTP siap!', 'success');
         
@@ -523,23 +764,51 @@ async function initializeFTP() {
         // Show skeleton screen immediately for better UX
         showTreeSkeleton();
         
+        // Connect using the server profile of the active session
+        const session = appState.sessions[appState.activeSessionId];
+        const profileId = session ? session.profileId : appState.activeProfileId;
+        let connectResult = await electronAPI.ftp.connect(appState.activeSessionId, profileId);
+        
+        // Unknown or changed FTPS certificate or unknown SFTP host key - trust it if the user does, then retry
+        if (!connectResult.success && connectResult.certificate) {
+            const fingerprint = await confirmCertificateTrust(connectResult);
+            if (fingerprint && connectResult.certificate.hostKey) {
+                await trustSftpHostKey(connectResult.certificate, fingerprint);
+                connectResult = await electronAPI.ftp.connect(appState.activeSessionId, profileId);
+            } else if (fingerprint) {
+                await pinProfileCertificate(profileId || appState.activeProfileId, fingerprint);
+                connectResult = await electronAPI.ftp.connect(appState.activeSessionId, profileId);
+            }
+        }
+        
+        if (!connectResult.success) {
+            throw new Error(connectResult.error || 'Failed to connect to FTP server');
+        }
+        
         // Initialize username for cache system
-        await electronAPI.ftp.initUsername();
+        await electronAPI.ftp.initUsername(appState.activeSessionId, profileId);
         
         // Start background worker for continuous monitoring
-        await electronAPI.ftp.startBackgroundWorker(30000); // 30 seconds interval
+        await electronAPI.ftp.startBackgroundWorker(appState.activeSessionId, 30000); // 30 seconds interval
         
         // Load root directory using lazy loading
-        const rootStructure = await electronAPI.ftp.loadDirectoryLazy('/', { priority: 'high' });
+        const rootStructure = await electronAPI.ftp.loadDirectoryLazy(appState.activeSessionId, '/', { priority: 'high' });
         
         console.log('Root directory loaded:', rootStructure);
         
         appState.ftpStructure = rootStructure;
         renderFTPTreeLazy(rootStructure);
+        await refreshListingMode(appState.activeSessionId);
         updateFTPStatus(true);
         
         // Set root as visible directory
-        await electronAPI.ftp.setVisibleDirectories(['/']);
+        await electronAPI.ftp.setVisibleDirectories(appState.activeSessionId, ['/']);
+        
+        // Open the profile's default remote directory
+        const remoteDir = connectResult.result.remoteDir;
+        if (remoteDir && remoteDir !== '/') {
+            await selectFTPPathLazy(remoteDir, { name: remoteDir, type: 'directory' });
+        }
         
         console.log('FTP initialized with lazy loading successfully');
         
@@ -562,14 +831,14 @@ async function refreshFTPCache(forceRefresh = true) {
         
         // Clear lazy cache if force refresh
         if (forceRefresh) {
-            await electronAPI.ftp.clearLazyCache();
+            await electronAPI.ftp.clearLazyCache(appState.activeSessionId);
         }
         
         // Refresh visible directories
-        await electronAPI.ftp.refreshVisibleDirectories();
+        await electronAPI.ftp.refreshVisibleDirectories(appState.activeSessionId);
         
         // Load root directory with lazy loading
-        const result = await electronAPI.ftp.loadDirectoryLazy('/', { priority: 'high', forceRefresh });
+        const result = await electronAPI.ftp.loadDirectoryLazy(appState.activeSessionId, '/', { priority: 'high', forceRefresh });
         
         if (result.success && result.structure) {
             console.log('FTP data refreshed with lazy loading');
@@ -578,8 +847,8 @@ async function refreshFTPCache(forceRefresh = true) {
             updateFTPStatus(true);
             
             // Set root as visible and start monitoring
-            await electronAPI.ftp.setVisibleDirectories(['/']);
-            await electronAPI.ftp.addMonitoredDirectory('/');
+            await electronAPI.ftp.setVisibleDirectories(appState.activeSessionId, ['/']);
+            await electronAPI.ftp.addMonitoredDirectory(appState.activeSessionId, '/');
             
             showNotification('Cache FTP berhasil dimuat ulang!', 'success');
         } else {
@@ -756,10 +1025,16 @@ function createTreeNodeLazy(item, fullPath) {
     const node = document.createElement('div');
     node.className = 'tree-node';
     
+    // Symlinked folders open like folders; a looping one jumps to its target instead of expanding
+    const isLink = item.type === 'symlink';
+    const isFolder = isFolderItem(item);
+    
     // Create expand/collapse icon for directories
     let expandIcon = '';
-    if (item.type === 'directory') {
-        expandIcon = '<span class="expand-icon" data-expanded="false">▶</span>';
+    if (isFolder) {
+        expandIcon = item.isLoop
+            ? '<span class="expand-icon empty"></span>'
+            : '<span class="expand-icon" data-expanded="false">▶</span>';
     }
     
     // Add visual indicator for inaccessible folders
@@ -768,17 +1043,21 @@ function createTreeNodeLazy(item, fullPath) {
     
     node.innerHTML = `
         ${expandIcon}
-        <span class="tree-icon">${item.type === 'directory' ? '📁' : '📄'}</span>
+        <span class="tree-icon">${isLink ? '🔗' : (item.type === 'directory' ? '📁' : '📄')}</span>
         <span class="tree-label${accessibilityClass}">${item.name || 'Root'}${accessibilityIcon}</span>
+        ${isFolder ? getPresenceBadgesHtml(getPeerActivityInFolder(fullPath)) : ''}
     `;
+    if (isLink) {
+        node.title = getSymlinkTitle(item);
+    }
     
     // Add click handler for directories with lazy loading
-    if (item.type === 'directory') {
+    if (isFolder) {
         const expandIconEl = node.querySelector('.expand-icon');
         const labelEl = node.querySelector('.tree-label');
         
         // Handle expand/collapse with lazy loading
-        if (expandIconEl) {
+        if (expandIconEl && !item.isLoop) {
             expandIconEl.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 await toggleDirectoryLazy(treeItem, item, fullPath, expandIconEl);
@@ -789,15 +1068,24 @@ function createTreeNodeLazy(item, fullPath) {
         if (labelEl) {
             labelEl.addEventListener('click', async (e) => {
                 e.stopPropagation();
-                await selectFTPPathLazy(fullPath, item);
+                await selectFTPPathLazy(item.isLoop ? item.linkTarget : fullPath, { ...item, type: 'directory' });
             });
         }
     }
     
     treeItem.appendChild(node);
     
-    // Add children container for directories
+    // Folders can be dragged onto another folder (move) or into the local pane (download)
     if (item.type === 'directory') {
+        node.setAttribute('draggable', 'true');
+        node.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData(REMOTE_DRAG_TYPE, JSON.stringify([{ name: item.name, path: fullPath, type: 'directory' }]));
+            e.dataTransfer.effectAllowed = 'copyMove';
+        });
+    }
+    
+    // Add children container for directories
+    if (isFolder && !item.isLoop) {
         const childrenContainer = document.createElement('div');
         childrenContainer.className = 'tree-children';
         childrenContainer.style.display = 'none';
@@ -822,7 +1110,7 @@ async function toggleDirectory(treeItem, item, fullPath, expandIconEl) {
             // Load directory contents lazily
             try {
                 showLoading('Loading directory contents...');
-                const result = await electronAPI.ftp.loadDirectory(fullPath);
+                const result = await electronAPI.ftp.loadDirectory(appState.activeSessionId, fullPath);
                 hideLoading();
                 
                 if (result.success) {
@@ -879,7 +1167,7 @@ async function selectFTPPath(path, item) {
     if (item.type === 'directory' && !item.loaded) {
         try {
             showLoading('Loading directory contents...');
-            const result = await electronAPI.ftp.loadDirectory(path);
+            const result = await electronAPI.ftp.loadDirectory(appState.activeSessionId, path);
             hideLoading();
             
             if (result.success) {
@@ -912,9 +1200,65 @@ async function selectFTPPath(path, item) {
     renderFTPContent(item.directories || [], item.files || [], path);
 }
 
+function isFolderItem(item) {
+    return item.type === 'directory' || (item.type === 'symlink' && item.targetType === 'directory');
+}
+
+function getSymlinkTitle(item) {
+    if (item.resolved === false) return `Symbolic link${item.linkTarget ? ` → ${item.linkTarget}` : ''} (klik dua kali untuk membuka)`;
+    if (!item.linkTarget) return 'Symbolic link (target tidak diketahui)';
+    if (!item.targetType) return `→ ${item.linkTarget} (target tidak ada)`;
+    return `→ ${item.linkTarget}${item.isLoop ? ' (loop: membuka target langsung)' : ''}`;
+}
+
+function getSymlinkAttributes(item) {
+    if (item.type !== 'symlink') return '';
+    return [
+        item.linkTarget ? `data-link-target="${escapeAttribute(item.linkTarget)}"` : '',
+        item.targetType ? `data-target-type="${item.targetType}"` : '',
+        item.isLoop ? 'data-loop="true"' : '',
+        item.resolved === false ? 'data-unresolved="true"' : ''
+    ].join(' ');
+}
+
+// Listings don't probe symlinks; find out where one points when it is opened
+async function resolveSymlinkItem(item) {
+    const result = await electronAPI.ftp.resolveSymlink(appState.activeSessionId, item.dataset.path);
+    if (!result.success) {
+        showNotification(`Link "${item.dataset.name}" tidak bisa dibuka: ${result.error}`, 'error');
+        return false;
+    }
+    
+    const link = result.link;
+    delete item.dataset.unresolved;
+    if (link.linkTarget) item.dataset.linkTarget = link.linkTarget;
+    if (link.targetType) item.dataset.targetType = link.targetType;
+    if (link.isLoop) item.dataset.loop = 'true';
+    
+    const targetEl = item.querySelector('.symlink-target');
+    if (targetEl) {
+        targetEl.title = getSymlinkTitle(link);
+        targetEl.classList.toggle('broken', !link.targetType);
+    }
+    return true;
+}
+
+function formatSymlinkTarget(item) {
+    if (item.type !== 'symlink') return '';
+    const broken = item.resolved !== false && !item.targetType ? ' broken' : '';
+    return ` <span class="symlink-target${broken}" title="${escapeAttribute(getSymlinkTitle(item))}">→ ${escapeHtml(item.link || item.linkTarget || '?')}</span>`;
+}
+
 function renderFTPContent(directories, files, currentPath) {
     const fileList = elements.ftpFileList;
     
+    // Uploads go into the folder being shown
+    document.getElementById('uploadSection').style.display = 'block';
+    
+    // Lock files are shown as a padlock on the file they lock
+    const lockListing = splitLockFiles(files);
+    files = lockListing.files;
+    
     if ((!directories || directories.length === 0) && (!files || files.length === 0)) {
         fileList.innerHTML = `
             <div class="empty-state">
@@ -923,43 +1267,70 @@ function renderFTPContent(directories, files, currentPath) {
         `;
         // Hide delete controls when no content
         toggleDeleteControls(false);
+        reportPresence();
         return;
     }
     
-    const directoryItems = (directories || []).map(dir => `
-        <div class="file-item selectable" data-name="${dir.name}" data-path="${currentPath === '/' ? '/' + dir.name : currentPath + '/' + dir.name}" data-type="directory">
+    const directoryItems = (directories || []).map(dir => {
+        const dirPath = currentPath === '/' ? '/' + dir.name : currentPath + '/' + dir.name;
+        const isLink = dir.type === 'symlink';
+        return `
+        <div class="file-item selectable" data-name="${dir.name}" data-path="${dirPath}" data-type="${isLink ? 'symlink' : 'directory'}" ${getPermissionAttributes(dir)} ${getSymlinkAttributes(dir)}>
             <input type="checkbox" class="file-item-checkbox" onchange="toggleItemSelection(this.parentElement, this)">
-            <div class="file-icon">📁</div>
+            <div class="file-icon">${isLink ? '🔗' : '📁'}</div>
             <div class="file-details">
-                <div class="file-name">${dir.name}</div>
+                <div class="file-name">${dir.name}${formatSymlinkTarget(dir)}</div>
                 <div class="file-meta">
-                    Directory • 
+                    ${isLink ? 'Link ke folder' : 'Directory'} • 
                     ${dir.modifiedAt ? formatDate(dir.modifiedAt) : 'Unknown date'}
+                    ${formatPermissionMeta(dir)}
                 </div>
             </div>
+            <div class="file-actions">
+                <button class="edit-button rename-btn" title="Rename (F2)">
+                    🏷️
+                </button>
+                <button class="edit-button properties-btn" title="Properties (Alt+Enter)">
+                    ℹ️
+                </button>
+                <button class="edit-button download-folder-btn" title="Download folder…">
+                    ⬇️
+                </button>
+            </div>
         </div>
-    `);
+    `;
+    });
     
     const fileItems = (files || []).map(file => {
         const filePath = currentPath === '/' ? '/' + file.name : currentPath + '/' + file.name;
         return `
-        <div class="file-item selectable" data-name="${file.name}" data-path="${filePath}" data-type="file" data-file-name="${file.name}" data-file-path="${filePath}">
+        <div class="file-item selectable" data-name="${file.name}" data-path="${filePath}" data-type="${file.type === 'symlink' ? 'symlink' : 'file'}" data-file-name="${file.name}" data-file-path="${filePath}" data-size="${file.size || 0}" data-modified="${file.modifiedAt || ''}" ${lockListing.locks.has(file.name) ? 'data-locked="true"' : ''} ${getPermissionAttributes(file)} ${getSymlinkAttributes(file)}>
             <input type="checkbox" class="file-item-checkbox" onchange="toggleItemSelection(this.parentElement, this)">
-            <div class="file-icon">${getFileIcon(file.name)}</div>
+            <div class="file-icon">${file.type === 'symlink' ? '🔗' : getFileIcon(file.name)}</div>
             <div class="file-details">
-                <div class="file-name">${file.name}</div>
+                <div class="file-name">${file.name}${formatLockIndicator(lockListing.locks.has(file.name))}${formatSymlinkTarget(file)}</div>
                 <div class="file-meta">
                     ${formatFileSize(file.size)} • 
                     ${file.modifiedAt ? formatDate(file.modifiedAt) : 'Unknown date'}
+                    ${formatPermissionMeta(file)}
                 </div>
             </div>
             <div class="file-actions">
+                <button class="edit-button rename-btn" title="Rename (F2)">
+                    🏷️
+                </button>
+                <button class="edit-button properties-btn" title="Properties (Alt+Enter)">
+                    ℹ️
+                </button>
                 <button class="edit-btn" onclick="openFileEditor('${filePath}', '${file.name}')" title="Edit file">
                     ✏️
                 </button>
                 <button class="replace-btn" onclick="openFileReplace('${filePath}', '${file.name}')" title="Replace file">
                     🔄
                 </button>
+                <button class="edit-button share-btn" title="Share in chat">
+                    💬
+                </button>
             </div>
         </div>
     `;
@@ -970,14 +1341,58 @@ function renderFTPContent(directories, files, currentPath) {
     // Show delete controls when content is present
     toggleDeleteControls(true);
     
+    // Allow dragging items into the local pane
+    enableRemoteItemDrag(fileList);
+    
     // Add double-click handlers
     fileList.querySelectorAll('.file-item').forEach(item => {
         const itemType = item.dataset.type;
         
+        const downloadFolderBtn = item.querySelector('.download-folder-btn');
+        if (downloadFolderBtn) {
+            downloadFolderBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await downloadFolder(item.dataset.path, item.dataset.name);
+            });
+        }
+        
+        item.querySelector('.rename-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            startInlineRename(item);
+        });
+        
+        item.querySelector('.properties-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openProperties(item);
+        });
+        
+        const shareBtn = item.querySelector('.share-btn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                shareFileInChat(item);
+            });
+        }
+        
+        const lockIndicator = item.querySelector('.lock-indicator');
+        if (lockIndicator) {
+            lockIndicator.addEventListener('click', (e) => {
+                e.stopPropagation();
+                showLockInfo(item);
+            });
+        }
+        
+        // The focused item is the one F2 renames
+        item.addEventListener('click', () => focusFTPItem(item));
+        
         item.addEventListener('dblclick', async () => {
-            if (itemType === 'directory') {
-                // Navigate to directory
-                const dirPath = item.dataset.path;
+            if (item.dataset.unresolved && !await resolveSymlinkItem(item)) return;
+            
+            if (itemType === 'symlink' && !item.dataset.targetType) {
+                showNotification(`Link "${item.dataset.name}" tidak mengarah ke mana pun (target ${item.dataset.linkTarget || 'tidak diketahui'})`, 'warning');
+            } else if (itemType === 'directory' || item.dataset.targetType === 'directory') {
+                // Navigate to directory; a looping symlink goes to its target instead of nesting
+                const dirPath = item.dataset.loop ? item.dataset.linkTarget : item.dataset.path;
                 await navigateToDirectory(dirPath);
             } else {
                 // Download and open file
@@ -990,6 +1405,12 @@ function renderFTPContent(directories, files, currentPath) {
     
     // Update delete info
     updateDeleteInfo();
+    
+    // Show who else is here and tell them we are
+    applyPresenceBadges();
+    reportPresence();
+    
+    loadLockStates(currentPath, files.filter(file => lockListing.locks.has(file.name)).map(file => file.name));
 }
 
 // Keep the old function for backward compatibility
@@ -1049,16 +1470,23 @@ async function openFileEditor(remotePath, fileName) {
         fileContentEditor.value = 'Loading...';
         
         fileEditorModal.style.display = 'flex';
-        currentEditingFile = { remotePath, fileName };
+        currentEditingFile = { remotePath, fileName, sessionId: appState.activeSessionId };
+        reportPresence();
+        
+        const editors = getPeerActivityAt(remotePath).filter(entry => entry.mode === 'editing');
+        if (editors.length > 0) {
+            showNotification(`✏️ ${formatPeerNames(editors)} juga sedang membuka ${fileName}`, 'warning');
+        }
         
         // Get file content from FTP server
-        const result = await electronAPI.ftp.getFileContent(remotePath);
+        const result = await electronAPI.ftp.getFileContent(appState.activeSessionId, remotePath);
         
         if (result.success) {
             fileContentEditor.value = result.content;
             document.getElementById('editorFileSize').textContent = `Size: ${formatFileSize(result.size)}`;
             showEditorStatus('File loaded successfully', 'success');
             setTimeout(() => hideEditorStatus(), 3000);
+            await lockEditingFile();
         } else {
             throw new Error(result.message || 'Failed to load file content');
         }
@@ -1077,13 +1505,42 @@ async function saveFileContent() {
         const fileContentEditor = document.getElementById('fileContentEditor');
         const content = fileContentEditor.value;
         
+        // Someone else has the file open in their editor; their next save would win
+        const editors = getPeerActivityAt(currentEditingFile.remotePath, currentEditingFile.sessionId)
+            .filter(entry => entry.mode === 'editing');
+        if (editors.length > 0) {
+            const answer = await electronAPI.dialog.showMessageBox({
+                type: 'warning',
+                buttons: ['Simpan Tetap', 'Batal'],
+                defaultId: 1,
+                cancelId: 1,
+                message: `${formatPeerNames(editors)} juga sedang membuka file ini`,
+                detail: `Menyimpan sekarang menimpa ${currentEditingFile.remotePath} di server. Perubahan yang mereka simpan setelahnya akan menimpa perubahan Anda.`
+            });
+            if (answer.response !== 0) return;
+        }
+        
         showEditorStatus('Saving file...', 'loading');
         
-        const result = await electronAPI.ftp.updateFile(
+        let result = await electronAPI.ftp.updateFile(
+            currentEditingFile.sessionId,
             currentEditingFile.remotePath,
             content
         );
         
+        if (result.code === 'ELOCKED') {
+            hideEditorStatus();
+            if (!await confirmLockOverride(result.lock, currentEditingFile.fileName, 'Simpan')) return;
+            
+            showEditorStatus('Saving file...', 'loading');
+            result = await electronAPI.ftp.updateFile(
+                currentEditingFile.sessionId,
+                currentEditingFile.remotePath,
+                content,
+                { force: true }
+            );
+        }
+        
         if (result.success) {
             showEditorStatus('File saved successfully!', 'success');
             showNotification('File updated successfully', 'success');
@@ -1097,7 +1554,7 @@ async function saveFileContent() {
                 closeFileEditor();
             }, 2000);
         } else {
-            throw new Error(result.message || 'Failed to save file');
+            throw new Error(result.error || result.message || 'Failed to save file');
         }
         
     } catch (error) {
@@ -1110,8 +1567,12 @@ async function saveFileContent() {
 function closeFileEditor() {
     const fileEditorModal = document.getElementById('fileEditorModal');
     fileEditorModal.style.display = 'none';
+    if (currentEditingFile && currentEditingFile.locked) {
+        unlockEditingFile(currentEditingFile);
+    }
     currentEditingFile = null;
     hideEditorStatus();
+    reportPresence();
 }
 
 function showEditorStatus(message, type) {
@@ -1174,11 +1635,25 @@ async function confirmFileReplace() {
         
         replaceProgress.style.display = 'block';
         
-        const result = await electronAPI.ftp.replaceFile(
+        let result = await electronAPI.ftp.replaceFile(
+            appState.activeSessionId,
             currentReplaceFile.remotePath,
             selectedReplaceFile
         );
         
+        if (result.code === 'ELOCKED') {
+            if (!await confirmLockOverride(result.lock, currentReplaceFile.fileName, 'Ganti')) {
+                replaceProgress.style.display = 'none';
+                return;
+            }
+            result = await electronAPI.ftp.replaceFile(
+                appState.activeSessionId,
+                currentReplaceFile.remotePath,
+                selectedReplaceFile,
+                { force: true }
+            );
+        }
+        
         if (result.success) {
             showNotification('File replaced successfully', 'success');
             
@@ -1189,7 +1664,7 @@ async function confirmFileReplace() {
             
             closeFileReplace();
         } else {
-            throw new Error(result.message || 'Failed to replace file');
+            throw new Error(result.error || result.message || 'Failed to replace file');
         }
         
     } catch (error) {
@@ -1214,12 +1689,13 @@ function closeFileReplace() {
 async function navigateToDirectory(dirPath) {
     try {
         showLoading('Loading directory...');
-        const result = await electronAPI.ftp.loadDirectory(dirPath);
+        const result = await electronAPI.ftp.loadDirectory(appState.activeSessionId, dirPath);
         hideLoading();
         
         if (result.success) {
             // Update current path
             currentPath = dirPath;
+            appState.selectedFtpPath = dirPath;
             
             // Update breadcrumb
             elements.ftpBreadcrumb.textContent = dirPath;
@@ -1248,12 +1724,12 @@ async function navigateToDirectory(dirPath) {
 
 function updateTreeSelection(path) {
     // Remove previous selection
-    document.querySelectorAll('.tree-item.selected').forEach(item => {
+    elements.ftpTree.querySelectorAll('.tree-item.selected').forEach(item => {
         item.classList.remove('selected');
     });
     
     // Find and select the current path in tree
-    const treeItems = document.querySelectorAll('.tree-item');
+    const treeItems = elements.ftpTree.querySelectorAll('.tree-item');
     treeItems.forEach(item => {
         if (item.dataset.path === path) {
             item.classList.add('selected');
@@ -1261,11 +1737,19 @@ function updateTreeSelection(path) {
     });
 }
 
+// Reload the folder shown in the file list, bypassing the lazy loader's cache
+async function refreshCurrentFTPDirectory() {
+    if (!appState.selectedFtpPath) return;
+    
+    await electronAPI.ftp.clearLazyCache(appState.activeSessionId, appState.selectedFtpPath);
+    await selectFTPPathLazy(appState.selectedFtpPath, { type: 'directory' });
+}
+
 async function downloadAndOpenFile(remotePath, fileName) {
     showLoading(`Mengunduh ${fileName}...`);
     
     try {
-        const result = await electronAPI.ftp.downloadAndOpen(remotePath, fileName);
+        const result = await electronAPI.ftp.downloadAndOpen(appState.activeSessionId, remotePath, fileName);
         
         if (result.success) {
             showNotification(`File ${fileName} berhasil dibuka!`, 'success');
@@ -1309,7 +1793,7 @@ async function downloadFileWithProgress(remotePath, fileName, localPath = null)
             updateDownloadProgress(data);
         });
         
-        const result = await electronAPI.ftp.downloadWithProgress(remotePath, localPath, true);
+        const result = await electronAPI.ftp.downloadWithProgress(appState.activeSessionId, remotePath, localPath, true);
         
         if (result.success) {
             const resumeText = result.resumed ? ' (resumed)' : '';
@@ -1345,12 +1829,77 @@ async function downloadFileWithProgress(remotePath, fileName, localPath = null)
     }
 }
 
-function showDownloadProgress(fileName) {
+// Overwrite policies for folder downloads, in the order of the dialog buttons
+const FOLDER_OVERWRITE_CHOICES = [
+    { policy: 'skip', label: 'Lewati yang sudah ada' },
+    { policy: 'overwrite', label: 'Timpa semua' },
+    { policy: 'newer', label: 'Timpa jika lebih baru' },
+    { policy: 'rename', label: 'Simpan keduanya' }
+];
+
+// Download a remote folder (recursively) into a local directory chosen by the user
+async function downloadFolder(remotePath, folderName) {
+    try {
+        const target = await electronAPI.dialog.openFiles({ directories: true });
+        if (!target.success || target.cancelled || target.filePaths.length === 0) {
+            return;
+        }
+        const localDir = target.filePaths[0];
+        
+        // Ask what to do with files that already exist, defaulting to the saved policy
+        const savedPolicy = (appState.config && appState.config.app && appState.config.app.downloadOverwritePolicy) || 'skip';
+        const choice = await electronAPI.dialog.showMessageBox({
+            type: 'question',
+            buttons: [...FOLDER_OVERWRITE_CHOICES.map(choice => choice.label), 'Batal'],
+            defaultId: Math.max(0, FOLDER_OVERWRITE_CHOICES.findIndex(choice => choice.policy === savedPolicy)),
+            cancelId: FOLDER_OVERWRITE_CHOICES.length,
+            message: `Download folder "${folderName}"`,
+            detail: `Folder akan disimpan di ${localDir}. Apa yang dilakukan jika file sudah ada?`
+        });
+        
+        if (choice.response >= FOLDER_OVERWRITE_CHOICES.length) {
+            return;
+        }
+        
+        const overwritePolicy = FOLDER_OVERWRITE_CHOICES[choice.response].policy;
+        if (overwritePolicy !== savedPolicy) {
+            await electronAPI.config.save({ app: { downloadOverwritePolicy: overwritePolicy } });
+            if (appState.config && appState.config.app) {
+                appState.config.app.downloadOverwritePolicy = overwritePolicy;
+            }
+        }
+        
+        showLoading('Menyiapkan download folder...');
+        const result = await electronAPI.transfers.enqueueDownload(
+            appState.activeSessionId,
+            [{ name: folderName, path: remotePath, type: 'directory' }],
+            localDir,
+            { overwritePolicy }
+        );
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to download folder');
+        }
+        
+        trackTransferBatch(result, { direction: 'download', label: folderName });
+        showNotification(`Folder ${folderName}: ${result.files} file ditambahkan ke antrian download`, 'info');
+    } catch (error) {
+        console.error('Error downloading folder:', error);
+        showNotification(`Error mengunduh folder: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// Also used for server-side copies: options.title / options.bytesLabel relabel the dialog
+// and options.onCancel replaces the default cancel behaviour
+function showDownloadProgress(fileName, options = {}) {
+    const { title = 'Downloading File', bytesLabel = 'Downloaded', onCancel = null } = options;
     const progressHtml = `
         <div id="downloadProgressModal" class="modal" style="display: block;">
             <div class="modal-content">
                 <div class="modal-header">
-                    <h3>Downloading File</h3>
+                    <h3>${escapeHtml(title)}</h3>
                 </div>
                 <div class="modal-body">
                     <p><strong>File:</strong> <span id="downloadFileName">${escapeHtml(fileName)}</span></p>
@@ -1364,18 +1913,24 @@ function showDownloadProgress(fileName) {
                         </div>
                     </div>
                     <div class="download-details">
-                        <div>Downloaded: <span id="downloadedBytes">0 B</span> / <span id="totalBytes">0 B</span></div>
+                        <div>${escapeHtml(bytesLabel)}: <span id="downloadedBytes">0 B</span> / <span id="totalBytes">0 B</span></div>
                         <div>Status: <span id="downloadStatus">Preparing...</span></div>
                     </div>
                 </div>
                 <div class="modal-footer">
-                    <button type="button" class="btn btn-secondary" onclick="cancelDownload()">Cancel</button>
+                    <button type="button" class="btn btn-secondary" id="downloadCancelBtn" onclick="cancelDownload()">Cancel</button>
                 </div>
             </div>
         </div>
     `;
     
     document.body.insertAdjacentHTML('beforeend', progressHtml);
+    
+    if (onCancel) {
+        const cancelBtn = document.getElementById('downloadCancelBtn');
+        cancelBtn.removeAttribute('onclick');
+        cancelBtn.addEventListener('click', onCancel);
+    }
 }
 
 function updateDownloadProgress(data) {
@@ -1415,9 +1970,10 @@ function cancelDownload() {
 function switchTab(tabName) {
     appState.activeTab = tabName;
     
-    // Update tab buttons
-    elements.tabButtons.forEach(button => {
-        if (button.dataset.tab === tabName) {
+    // Update tab buttons (session tabs are only active for the current session)
+    document.querySelectorAll('.tab-nav .tab-button[data-tab]').forEach(button => {
+        const isActiveSession = !button.dataset.sessionId || button.dataset.sessionId === appState.activeSessionId;
+        if (button.dataset.tab === tabName && isActiveSession) {
             button.classList.add('active');
         } else {
             button.classList.remove('active');
@@ -1425,8 +1981,13 @@ function switchTab(tabName) {
     });
     
     // Update tab content
-    if (tabName === 'ftp') {
-        elements.ftpTab.classList.add('active');
+    elements.ftpTab.classList.toggle('active', tabName === 'ftp');
+    if (elements.chatTab) {
+        elements.chatTab.classList.toggle('active', tabName === 'chat');
+    }
+    
+    if (tabName === 'chat') {
+        markChatRead();
     }
 }
 
@@ -1438,6 +1999,7 @@ function showConfigModal() {
 function hideConfigModal() {
     elements.configModal.style.display = 'none';
     elements.mainApp.style.display = 'flex';
+    appState.newSessionRequested = false;
 }
 
 function updateConfigModalForConnection() {
@@ -1477,15 +2039,17 @@ async function handleConnectFTP() {
             connectButton.textContent = '🔄 Menghubungkan...';
         }
         
-        // Check if we have valid configuration
-        if (!appState.config || !appState.config.ftp || !appState.config.ftp.host) {
+        // Connect to the profile selected in the modal without saving it as default
+        const profile = appState.profiles.find(item => item.id === appState.editingProfileId);
+        if (!profile || !profile.host) {
             throw new Error('Konfigurasi FTP tidak valid. Silakan periksa pengaturan.');
         }
+        appState.activeProfileId = profile.id;
         
         console.log('Initializing FTP connection with caching system...');
         
-        // Initialize connections with intelligent caching
-        await initializeConnections();
+        // Initialize connections with intelligent caching in the profile's session tab
+        await connectProfileSession(profile.id, appState.newSessionRequested);
         
         // Hide config modal and show main app
         hideConfigModal();
@@ -1625,8 +2189,36 @@ function showDirectoryExpandSkeleton(childrenContainer) {
 
 function updateFTPStatus(connected) {
     appState.ftpConnected = connected;
-    elements.ftpStatus.textContent = connected ? 'FTP: Connected' : 'FTP: Disconnected';
+    
+    const session = appState.sessions[appState.activeSessionId];
+    if (session) {
+        session.ftpConnected = connected;
+    }
+    
+    const sessionLabel = session ? ` (${session.name})` : '';
+    const listingMode = connected && session && session.listingMode ? LISTING_MODE_LABELS[session.listingMode] : null;
+    elements.ftpStatus.textContent = connected
+        ? `FTP: Connected${sessionLabel}${listingMode ? ` • ${listingMode.label}` : ''}`
+        : `FTP: Disconnected${sessionLabel}`;
+    elements.ftpStatus.title = listingMode ? listingMode.description : '';
     elements.ftpStatus.className = `status-indicator ${connected ? 'connected' : ''}`;
+    renderSessionTabs();
+}
+
+const LISTING_MODE_LABELS = {
+    mlsd: { label: 'MLSD', description: 'Listing MLSD: tanggal UTC presisi dari server' },
+    list: { label: 'LIST', description: 'Server tidak mendukung MLSD: tanggal dan ukuran dibaca dari output LIST' },
+    sftp: { label: 'SFTP', description: 'Listing SFTP' }
+};
+
+// The listing mode is only certain after the first listing, so ask once the root is loaded
+async function refreshListingMode(sessionId) {
+    const result = await electronAPI.ftp.listSessions();
+    const info = result.success ? result.sessions.find(entry => entry.id === sessionId) : null;
+    const session = appState.sessions[sessionId];
+    if (info && session) {
+        session.listingMode = info.listingMode;
+    }
 }
 
 
@@ -1675,16 +2267,16 @@ async function refreshAll() {
         console.log('Refreshing all data with lazy loading...');
         
         // Stop background worker temporarily
-        await electronAPI.ftp.stopBackgroundWorker();
+        await electronAPI.ftp.stopBackgroundWorker(appState.activeSessionId);
         
         // Clear all lazy cache
-        await electronAPI.ftp.clearLazyCache();
+        await electronAPI.ftp.clearLazyCache(appState.activeSessionId);
         
         // Refresh FTP cache with lazy loading
         await refreshFTPCache(true);
         
         // Restart background worker
-        await electronAPI.ftp.startBackgroundWorker();
+        await electronAPI.ftp.startBackgroundWorker(appState.activeSessionId);
         
         showNotification('Semua data berhasil dimuat ulang!', 'success');
     } catch (error) {
@@ -1736,87 +2328,2891 @@ function formatTime(dateString) {
     return date.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
 }
 
+function formatEta(seconds) {
+    if (seconds === null || seconds === undefined || !isFinite(seconds)) return '-';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    if (hours > 0) return `${hours}j ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${secs}d`;
+    return `${secs}d`;
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
 }
 
+// escapeHtml leaves quotes alone, so values inside attribute quotes go through this instead
+function escapeAttribute(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
 // Make some functions globally available
 window.refreshFTPCache = refreshFTPCache;
 
 // =============================================
-// Upload Functionality
+// Session Tabs
 // =============================================
 
-let selectedFiles = [];
-let uploadProgressCleanup = null;
-
-// Initialize upload functionality
-function initializeUploadFunctionality() {
-    const uploadSection = document.getElementById('upload-section');
-    const dropZone = document.getElementById('drop-zone');
-    const fileInput = document.getElementById('file-input');
-    const browseBtn = document.getElementById('browse-btn');
-    const uploadBtn = document.getElementById('upload-btn');
-    const clearBtn = document.getElementById('clear-btn');
-    const selectedFilesList = document.getElementById('selected-files-list');
-    const uploadProgress = document.getElementById('upload-progress');
-    const progressBar = document.getElementById('progress-bar');
-    const progressText = document.getElementById('progress-text');
-
-    if (!uploadSection) return; // Upload UI not available
+// Connect a profile in its own session tab (reuses an open tab unless a new one is requested)
+async function connectProfileSession(profileId, openNewTab = false) {
+    const existing = Object.values(appState.sessions).find(session => session.profileId === profileId);
+    
+    if (existing && !openNewTab) {
+        switchSession(existing.id);
+    } else {
+        await openSession(profileId);
+    }
+    
+    await initializeConnections();
+}
 
-    // Drag and drop functionality
-    dropZone.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        dropZone.classList.add('drag-over');
-    });
+// Create a new FTP session in the main process and add a tab for it
+async function openSession(profileId) {
+    const result = await electronAPI.ftp.createSession(profileId);
+    if (!result.success) {
+        throw new Error(result.error || 'Gagal membuat sesi FTP');
+    }
+    
+    const profile = appState.profiles.find(item => item.id === profileId);
+    appState.sessions[result.session.id] = {
+        id: result.session.id,
+        profileId,
+        name: profile ? (profile.name || profile.host) : 'FTP',
+        ftpStructure: null,
+        selectedFtpPath: null,
+        ftpConnected: false
+    };
+    
+    switchSession(result.session.id);
+    return result.session.id;
+}
 
-    dropZone.addEventListener('dragleave', (e) => {
-        e.preventDefault();
-        if (!dropZone.contains(e.relatedTarget)) {
-            dropZone.classList.remove('drag-over');
-        }
-    });
+// Keep the explorer state of the active session so it can be restored later
+function saveActiveSessionState() {
+    const session = appState.sessions[appState.activeSessionId];
+    if (session) {
+        session.ftpStructure = appState.ftpStructure;
+        session.selectedFtpPath = appState.selectedFtpPath;
+        session.ftpConnected = appState.ftpConnected;
+    }
+}
 
-    dropZone.addEventListener('drop', (e) => {
-        e.preventDefault();
-        dropZone.classList.remove('drag-over');
+// Switch the explorer to another session and re-render it from that session's cache
+function switchSession(sessionId) {
+    const session = appState.sessions[sessionId];
+    if (!session) {
+        return;
+    }
+    
+    if (sessionId !== appState.activeSessionId) {
+        saveActiveSessionState();
+    }
+    
+    appState.activeSessionId = sessionId;
+    appState.activeProfileId = session.profileId;
+    appState.ftpStructure = session.ftpStructure;
+    appState.selectedFtpPath = session.selectedFtpPath;
+    
+    renderSessionTabs();
+    switchTab('ftp');
+    updateFTPStatus(session.ftpConnected);
+    renderPublishStatus();
+    
+    // Reset the file list before restoring this session's view
+    elements.ftpFileList.innerHTML = '';
+    elements.ftpBreadcrumb.textContent = 'Pilih folder dari sidebar';
+    
+    if (session.ftpStructure) {
+        renderFTPTreeLazy(session.ftpStructure);
         
-        const files = Array.from(e.dataTransfer.files);
-        addFilesToSelection(files);
-    });
-
-    // Browse button functionality
-    browseBtn.addEventListener('click', async () => {
-        try {
-            const result = await window.electronAPI.dialog.openFiles();
-            if (!result.cancelled && result.filePaths.length > 0) {
-                const files = result.filePaths.map(path => ({ path }));
-                addFilesToSelection(files);
-            }
-        } catch (error) {
-            console.error('Error opening file dialog:', error);
-            showNotification('Error opening file dialog', 'error');
+        if (session.selectedFtpPath) {
+            selectFTPPathLazy(session.selectedFtpPath, { name: session.selectedFtpPath, type: 'directory' });
         }
-    });
+    } else {
+        showTreeSkeleton();
+    }
+}
 
-    // Upload button functionality
-    uploadBtn.addEventListener('click', async () => {
-        if (selectedFiles.length === 0) {
-            showNotification('Please select files to upload', 'warning');
+// Close a session tab and disconnect its FTP connections
+async function closeSessionTab(sessionId) {
+    const session = appState.sessions[sessionId];
+    if (!session) {
+        return;
+    }
+    
+    try {
+        await electronAPI.ftp.closeSession(sessionId);
+    } catch (error) {
+        console.error('Error closing FTP session:', error);
+    }
+    
+    delete appState.sessions[sessionId];
+    reportPresence();
+    
+    if (appState.activeSessionId === sessionId) {
+        appState.activeSessionId = null;
+        const remaining = Object.keys(appState.sessions);
+        
+        if (remaining.length > 0) {
+            switchSession(remaining[remaining.length - 1]);
+        } else {
+            appState.ftpStructure = null;
+            appState.selectedFtpPath = null;
+            renderSessionTabs();
+            updateFTPStatus(false);
+            showConfigModal();
+        }
+    } else {
+        renderSessionTabs();
+    }
+    
+    showNotification(`Sesi ${session.name} ditutup`, 'info');
+}
+
+// Open the profile picker to connect another server in a new tab
+function handleNewSession() {
+    showConfigModal();
+    appState.newSessionRequested = true;
+}
+
+// Render one tab button per open session
+function renderSessionTabs() {
+    const container = elements.sessionTabs;
+    if (!container) {
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    Object.values(appState.sessions).forEach(session => {
+        const button = document.createElement('button');
+        const isActive = session.id === appState.activeSessionId && appState.activeTab === 'ftp';
+        button.className = `tab-button session-tab${isActive ? ' active' : ''}`;
+        button.dataset.tab = 'ftp';
+        button.dataset.sessionId = session.id;
+        button.title = session.name;
+        button.innerHTML = `
+            <span class="session-status ${session.ftpConnected ? 'connected' : ''}"></span>
+            🗂️ ${escapeHtml(session.name)}
+            <span class="session-close" title="Tutup sesi">✕</span>
+        `;
+        
+        button.addEventListener('click', () => {
+            // Coming back from another tab keeps the explorer as it was
+            if (session.id === appState.activeSessionId) {
+                switchTab('ftp');
+            } else {
+                switchSession(session.id);
+            }
+        });
+        button.querySelector('.session-close').addEventListener('click', (event) => {
+            event.stopPropagation();
+            closeSessionTab(session.id);
+        });
+        
+        container.appendChild(button);
+    });
+}
+
+// =============================================
+// Local Explorer Pane
+// =============================================
+
+const localState = {
+    currentPath: null,
+    separator: '/',
+    roots: []
+};
+
+// Drag payload types used between the local and FTP panes
+const LOCAL_DRAG_TYPE = 'application/x-local-paths';
+const REMOTE_DRAG_TYPE = 'application/x-remote-paths';
+
+async function initializeLocalPane() {
+    const rootSelect = document.getElementById('localRootSelect');
+    if (!rootSelect) return; // Local pane not available
+    
+    rootSelect.addEventListener('change', () => loadLocalRoot(rootSelect.value));
+    document.getElementById('localUpButton').addEventListener('click', navigateLocalUp);
+    document.getElementById('refreshLocalButton').addEventListener('click', () => {
+        if (localState.currentPath) {
+            navigateLocalDirectory(localState.currentPath);
+        }
+    });
+    
+    setupPaneDropTargets();
+    
+    try {
+        const result = await electronAPI.local.getRoots();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        localState.roots = result.roots;
+        localState.separator = result.separator;
+        
+        rootSelect.innerHTML = result.roots.map(root => `
+            <option value="${escapeAttribute(root.path)}">${escapeHtml(root.name)}</option>
+        `).join('');
+        
+        await loadLocalRoot(result.roots[0].path);
+    } catch (error) {
+        console.error('Error initializing local pane:', error);
+        showNotification(`⚠️ Gagal memuat folder lokal: ${error.message}`, 'error');
+    }
+}
+
+// Rebuild the local tree from one of the roots and show its contents
+async function loadLocalRoot(rootPath) {
+    const tree = document.getElementById('localTree');
+    const root = localState.roots.find(r => r.path === rootPath);
+    
+    tree.innerHTML = '';
+    const rootNode = createLocalTreeNode({ name: root ? root.name : rootPath, type: 'directory' }, rootPath);
+    tree.appendChild(rootNode);
+    
+    await toggleLocalTreeNode(rootNode, rootPath, rootNode.querySelector('.expand-icon'));
+    await navigateLocalDirectory(rootPath);
+}
+
+function createLocalTreeNode(item, fullPath) {
+    const treeItem = document.createElement('div');
+    treeItem.className = 'tree-item';
+    treeItem.setAttribute('data-path', fullPath);
+    
+    const node = document.createElement('div');
+    node.className = 'tree-node';
+    node.innerHTML = `
+        <span class="expand-icon" data-expanded="false">▶</span>
+        <span class="tree-icon">📁</span>
+        <span class="tree-label">${escapeHtml(item.name)}</span>
+    `;
+    
+    const expandIconEl = node.querySelector('.expand-icon');
+    expandIconEl.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await toggleLocalTreeNode(treeItem, fullPath, expandIconEl);
+    });
+    
+    node.querySelector('.tree-label').addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await navigateLocalDirectory(fullPath);
+    });
+    
+    const childrenContainer = document.createElement('div');
+    childrenContainer.className = 'tree-children';
+    childrenContainer.style.display = 'none';
+    
+    treeItem.appendChild(node);
+    treeItem.appendChild(childrenContainer);
+    
+    return treeItem;
+}
+
+async function toggleLocalTreeNode(treeItem, fullPath, expandIconEl) {
+    const childrenContainer = treeItem.querySelector('.tree-children');
+    
+    if (expandIconEl.dataset.expanded === 'true') {
+        childrenContainer.style.display = 'none';
+        expandIconEl.textContent = '▶';
+        expandIconEl.dataset.expanded = 'false';
+        return;
+    }
+    
+    showDirectoryExpandSkeleton(childrenContainer);
+    expandIconEl.textContent = '▼';
+    expandIconEl.dataset.expanded = 'true';
+    
+    const result = await electronAPI.local.list(fullPath);
+    if (!result.success) {
+        childrenContainer.innerHTML = '';
+        childrenContainer.style.display = 'none';
+        expandIconEl.textContent = '▶';
+        expandIconEl.dataset.expanded = 'false';
+        showNotification(`🔒 Folder lokal tidak dapat dibuka: ${result.error}`, 'warning');
+        return;
+    }
+    
+    childrenContainer.innerHTML = '';
+    result.contents.directories.forEach(dir => {
+        childrenContainer.appendChild(createLocalTreeNode(dir, dir.path));
+    });
+    childrenContainer.style.display = 'block';
+}
+
+async function navigateLocalDirectory(dirPath) {
+    const result = await electronAPI.local.list(dirPath);
+    
+    if (!result.success) {
+        showNotification(`🔒 Folder lokal tidak dapat dibuka: ${result.error}`, 'warning');
+        return;
+    }
+    
+    localState.currentPath = result.contents.path;
+    localState.parentPath = result.contents.parentPath;
+    
+    document.getElementById('localBreadcrumb').textContent = result.contents.path;
+    document.getElementById('localUpButton').disabled = !result.contents.parentPath;
+    
+    renderLocalContent(result.contents);
+    
+    // Update local tree selection
+    document.querySelectorAll('#localTree .tree-item.selected').forEach(item => {
+        item.classList.remove('selected');
+    });
+    document.querySelectorAll('#localTree .tree-item').forEach(item => {
+        if (item.dataset.path === result.contents.path) {
+            item.classList.add('selected');
+        }
+    });
+}
+
+async function navigateLocalUp() {
+    if (localState.parentPath) {
+        await navigateLocalDirectory(localState.parentPath);
+    }
+}
+
+function renderLocalContent(contents) {
+    const fileList = document.getElementById('localFileList');
+    
+    if (contents.directories.length === 0 && contents.files.length === 0) {
+        fileList.innerHTML = `
+            <div class="empty-state">
+                <p>Folder ini kosong</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const items = [...contents.directories, ...contents.files].map(item => `
+        <div class="file-item" draggable="true" data-name="${escapeAttribute(item.name)}" data-path="${escapeAttribute(item.path)}" data-type="${item.type}">
+            <div class="file-icon">${item.type === 'directory' ? '📁' : getFileIcon(item.name)}</div>
+            <div class="file-details">
+                <div class="file-name">${escapeHtml(item.name)}${item.isSymbolicLink ? ' ↪' : ''}</div>
+                <div class="file-meta">
+                    ${item.type === 'directory' ? 'Directory' : formatFileSize(item.size)} • 
+                    ${item.modifiedAt ? formatDate(item.modifiedAt) : 'Unknown date'}
+                </div>
+            </div>
+        </div>
+    `);
+    
+    fileList.innerHTML = items.join('');
+    
+    fileList.querySelectorAll('.file-item').forEach(item => {
+        // Click selects, Ctrl/Cmd+click adds to the selection
+        item.addEventListener('click', (e) => {
+            if (!e.ctrlKey && !e.metaKey) {
+                fileList.querySelectorAll('.file-item.selected').forEach(selected => {
+                    selected.classList.remove('selected');
+                });
+            }
+            item.classList.toggle('selected');
+        });
+        
+        item.addEventListener('dblclick', async () => {
+            if (item.dataset.type === 'directory') {
+                await navigateLocalDirectory(item.dataset.path);
+            } else {
+                await electronAPI.shell.openPath(item.dataset.path);
+            }
+        });
+        
+        item.addEventListener('dragstart', (e) => {
+            const dragged = item.classList.contains('selected')
+                ? Array.from(fileList.querySelectorAll('.file-item.selected'))
+                : [item];
+            const payload = dragged.map(el => ({
+                name: el.dataset.name,
+                path: el.dataset.path,
+                type: el.dataset.type
+            }));
+            
+            e.dataTransfer.setData(LOCAL_DRAG_TYPE, JSON.stringify(payload));
+            e.dataTransfer.effectAllowed = 'copy';
+        });
+    });
+}
+
+// Make the items of the FTP file list draggable into the local pane
+function enableRemoteItemDrag(fileList) {
+    fileList.querySelectorAll('.file-item').forEach(item => {
+        item.setAttribute('draggable', 'true');
+        
+        item.addEventListener('dragstart', (e) => {
+            const payload = item.classList.contains('selected')
+                ? Array.from(selectedItems).map(key => JSON.parse(key))
+                : [{ name: item.dataset.name, path: item.dataset.path, type: item.dataset.type }];
+            
+            e.dataTransfer.setData(REMOTE_DRAG_TYPE, JSON.stringify(payload));
+            e.dataTransfer.effectAllowed = 'copyMove';
+        });
+    });
+}
+
+// Dropping on a folder item targets that folder, anywhere else targets the folder being shown
+function setupPaneDropTargets() {
+    const localFileList = document.getElementById('localFileList');
+    
+    registerPaneDropTarget(elements.ftpFileList, LOCAL_DRAG_TYPE, async (items, targetItem) => {
+        const remoteDir = targetItem ? targetItem.dataset.path : appState.selectedFtpPath;
+        if (!appState.ftpConnected || !remoteDir) {
+            showNotification('Pilih folder FTP tujuan terlebih dahulu', 'warning');
+            return;
+        }
+        await uploadLocalItems(items, remoteDir);
+    });
+    
+    registerPaneDropTarget(localFileList, REMOTE_DRAG_TYPE, async (items, targetItem) => {
+        const localDir = targetItem ? targetItem.dataset.path : localState.currentPath;
+        if (!localDir) {
+            showNotification('Pilih folder lokal tujuan terlebih dahulu', 'warning');
+            return;
+        }
+        await downloadRemoteItems(items, localDir);
+    });
+    
+    // Dropping FTP items on a folder of the FTP list moves them there
+    registerPaneDropTarget(elements.ftpFileList, REMOTE_DRAG_TYPE, async (items, targetItem) => {
+        await moveRemoteItems(items, targetItem.dataset.path);
+    }, { dropEffect: 'move', requireFolder: true });
+    
+    setupTreeDropTarget();
+}
+
+function registerPaneDropTarget(container, dragType, onDrop, options = {}) {
+    const { dropEffect = 'copy', requireFolder = false } = options;
+    
+    const clearHighlight = () => {
+        container.classList.remove('drag-over');
+        container.querySelectorAll('.file-item.drop-target').forEach(el => el.classList.remove('drop-target'));
+    };
+    
+    container.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes(dragType)) return;
+        
+        const targetItem = e.target.closest('.file-item[data-type="directory"]');
+        if (requireFolder && !targetItem) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = dropEffect;
+        
+        clearHighlight();
+        if (targetItem) {
+            targetItem.classList.add('drop-target');
+        } else {
+            container.classList.add('drag-over');
+        }
+    });
+    
+    container.addEventListener('dragleave', (e) => {
+        if (!container.contains(e.relatedTarget)) {
+            clearHighlight();
+        }
+    });
+    
+    container.addEventListener('drop', async (e) => {
+        if (!e.dataTransfer.types.includes(dragType)) return;
+        e.preventDefault();
+        clearHighlight();
+        
+        const items = JSON.parse(e.dataTransfer.getData(dragType) || '[]');
+        const targetItem = e.target.closest('.file-item[data-type="directory"]');
+        if (items.length > 0 && (targetItem || !requireFolder)) {
+            await onDrop(items, targetItem);
+        }
+    });
+}
+
+function joinRemotePath(dirPath, name) {
+    return dirPath === '/' ? `/${name}` : `${dirPath.replace(/\/+$/, '')}/${name}`;
+}
+
+function joinLocalPath(dirPath, name) {
+    return dirPath.endsWith(localState.separator) ? dirPath + name : dirPath + localState.separator + name;
+}
+
+async function uploadLocalItems(items, remoteDir) {
+    // Folders are uploaded recursively by uploadMultiple
+    await uploadToFTPDirectory(items, remoteDir);
+}
+
+async function downloadRemoteItems(items, localDir) {
+    // Folders are expanded recursively by the transfer queue
+    try {
+        showLoading('Menyiapkan download...');
+        const result = await electronAPI.transfers.enqueueDownload(appState.activeSessionId, items, localDir);
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to queue download');
+        }
+        
+        const label = items.length === 1 ? items[0].name : `${items.length} item`;
+        trackTransferBatch(result, { direction: 'download', label });
+        showNotification(`${result.files} file ditambahkan ke antrian download`, 'info');
+    } catch (error) {
+        console.error('Error downloading dropped items:', error);
+        showNotification(`Error mengunduh file: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// =============================================
+// Rename and Move
+// =============================================
+
+function getRemoteParentPath(remotePath) {
+    const index = remotePath.lastIndexOf('/');
+    return index > 0 ? remotePath.substring(0, index) : '/';
+}
+
+function initializeRemoteRename() {
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'F2' || ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName)) return;
+        
+        // The focused item, or the only selected one
+        const fileList = elements.ftpFileList;
+        const selected = fileList.querySelectorAll('.file-item.selected');
+        const item = fileList.querySelector('.file-item.focused') || (selected.length === 1 ? selected[0] : null);
+        if (item && fileList.offsetParent !== null) {
+            e.preventDefault();
+            startInlineRename(item);
+        }
+    });
+}
+
+function focusFTPItem(item) {
+    elements.ftpFileList.querySelectorAll('.file-item.focused').forEach(el => el.classList.remove('focused'));
+    item.classList.add('focused');
+}
+
+// Swap the item's name for a text field; Enter or leaving the field renames, Escape cancels
+function startInlineRename(item) {
+    const nameEl = item.querySelector('.file-name');
+    if (!nameEl || nameEl.querySelector('input')) return;
+    
+    const oldName = item.dataset.name;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'file-name-input';
+    input.value = oldName;
+    
+    nameEl.textContent = '';
+    nameEl.appendChild(input);
+    item.setAttribute('draggable', 'false');
+    focusFTPItem(item);
+    input.focus();
+    
+    // Select the name without its extension, like Explorer does
+    const extensionIndex = item.dataset.type === 'file' ? oldName.lastIndexOf('.') : -1;
+    input.setSelectionRange(0, extensionIndex > 0 ? extensionIndex : oldName.length);
+    
+    let finished = false;
+    const finish = async (commit) => {
+        if (finished) return;
+        finished = true;
+        
+        const newName = input.value.trim();
+        nameEl.textContent = oldName;
+        item.setAttribute('draggable', 'true');
+        
+        if (commit && newName && newName !== oldName) {
+            await renameRemoteItem(item.dataset.path, newName, item.dataset.type === 'directory');
+        }
+    };
+    
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+    
+    // Clicks inside the field shouldn't open or select the item
+    ['click', 'dblclick', 'mousedown'].forEach(type => {
+        input.addEventListener(type, (e) => e.stopPropagation());
+    });
+}
+
+async function renameRemoteItem(remotePath, newName, isDirectory) {
+    if (newName.includes('/') || newName === '.' || newName === '..') {
+        showNotification(`Nama tidak valid: ${newName}`, 'error');
+        return;
+    }
+    
+    const parentPath = getRemoteParentPath(remotePath);
+    const newPath = joinRemotePath(parentPath, newName);
+    
+    try {
+        const result = await electronAPI.ftp.rename(appState.activeSessionId, remotePath, newPath);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        showNotification(`Berhasil diganti nama menjadi ${newName}`, 'success');
+        await refreshAfterRemoteMove([{ from: remotePath, to: newPath, isDirectory }]);
+    } catch (error) {
+        console.error('Rename error:', error);
+        showNotification(`Gagal mengganti nama: ${error.message}`, 'error');
+    }
+}
+
+async function moveRemoteItems(items, targetDir) {
+    // Skip items that are already there, and folders dropped on themselves or their own subfolders
+    const moves = items.filter(item =>
+        getRemoteParentPath(item.path) !== targetDir &&
+        targetDir !== item.path &&
+        !targetDir.startsWith(`${item.path}/`)
+    );
+    if (moves.length === 0) return;
+    
+    const completed = [];
+    const failed = [];
+    
+    try {
+        showLoading(`Memindahkan ${moves.length} item...`);
+        for (const item of moves) {
+            const newPath = joinRemotePath(targetDir, item.name);
+            const result = await electronAPI.ftp.rename(appState.activeSessionId, item.path, newPath);
+            if (result.success) {
+                completed.push({ from: item.path, to: newPath, isDirectory: item.type === 'directory' });
+            } else {
+                failed.push({ name: item.name, error: result.error });
+            }
+        }
+    } finally {
+        hideLoading();
+    }
+    
+    if (failed.length === 0) {
+        showNotification(`${completed.length} item dipindahkan ke ${targetDir}`, 'success');
+    } else {
+        failed.forEach(entry => console.error(`Move failed for ${entry.name}:`, entry.error));
+        showNotification(`${failed.length} item gagal dipindahkan (${failed[0].name}: ${failed[0].error})`, 'error');
+    }
+    
+    if (completed.length > 0) {
+        selectedItems.clear();
+        updateDeleteInfo();
+        await refreshAfterRemoteMove(completed);
+    }
+}
+
+// Reload the file list and the expanded tree folders touched by renames or moves
+async function refreshAfterRemoteMove(moves) {
+    // Keep showing the same folder when it (or one of its parents) was the one renamed
+    const shown = moves.find(move => appState.selectedFtpPath === move.from || appState.selectedFtpPath.startsWith(`${move.from}/`));
+    if (shown) {
+        appState.selectedFtpPath = shown.to + appState.selectedFtpPath.substring(shown.from.length);
+    }
+    
+    // The tree only shows folders
+    const parents = new Set(moves
+        .filter(move => move.isDirectory)
+        .flatMap(move => [getRemoteParentPath(move.from), getRemoteParentPath(move.to)]));
+    for (const parentPath of parents) {
+        await refreshFTPTreeNode(parentPath);
+    }
+    await refreshCurrentFTPDirectory();
+}
+
+async function refreshFTPTreeNode(dirPath) {
+    const treeItem = dirPath === '/' ? null : elements.ftpTree.querySelector(`.tree-item[data-path="${CSS.escape(dirPath)}"]`);
+    if (dirPath !== '/') {
+        const expandIcon = treeItem && treeItem.querySelector(':scope > .tree-node .expand-icon');
+        if (!expandIcon || expandIcon.dataset.expanded !== 'true') return; // Loaded again when expanded
+    }
+    
+    const result = await electronAPI.ftp.loadDirectoryLazy(appState.activeSessionId, dirPath, { priority: 'high', forceRefresh: true });
+    if (result.success && result.structure) {
+        renderFTPTreeLazy(result, dirPath === '/' ? '' : dirPath);
+    }
+}
+
+// Folders in the tree accept FTP items dragged from the file list or from the tree itself
+function setupTreeDropTarget() {
+    const tree = elements.ftpTree;
+    const clearHighlight = () => {
+        tree.querySelectorAll('.tree-node.drop-target').forEach(el => el.classList.remove('drop-target'));
+    };
+    
+    tree.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes(REMOTE_DRAG_TYPE)) return;
+        const treeItem = e.target.closest('.tree-item[data-path]');
+        if (!treeItem) return;
+        
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        clearHighlight();
+        treeItem.querySelector(':scope > .tree-node').classList.add('drop-target');
+    });
+    
+    tree.addEventListener('dragleave', (e) => {
+        if (!tree.contains(e.relatedTarget)) {
+            clearHighlight();
+        }
+    });
+    
+    tree.addEventListener('drop', async (e) => {
+        if (!e.dataTransfer.types.includes(REMOTE_DRAG_TYPE)) return;
+        const treeItem = e.target.closest('.tree-item[data-path]');
+        if (!treeItem) return;
+        
+        e.preventDefault();
+        clearHighlight();
+        const items = JSON.parse(e.dataTransfer.getData(REMOTE_DRAG_TYPE) || '[]');
+        if (items.length > 0) {
+            await moveRemoteItems(items, treeItem.dataset.path);
+        }
+    });
+}
+
+// =============================================
+// Server-side Copy
+// =============================================
+
+function initializeRemoteCopy() {
+    const modal = document.getElementById('copyToModal');
+    if (!modal) return;
+    
+    document.getElementById('duplicateSelectedBtn').addEventListener('click', duplicateSelectedItems);
+    document.getElementById('copySelectedToBtn').addEventListener('click', openCopyTo);
+    document.getElementById('closeCopyToBtn').addEventListener('click', closeCopyTo);
+    document.getElementById('cancelCopyToBtn').addEventListener('click', closeCopyTo);
+    document.getElementById('confirmCopyToBtn').addEventListener('click', confirmCopyTo);
+    document.getElementById('copyTargetDir').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') confirmCopyTo();
+    });
+}
+
+function getSelectedRemoteItems() {
+    return Array.from(selectedItems).map(key => JSON.parse(key));
+}
+
+async function duplicateSelectedItems() {
+    const items = getSelectedRemoteItems();
+    if (items.length === 0 || !appState.selectedFtpPath) return;
+    
+    await copyRemoteItemsTo(items, appState.selectedFtpPath, 'Duplicating');
+}
+
+function openCopyTo() {
+    const items = getSelectedRemoteItems();
+    if (items.length === 0) return;
+    
+    document.getElementById('copyToSummary').textContent = items.length === 1
+        ? `Salin "${items[0].name}" ke:`
+        : `Salin ${items.length} item ke:`;
+    const targetInput = document.getElementById('copyTargetDir');
+    targetInput.value = appState.selectedFtpPath || '/';
+    document.getElementById('copyToModal').style.display = 'flex';
+    targetInput.focus();
+    targetInput.select();
+}
+
+function closeCopyTo() {
+    document.getElementById('copyToModal').style.display = 'none';
+}
+
+async function confirmCopyTo() {
+    const targetDir = document.getElementById('copyTargetDir').value.trim();
+    if (!targetDir.startsWith('/')) {
+        showNotification('Masukkan path folder tujuan lengkap, mis. /public_html/backup', 'warning');
+        return;
+    }
+    
+    closeCopyTo();
+    await copyRemoteItemsTo(getSelectedRemoteItems(), targetDir.replace(/\/+$/, '') || '/', 'Copying');
+}
+
+// Copy on the server with progress in the download progress dialog
+async function copyRemoteItemsTo(items, targetDir, action) {
+    const sessionId = appState.activeSessionId;
+    const label = items.length === 1 ? items[0].name : `${items.length} item`;
+    let cancelled = false;
+    
+    showDownloadProgress(label, {
+        title: `${action} on server`,
+        bytesLabel: 'Copied',
+        onCancel: async () => {
+            cancelled = true;
+            updateDownloadProgress({ progress: 0, downloaded: 0, total: 0, status: 'Membatalkan...' });
+            await electronAPI.ftp.cancelCopy(sessionId);
+        }
+    });
+    updateDownloadProgress({ progress: 0, downloaded: 0, total: 0, status: 'Menghitung isi folder...' });
+    
+    const progressCleanup = electronAPI.ftp.onCopyProgress((data) => {
+        if (data.sessionId !== sessionId || cancelled) return;
+        updateDownloadProgress({
+            progress: data.progress,
+            downloaded: data.copiedBytes,
+            total: data.totalBytes,
+            status: `${data.completedFiles} / ${data.totalFiles} file • ${data.current}`
+        });
+    });
+    
+    try {
+        const result = await electronAPI.ftp.copyItems(sessionId, items, targetDir);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        if (result.cancelled) {
+            showNotification(`Penyalinan dibatalkan (${result.completedFiles} dari ${result.totalFiles} file tersalin)`, 'info');
+        } else if (result.complete) {
+            showNotification(`${result.completedFiles} file disalin ke ${targetDir}`, 'success');
+        } else {
+            result.failed.forEach(entry => console.error(`Copy failed for ${entry.path}:`, entry.error));
+            showNotification(`${result.failed.length} item gagal disalin (${result.failed[0].path}: ${result.failed[0].error})`, 'warning');
+        }
+        
+        if (sessionId === appState.activeSessionId) {
+            if (items.some(item => item.type === 'directory')) {
+                await refreshFTPTreeNode(targetDir);
+            }
+            if (appState.selectedFtpPath === targetDir) {
+                await refreshCurrentFTPDirectory();
+            }
+        }
+    } catch (error) {
+        console.error('Copy error:', error);
+        showNotification(`Gagal menyalin: ${error.message}`, 'error');
+    } finally {
+        progressCleanup();
+        hideDownloadProgress();
+    }
+}
+
+// =============================================
+// Properties and Permissions
+// =============================================
+
+const PERMISSION_CLASSES = [
+    { key: 'user', label: 'Owner' },
+    { key: 'group', label: 'Group' },
+    { key: 'world', label: 'Others' }
+];
+const PERMISSION_BITS = [
+    { bit: 4, symbol: 'r' },
+    { bit: 2, symbol: 'w' },
+    { bit: 1, symbol: 'x' }
+];
+
+let propertiesTarget = null;
+
+// "755" -> "rwxr-xr-x", "4755" -> "rwsr-xr-x" (setuid/setgid show as s, sticky as t)
+function formatPermissionString(mode) {
+    const special = mode.length > 3 ? parseInt(mode[0], 8) : 0;
+    return mode.slice(-3).split('').map((digit, index) => {
+        const symbols = PERMISSION_BITS.map(({ bit, symbol }) => (parseInt(digit, 8) & bit ? symbol : '-')).join('');
+        if (!(special & (4 >> index))) return symbols;
+        
+        // Upper case when the bit is set without execute permission
+        const letter = index === 2 ? 't' : 's';
+        return symbols.slice(0, 2) + (symbols[2] === 'x' ? letter : letter.toUpperCase());
+    }).join('');
+}
+
+function getPermissionAttributes(item) {
+    return [
+        item.mode ? `data-mode="${item.mode}"` : '',
+        item.owner ? `data-owner="${escapeAttribute(item.owner)}"` : '',
+        item.group ? `data-group="${escapeAttribute(item.group)}"` : ''
+    ].join(' ');
+}
+
+// Not every server reports permissions (e.g. Windows/IIS listings)
+function formatPermissionMeta(item) {
+    if (!item.mode) return '';
+    
+    const owner = item.owner ? ` ${escapeHtml(item.owner)}${item.group ? ':' + escapeHtml(item.group) : ''}` : '';
+    return `• <span class="file-permissions" title="${item.mode}">${formatPermissionString(item.mode)}</span>${owner}`;
+}
+
+function initializeProperties() {
+    const modal = document.getElementById('propertiesModal');
+    if (!modal) return;
+    
+    const grid = document.getElementById('permissionsGrid');
+    grid.innerHTML = PERMISSION_CLASSES.map(({ key, label }) => `
+        <tr>
+            <th>${label}</th>
+            ${PERMISSION_BITS.map(({ bit }) => `<td><input type="checkbox" data-class="${key}" data-bit="${bit}"></td>`).join('')}
+        </tr>
+    `).join('');
+    
+    grid.addEventListener('change', () => {
+        document.getElementById('permissionsOctal').value = getModeFromGrid();
+    });
+    document.getElementById('permissionsOctal').addEventListener('input', (e) => {
+        if (/^[0-7]{3,4}$/.test(e.target.value)) {
+            setGridFromMode(e.target.value);
+        }
+    });
+    document.getElementById('permissionsRecursive').addEventListener('change', (e) => {
+        document.getElementById('permissionsFileMode').disabled = !e.target.checked;
+    });
+    document.getElementById('closePropertiesBtn').addEventListener('click', closeProperties);
+    document.getElementById('cancelPropertiesBtn').addEventListener('click', closeProperties);
+    document.getElementById('applyPermissionsBtn').addEventListener('click', applyPermissions);
+    
+    // Alt+Enter shows the properties of the focused item, like a desktop file manager
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || !e.altKey || ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName)) return;
+        
+        const fileList = elements.ftpFileList;
+        const selected = fileList.querySelectorAll('.file-item.selected');
+        const item = fileList.querySelector('.file-item.focused') || (selected.length === 1 ? selected[0] : null);
+        if (item && fileList.offsetParent !== null) {
+            e.preventDefault();
+            openProperties(item);
+        }
+    });
+}
+
+// The grid only has rwx, so a setuid/setgid/sticky digit in the octal field is kept in front
+function getModeFromGrid() {
+    const octal = document.getElementById('permissionsOctal').value.trim();
+    const special = /^[1-7][0-7]{3}$/.test(octal) ? octal[0] : '';
+    return special + PERMISSION_CLASSES.map(({ key }) =>
+        Array.from(document.querySelectorAll(`#permissionsGrid input[data-class="${key}"]:checked`))
+            .reduce((sum, input) => sum + parseInt(input.dataset.bit), 0)
+    ).join('');
+}
+
+function setGridFromMode(mode) {
+    const digits = mode.slice(-3);
+    PERMISSION_CLASSES.forEach(({ key }, index) => {
+        document.querySelectorAll(`#permissionsGrid input[data-class="${key}"]`).forEach(input => {
+            input.checked = Boolean(parseInt(digits[index], 8) & parseInt(input.dataset.bit));
+        });
+    });
+}
+
+function openProperties(item) {
+    const { name, path, type, mode, owner, group } = item.dataset;
+    const isDirectory = type === 'directory';
+    const target = { name, path, isDirectory, mode: mode || null };
+    propertiesTarget = target;
+    
+    // Show what the listing already knows, then fill in the details from the server
+    renderPropertiesInfo({ name, path, type, mode, owner, group }, { loading: true });
+    
+    const initialMode = mode || (isDirectory ? '755' : '644');
+    document.getElementById('permissionsOctal').value = initialMode;
+    setGridFromMode(initialMode);
+    
+    // Files inside a folder usually shouldn't be executable
+    document.getElementById('permissionsRecursiveOptions').style.display = isDirectory ? 'block' : 'none';
+    document.getElementById('permissionsRecursive').checked = false;
+    const fileModeInput = document.getElementById('permissionsFileMode');
+    fileModeInput.disabled = true;
+    fileModeInput.value = initialMode.slice(-3).split('').map(digit => parseInt(digit, 8) & 6).join('');
+    
+    document.getElementById('propertiesModal').style.display = 'flex';
+    loadPropertiesDetails(target);
+}
+
+async function loadPropertiesDetails(target) {
+    const sessionId = appState.activeSessionId;
+    const state = { loading: false, directorySize: target.isDirectory ? null : undefined };
+    let properties = { name: target.name, path: target.path, type: target.isDirectory ? 'directory' : 'file', mode: target.mode };
+    
+    // Ignore answers for a dialog that was closed or reopened for another item meanwhile
+    const render = () => {
+        if (propertiesTarget === target) renderPropertiesInfo(properties, state);
+    };
+    
+    const sizePromise = target.isDirectory
+        ? electronAPI.ftp.getDirectorySize(sessionId, target.path).then(result => {
+            state.directorySize = result;
+            render();
+        })
+        : Promise.resolve();
+    
+    const result = await electronAPI.ftp.getProperties(sessionId, target.path);
+    if (result.success) {
+        properties = result.properties;
+    } else {
+        console.error('Properties error:', result.error);
+        state.error = result.error;
+    }
+    render();
+    await sizePromise;
+}
+
+function renderPropertiesInfo(properties, state = {}) {
+    const pending = state.loading ? 'Memuat...' : '-';
+    const rows = [
+        ['Nama', properties.name],
+        ['Path', properties.path],
+        ['Tipe', properties.isSymbolicLink ? 'Symbolic link' : (properties.type === 'directory' ? 'Directory' : 'File')]
+    ];
+    
+    if (properties.isSymbolicLink || properties.link) {
+        rows.push(['Target link', properties.link || pending]);
+    }
+    if (properties.type !== 'directory') {
+        const size = properties.exactSize ?? properties.size;
+        rows.push(['Ukuran', size !== undefined && size !== null ? `${formatFileSize(size)} (${Number(size).toLocaleString('id-ID')} byte)` : pending]);
+        rows.push(['Diubah (MDTM)', properties.mdtm ? new Date(properties.mdtm).toLocaleString('id-ID') : pending]);
+    } else if (state.directorySize === null) {
+        rows.push(['Ukuran total', 'Menghitung...']);
+    } else if (state.directorySize) {
+        const info = state.directorySize;
+        rows.push(['Ukuran total', info.success
+            ? `${formatFileSize(info.totalSize)} • ${info.fileCount} file, ${info.folderCount} folder${info.failed.length ? ` (${info.failed.length} folder tidak bisa dibaca)` : ''}`
+            : `Gagal: ${info.error}`]);
+    }
+    if (properties.modifiedAt && !properties.mdtm) {
+        rows.push(['Diubah (LIST)', new Date(properties.modifiedAt).toLocaleString('id-ID')]);
+    }
+    
+    rows.push(['Permissions', properties.mode ? `${formatPermissionString(properties.mode)} (${properties.mode})` : 'Tidak dilaporkan server']);
+    rows.push(['Owner', properties.owner || pending]);
+    rows.push(['Group', properties.group || pending]);
+    
+    // Whatever the server reports through MLST, as is
+    Object.entries(properties.facts || {}).forEach(([fact, value]) => rows.push([`MLST ${fact}`, value]));
+    if (state.error) {
+        rows.push(['Error', state.error]);
+    }
+    
+    document.getElementById('propertiesInfo').innerHTML = rows.map(([label, value]) =>
+        `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(String(value))}</td></tr>`
+    ).join('');
+}
+
+function closeProperties() {
+    document.getElementById('propertiesModal').style.display = 'none';
+    propertiesTarget = null;
+}
+
+async function applyPermissions() {
+    if (!propertiesTarget) return;
+    
+    const mode = document.getElementById('permissionsOctal').value.trim();
+    const recursive = propertiesTarget.isDirectory && document.getElementById('permissionsRecursive').checked;
+    const fileMode = recursive ? document.getElementById('permissionsFileMode').value.trim() : mode;
+    if (!/^[0-7]{3,4}$/.test(mode) || !/^[0-7]{3,4}$/.test(fileMode)) {
+        showNotification('Mode harus berupa angka oktal, mis. 755 atau 644', 'warning');
+        return;
+    }
+    
+    const target = propertiesTarget;
+    const applyBtn = document.getElementById('applyPermissionsBtn');
+    applyBtn.disabled = true;
+    applyBtn.textContent = 'Menerapkan...';
+    
+    try {
+        const result = await electronAPI.ftp.chmod(appState.activeSessionId, target.path, mode, {
+            recursive,
+            isDirectory: target.isDirectory,
+            fileMode
+        });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        if (result.failed.length > 0) {
+            result.failed.forEach(entry => console.error(`Chmod failed for ${entry.path}:`, entry.error));
+            showNotification(`${result.changed} item diubah, ${result.failed.length} gagal (${result.failed[0].path}: ${result.failed[0].error})`, 'warning');
+        } else {
+            showNotification(`Permissions ${target.name} diubah ke ${mode}${recursive ? ` (${result.changed} item)` : ''}`, 'success');
+        }
+        
+        closeProperties();
+        await refreshCurrentFTPDirectory();
+    } catch (error) {
+        console.error('Chmod error:', error);
+        showNotification(`Gagal mengubah permissions: ${error.message}`, 'error');
+    } finally {
+        applyBtn.disabled = false;
+        applyBtn.textContent = 'Terapkan';
+    }
+}
+
+// =============================================
+// Remote Search
+// =============================================
+
+let activeSearchId = null;
+let searchResults = [];
+
+function initializeRemoteSearch() {
+    const modal = document.getElementById('remoteSearchModal');
+    if (!modal) return;
+    
+    document.getElementById('remoteSearchButton').addEventListener('click', openRemoteSearch);
+    document.getElementById('closeSearchBtn').addEventListener('click', closeRemoteSearch);
+    document.getElementById('closeSearchFooterBtn').addEventListener('click', closeRemoteSearch);
+    document.getElementById('runSearchBtn').addEventListener('click', runRemoteSearch);
+    document.getElementById('cancelSearchBtn').addEventListener('click', () => {
+        electronAPI.ftp.cancelSearch(appState.activeSessionId);
+    });
+    document.getElementById('searchQuery').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') runRemoteSearch();
+    });
+    
+    document.getElementById('searchResults').addEventListener('click', (e) => {
+        const row = e.target.closest('.search-result');
+        if (row) {
+            jumpToSearchResult(searchResults[parseInt(row.dataset.index)]);
+        }
+    });
+    
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f' && appState.ftpConnected) {
+            e.preventDefault();
+            openRemoteSearch();
+        }
+    });
+    
+    electronAPI.ftp.onSearchResults(handleSearchResults);
+}
+
+function openRemoteSearch() {
+    if (!appState.ftpConnected) {
+        showNotification('Hubungkan ke server FTP terlebih dahulu', 'warning');
+        return;
+    }
+    
+    document.getElementById('searchRoot').value = appState.selectedFtpPath || '/';
+    document.getElementById('remoteSearchModal').style.display = 'flex';
+    const queryInput = document.getElementById('searchQuery');
+    queryInput.focus();
+    queryInput.select();
+}
+
+function closeRemoteSearch() {
+    if (activeSearchId) {
+        electronAPI.ftp.cancelSearch(appState.activeSessionId);
+    }
+    document.getElementById('remoteSearchModal').style.display = 'none';
+}
+
+function getSearchCriteria() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const kilobytes = (id) => (value(id) === '' ? undefined : parseFloat(value(id)) * 1024);
+    
+    return {
+        query: value('searchQuery'),
+        mode: value('searchMode'),
+        rootPath: value('searchRoot').replace(/\/+$/, '') || '/',
+        type: value('searchType'),
+        minSize: kilobytes('searchMinSize'),
+        maxSize: kilobytes('searchMaxSize'),
+        // Whole days in local time
+        modifiedAfter: value('searchAfter') ? new Date(`${value('searchAfter')}T00:00:00`).toISOString() : null,
+        modifiedBefore: value('searchBefore') ? new Date(`${value('searchBefore')}T23:59:59.999`).toISOString() : null,
+        live: document.getElementById('searchLive').checked
+    };
+}
+
+async function runRemoteSearch() {
+    const criteria = getSearchCriteria();
+    if (!criteria.rootPath.startsWith('/')) {
+        showNotification('Masukkan path folder lengkap, mis. /public_html', 'warning');
+        return;
+    }
+    
+    const sessionId = appState.activeSessionId;
+    const searchId = `search_${Date.now()}`;
+    activeSearchId = searchId;
+    searchResults = [];
+    document.getElementById('searchResults').innerHTML = '';
+    document.getElementById('searchSummary').textContent = criteria.live ? 'Mencari di cache dan server...' : 'Mencari di cache...';
+    document.getElementById('cancelSearchBtn').disabled = false;
+    
+    const result = await electronAPI.ftp.search(sessionId, searchId, criteria);
+    if (result.searchId !== activeSearchId) return; // Replaced by a newer search
+    
+    activeSearchId = null;
+    document.getElementById('cancelSearchBtn').disabled = true;
+    
+    if (!result.success) {
+        document.getElementById('searchSummary').textContent = `Pencarian gagal: ${result.error}`;
+        return;
+    }
+    
+    result.failed.forEach(entry => console.error(`Search could not list ${entry.path}:`, entry.error));
+    const notes = [
+        result.cancelled ? 'dihentikan' : '',
+        result.truncated ? `dibatasi ${result.total} hasil pertama` : '',
+        result.failed.length ? `${result.failed.length} folder tidak bisa dibaca` : '',
+        !criteria.live ? 'hanya cache; centang scan langsung untuk folder yang belum dibuka' : ''
+    ].filter(Boolean);
+    document.getElementById('searchSummary').textContent =
+        `${result.total} hasil${criteria.live ? ` • ${result.scannedFolders} folder discan` : ''}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+}
+
+// Results stream in while the scan runs
+function handleSearchResults(data) {
+    if (data.searchId !== activeSearchId) return;
+    
+    const container = document.getElementById('searchResults');
+    container.insertAdjacentHTML('beforeend', data.results.map(result => {
+        searchResults.push(result);
+        const detail = [
+            result.type === 'file' ? formatFileSize(result.size) : '',
+            result.modifiedAt ? formatDate(result.modifiedAt) : ''
+        ].filter(Boolean).join(' • ');
+        return `
+            <div class="sync-action search-result" data-index="${searchResults.length - 1}" title="Buka ${escapeAttribute(result.parentPath)}">
+                <span class="sync-action-kind">${result.type === 'directory' ? '📁 Folder' : `${getFileIcon(result.name)} File`}</span>
+                <span class="sync-action-path">${escapeHtml(result.path)}</span>
+                <span class="sync-action-detail">${escapeHtml(detail)}</span>
+            </div>
+        `;
+    }).join(''));
+    
+    document.getElementById('searchSummary').textContent = data.phase === 'live'
+        ? `${data.total} hasil • ${data.scannedFolders} folder discan...`
+        : `${data.total} hasil dari cache${document.getElementById('searchLive').checked ? ', lanjut scan server...' : ''}`;
+}
+
+// Open the folder that holds a result and point at the item
+async function jumpToSearchResult(result) {
+    if (!result) return;
+    
+    closeRemoteSearch();
+    await navigateToDirectory(result.parentPath);
+    
+    const item = elements.ftpFileList.querySelector(`.file-item[data-path="${CSS.escape(result.path)}"]`);
+    if (item) {
+        focusFTPItem(item);
+        item.scrollIntoView({ block: 'center' });
+    }
+}
+
+// =============================================
+// LAN Chat
+// =============================================
+
+const chatState = {
+    identity: null,
+    peers: [],
+    messages: [],
+    unread: 0
+};
+
+async function initializeChat() {
+    const chatTab = document.getElementById('chatTab');
+    if (!chatTab) return;
+    
+    document.getElementById('chatTabButton').addEventListener('click', () => switchTab('chat'));
+    document.getElementById('chatSendBtn').addEventListener('click', sendChatMessage);
+    document.getElementById('chatInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendChatMessage();
+        }
+    });
+    document.getElementById('chatSaveNameBtn').addEventListener('click', saveChatName);
+    document.getElementById('chatDisplayName').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveChatName();
+    });
+    document.getElementById('chatReconnectBtn').addEventListener('click', reconnectChat);
+    document.getElementById('chatClearBtn').addEventListener('click', clearChatHistory);
+    document.getElementById('chatPeers').addEventListener('click', (e) => {
+        const sendBtn = e.target.closest('.chat-peer-send');
+        if (sendBtn) {
+            sendFilesToPeer(sendBtn.dataset.peerId);
+        }
+    });
+    document.getElementById('chatMessages').addEventListener('click', (e) => {
+        const card = e.target.closest('.chat-shared-file');
+        if (!card) return;
+        const message = chatState.messages.find(entry => entry.id === card.closest('.chat-message').dataset.id);
+        if (message && message.file) {
+            openSharedFile(message.file, Boolean(e.target.closest('.shared-download-btn')));
+        }
+    });
+    
+    electronAPI.chat.onMessage(handleChatMessage);
+    electronAPI.chat.onPeers((peers) => {
+        chatState.peers = peers;
+        renderChatPeers();
+    });
+    electronAPI.presence.onChanged(handlePresenceChanged);
+    electronAPI.lanTransfer.onOffer(handleLanTransferOffer);
+    electronAPI.lanTransfer.onOfferWithdrawn((offer) => {
+        showNotification(`${offer.peer.name} membatalkan pengiriman ${offer.fileName}`, 'info');
+    });
+    electronAPI.lanTransfer.onProgress(handleLanTransferProgress);
+    
+    try {
+        applyChatState(await electronAPI.chat.getState());
+        
+        const result = await electronAPI.presence.get();
+        if (result.success) {
+            presenceState.presence = result.presence;
+            presenceState.feed = result.feed;
+            renderActivityFeed();
+            renderChatPeers();
+        }
+    } catch (error) {
+        console.error('Error loading chat:', error);
+    }
+}
+
+function applyChatState(state) {
+    chatState.identity = state.identity || null;
+    chatState.peers = state.peers || [];
+    chatState.messages = state.messages || [];
+    
+    if (chatState.identity) {
+        document.getElementById('chatDisplayName').value = chatState.identity.name;
+    }
+    document.getElementById('chatNetworkStatus').textContent = state.online
+        ? `Online sebagai ${chatState.identity.name}@${chatState.identity.host}`
+        : `Offline: ${state.error || 'jaringan LAN tidak tersedia'}`;
+    document.getElementById('chatNetworkStatus').classList.toggle('offline', !state.online);
+    
+    renderChatPeers();
+    renderChatMessages();
+}
+
+function renderChatPeers() {
+    const container = document.getElementById('chatPeers');
+    if (chatState.peers.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>Belum ada pengguna lain yang terlihat.</p></div>';
+        return;
+    }
+    
+    container.innerHTML = chatState.peers
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(peer => `
+            <div class="chat-peer" title="${escapeAttribute(`${peer.name}@${peer.host} (${peer.address})`)}">
+                <span class="session-status connected"></span>
+                <span class="chat-peer-name">${escapeHtml(peer.name)}</span>
+                <span class="chat-peer-host">${escapeHtml(peer.host)}</span>
+                ${peer.details && peer.details.transferPort ? `<button class="icon-button chat-peer-send" data-peer-id="${escapeAttribute(peer.id)}" title="Kirim file langsung ke ${escapeAttribute(peer.name)}">📤</button>` : ''}
+            </div>
+            ${renderPeerActivity(peer.id)}
+        `).join('');
+}
+
+function renderChatMessage(message) {
+    const time = new Date(message.sentAt).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
+    return `
+        <div class="chat-message${message.own ? ' own' : ''}" data-id="${escapeAttribute(message.id)}">
+            <div class="chat-message-meta">
+                <span class="chat-message-author" title="${escapeAttribute(message.from.host)}">${escapeHtml(message.own ? 'Anda' : message.from.name)}</span>
+                <span class="chat-message-time" title="${escapeAttribute(formatDate(message.sentAt))}">${time}</span>
+            </div>
+            ${message.text ? `<div class="chat-message-text">${escapeHtml(message.text)}</div>` : ''}
+            ${message.kind === 'file' && message.file ? renderSharedFileCard(message.file) : ''}
+        </div>
+    `;
+}
+
+function renderSharedFileCard(file) {
+    const detail = [
+        formatFileSize(file.size),
+        file.modifiedAt ? formatDate(file.modifiedAt) : ''
+    ].filter(Boolean).join(' • ');
+    return `
+        <div class="chat-shared-file" title="Buka di explorer">
+            <div class="file-icon">${getFileIcon(file.name)}</div>
+            <div class="chat-shared-file-details">
+                <div class="file-name">${escapeHtml(file.name)}</div>
+                <div class="file-meta">${escapeHtml(`${file.profile.name} (${file.profile.host}) • ${file.path}`)}</div>
+                <div class="file-meta">${escapeHtml(detail)}</div>
+            </div>
+            <div class="chat-shared-file-actions">
+                <button class="button-secondary shared-open-btn" title="Buka foldernya dan tandai file">📂 Buka</button>
+                <button class="button-secondary shared-download-btn" title="Download file">⬇️ Download</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderChatMessages() {
+    const container = document.getElementById('chatMessages');
+    if (chatState.messages.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>Belum ada pesan.</p></div>';
+        return;
+    }
+    
+    container.innerHTML = chatState.messages.map(renderChatMessage).join('');
+    container.scrollTop = container.scrollHeight;
+}
+
+function handleChatMessage(message) {
+    if (chatState.messages.some(existing => existing.id === message.id)) return;
+    
+    const container = document.getElementById('chatMessages');
+    const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+    if (chatState.messages.length === 0) {
+        container.innerHTML = '';
+    }
+    chatState.messages.push(message);
+    container.insertAdjacentHTML('beforeend', renderChatMessage(message));
+    if (atBottom || message.own) {
+        container.scrollTop = container.scrollHeight;
+    }
+    
+    if (!message.own && appState.activeTab !== 'chat') {
+        chatState.unread++;
+        updateChatUnread();
+        const preview = message.kind === 'file' ? `membagikan ${message.file.name}` : message.text.slice(0, 80);
+        showNotification(`💬 ${message.from.name}: ${preview}`, 'info');
+    }
+}
+
+function markChatRead() {
+    chatState.unread = 0;
+    updateChatUnread();
+}
+
+function updateChatUnread() {
+    const badge = document.getElementById('chatUnread');
+    if (!badge) return;
+    badge.textContent = chatState.unread > 99 ? '99+' : String(chatState.unread);
+    badge.style.display = chatState.unread > 0 ? 'inline-block' : 'none';
+}
+
+async function sendChatMessage() {
+    const input = document.getElementById('chatInput');
+    const text = input.value.trim();
+    if (!text) return;
+    
+    const sendBtn = document.getElementById('chatSendBtn');
+    sendBtn.disabled = true;
+    try {
+        const result = await electronAPI.chat.send(text);
+        if (result.success) {
+            input.value = '';
+        } else {
+            showNotification(`Pesan gagal dikirim: ${result.error}`, 'error');
+        }
+    } catch (error) {
+        console.error('Error sending chat message:', error);
+        showNotification(`Pesan gagal dikirim: ${error.message}`, 'error');
+    } finally {
+        sendBtn.disabled = false;
+        input.focus();
+    }
+}
+
+// Post a file from the explorer as a card others can open or download
+async function shareFileInChat(item) {
+    const session = appState.sessions[appState.activeSessionId];
+    const profile = session && appState.profiles.find(entry => entry.id === session.profileId);
+    if (!profile) {
+        showNotification('Profil server untuk sesi ini tidak ditemukan', 'error');
+        return;
+    }
+    
+    const result = await electronAPI.chat.shareFile({
+        profile: { name: profile.name, host: profile.host, port: profile.port, protocol: profile.protocol },
+        path: item.dataset.path,
+        name: item.dataset.name,
+        size: parseInt(item.dataset.size) || 0,
+        modifiedAt: item.dataset.modified || null
+    });
+    
+    if (result.success) {
+        showNotification(`${item.dataset.name} dibagikan di chat`, 'success');
+    } else {
+        showNotification(`Gagal membagikan file: ${result.error}`, 'error');
+    }
+}
+
+function isSameServer(profile, shared) {
+    return profile.host.toLowerCase() === shared.host.toLowerCase() &&
+        (!shared.port || parseInt(profile.port) === shared.port) &&
+        (profile.protocol || 'ftp') === shared.protocol;
+}
+
+// Open a shared file on our own connection to the same server (connecting first if
+// needed), then point at it in the file list or download it
+async function openSharedFile(file, download = false) {
+    let session = Object.values(appState.sessions).find(entry => {
+        const profile = appState.profiles.find(item => item.id === entry.profileId);
+        return profile && isSameServer(profile, file.profile);
+    });
+    
+    if (!session) {
+        const profile = appState.profiles.find(item => isSameServer(item, file.profile));
+        if (!profile) {
+            showNotification(`Tidak ada profil untuk server ${file.profile.host}${file.profile.port ? `:${file.profile.port}` : ''}. Tambahkan profilnya dulu.`, 'warning');
+            return;
+        }
+        
+        try {
+            await connectProfileSession(profile.id);
+        } catch (error) {
+            showNotification(`Gagal terhubung ke ${profile.name}: ${error.message}`, 'error');
+            return;
+        }
+        session = Object.values(appState.sessions).find(entry => entry.profileId === profile.id);
+        if (!session) return;
+    } else if (session.id !== appState.activeSessionId) {
+        switchSession(session.id);
+    }
+    
+    switchTab('ftp');
+    
+    if (download) {
+        await downloadFileWithProgress(file.path, file.name);
+        return;
+    }
+    
+    const parentPath = file.path.substring(0, file.path.lastIndexOf('/')) || '/';
+    await navigateToDirectory(parentPath);
+    
+    const item = elements.ftpFileList.querySelector(`.file-item[data-path="${CSS.escape(file.path)}"]`);
+    if (!item) {
+        showNotification(`${file.name} tidak ada lagi di ${parentPath}`, 'warning');
+        return;
+    }
+    focusFTPItem(item);
+    item.scrollIntoView({ block: 'center' });
+    item.classList.add('shared-highlight');
+    setTimeout(() => item.classList.remove('shared-highlight'), 2000);
+}
+
+// The transfer shown in the progress dialog; other transfers only report when they finish
+let lanTransferView = null;
+
+function showLanTransferProgress(view, title, bytesLabel) {
+    if (lanTransferView || document.getElementById('downloadProgressModal')) {
+        return false;
+    }
+    
+    lanTransferView = view;
+    showDownloadProgress(view.fileName, {
+        title,
+        bytesLabel,
+        onCancel: async () => {
+            updateDownloadProgress({ progress: 0, downloaded: 0, total: 0, status: 'Membatalkan...' });
+            if (lanTransferView && lanTransferView.id) {
+                await electronAPI.lanTransfer.cancel(lanTransferView.id);
+            }
+        }
+    });
+    updateDownloadProgress({ progress: 0, downloaded: 0, total: view.size || 0, status: view.status });
+    return true;
+}
+
+function hideLanTransferProgress(view) {
+    if (lanTransferView === view) {
+        lanTransferView = null;
+        hideDownloadProgress();
+    }
+}
+
+function handleLanTransferProgress(transfer) {
+    const view = lanTransferView;
+    if (!view) return;
+    
+    // Outgoing transfers get their id from the first progress event
+    if (!view.id && transfer.direction === view.direction && transfer.peer.id === view.peerId && transfer.fileName === view.fileName) {
+        view.id = transfer.id;
+    }
+    if (transfer.id !== view.id) return;
+    
+    const status = transfer.state === 'waiting'
+        ? `Menunggu persetujuan ${transfer.peer.name}...`
+        : `${transfer.direction === 'send' ? 'Mengirim ke' : 'Menerima dari'} ${transfer.peer.name} • ${formatFileSize(transfer.speed)}/s`;
+    updateDownloadProgress({ progress: transfer.progress, downloaded: transfer.transferred, total: transfer.size, status });
+}
+
+// Pick local files and offer them to a peer one after another
+async function sendFilesToPeer(peerId) {
+    const peer = chatState.peers.find(entry => entry.id === peerId);
+    if (!peer) return;
+    
+    const selection = await electronAPI.dialog.openFiles();
+    if (!selection.success || selection.cancelled || selection.filePaths.length === 0) return;
+    
+    for (const localPath of selection.filePaths) {
+        const fileName = localPath.split(/[\\/]/).pop();
+        const view = { direction: 'send', id: null, peerId, fileName, status: `Menunggu persetujuan ${peer.name}...` };
+        showLanTransferProgress(view, `Kirim ke ${peer.name}`, 'Terkirim');
+        
+        try {
+            const result = await electronAPI.lanTransfer.send(peerId, localPath);
+            if (result.success) {
+                showNotification(`${fileName} terkirim ke ${peer.name}`, 'success');
+            } else if (result.declined) {
+                showNotification(`${peer.name} menolak ${fileName}`, 'warning');
+            } else if (result.cancelled) {
+                showNotification(`Pengiriman ${fileName} dibatalkan`, 'info');
+                break;
+            } else {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('LAN transfer error:', error);
+            showNotification(`Gagal mengirim ${fileName}: ${error.message}`, 'error');
+        } finally {
+            hideLanTransferProgress(view);
+        }
+    }
+}
+
+// Ask whether to accept an incoming file and where to save it
+async function handleLanTransferOffer(offer) {
+    const answer = await electronAPI.dialog.showMessageBox({
+        type: 'question',
+        buttons: ['Terima', 'Tolak'],
+        defaultId: 0,
+        cancelId: 1,
+        message: `${offer.peer.name} ingin mengirim file`,
+        detail: `${offer.fileName} (${formatFileSize(offer.size)}) dari ${offer.peer.host || 'LAN'}`
+    });
+    
+    let localPath = null;
+    if (answer.response === 0) {
+        const target = await electronAPI.dialog.showSaveDialog({ defaultPath: offer.fileName });
+        localPath = target.canceled ? null : target.filePath;
+    }
+    
+    if (!localPath) {
+        const result = await electronAPI.lanTransfer.respond(offer.id, false);
+        if (!result.success) {
+            showNotification(result.error, 'info');
+        }
+        return;
+    }
+    
+    const view = { direction: 'receive', id: offer.id, peerId: offer.peer.id, fileName: offer.fileName, size: offer.size, status: 'Memulai...' };
+    showLanTransferProgress(view, `Terima dari ${offer.peer.name}`, 'Diterima');
+    
+    try {
+        const result = await electronAPI.lanTransfer.respond(offer.id, true, localPath);
+        if (result.success) {
+            const opened = await electronAPI.dialog.showMessageBox({
+                type: 'info',
+                buttons: ['Open File', 'Show in Folder', 'Close'],
+                defaultId: 0,
+                message: 'File diterima',
+                detail: `${offer.fileName} dari ${offer.peer.name} disimpan di ${localPath}`
+            });
+            if (opened.response === 0) {
+                await electronAPI.shell.openPath(localPath);
+            } else if (opened.response === 1) {
+                await electronAPI.shell.showItemInFolder(localPath);
+            }
+        } else if (result.cancelled) {
+            showNotification(`Penerimaan ${offer.fileName} dibatalkan`, 'info');
+        } else {
+            throw new Error(result.error);
+        }
+    } catch (error) {
+        console.error('LAN transfer error:', error);
+        showNotification(`Gagal menerima ${offer.fileName}: ${error.message}`, 'error');
+    } finally {
+        hideLanTransferProgress(view);
+    }
+}
+
+async function saveChatName() {
+    const name = document.getElementById('chatDisplayName').value.trim();
+    const result = await electronAPI.chat.setName(name);
+    if (result.success) {
+        chatState.identity = result.identity;
+        document.getElementById('chatDisplayName').value = result.identity.name;
+        document.getElementById('chatNetworkStatus').textContent = `Online sebagai ${result.identity.name}@${result.identity.host}`;
+        showNotification('Nama chat disimpan', 'success');
+    } else {
+        showNotification(`Nama gagal disimpan: ${result.error}`, 'error');
+    }
+}
+
+async function reconnectChat() {
+    document.getElementById('chatNetworkStatus').textContent = 'Menghubungkan...';
+    const result = await electronAPI.chat.reconnect();
+    if (result.identity) {
+        applyChatState(result);
+    }
+    if (!result.success) {
+        showNotification(`Chat LAN tidak tersedia: ${result.error}`, 'error');
+    }
+}
+
+async function clearChatHistory() {
+    const confirmed = await electronAPI.dialog.showConfirmation({
+        title: 'Hapus Riwayat Chat',
+        message: 'Hapus semua pesan yang tersimpan di komputer ini?',
+        detail: 'Pengguna lain tetap menyimpan salinan mereka.'
+    });
+    if (!confirmed.confirmed) return;
+    
+    const result = await electronAPI.chat.clearHistory();
+    if (result.success) {
+        chatState.messages = [];
+        renderChatMessages();
+    } else {
+        showNotification(`Riwayat gagal dihapus: ${result.error}`, 'error');
+    }
+}
+
+// =============================================
+// LAN Presence
+// =============================================
+
+const presenceState = {
+    presence: [], // [{ peer, activity: [{ mode, server, path }] }]
+    feed: [],
+    reported: null
+};
+let presenceReportTimer = null;
+
+const ACTIVITY_LABELS = {
+    viewing: { icon: '👀', started: 'membuka folder' },
+    editing: { icon: '✏️', started: 'mulai mengedit', stopped: 'selesai mengedit' }
+};
+
+function getSessionServer(sessionId) {
+    const session = appState.sessions[sessionId];
+    const profile = session && appState.profiles.find(entry => entry.id === session.profileId);
+    return profile ? { name: profile.name, host: profile.host, port: profile.port, protocol: profile.protocol } : null;
+}
+
+// Tell other clients what we have open; changes come in bursts while navigating
+function reportPresence() {
+    clearTimeout(presenceReportTimer);
+    presenceReportTimer = setTimeout(sendPresence, 300);
+}
+
+async function sendPresence() {
+    const activity = [];
+    Object.values(appState.sessions).forEach(session => {
+        const server = getSessionServer(session.id);
+        const viewing = session.id === appState.activeSessionId ? appState.selectedFtpPath : session.selectedFtpPath;
+        if (server && viewing) {
+            activity.push({ mode: 'viewing', server, path: viewing });
+        }
+    });
+    
+    const editingServer = currentEditingFile && getSessionServer(currentEditingFile.sessionId);
+    if (editingServer) {
+        activity.push({ mode: 'editing', server: editingServer, path: currentEditingFile.remotePath });
+    }
+    
+    const serialized = JSON.stringify(activity);
+    if (serialized === presenceState.reported) return;
+    presenceState.reported = serialized;
+    
+    try {
+        await electronAPI.presence.setActivity(activity);
+    } catch (error) {
+        console.error('Error reporting presence:', error);
+    }
+}
+
+// Peers working on exactly this path of the session's server
+function getPeerActivityAt(remotePath, sessionId = appState.activeSessionId) {
+    const session = appState.sessions[sessionId];
+    const profile = session && appState.profiles.find(entry => entry.id === session.profileId);
+    if (!profile) return [];
+    
+    const matches = [];
+    presenceState.presence.forEach(({ peer, activity }) => {
+        activity
+            .filter(entry => entry.path === remotePath && isSameServer(profile, entry.server))
+            .forEach(entry => matches.push({ peer, mode: entry.mode, path: entry.path }));
+    });
+    return matches;
+}
+
+// Tree nodes also show who is editing a file directly inside the folder
+function getPeerActivityInFolder(folderPath) {
+    const matches = getPeerActivityAt(folderPath);
+    const session = appState.sessions[appState.activeSessionId];
+    const profile = session && appState.profiles.find(entry => entry.id === session.profileId);
+    if (!profile) return matches;
+    
+    presenceState.presence.forEach(({ peer, activity }) => {
+        activity
+            .filter(entry => entry.mode === 'editing' && isSameServer(profile, entry.server) &&
+                (entry.path.substring(0, entry.path.lastIndexOf('/')) || '/') === folderPath)
+            .forEach(entry => matches.push({ peer, mode: entry.mode, path: entry.path }));
+    });
+    return matches;
+}
+
+function formatPeerNames(entries) {
+    return [...new Set(entries.map(entry => entry.peer.name))].join(', ');
+}
+
+function getPresenceBadgesHtml(entries) {
+    if (entries.length === 0) return '';
+    
+    return `<span class="presence-badges">${entries.map(entry => {
+        const initials = entry.peer.name.split(/\s+/).map(part => part[0]).join('').slice(0, 2).toUpperCase();
+        const label = entry.mode === 'editing' ? `mengedit ${entry.path}` : 'melihat folder ini';
+        return `<span class="presence-badge ${entry.mode}" title="${escapeAttribute(`${entry.peer.name}@${entry.peer.host} sedang ${label}`)}">${entry.mode === 'editing' ? '✏️' : ''}${escapeHtml(initials)}</span>`;
+    }).join('')}</span>`;
+}
+
+function applyPresenceBadges() {
+    elements.ftpFileList.querySelectorAll('.file-item[data-path]').forEach(item => {
+        const nameEl = item.querySelector('.file-name');
+        if (!nameEl) return;
+        nameEl.querySelectorAll('.presence-badges').forEach(badges => badges.remove());
+        nameEl.insertAdjacentHTML('beforeend', getPresenceBadgesHtml(getPeerActivityAt(item.dataset.path)));
+    });
+    
+    elements.ftpTree.querySelectorAll('.tree-item[data-path]').forEach(treeItem => {
+        const node = treeItem.querySelector(':scope > .tree-node');
+        if (!node || !node.querySelector('.expand-icon')) return;
+        node.querySelectorAll('.presence-badges').forEach(badges => badges.remove());
+        node.insertAdjacentHTML('beforeend', getPresenceBadgesHtml(getPeerActivityInFolder(treeItem.dataset.path)));
+    });
+}
+
+function handlePresenceChanged(update) {
+    presenceState.presence = update.presence;
+    presenceState.feed.push(...update.entries.map(entry => ({ time: Date.now(), ...entry })));
+    if (presenceState.feed.length > 100) {
+        presenceState.feed.splice(0, presenceState.feed.length - 100);
+    }
+    
+    applyPresenceBadges();
+    renderChatPeers();
+    renderActivityFeed();
+    
+    // Someone started editing the file we have open
+    if (currentEditingFile) {
+        update.entries
+            .filter(entry => entry.action === 'started' && entry.mode === 'editing' && entry.path === currentEditingFile.remotePath)
+            .filter(entry => getPeerActivityAt(entry.path, currentEditingFile.sessionId).some(match => match.peer.id === entry.peer.id))
+            .forEach(entry => showNotification(`✏️ ${entry.peer.name} juga membuka ${currentEditingFile.fileName}`, 'warning'));
+    }
+}
+
+function renderPeerActivity(peerId) {
+    const peerPresence = presenceState.presence.find(entry => entry.peer.id === peerId);
+    if (!peerPresence || peerPresence.activity.length === 0) return '';
+    
+    return `<div class="chat-peer-activity">${peerPresence.activity.map(entry => `
+        <div title="${escapeAttribute(`${entry.server.name} (${entry.server.host})`)}">${ACTIVITY_LABELS[entry.mode].icon} ${escapeHtml(`${entry.server.name}:${entry.path}`)}</div>
+    `).join('')}</div>`;
+}
+
+function renderActivityFeed() {
+    const container = document.getElementById('chatActivityFeed');
+    if (!container) return;
+    
+    if (presenceState.feed.length === 0) {
+        container.innerHTML = '<p class="chat-activity-empty">Belum ada aktivitas.</p>';
+        return;
+    }
+    
+    container.innerHTML = presenceState.feed.slice(-30).reverse().map(entry => {
+        const time = new Date(entry.time).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
+        const label = ACTIVITY_LABELS[entry.mode];
+        return `
+            <div class="chat-activity-entry" title="${escapeAttribute(`${entry.server.name} (${entry.server.host})`)}">
+                <span class="chat-message-time">${time}</span>
+                ${label.icon} <strong>${escapeHtml(entry.peer.name)}</strong> ${label[entry.action]}
+                <span class="chat-activity-path">${escapeHtml(`${entry.server.name}:${entry.path}`)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// =============================================
+// Lock Files
+// =============================================
+
+// Take lock files out of a listing (main marks them with lockFor); returns the remaining
+// files and the names of the files that have a lock file
+function splitLockFiles(files) {
+    const locks = new Set();
+    const visible = (files || []).filter(file => {
+        if (!file.lockFor) return true;
+        locks.add(file.lockFor);
+        return false;
+    });
+    return { files: visible, locks };
+}
+
+// Who holds the lock and whether it's stale is only known once main has read the lock file
+function formatLockIndicator(isLocked) {
+    if (!isLocked) return '';
+    return ' <span class="lock-indicator" title="Memeriksa kunci...">🔒</span>';
+}
+
+async function loadLockStates(dirPath, lockedNames) {
+    if (lockedNames.length === 0) return;
+    
+    const sessionId = appState.activeSessionId;
+    const paths = lockedNames.map(name => (dirPath === '/' ? '/' + name : dirPath + '/' + name));
+    const result = await electronAPI.ftp.getLocks(sessionId, paths);
+    if (!result.success) {
+        console.error('Lock state error:', result.error);
+        return;
+    }
+    if (sessionId !== appState.activeSessionId) return;
+    
+    result.locks.forEach(({ path, lock }) => {
+        const item = Array.from(elements.ftpFileList.querySelectorAll('.file-item')).find(el => el.dataset.path === path);
+        const indicator = item && item.querySelector('.lock-indicator');
+        if (!indicator) return;
+        
+        if (!lock) {
+            // Released since the listing was read
+            indicator.remove();
+            delete item.dataset.locked;
+            return;
+        }
+        indicator.classList.toggle('stale', lock.stale);
+        indicator.title = `${lock.stale ? 'Kunci kedaluwarsa' : 'Sedang dikunci'}: ${describeLock(lock)}. Klik untuk detail`;
+    });
+}
+
+function describeLock(lock) {
+    const since = lock.timestamp ? formatDate(lock.timestamp) : 'waktu tidak diketahui';
+    return `${lock.owner}@${lock.host} sejak ${since}${lock.stale ? ' (kedaluwarsa)' : ''}`;
+}
+
+// Ask whether to go ahead although someone else holds the lock
+async function confirmLockOverride(lock, fileName, action) {
+    const answer = await electronAPI.dialog.showMessageBox({
+        type: 'warning',
+        buttons: [`${action} Tetap`, 'Batal'],
+        defaultId: 1,
+        cancelId: 1,
+        message: `${fileName} sedang dikunci oleh ${lock.owner}@${lock.host}`,
+        detail: `Dikunci ${describeLock(lock)}. Mereka kemungkinan masih mengedit file ini; melanjutkan bisa menimpa pekerjaan mereka.`
+    });
+    return answer.response === 0;
+}
+
+async function showLockInfo(item) {
+    const sessionId = appState.activeSessionId;
+    const remotePath = item.dataset.path;
+    const result = await electronAPI.ftp.getLock(sessionId, remotePath);
+    if (!result.success) {
+        showNotification(`Kunci gagal dibaca: ${result.error}`, 'error');
+        return;
+    }
+    if (!result.lock) {
+        showNotification(`${item.dataset.name} sudah tidak dikunci`, 'info');
+        await refreshCurrentFTPDirectory();
+        return;
+    }
+
+    const lock = result.lock;
+    const answer = await electronAPI.dialog.showMessageBox({
+        type: lock.mine || lock.stale ? 'info' : 'warning',
+        buttons: [lock.mine ? 'Lepas Kunci' : 'Lepas Paksa', 'Tutup'],
+        defaultId: 1,
+        cancelId: 1,
+        message: `🔒 ${item.dataset.name}`,
+        detail: `Dikunci oleh ${describeLock(lock)}.${lock.mine ? '' : '\n\nMelepas paksa kunci milik orang lain hanya aman bila mereka sudah tidak mengedit file ini.'}`
+    });
+    if (answer.response !== 0) return;
+
+    const release = await electronAPI.ftp.releaseLock(sessionId, remotePath, { force: true });
+    if (release.success) {
+        showNotification(`Kunci ${item.dataset.name} dilepas`, 'success');
+        await refreshCurrentFTPDirectory();
+    } else {
+        showNotification(`Kunci gagal dilepas: ${release.error}`, 'error');
+    }
+}
+
+// Lock the file open in the editor so other clients see it's being edited
+async function lockEditingFile() {
+    const file = currentEditingFile;
+    let result = await electronAPI.ftp.acquireLock(file.sessionId, file.remotePath);
+
+    if (result.locked) {
+        const answer = await electronAPI.dialog.showMessageBox({
+            type: 'warning',
+            buttons: ['Buka Tanpa Kunci', 'Ambil Alih', 'Batal'],
+            defaultId: 0,
+            cancelId: 2,
+            message: `${file.fileName} sedang dikunci oleh ${result.lock.owner}@${result.lock.host}`,
+            detail: `Dikunci ${describeLock(result.lock)}. Buka tanpa kunci untuk melihat isinya, atau ambil alih kunci bila mereka sudah tidak mengeditnya.`
+        });
+        if (answer.response === 2) {
+            closeFileEditor();
             return;
         }
+        if (answer.response === 0) return;
+        result = await electronAPI.ftp.acquireLock(file.sessionId, file.remotePath, { force: true });
+    }
+
+    if (!result.success) {
+        showNotification(`File dibuka tanpa kunci: ${result.error}`, 'warning');
+        return;
+    }
+
+    // The editor was closed while the lock was being written
+    if (currentEditingFile !== file) {
+        await electronAPI.ftp.releaseLock(file.sessionId, file.remotePath);
+        return;
+    }
+
+    file.locked = true;
+    if (result.takenOver) {
+        showNotification(`🔒 Kunci ${file.fileName} diambil alih dari ${result.previous.owner}@${result.previous.host}`, 'warning');
+    }
+    if (appState.activeSessionId === file.sessionId) {
+        await refreshCurrentFTPDirectory();
+    }
+}
+
+async function unlockEditingFile(file) {
+    try {
+        await electronAPI.ftp.releaseLock(file.sessionId, file.remotePath);
+        if (appState.activeSessionId === file.sessionId) {
+            await refreshCurrentFTPDirectory();
+        }
+    } catch (error) {
+        console.error('Error releasing lock:', error);
+    }
+}
+
+// =============================================
+// Transfer Queue
+// =============================================
+
+const TRANSFER_DRAG_TYPE = 'application/x-transfer-id';
+
+const TRANSFER_STATE_LABELS = {
+    queued: 'Menunggu',
+    running: 'Berjalan',
+    paused: 'Dijeda',
+    completed: 'Selesai',
+    failed: 'Gagal',
+    cancelled: 'Dibatalkan'
+};
+
+// Buttons shown for each state: [action, icon, title]
+const TRANSFER_ACTIONS = {
+    queued: [['pause', '⏸', 'Jeda'], ['cancel', '✕', 'Batalkan']],
+    running: [['pause', '⏸', 'Jeda'], ['cancel', '✕', 'Batalkan']],
+    paused: [['resume', '▶', 'Lanjutkan'], ['cancel', '✕', 'Batalkan']],
+    failed: [['retry', '↻', 'Coba lagi'], ['remove', '🗑', 'Hapus dari daftar']],
+    cancelled: [['retry', '↻', 'Coba lagi'], ['remove', '🗑', 'Hapus dari daftar']],
+    completed: [['remove', '🗑', 'Hapus dari daftar']]
+};
+
+let transferItems = [];
+// Batches started from this window, so we can react when they finish
+const trackedBatches = new Map();
+let activeUploadBatchId = null;
+
+function isTransferFinished(item) {
+    return item.state === 'completed' || item.state === 'failed' || item.state === 'cancelled';
+}
+
+async function initializeTransferQueue() {
+    const header = document.getElementById('transferPanelHeader');
+    const list = document.getElementById('transferList');
+    if (!header || !list) return;
+    
+    header.addEventListener('click', (e) => {
+        if (!e.target.closest('#clearFinishedTransfersBtn, .transfer-verify-toggle')) {
+            toggleTransferPanel();
+        }
+    });
+    
+    const verifyToggle = document.getElementById('verifyTransfersToggle');
+    verifyToggle.addEventListener('change', async () => {
+        const result = await electronAPI.config.save({ app: { verifyTransfers: verifyToggle.checked } });
+        if (!result.success) {
+            showNotification(`Error: ${result.error}`, 'error');
+        }
+    });
+    
+    document.getElementById('clearFinishedTransfersBtn').addEventListener('click', async () => {
+        const result = await electronAPI.transfers.clearFinished();
+        if (!result.success) {
+            showNotification(`Error: ${result.error}`, 'error');
+        }
+    });
+    
+    list.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        const row = button.closest('.transfer-item');
+        const result = await electronAPI.transfers[button.dataset.action](row.dataset.id);
+        if (!result.success) {
+            showNotification(`Error: ${result.error}`, 'error');
+        }
+    });
+    
+    setupTransferReorder(list);
+    
+    electronAPI.transfers.onChanged((items) => {
+        transferItems = items;
+        renderTransferList();
+        checkTrackedBatches();
+    });
+    
+    electronAPI.transfers.onProgress((item) => {
+        const index = transferItems.findIndex(entry => entry.id === item.id);
+        if (index !== -1) {
+            transferItems[index] = item;
+        }
+        updateTransferRow(item);
+        updateTransferSummary();
+        
+        if (item.batchId === activeUploadBatchId) {
+            updateUploadProgress({
+                type: 'file',
+                fileName: item.name,
+                progress: item.size ? (item.transferred / item.size) * 100 : 0,
+                transferred: item.transferred,
+                total: item.size
+            });
+            updateUploadBatchProgress();
+        }
+    });
+    
+    const config = await electronAPI.config.get();
+    verifyToggle.checked = !!(config && config.app && config.app.verifyTransfers);
+    
+    const result = await electronAPI.transfers.list();
+    if (result.success) {
+        transferItems = result.items;
+        renderTransferList();
+    }
+}
+
+function toggleTransferPanel(expand = null) {
+    const panel = document.getElementById('transferPanel');
+    const toggleBtn = document.getElementById('toggleTransferPanelBtn');
+    const collapse = expand === null ? !panel.classList.contains('collapsed') : !expand;
+    
+    panel.classList.toggle('collapsed', collapse);
+    toggleBtn.textContent = collapse ? '▲' : '▼';
+}
+
+function getTransferProgress(item) {
+    return item.size ? Math.min(100, Math.round((item.transferred / item.size) * 100)) : (item.state === 'completed' ? 100 : 0);
+}
+
+function getTransferStats(item) {
+    let stats = `${formatFileSize(item.transferred)} / ${formatFileSize(item.size)}`;
+    if (item.state === 'running' && item.speed > 0) {
+        stats += ` • ${formatFileSize(item.speed)}/s • ETA ${formatEta(item.eta)}`;
+    }
+    if (item.error) {
+        stats += ` • ${item.error}`;
+    }
+    return stats;
+}
+
+// Checksum result line below the stats (only when verification ran for the item)
+function getVerificationHtml(item) {
+    const verification = item.verification;
+    if (!verification) return '';
+    
+    switch (verification.status) {
+        case 'verifying':
+            return '<div class="transfer-item-stats">Memverifikasi checksum...</div>';
+        case 'verified':
+            return `<div class="transfer-item-stats transfer-item-verified" title="${escapeAttribute(verification.hash || '')}">✓ Checksum cocok (${escapeHtml(verification.method)})</div>`;
+        case 'mismatch':
+            return `<div class="transfer-item-stats transfer-item-mismatch">✗ Checksum tidak cocok (${escapeHtml(verification.method)})${item.state === 'failed' ? '' : ', dikirim ulang'}</div>`;
+        default:
+            return '';
+    }
+}
+
+function renderTransferList() {
+    const list = document.getElementById('transferList');
+    // Folder entries only create directories, they are not worth a row
+    const items = transferItems.filter(item => !item.isDirectory);
+    
+    if (items.length === 0) {
+        list.innerHTML = '<div class="empty-state"><p>Tidak ada transfer</p></div>';
+        updateTransferSummary();
+        return;
+    }
+    
+    list.innerHTML = items.map(item => {
+        const progress = getTransferProgress(item);
+        const target = item.direction === 'upload' ? item.remotePath : item.localPath;
+        const fillClass = item.state === 'completed' ? 'completed' : (item.state === 'failed' ? 'error' : '');
+        const actions = (TRANSFER_ACTIONS[item.state] || []).map(([action, icon, title]) =>
+            `<button class="icon-button" data-action="${action}" title="${title}">${icon}</button>`
+        ).join('');
+        
+        return `
+            <div class="transfer-item" draggable="${item.state === 'queued' || item.state === 'paused'}" data-id="${item.id}">
+                <div class="file-icon">${item.direction === 'upload' ? '⬆️' : '⬇️'}</div>
+                <div>
+                    <div class="transfer-item-name">${escapeHtml(item.name)}</div>
+                    <div class="transfer-item-path" title="${escapeAttribute(target)}">→ ${escapeHtml(target)}</div>
+                </div>
+                <div>
+                    <div class="progress-item-header">
+                        <span class="progress-item-status ${item.state}">${TRANSFER_STATE_LABELS[item.state] || item.state}</span>
+                        <span class="transfer-item-percent">${progress}%</span>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-bar-fill ${fillClass}" style="width: ${progress}%"></div>
+                    </div>
+                    <div class="transfer-item-stats">${escapeHtml(getTransferStats(item))}</div>
+                    ${getVerificationHtml(item)}
+                </div>
+                <div class="transfer-item-actions">${actions}</div>
+            </div>
+        `;
+    }).join('');
+    
+    updateTransferSummary();
+}
+
+// Progress events only touch the bar and the stats line of one row
+function updateTransferRow(item) {
+    const row = document.querySelector(`.transfer-item[data-id="${item.id}"]`);
+    if (!row) return;
+    
+    const progress = getTransferProgress(item);
+    row.querySelector('.progress-bar-fill').style.width = `${progress}%`;
+    row.querySelector('.transfer-item-percent').textContent = `${progress}%`;
+    row.querySelector('.transfer-item-stats').textContent = getTransferStats(item);
+}
+
+function updateTransferSummary() {
+    const summary = document.getElementById('transferSummary');
+    const items = transferItems.filter(item => !item.isDirectory);
+    const running = items.filter(item => item.state === 'running');
+    const queued = items.filter(item => item.state === 'queued').length;
+    const failed = items.filter(item => item.state === 'failed').length;
+    
+    if (running.length === 0 && queued === 0) {
+        summary.textContent = items.length === 0 ? 'Kosong' : `${items.length} transfer${failed ? `, ${failed} gagal` : ''}`;
+        return;
+    }
+    
+    // Aggregate speed and ETA over everything that still has to be transferred
+    const pending = items.filter(item => !isTransferFinished(item) && item.state !== 'paused');
+    const remaining = pending.reduce((sum, item) => sum + Math.max(0, item.size - item.transferred), 0);
+    const speed = running.reduce((sum, item) => sum + (item.speed || 0), 0);
+    
+    let text = `${running.length} berjalan, ${queued} menunggu`;
+    if (failed) text += `, ${failed} gagal`;
+    if (speed > 0) text += ` • ${formatFileSize(speed)}/s • ETA ${formatEta(remaining / speed)}`;
+    summary.textContent = text;
+}
+
+// Drag queued rows to change the order in which they start
+function setupTransferReorder(list) {
+    let draggedId = null;
+    
+    const clearDropMarkers = () => {
+        list.querySelectorAll('.drop-before').forEach(row => row.classList.remove('drop-before'));
+    };
+    
+    list.addEventListener('dragstart', (e) => {
+        const row = e.target.closest('.transfer-item');
+        if (!row) return;
+        draggedId = row.dataset.id;
+        row.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData(TRANSFER_DRAG_TYPE, draggedId);
+    });
+    
+    list.addEventListener('dragend', (e) => {
+        const row = e.target.closest('.transfer-item');
+        if (row) row.classList.remove('dragging');
+        clearDropMarkers();
+        draggedId = null;
+    });
+    
+    list.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes(TRANSFER_DRAG_TYPE)) return;
+        e.preventDefault();
+        
+        const row = e.target.closest('.transfer-item');
+        clearDropMarkers();
+        if (row && row.dataset.id !== draggedId) {
+            row.classList.add('drop-before');
+        }
+    });
+    
+    list.addEventListener('drop', async (e) => {
+        if (!e.dataTransfer.types.includes(TRANSFER_DRAG_TYPE)) return;
+        e.preventDefault();
+        clearDropMarkers();
+        
+        const id = e.dataTransfer.getData(TRANSFER_DRAG_TYPE);
+        const row = e.target.closest('.transfer-item');
+        const fromIndex = transferItems.findIndex(item => item.id === id);
+        let toIndex = row ? transferItems.findIndex(item => item.id === row.dataset.id) : transferItems.length;
+        if (fromIndex === -1 || toIndex === -1 || toIndex === fromIndex) return;
+        
+        // Indexes are in the full queue; removing the dragged row shifts later ones up
+        if (fromIndex < toIndex) toIndex--;
+        
+        const result = await electronAPI.transfers.move(id, toIndex);
+        if (!result.success) {
+            showNotification(`Error: ${result.error}`, 'error');
+        }
+    });
+}
+
+// Remember a batch that was just queued and open the panel
+function trackTransferBatch(result, details) {
+    trackedBatches.set(result.batchId, { ...details, skipped: result.skipped || [] });
+    toggleTransferPanel(true);
+    checkTrackedBatches();
+}
+
+function getBatchItems(batchId) {
+    return transferItems.filter(item => item.batchId === batchId);
+}
+
+function updateUploadBatchProgress() {
+    const files = getBatchItems(activeUploadBatchId).filter(item => !item.isDirectory);
+    const total = files.reduce((sum, item) => sum + item.size, 0);
+    const transferred = files.reduce((sum, item) => sum + (item.state === 'completed' ? item.size : item.transferred), 0);
+    
+    updateUploadProgress({
+        type: 'overall',
+        progress: total > 0 ? (transferred / total) * 100 : 100,
+        completed: files.filter(item => item.state === 'completed').length,
+        failed: files.filter(item => item.state === 'failed' || item.state === 'cancelled').length,
+        totalFiles: files.length,
+        transferred,
+        total
+    });
+}
+
+async function checkTrackedBatches() {
+    if (activeUploadBatchId && trackedBatches.has(activeUploadBatchId)) {
+        updateUploadBatchProgress();
+    }
+    
+    for (const [batchId, batch] of trackedBatches) {
+        const items = getBatchItems(batchId);
+        if (!items.every(isTransferFinished)) continue;
+        
+        trackedBatches.delete(batchId);
+        await finishTransferBatch(batchId, batch, items);
+    }
+}
+
+// Summarize a finished batch and refresh the pane it changed
+async function finishTransferBatch(batchId, batch, items) {
+    const files = items.filter(item => !item.isDirectory);
+    const completed = files.filter(item => item.state === 'completed').length;
+    const failed = items.filter(item => item.state === 'failed' || item.state === 'cancelled');
+    const action = batch.direction === 'upload' ? 'diupload' : 'diunduh';
+    
+    failed.forEach(item => console.error(`Transfer failed for ${item.remotePath}:`, item.error));
+    
+    if (failed.length === 0 && batch.skipped.length === 0) {
+        showNotification(`${batch.label}: ${completed} file berhasil ${action}`, 'success');
+    } else {
+        showNotification(`${batch.label}: ${completed} file ${action}, ${failed.length} gagal, ${batch.skipped.length} dilewati`, 'warning');
+    }
+    
+    if (batchId === activeUploadBatchId) {
+        activeUploadBatchId = null;
+        const problems = [
+            ...failed.map(item => ({ path: item.remotePath, label: TRANSFER_STATE_LABELS[item.state], message: item.error })),
+            ...batch.skipped.map(entry => ({ ...entry, label: 'Dilewati', message: entry.reason }))
+        ];
+        if (problems.length === 0) {
+            hideUploadProgress();
+        } else {
+            showUploadSummary(problems);
+        }
+    }
+    
+    if (batch.direction === 'upload') {
+        if (batch.sessionId === appState.activeSessionId) {
+            await electronAPI.ftp.clearLazyCache(batch.sessionId, batch.remoteDir);
+            await refreshCurrentFTPDirectory();
+        }
+    } else if (localState.currentPath) {
+        await navigateLocalDirectory(localState.currentPath);
+    }
+}
 
-        await uploadSelectedFiles();
+// =============================================
+// Folder Sync
+// =============================================
+
+const SYNC_ACTION_LABELS = {
+    'upload': '⬆️ Upload',
+    'download': '⬇️ Download',
+    'mkdir-remote': '📁 Buat di server',
+    'mkdir-local': '📁 Buat lokal',
+    'delete-remote': '🗑️ Hapus di server',
+    'delete-local': '🗑️ Hapus lokal'
+};
+
+const SYNC_CHANGE_LABELS = { add: 'Tambah', update: 'Update', delete: 'Hapus' };
+const MAX_SYNC_PREVIEW_ROWS = 500;
+
+let syncPlan = null;
+let syncProgressCleanup = null;
+
+function initializeFolderSync() {
+    const modal = document.getElementById('folderSyncModal');
+    if (!modal) return;
+    
+    document.getElementById('syncFolderBtn').addEventListener('click', openFolderSync);
+    document.getElementById('closeSyncBtn').addEventListener('click', closeFolderSync);
+    document.getElementById('cancelSyncBtn').addEventListener('click', closeFolderSync);
+    document.getElementById('browseSyncLocalBtn').addEventListener('click', browseSyncLocalFolder);
+    document.getElementById('previewSyncBtn').addEventListener('click', previewFolderSync);
+    document.getElementById('runSyncBtn').addEventListener('click', runFolderSync);
+    
+    // A changed input makes the current preview stale
+    ['syncLocalDir', 'syncRemoteDir', 'syncMode'].forEach(id => {
+        document.getElementById(id).addEventListener('change', resetSyncPreview);
     });
+}
 
-    // Clear button functionality
-    clearBtn.addEventListener('click', () => {
-        selectedFiles = [];
-        updateSelectedFilesList();
-        hideUploadProgress();
+function openFolderSync() {
+    if (!appState.activeSessionId) {
+        showNotification('Hubungkan ke server terlebih dahulu', 'warning');
+        return;
+    }
+    
+    document.getElementById('syncRemoteDir').value = appState.selectedFtpPath || '/';
+    if (!document.getElementById('syncLocalDir').value && localState.currentPath) {
+        document.getElementById('syncLocalDir').value = localState.currentPath;
+    }
+    resetSyncPreview();
+    document.getElementById('folderSyncModal').style.display = 'flex';
+}
+
+function closeFolderSync() {
+    document.getElementById('folderSyncModal').style.display = 'none';
+    syncPlan = null;
+}
+
+function resetSyncPreview() {
+    syncPlan = null;
+    document.getElementById('syncPreview').innerHTML = '';
+    document.getElementById('syncSummary').textContent = 'Pilih folder lalu klik Bandingkan untuk melihat perubahan.';
+    document.getElementById('syncProgressBar').style.display = 'none';
+    document.getElementById('runSyncBtn').disabled = true;
+}
+
+async function browseSyncLocalFolder() {
+    const result = await electronAPI.dialog.openFiles({ directories: true });
+    if (result.success && !result.cancelled && result.filePaths.length > 0) {
+        document.getElementById('syncLocalDir').value = result.filePaths[0];
+        resetSyncPreview();
+    }
+}
+
+async function previewFolderSync() {
+    const localDir = document.getElementById('syncLocalDir').value.trim();
+    const remoteDir = document.getElementById('syncRemoteDir').value.trim();
+    const mode = document.getElementById('syncMode').value;
+    
+    if (!localDir || !remoteDir) {
+        showNotification('Pilih folder lokal dan folder remote', 'warning');
+        return;
+    }
+    
+    const previewBtn = document.getElementById('previewSyncBtn');
+    try {
+        previewBtn.disabled = true;
+        resetSyncPreview();
+        document.getElementById('syncSummary').textContent = 'Membandingkan folder...';
+        
+        const result = await electronAPI.sync.preview(appState.activeSessionId, localDir, remoteDir, mode);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        syncPlan = result.plan;
+        renderSyncPreview(syncPlan);
+    } catch (error) {
+        console.error('Error previewing sync:', error);
+        document.getElementById('syncSummary').textContent = `Error: ${error.message}`;
+    } finally {
+        previewBtn.disabled = false;
+    }
+}
+
+function renderSyncPreview(plan) {
+    const { summary } = plan;
+    const summaryEl = document.getElementById('syncSummary');
+    const preview = document.getElementById('syncPreview');
+    
+    summaryEl.textContent = plan.actions.length === 0
+        ? `Folder sudah sinkron (${summary.unchanged} item sama${summary.conflicts ? `, ${summary.conflicts} konflik` : ''}).`
+        : `${summary.adds} ditambah, ${summary.updates} diupdate, ${summary.deletes} dihapus, ${summary.unchanged} sama` +
+          `${summary.conflicts ? `, ${summary.conflicts} konflik dilewati` : ''} • ${formatFileSize(summary.totalBytes)} untuk ditransfer`;
+    if (summary.heldDeletes) {
+        summaryEl.textContent += ` • ${summary.heldDeletes} penghapusan ditahan karena ada path yang tidak bisa dipindai`;
+    }
+    
+    const rows = [
+        ...plan.actions.map(entry => ({
+            kind: entry.change,
+            label: SYNC_CHANGE_LABELS[entry.change],
+            path: entry.relativePath + (entry.isDirectory ? '/' : ''),
+            detail: `${SYNC_ACTION_LABELS[entry.action]}${entry.size ? ` • ${formatFileSize(entry.size)}` : ''}`
+        })),
+        ...plan.conflicts.map(entry => ({ kind: 'conflict', label: 'Konflik', path: entry.relativePath, detail: entry.reason })),
+        ...plan.heldDeletes.map(entry => ({ kind: 'conflict', label: 'Ditahan', path: entry.relativePath + (entry.isDirectory ? '/' : ''), detail: entry.reason }))
+    ];
+    
+    preview.innerHTML = rows.slice(0, MAX_SYNC_PREVIEW_ROWS).map(row => `
+        <div class="sync-action ${row.kind}">
+            <span class="sync-action-kind">${row.label}</span>
+            <span class="sync-action-path" title="${escapeAttribute(row.path)}">${escapeHtml(row.path)}</span>
+            <span class="sync-action-detail">${escapeHtml(row.detail)}</span>
+        </div>
+    `).join('') + (rows.length > MAX_SYNC_PREVIEW_ROWS
+        ? `<div class="sync-action"><span></span><span>... dan ${rows.length - MAX_SYNC_PREVIEW_ROWS} lainnya</span></div>`
+        : '');
+    
+    document.getElementById('runSyncBtn').disabled = plan.actions.length === 0;
+}
+
+async function runFolderSync() {
+    if (!syncPlan) return;
+    
+    const plan = syncPlan;
+    const sessionId = appState.activeSessionId;
+    
+    if (plan.summary.deletes > 0) {
+        const confirm = await electronAPI.dialog.showMessageBox({
+            type: 'warning',
+            buttons: ['Jalankan', 'Batal'],
+            defaultId: 1,
+            cancelId: 1,
+            message: 'Sinkronisasi akan menghapus file',
+            detail: `${plan.summary.deletes} item akan dihapus ${plan.mode === 'local-to-remote' ? 'dari server' : 'dari komputer'}. Lanjutkan?`
+        });
+        if (confirm.response !== 0) return;
+    }
+    
+    const runBtn = document.getElementById('runSyncBtn');
+    const previewBtn = document.getElementById('previewSyncBtn');
+    const progressBar = document.getElementById('syncProgressBar');
+    const progressFill = document.getElementById('syncProgressFill');
+    const summaryEl = document.getElementById('syncSummary');
+    
+    try {
+        runBtn.disabled = true;
+        previewBtn.disabled = true;
+        progressBar.style.display = 'block';
+        progressFill.style.width = '0%';
+        
+        syncProgressCleanup = electronAPI.sync.onProgress((data) => {
+            if (data.sessionId !== sessionId) return;
+            progressFill.style.width = `${Math.round(((data.completed + data.failed) / data.total) * 100)}%`;
+            summaryEl.textContent = `${data.completed + data.failed} / ${data.total} • ${data.current}`;
+        });
+        
+        const result = await electronAPI.sync.execute(sessionId, plan.id, plan.actions.map((entry, index) => index));
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        syncPlan = null;
+        if (result.complete) {
+            summaryEl.textContent = `Sinkronisasi selesai: ${result.completed} perubahan diterapkan.`;
+            showNotification('Sinkronisasi folder selesai', 'success');
+        } else {
+            result.failed.forEach(entry => console.error(`Sync failed for ${entry.path}:`, entry.error));
+            summaryEl.textContent = `Sinkronisasi selesai dengan ${result.failed.length} kegagalan (${result.failed[0].path}: ${result.failed[0].error}).`;
+            showNotification(`Sinkronisasi selesai, ${result.failed.length} item gagal`, 'warning');
+        }
+        
+        if (sessionId === appState.activeSessionId) {
+            await refreshCurrentFTPDirectory();
+        }
+        if (localState.currentPath) {
+            await navigateLocalDirectory(localState.currentPath);
+        }
+    } catch (error) {
+        console.error('Error running sync:', error);
+        summaryEl.textContent = `Error: ${error.message}`;
+        showNotification(`Sinkronisasi gagal: ${error.message}`, 'error');
+    } finally {
+        previewBtn.disabled = false;
+        if (syncProgressCleanup) {
+            syncProgressCleanup();
+            syncProgressCleanup = null;
+        }
+    }
+}
+
+// =============================================
+// Publish Folder
+// =============================================
+
+const PUBLISH_STATUS_LABELS = {
+    uploaded: 'Terupload',
+    failed: 'Gagal',
+    deleted: 'Dihapus'
+};
+
+const PUBLISH_STATUS_KINDS = { uploaded: 'add', failed: 'conflict', deleted: 'delete' };
+const MAX_PUBLISH_LOG_ROWS = 200;
+
+let publishStatus = [];
+let publishLogEntries = [];
+
+function initializePublishFolder() {
+    const modal = document.getElementById('publishFolderModal');
+    if (!modal) return;
+    
+    document.getElementById('publishFolderBtn').addEventListener('click', openPublishFolder);
+    document.getElementById('closePublishBtn').addEventListener('click', closePublishFolder);
+    document.getElementById('browsePublishLocalBtn').addEventListener('click', browsePublishLocalFolder);
+    document.getElementById('savePublishBtn').addEventListener('click', () => savePublishFolder(true));
+    document.getElementById('startPublishBtn').addEventListener('click', startPublishFolder);
+    document.getElementById('stopPublishBtn').addEventListener('click', stopPublishFolder);
+    
+    electronAPI.publish.onStatus((status) => {
+        publishStatus = status;
+        renderPublishStatus();
+    });
+    
+    electronAPI.publish.onLog((entry) => {
+        publishLogEntries.push(entry);
+        if (publishLogEntries.length > MAX_PUBLISH_LOG_ROWS) {
+            publishLogEntries.shift();
+        }
+        if (entry.status === 'failed') {
+            showNotification(`Publish gagal: ${entry.relativePath || entry.remotePath} (${entry.error})`, 'error');
+        }
+        if (modal.style.display === 'flex') {
+            renderPublishLog();
+        }
+    });
+    
+    // Watchers may already be running (auto-start on connect)
+    electronAPI.publish.status().then(result => {
+        if (result.success) {
+            publishStatus = result.status;
+            renderPublishStatus();
+        }
+    });
+}
+
+function getActivePublishProfileId() {
+    const session = appState.sessions[appState.activeSessionId];
+    return (session && session.profileId) || appState.activeProfileId;
+}
+
+function getActivePublishWatch() {
+    return publishStatus.find(watch => watch.sessionId === appState.activeSessionId) || null;
+}
+
+async function openPublishFolder() {
+    if (!appState.activeSessionId) {
+        showNotification('Hubungkan ke server terlebih dahulu', 'warning');
+        return;
+    }
+    
+    try {
+        const [mappingResult, logResult] = await Promise.all([
+            electronAPI.publish.get(getActivePublishProfileId()),
+            electronAPI.publish.getLog()
+        ]);
+        if (!mappingResult.success) {
+            throw new Error(mappingResult.error);
+        }
+        
+        const mapping = mappingResult.publishFolder;
+        publishStatus = mappingResult.status;
+        publishLogEntries = logResult.success ? logResult.log : [];
+        
+        document.getElementById('publishLocalDir').value = mapping.localDir || localState.currentPath || '';
+        document.getElementById('publishRemoteDir').value = mapping.remoteDir || appState.selectedFtpPath || '/';
+        document.getElementById('publishIgnore').value = mapping.ignore.join('\n');
+        document.getElementById('publishDebounce').value = mapping.debounceMs;
+        document.getElementById('publishEnabled').checked = mapping.enabled;
+        
+        renderPublishStatus();
+        renderPublishLog();
+        document.getElementById('publishFolderModal').style.display = 'flex';
+    } catch (error) {
+        console.error('Error loading publish folder:', error);
+        showNotification(`Gagal memuat publish folder: ${error.message}`, 'error');
+    }
+}
+
+function closePublishFolder() {
+    document.getElementById('publishFolderModal').style.display = 'none';
+}
+
+async function browsePublishLocalFolder() {
+    const result = await electronAPI.dialog.openFiles({ directories: true });
+    if (result.success && !result.cancelled && result.filePaths.length > 0) {
+        document.getElementById('publishLocalDir').value = result.filePaths[0];
+    }
+}
+
+function getPublishFormData() {
+    return {
+        localDir: document.getElementById('publishLocalDir').value.trim(),
+        remoteDir: document.getElementById('publishRemoteDir').value.trim(),
+        ignore: document.getElementById('publishIgnore').value.split('\n').map(line => line.trim()).filter(Boolean),
+        debounceMs: parseInt(document.getElementById('publishDebounce').value) || 1000,
+        enabled: document.getElementById('publishEnabled').checked
+    };
+}
+
+async function savePublishFolder(notify = false) {
+    const mapping = getPublishFormData();
+    if (!mapping.localDir || !mapping.remoteDir) {
+        showNotification('Pilih folder lokal dan folder remote', 'warning');
+        return false;
+    }
+    
+    const result = await electronAPI.publish.save(getActivePublishProfileId(), mapping);
+    if (!result.success) {
+        showNotification(`Gagal menyimpan publish folder: ${result.error}`, 'error');
+        return false;
+    }
+    
+    if (notify) {
+        showNotification('Pengaturan publish folder disimpan', 'success');
+    }
+    return true;
+}
+
+async function startPublishFolder() {
+    if (!await savePublishFolder()) return;
+    
+    const result = await electronAPI.publish.start(appState.activeSessionId, getActivePublishProfileId());
+    if (result.success) {
+        showNotification(`Memantau ${result.watch.localDir}`, 'success');
+    } else {
+        showNotification(`Gagal memulai publish folder: ${result.error}`, 'error');
+    }
+}
+
+async function stopPublishFolder() {
+    const result = await electronAPI.publish.stop(appState.activeSessionId);
+    if (!result.success) {
+        showNotification(`Gagal menghentikan publish folder: ${result.error}`, 'error');
+    }
+}
+
+function renderPublishStatus() {
+    const watch = getActivePublishWatch();
+    const publishBtn = document.getElementById('publishFolderBtn');
+    if (publishBtn) {
+        publishBtn.classList.toggle('publishing', !!watch);
+    }
+    
+    const statusEl = document.getElementById('publishStatus');
+    if (!statusEl) return;
+    
+    statusEl.textContent = watch
+        ? `Aktif: ${watch.localDir} → ${watch.remoteDir} • ${watch.uploadedCount} terupload` +
+          `${watch.failedCount ? `, ${watch.failedCount} gagal` : ''}${watch.pending ? `, ${watch.pending} menunggu` : ''}`
+        : 'Tidak aktif';
+    document.getElementById('startPublishBtn').textContent = watch ? '🔄 Mulai Ulang' : '▶ Mulai';
+    document.getElementById('stopPublishBtn').disabled = !watch;
+}
+
+function renderPublishLog() {
+    const logEl = document.getElementById('publishLog');
+    const entries = publishLogEntries
+        .filter(entry => entry.sessionId === appState.activeSessionId)
+        .slice()
+        .reverse();
+    
+    logEl.innerHTML = entries.map(entry => `
+        <div class="sync-action ${PUBLISH_STATUS_KINDS[entry.status]}">
+            <span class="sync-action-time">${new Date(entry.time).toLocaleTimeString()}</span>
+            <span class="sync-action-kind">${PUBLISH_STATUS_LABELS[entry.status]}</span>
+            <span class="sync-action-path" title="${escapeAttribute(entry.remotePath)}">${escapeHtml(entry.relativePath || entry.remotePath)}</span>
+            <span class="sync-action-detail">${escapeHtml(entry.error || (entry.size ? formatFileSize(entry.size) : ''))}</span>
+        </div>
+    `).join('');
+}
+
+// =============================================
+// Upload Functionality
+// =============================================
+
+let selectedFiles = [];
+let uploadProgressCleanup = null;
+
+// Initialize upload functionality
+function initializeUploadFunctionality() {
+    const uploadSection = document.getElementById('uploadSection');
+    const dropZone = document.getElementById('dragDropZone');
+    const browseBtn = document.getElementById('browseFilesBtn');
+    const browseFolderBtn = document.getElementById('browseFolderBtn');
+    const uploadBtn = document.getElementById('uploadSelectedBtn');
+
+    if (!uploadSection) return; // Upload UI not available
+
+    // Drag and drop functionality
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('drag-over');
+    });
+
+    dropZone.addEventListener('dragleave', (e) => {
+        e.preventDefault();
+        if (!dropZone.contains(e.relatedTarget)) {
+            dropZone.classList.remove('drag-over');
+        }
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('drag-over');
+        
+        // Items dragged from the local pane
+        if (e.dataTransfer.types.includes(LOCAL_DRAG_TYPE)) {
+            addFilesToSelection(JSON.parse(e.dataTransfer.getData(LOCAL_DRAG_TYPE) || '[]'));
+            return;
+        }
+        
+        // Files and folders dragged from the operating system
+        const entries = Array.from(e.dataTransfer.items || []).map(item => item.webkitGetAsEntry && item.webkitGetAsEntry());
+        const files = Array.from(e.dataTransfer.files).map((file, index) => ({
+            path: file.path,
+            name: file.name,
+            size: file.size,
+            type: entries[index] && entries[index].isDirectory ? 'directory' : 'file'
+        }));
+        addFilesToSelection(files);
+    });
+
+    // Browse button functionality
+    browseBtn.addEventListener('click', () => browseForUpload(false));
+    browseFolderBtn.addEventListener('click', () => browseForUpload(true));
+
+    // Upload button functionality
+    uploadBtn.addEventListener('click', async () => {
+        if (selectedFiles.length === 0) {
+            showNotification('Please select files to upload', 'warning');
+            return;
+        }
+
+        await uploadSelectedFiles();
     });
 
     // Setup upload progress listener
@@ -1824,21 +5220,39 @@ function initializeUploadFunctionality() {
         uploadProgressCleanup();
     }
     uploadProgressCleanup = window.electronAPI.ftp.onUploadProgress((data) => {
-        updateUploadProgress(data);
+        if (data.sessionId === appState.activeSessionId) {
+            updateUploadProgress(data);
+        }
     });
+    
+    updateSelectedFilesList();
+}
+
+async function browseForUpload(directories) {
+    try {
+        const result = await window.electronAPI.dialog.openFiles({ directories });
+        if (!result.cancelled && result.filePaths.length > 0) {
+            const files = result.filePaths.map(path => ({ path, type: directories ? 'directory' : 'file' }));
+            addFilesToSelection(files);
+        }
+    } catch (error) {
+        console.error('Error opening file dialog:', error);
+        showNotification('Error opening file dialog', 'error');
+    }
 }
 
 function addFilesToSelection(files) {
     files.forEach(file => {
         const filePath = file.path || file.name;
-        const fileName = filePath.split(/[\\/]/).pop();
+        const fileName = filePath.split(/[\\/]/).filter(Boolean).pop() || filePath;
         
         // Check if file already selected
         if (!selectedFiles.find(f => f.path === filePath)) {
             selectedFiles.push({
                 path: filePath,
                 name: fileName,
-                size: file.size || 0
+                size: file.size || 0,
+                type: file.type === 'directory' ? 'directory' : 'file'
             });
         }
     });
@@ -1847,26 +5261,37 @@ function addFilesToSelection(files) {
 }
 
 function updateSelectedFilesList() {
-    const selectedFilesList = document.getElementById('selected-files-list');
-    const uploadControls = document.querySelector('.upload-controls');
+    const selectedFilesList = document.getElementById('selectedFilesList');
+    const selectedFilesItems = document.getElementById('selectedFilesItems');
+    const uploadBtn = document.getElementById('uploadSelectedBtn');
+    const uploadInfo = document.getElementById('uploadInfo');
+    
+    uploadBtn.disabled = selectedFiles.length === 0;
     
     if (selectedFiles.length === 0) {
-        selectedFilesList.innerHTML = '<p class="no-files">No files selected</p>';
-        uploadControls.style.display = 'none';
+        selectedFilesList.style.display = 'none';
+        selectedFilesItems.innerHTML = '';
+        uploadInfo.textContent = 'No files selected';
         return;
     }
     
-    uploadControls.style.display = 'flex';
+    const folderCount = selectedFiles.filter(file => file.type === 'directory').length;
+    const fileCount = selectedFiles.length - folderCount;
+    uploadInfo.textContent = folderCount > 0
+        ? `${fileCount} file, ${folderCount} folder selected`
+        : `${fileCount} file(s) selected`;
     
-    selectedFilesList.innerHTML = selectedFiles.map((file, index) => `
+    selectedFilesList.style.display = 'block';
+    selectedFilesItems.innerHTML = selectedFiles.map((file, index) => `
         <div class="file-item">
-            <div class="file-info">
-                <span class="file-name">${escapeHtml(file.name)}</span>
-                <span class="file-size">${formatFileSize(file.size)}</span>
+            <div class="file-item-info">
+                <span class="file-item-icon">${file.type === 'directory' ? '📁' : getFileIcon(file.name)}</span>
+                <div class="file-item-details">
+                    <span class="file-item-name">${escapeHtml(file.name)}</span>
+                    <span class="file-item-size">${file.type === 'directory' ? 'Folder (termasuk subfolder)' : formatFileSize(file.size)}</span>
+                </div>
             </div>
-            <button class="remove-file-btn" onclick="removeFileFromSelection('${index}')">
-                <i class="fas fa-times"></i>
-            </button>
+            <button class="file-item-remove" onclick="removeFileFromSelection(${index})" title="Remove">✕</button>
         </div>
     `).join('');
 }
@@ -1877,73 +5302,124 @@ function removeFileFromSelection(index) {
 }
 
 async function uploadSelectedFiles() {
-    if (!currentPath) {
+    if (!appState.selectedFtpPath) {
         showNotification('Please navigate to a directory first', 'warning');
         return;
     }
 
-    const uploadBtn = document.getElementById('upload-btn');
-    const clearBtn = document.getElementById('clear-btn');
+    const uploaded = await uploadToFTPDirectory(selectedFiles, appState.selectedFtpPath);
+    if (uploaded) {
+        selectedFiles = [];
+        updateSelectedFilesList();
+    }
+}
+
+// Queue files and folders (recursively) for upload into a remote directory.
+// Progress and the final summary come from the transfer queue events.
+async function uploadToFTPDirectory(files, remoteDir) {
+    const uploadBtn = document.getElementById('uploadSelectedBtn');
     
     try {
         uploadBtn.disabled = true;
-        clearBtn.disabled = true;
-        showUploadProgress();
-        
-        // Prepare files for upload
-        const filesToUpload = selectedFiles.map(file => ({
-            localPath: file.path,
-            remotePath: currentPath + '/' + file.name
-        }));
         
-        const result = await window.electronAPI.ftp.uploadMultiple(filesToUpload);
+        const result = await electronAPI.transfers.enqueueUpload(
+            appState.activeSessionId,
+            files.map(file => file.path),
+            remoteDir
+        );
         
-        if (result.success) {
-            showNotification(`Successfully uploaded ${selectedFiles.length} file(s)`, 'success');
-            selectedFiles = [];
-            updateSelectedFilesList();
-            hideUploadProgress();
-            
-            // Refresh the current directory
-            await loadDirectory(currentPath);
-        } else {
+        if (!result.success) {
             throw new Error(result.error || 'Upload failed');
         }
+        
+        showUploadProgress();
+        activeUploadBatchId = result.batchId;
+        const label = files.length === 1 ? files[0].name : `${files.length} item`;
+        trackTransferBatch(result, { direction: 'upload', label, sessionId: appState.activeSessionId, remoteDir });
+        showNotification(`${result.files} file ditambahkan ke antrian upload`, 'info');
+        
+        return true;
     } catch (error) {
         console.error('Upload error:', error);
         showNotification(`Upload failed: ${error.message}`, 'error');
-        hideUploadProgress();
+        return false;
     } finally {
-        uploadBtn.disabled = false;
-        clearBtn.disabled = false;
+        uploadBtn.disabled = selectedFiles.length === 0;
     }
 }
 
 function showUploadProgress() {
-    const uploadProgress = document.getElementById('upload-progress');
+    const uploadProgress = document.getElementById('uploadProgress');
+    const progressItems = document.getElementById('progressItems');
+    
+    progressItems.innerHTML = `
+        <div class="progress-item">
+            <div class="progress-item-header">
+                <span class="progress-item-name">Total</span>
+                <span class="progress-item-status uploading" id="uploadOverallStatus">Preparing...</span>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-bar-fill" id="uploadOverallFill" style="width: 0%"></div>
+            </div>
+        </div>
+        <div class="progress-item">
+            <div class="progress-item-header">
+                <span class="progress-item-name" id="uploadFileName">-</span>
+                <span class="progress-item-status uploading" id="uploadFileStatus">0%</span>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-bar-fill" id="uploadFileFill" style="width: 0%"></div>
+            </div>
+        </div>
+    `;
     uploadProgress.style.display = 'block';
-    updateUploadProgress({ progress: 0, transferred: 0, total: 0 });
 }
 
 function hideUploadProgress() {
-    const uploadProgress = document.getElementById('upload-progress');
+    const uploadProgress = document.getElementById('uploadProgress');
     uploadProgress.style.display = 'none';
 }
 
 function updateUploadProgress(data) {
-    const progressBar = document.getElementById('progress-bar');
-    const progressText = document.getElementById('progress-text');
-    
     const percentage = Math.round(data.progress || 0);
-    progressBar.style.width = `${percentage}%`;
     
-    if (data.transferred && data.total) {
-        progressText.textContent = `${formatFileSize(data.transferred)} / ${formatFileSize(data.total)} (${percentage}%)`;
-    } else {
-        progressText.textContent = `${percentage}%`;
+    if (data.type === 'overall') {
+        const fill = document.getElementById('uploadOverallFill');
+        const status = document.getElementById('uploadOverallStatus');
+        if (fill) fill.style.width = `${percentage}%`;
+        if (status) {
+            status.textContent = `${data.completed + data.failed} / ${data.totalFiles} file • ${formatFileSize(data.transferred)} / ${formatFileSize(data.total)} (${percentage}%)`;
+        }
+        return;
+    }
+    
+    const fill = document.getElementById('uploadFileFill');
+    const name = document.getElementById('uploadFileName');
+    const status = document.getElementById('uploadFileStatus');
+    if (fill) fill.style.width = `${percentage}%`;
+    if (name) name.textContent = data.fileName || data.remotePath || '-';
+    if (status) {
+        status.textContent = data.transferred && data.total
+            ? `${formatFileSize(data.transferred)} / ${formatFileSize(data.total)} (${percentage}%)`
+            : `${percentage}%`;
     }
 }
 
+// List skipped and failed entries below the progress bars after an upload
+function showUploadSummary(problems) {
+    const progressItems = document.getElementById('progressItems');
+    
+    progressItems.insertAdjacentHTML('beforeend', problems.map(problem => `
+        <div class="progress-item">
+            <div class="progress-item-header">
+                <span class="progress-item-name">${escapeHtml(problem.path)}</span>
+                <span class="progress-item-status error">${problem.label}</span>
+            </div>
+            <div class="file-item-size">${escapeHtml(problem.message || '')}</div>
+        </div>
+    `).join(''));
+}
+
 // Delete functionality
 let selectedItems = new Set();
 let deleteProgressCleanup = null;
@@ -1992,6 +5468,13 @@ function updateDeleteInfo() {
     if (deleteBtn) {
         deleteBtn.disabled = selectedItems.size === 0;
     }
+    
+    ['duplicateSelectedBtn', 'copySelectedToBtn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = selectedItems.size === 0;
+        }
+    });
 }
 
 function selectAllItems() {
@@ -2068,10 +5551,45 @@ async function deleteSelectedItems() {
     try {
         showDeleteProgress();
         
-        const result = await window.electronAPI.ftp.deleteMultiple(items);
+        const result = await window.electronAPI.ftp.deleteMultiple(appState.activeSessionId, items);
         
         if (result.success) {
-            showNotification(`Successfully deleted ${items.length} item${items.length > 1 ? 's' : ''}`, 'success');
+            // Files locked by someone else were skipped; ask before deleting them anyway
+            const locked = result.results.filter(entry => entry.code === 'ELOCKED');
+            const failed = result.results.filter(entry => !entry.success && entry.code !== 'ELOCKED');
+            let skipped = [];
+            if (locked.length > 0) {
+                hideDeleteProgress();
+                const force = await window.electronAPI.dialog.showMessageBox({
+                    type: 'warning',
+                    buttons: ['Hapus Tetap', 'Lewati'],
+                    defaultId: 1,
+                    cancelId: 1,
+                    message: `${locked.length} file sedang dikunci pengguna lain`,
+                    detail: locked.map(entry => `${entry.item.name}: ${describeLock(entry.lock)}`).join('\n')
+                });
+                if (force.response === 0) {
+                    showDeleteProgress();
+                    const forced = await window.electronAPI.ftp.deleteMultiple(appState.activeSessionId, locked.map(entry => entry.item), { force: true });
+                    if (forced.success) {
+                        failed.push(...forced.results.filter(entry => !entry.success));
+                    } else {
+                        failed.push(...locked.map(entry => ({ ...entry, error: forced.error })));
+                    }
+                } else {
+                    skipped = locked;
+                }
+            }
+            
+            const deletedCount = items.length - skipped.length - failed.length;
+            if (failed.length > 0) {
+                failed.forEach(entry => console.error(`Delete failed for ${entry.item.path}:`, entry.error));
+                showNotification(`${deletedCount} item dihapus, ${failed.length} gagal (${failed[0].item.name}: ${failed[0].error})${skipped.length > 0 ? `, ${skipped.length} dilewati karena dikunci` : ''}`, 'warning');
+            } else if (skipped.length > 0) {
+                showNotification(`${deletedCount} item dihapus, dilewati karena dikunci: ${skipped.map(entry => entry.item.name).join(', ')}`, 'warning');
+            } else {
+                showNotification(`Successfully deleted ${items.length} item${items.length > 1 ? 's' : ''}`, 'success');
+            }
             
             // Clear selection and refresh directory
             selectedItems.clear();
@@ -2079,7 +5597,7 @@ async function deleteSelectedItems() {
             hideDeleteProgress();
             
             // Refresh the current directory
-            await loadDirectory(currentPath);
+            await refreshCurrentFTPDirectory();
         } else {
             throw new Error(result.error || 'Delete operation failed');
         }
@@ -2162,9 +5680,27 @@ if (document.readyState === 'loading') {
         initializeUploadFunctionality();
         initializeDeleteFunctionality();
         initializeFileEditor();
+        initializeLocalPane();
+        initializeTransferQueue();
+        initializeFolderSync();
+        initializePublishFolder();
+        initializeRemoteRename();
+        initializeRemoteCopy();
+        initializeProperties();
+        initializeRemoteSearch();
+        initializeChat();
     });
 } else {
     initializeUploadFunctionality();
     initializeDeleteFunctionality();
     initializeFileEditor();
+    initializeLocalPane();
+    initializeTransferQueue();
+    initializeFolderSync();
+    initializePublishFolder();
+    initializeRemoteRename();
+    initializeRemoteCopy();
+    initializeProperties();
+    initializeRemoteSearch();
+    initializeChat();
 }
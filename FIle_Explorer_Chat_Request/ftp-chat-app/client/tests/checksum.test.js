@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getServerHash, getServerHashSupport } = require('../utils/checksum');
+
+const SHA256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+const MD5 = 'D41D8CD98F00B204E9800998ECF8427E';
+
+// Minimal stand-in for basic-ftp's Client: records commands and answers from a table
+function createClient(replies, features) {
+  const sent = [];
+  return {
+    sent,
+    send: async (command) => {
+      sent.push(command);
+      const reply = replies[command.split(' ')[0]];
+      if (reply === undefined) throw new Error(`500 Unknown command ${command}`);
+      return { code: Number(reply.slice(0, 3)), message: reply };
+    },
+    features: async () => {
+      if (features instanceof Error) throw features;
+      return new Map(Object.entries(features || {}));
+    }
+  };
+}
+
+test('HASH selects the algorithm first and reads the hash from the reply', async () => {
+  const client = createClient({ OPTS: '200 SHA-256', HASH: `213 SHA-256 0-1024 ${SHA256} /www/index.html` });
+  const hash = await getServerHash(client, '/www/index.html', { command: 'HASH', algorithm: 'SHA-256' });
+  assert.equal(hash, SHA256);
+  assert.deepEqual(client.sent, ['OPTS HASH SHA-256', 'HASH /www/index.html']);
+});
+
+test('X commands are sent as is and the hash is lowercased', async () => {
+  const client = createClient({ XMD5: `250 ${MD5}` });
+  const hash = await getServerHash(client, '/a.txt', { command: 'XMD5', algorithm: 'MD5' });
+  assert.equal(hash, MD5.toLowerCase());
+  assert.deepEqual(client.sent, ['XMD5 /a.txt']);
+});
+
+test('CRC32 replies without leading zeros are padded', async () => {
+  const client = createClient({ XCRC: '250 ABCDEF' });
+  assert.equal(await getServerHash(client, '/a.txt', { command: 'XCRC', algorithm: 'CRC32' }), '00abcdef');
+});
+
+test('replies without a hash of the expected length are rejected', async () => {
+  const client = createClient({ XSHA256: '250 deadbeef', XCRC: '250 File not found' });
+  await assert.rejects(getServerHash(client, '/a.txt', { command: 'XSHA256', algorithm: 'SHA-256' }), /Unexpected XSHA256 reply/);
+  await assert.rejects(getServerHash(client, '/a.txt', { command: 'XCRC', algorithm: 'CRC32' }), /Unexpected XCRC reply/);
+});
+
+test('HASH support picks the strongest offered algorithm and is cached per client', async () => {
+  const client = createClient({}, { hash: 'CRC32;MD5*;SHA-1', XSHA256: '' });
+  assert.deepEqual(await getServerHashSupport(client), { command: 'HASH', algorithm: 'SHA-1' });
+
+  client.features = async () => { throw new Error('FEAT must not be sent twice'); };
+  assert.deepEqual(await getServerHashSupport(client), { command: 'HASH', algorithm: 'SHA-1' });
+});
+
+test('X commands are used when HASH is missing or offers nothing usable', async () => {
+  assert.deepEqual(await getServerHashSupport(createClient({}, { XMD5: '', XCRC: '' })), { command: 'XMD5', algorithm: 'MD5' });
+  assert.deepEqual(await getServerHashSupport(createClient({}, { HASH: 'SHA-512', XCRC: '' })), { command: 'XCRC', algorithm: 'CRC32' });
+});
+
+test('servers without hash commands or without FEAT get no server-side hashing', async () => {
+  assert.equal(await getServerHashSupport(createClient({}, { MDTM: '', SIZE: '' })), null);
+  assert.equal(await getServerHashSupport(createClient({}, new Error('500 FEAT not understood'))), null);
+  assert.equal(await getServerHashSupport({ send: async () => {} }), null);
+});
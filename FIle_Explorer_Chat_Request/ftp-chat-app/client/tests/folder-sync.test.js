@@ -0,0 +1,50 @@
+require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SYNC_MODES, SYNC_ACTIONS, compareFiles, isUnscanned } = require('../utils/folder-sync');
+
+const BASE = Date.UTC(2024, 0, 1);
+
+function file(size, mtime) {
+  return { size, mtime };
+}
+
+test('one-way sync copies files that differ in size or are newer on the source side', () => {
+  assert.equal(compareFiles(file(10, BASE), file(20, BASE), SYNC_MODES.LOCAL_TO_REMOTE), SYNC_ACTIONS.UPLOAD);
+  assert.equal(compareFiles(file(10, BASE + 60000), file(10, BASE), SYNC_MODES.LOCAL_TO_REMOTE), SYNC_ACTIONS.UPLOAD);
+  assert.equal(compareFiles(file(10, BASE), file(10, BASE + 60000), SYNC_MODES.LOCAL_TO_REMOTE), null);
+
+  assert.equal(compareFiles(file(10, BASE), file(20, BASE), SYNC_MODES.REMOTE_TO_LOCAL), SYNC_ACTIONS.DOWNLOAD);
+  assert.equal(compareFiles(file(10, BASE), file(10, BASE + 60000), SYNC_MODES.REMOTE_TO_LOCAL), SYNC_ACTIONS.DOWNLOAD);
+  assert.equal(compareFiles(file(10, BASE + 60000), file(10, BASE), SYNC_MODES.REMOTE_TO_LOCAL), null);
+});
+
+test('two-way sync copies the newer side and reports same-age size differences as conflicts', () => {
+  assert.equal(compareFiles(file(10, BASE + 60000), file(20, BASE), SYNC_MODES.TWO_WAY), SYNC_ACTIONS.UPLOAD);
+  assert.equal(compareFiles(file(10, BASE), file(20, BASE + 60000), SYNC_MODES.TWO_WAY), SYNC_ACTIONS.DOWNLOAD);
+  assert.equal(compareFiles(file(10, BASE), file(20, BASE), SYNC_MODES.TWO_WAY), 'conflict');
+  assert.equal(compareFiles(file(10, BASE), file(10, BASE), SYNC_MODES.TWO_WAY), null);
+});
+
+test('modification times within two seconds count as equal', () => {
+  for (const mode of Object.values(SYNC_MODES)) {
+    assert.equal(compareFiles(file(10, BASE + 2000), file(10, BASE), mode), null, mode);
+    assert.equal(compareFiles(file(10, BASE), file(10, BASE + 2000), mode), null, mode);
+  }
+  assert.equal(compareFiles(file(10, BASE + 2001), file(10, BASE), SYNC_MODES.TWO_WAY), SYNC_ACTIONS.UPLOAD);
+});
+
+test('files without a remote modification time are compared by size only', () => {
+  assert.equal(compareFiles(file(10, BASE + 60000), file(10, null), SYNC_MODES.LOCAL_TO_REMOTE), null);
+  assert.equal(compareFiles(file(10, BASE), file(20, null), SYNC_MODES.TWO_WAY), 'conflict');
+});
+
+test('isUnscanned covers the skipped path, everything inside it and the folders above it', () => {
+  const skipped = [{ relativePath: 'assets/private' }];
+  assert.equal(isUnscanned('assets/private', skipped), true);
+  assert.equal(isUnscanned('assets/private/key.pem', skipped), true);
+  assert.equal(isUnscanned('assets', skipped), true);
+  assert.equal(isUnscanned('assets/private-old', skipped), false);
+  assert.equal(isUnscanned('asset', skipped), false);
+  assert.equal(isUnscanned('index.html', []), false);
+});
@@ -0,0 +1,23 @@
+require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ftpClient = require('../utils/ftp-client');
+
+test('getSession only resolves sessions made by createSession', async () => {
+  const info = ftpClient.createSession('profile-1');
+  const session = ftpClient.getSession(info.id);
+  assert.equal(session.id, info.id);
+  assert.equal(session.profileId, 'profile-1');
+  assert.equal(ftpClient.getSession(session), session);
+
+  await ftpClient.closeSession(info.id);
+  assert.throws(() => ftpClient.getSession(info.id), new RegExp(`Session not found: ${info.id}`));
+});
+
+test('unknown and missing session ids throw instead of creating a session', () => {
+  const before = ftpClient.listSessions().length;
+  for (const sessionId of ['default', 'session_unknown', undefined, null]) {
+    assert.throws(() => ftpClient.getSession(sessionId), /Session not found/, String(sessionId));
+  }
+  assert.equal(ftpClient.listSessions().length, before);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { globToRegExp } = require('../utils/glob');
+
+function matches(pattern, paths) {
+  const regex = globToRegExp(pattern);
+  return paths.filter(relativePath => regex.test(relativePath));
+}
+
+test('name patterns match at any depth', () => {
+  assert.deepEqual(matches('*.tmp', ['a.tmp', 'src/b.tmp', 'a.tmpx', 'tmp']), ['a.tmp', 'src/b.tmp']);
+});
+
+test('"*" and "?" stay inside one path segment', () => {
+  assert.deepEqual(matches('src/*.map', ['src/a.map', 'src/lib/a.map', 'other/src/a.map']), ['src/a.map']);
+  assert.deepEqual(matches('file?.txt', ['file1.txt', 'file12.txt', 'file/.txt']), ['file1.txt']);
+});
+
+test('"**" spans folders and "**/" also matches zero folders', () => {
+  assert.deepEqual(matches('src/**/*.js', ['src/a.js', 'src/lib/deep/b.js', 'test/a.js']), ['src/a.js', 'src/lib/deep/b.js']);
+  assert.deepEqual(matches('**/cache', ['cache', 'a/b/cache', 'cached']), ['cache', 'a/b/cache']);
+});
+
+test('folder patterns cover everything inside the folder', () => {
+  for (const pattern of ['node_modules', 'node_modules/', 'node_modules/**']) {
+    assert.deepEqual(
+      matches(pattern, ['node_modules', 'node_modules/x/index.js', 'app/node_modules/y', 'node_modules_old']),
+      ['node_modules', 'node_modules/x/index.js', 'app/node_modules/y'],
+      pattern
+    );
+  }
+});
+
+test('a leading slash anchors the pattern at the root', () => {
+  assert.deepEqual(matches('/build', ['build', 'build/out.js', 'app/build']), ['build', 'build/out.js']);
+});
+
+test('regex characters and backslashes in patterns are taken literally', () => {
+  assert.deepEqual(matches('a+b(1).txt', ['a+b(1).txt', 'aab1.txt']), ['a+b(1).txt']);
+  assert.deepEqual(matches('logs\\*.log', ['logs/x.log', 'x.log']), ['logs/x.log']);
+});
+
+test('matching ignores case', () => {
+  assert.ok(globToRegExp('*.JPG').test('photos/Holiday.jpg'));
+});
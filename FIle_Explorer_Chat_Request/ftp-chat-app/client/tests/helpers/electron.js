@@ -0,0 +1,30 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+// The utils modules only need app.getPath('userData') from Electron. Tests load this first so
+// they run under plain Node, with userData (and HOME, for ~/.ssh/known_hosts) in a temp folder.
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'ftp-explorer-test-'));
+process.env.HOME = userData;
+process.on('exit', () => fs.rmSync(userData, { recursive: true, force: true }));
+
+const ELECTRON_ID = path.join(__dirname, 'electron-app-stub');
+const electron = new Module(ELECTRON_ID);
+electron.filename = ELECTRON_ID;
+electron.loaded = true;
+electron.exports = {
+  app: {
+    getPath: () => userData
+  }
+};
+require.cache[ELECTRON_ID] = electron;
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+  return request === 'electron' ? ELECTRON_ID : resolveFilename.call(this, request, ...args);
+};
+
+module.exports = {
+  userData
+};
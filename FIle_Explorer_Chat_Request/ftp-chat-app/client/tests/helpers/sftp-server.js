@@ -0,0 +1,62 @@
+const { Server, utils } = require('ssh2');
+
+const { STATUS_CODE } = utils.sftp;
+const S_IFREG = 0o100000;
+
+// A local ssh2 SFTP server for tests: accepts any password and serves a read-only set of
+// in-memory files ({ '/path': Buffer }). Resolves with the server, its port and its host key.
+async function startSftpServer(files = {}) {
+  const hostKey = utils.generateKeyPairSync('ed25519');
+  const server = new Server({ hostKeys: [hostKey.private] }, (client) => {
+    client.on('authentication', ctx => (ctx.method === 'password' ? ctx.accept() : ctx.reject(['password'])));
+    client.on('error', () => {});
+    client.on('ready', () => {
+      client.on('session', (acceptSession) => {
+        acceptSession().on('sftp', (acceptSftp) => serveFiles(acceptSftp(), files));
+      });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    server,
+    port: server.address().port,
+    publicKey: utils.parseKey(hostKey.public),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function serveFiles(sftp, files) {
+  const handles = new Map(); // handle id -> file contents
+  let nextHandle = 0;
+
+  const statFile = (reqid, content) => {
+    if (!content) return sftp.status(reqid, STATUS_CODE.NO_SUCH_FILE);
+    sftp.attrs(reqid, { mode: S_IFREG | 0o644, size: content.length, uid: 0, gid: 0, atime: 0, mtime: 0 });
+  };
+
+  sftp.on('OPEN', (reqid, filename) => {
+    if (!files[filename]) return sftp.status(reqid, STATUS_CODE.NO_SUCH_FILE);
+    const handle = Buffer.alloc(4);
+    handle.writeUInt32BE(nextHandle++);
+    handles.set(handle.toString('hex'), files[filename]);
+    sftp.handle(reqid, handle);
+  });
+  sftp.on('READ', (reqid, handle, offset, length) => {
+    const content = handles.get(handle.toString('hex'));
+    if (!content) return sftp.status(reqid, STATUS_CODE.FAILURE);
+    if (offset >= content.length) return sftp.status(reqid, STATUS_CODE.EOF);
+    sftp.data(reqid, content.subarray(offset, offset + length));
+  });
+  sftp.on('FSTAT', (reqid, handle) => statFile(reqid, handles.get(handle.toString('hex'))));
+  sftp.on('STAT', (reqid, filename) => statFile(reqid, files[filename]));
+  sftp.on('LSTAT', (reqid, filename) => statFile(reqid, files[filename]));
+  sftp.on('CLOSE', (reqid, handle) => {
+    handles.delete(handle.toString('hex'));
+    sftp.status(reqid, STATUS_CODE.OK);
+  });
+}
+
+module.exports = {
+  startSftpServer
+};
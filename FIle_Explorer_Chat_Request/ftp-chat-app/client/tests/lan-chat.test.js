@@ -0,0 +1,138 @@
+const { userData } = require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { LanNetwork } = require('../utils/lan-network');
+const { LanChat, MESSAGE_KINDS, normalizeSharedFile } = require('../utils/lan-chat');
+
+// Two clients whose networks are wired back to back instead of over multicast: every packet
+// one of them sends arrives at the other's packet handler, as the UDP socket would deliver it
+function createClients() {
+  const networks = [new LanNetwork(), new LanNetwork()];
+  networks[0].name = 'alice';
+  networks[1].name = 'bob';
+  networks.forEach((network, index) => {
+    const other = networks[1 - index];
+    network.socket = {
+      send: (buffer, port, group, callback) => {
+        setImmediate(() => other._onPacket(buffer, { address: `127.0.0.${index + 1}` }));
+        callback();
+      }
+    };
+  });
+
+  const chats = networks.map((network, index) => {
+    const chat = new LanChat(network);
+    chat.getHistoryPath = () => path.join(userData, `lan-chat-${network.name}-${index}.json`);
+    return chat;
+  });
+  return { networks, chats };
+}
+
+function nextMessage(chat) {
+  return new Promise(resolve => chat.once('message', resolve));
+}
+
+const SHARED_FILE = {
+  profile: { name: 'Web', host: 'ftp.example.com', port: '21', protocol: 'ftp', password: 'secret' },
+  path: '/www/index.html',
+  size: 120,
+  modifiedAt: '2024-03-01T10:00:00Z'
+};
+
+test('normalizeSharedFile keeps only the fields a file card needs', () => {
+  assert.deepEqual(normalizeSharedFile(SHARED_FILE), {
+    profile: { name: 'Web', host: 'ftp.example.com', port: 21, protocol: 'ftp' },
+    path: '/www/index.html',
+    name: 'index.html',
+    size: 120,
+    modifiedAt: '2024-03-01T10:00:00.000Z'
+  });
+});
+
+test('normalizeSharedFile rejects files without a server or an absolute path', () => {
+  assert.equal(normalizeSharedFile(null), null);
+  assert.equal(normalizeSharedFile({ ...SHARED_FILE, path: 'www/index.html' }), null);
+  assert.equal(normalizeSharedFile({ ...SHARED_FILE, profile: {} }), null);
+});
+
+test('normalizeSharedFile drops invalid sizes and dates', () => {
+  const file = normalizeSharedFile({ ...SHARED_FILE, size: '1e999', modifiedAt: { year: 2024 } });
+  assert.equal(file.size, 0);
+  assert.equal(file.modifiedAt, null);
+});
+
+test('a message sent by one client shows up in the history of the other', async () => {
+  const { networks, chats } = createClients();
+  await Promise.all(chats.map(chat => chat.init()));
+
+  const received = nextMessage(chats[1]);
+  const sent = await chats[0].send('  halo bob  ');
+  const message = await received;
+
+  assert.equal(message.id, sent.id);
+  assert.equal(message.text, 'halo bob');
+  assert.equal(message.own, false);
+  assert.deepEqual(message.from, { id: networks[0].id, name: 'alice', host: networks[0].hostName });
+  assert.equal(chats[0].getHistory()[0].own, true);
+  assert.equal(chats[1].getHistory().length, 1);
+});
+
+test('shared files travel as file messages', async () => {
+  const { chats } = createClients();
+  await Promise.all(chats.map(chat => chat.init()));
+
+  const received = nextMessage(chats[1]);
+  await chats[0].shareFile(SHARED_FILE, 'cek ini');
+  const message = await received;
+
+  assert.equal(message.kind, MESSAGE_KINDS.FILE);
+  assert.equal(message.text, 'cek ini');
+  assert.equal(message.file.profile.password, undefined);
+  assert.equal(message.file.path, '/www/index.html');
+});
+
+test('received messages keep only known fields and the packet sender', async () => {
+  const { networks, chats } = createClients();
+  await chats[1].init();
+
+  const received = nextMessage(chats[1]);
+  await networks[0].send('chat', {
+    message: { id: 'm1', text: 'hi', sentAt: 'yesterday', own: true, from: { id: 'someone-else' }, extra: { big: true } }
+  });
+  const message = await received;
+
+  assert.deepEqual(Object.keys(message).sort(), ['file', 'from', 'id', 'kind', 'own', 'receivedAt', 'sentAt', 'text']);
+  assert.equal(message.own, false);
+  assert.equal(message.from.id, networks[0].id);
+  assert.equal(message.sentAt, message.receivedAt);
+});
+
+test('duplicate, id-less and oversized-id messages are ignored', async () => {
+  const { networks, chats } = createClients();
+  await chats[1].init();
+
+  const received = [];
+  chats[1].on('message', message => received.push(message.id));
+  for (const message of [{ id: 'dup', text: 'a' }, { id: 'dup', text: 'b' }, { text: 'no id' }, { id: 7 }, { id: 'x'.repeat(65) }]) {
+    await networks[0].send('chat', { message });
+  }
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(received, ['dup']);
+});
+
+test('the history is saved and restored on the next start', async () => {
+  const { chats } = createClients();
+  await Promise.all(chats.map(chat => chat.init()));
+
+  const received = nextMessage(chats[1]);
+  await chats[0].send('tersimpan');
+  await received;
+  await chats[1].shutdown();
+
+  const restarted = new LanChat(new LanNetwork());
+  restarted.getHistoryPath = chats[1].getHistoryPath;
+  await restarted.init();
+  assert.deepEqual(restarted.getHistory().map(message => message.text), ['tersimpan']);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LanNetwork, toPeerText, normalizeDetails } = require('../utils/lan-network');
+
+function receive(network, packet) {
+  const buffer = Buffer.isBuffer(packet) ? packet : Buffer.from(JSON.stringify(packet));
+  network._onPacket(buffer, { address: '192.168.1.20' });
+}
+
+function announcement(from, details = {}) {
+  return { app: 'ftp-chat-app', version: 1, type: 'announce', from, details };
+}
+
+test('toPeerText trims, stringifies and caps peer names', () => {
+  assert.equal(toPeerText('  alice  '), 'alice');
+  assert.equal(toPeerText(42), '42');
+  assert.equal(toPeerText(null), '');
+  assert.equal(toPeerText(undefined), '');
+  assert.equal(toPeerText('x'.repeat(100)).length, 64);
+});
+
+test('normalizeDetails keeps only a valid transfer port and an activity list', () => {
+  assert.deepEqual(normalizeDetails({ transferPort: 4000, activity: [], extra: 'x' }), { transferPort: 4000, activity: [] });
+  assert.deepEqual(normalizeDetails({ transferPort: '4000' }), {});
+  assert.deepEqual(normalizeDetails({ transferPort: 0 }), {});
+  assert.deepEqual(normalizeDetails({ transferPort: 65536 }), {});
+  assert.deepEqual(normalizeDetails({ transferPort: 80.5, activity: 'busy' }), {});
+  assert.deepEqual(normalizeDetails(['not', 'an', 'object']), {});
+  assert.deepEqual(normalizeDetails(null), {});
+});
+
+test('announcements add a peer with sanitized identity fields', () => {
+  const network = new LanNetwork();
+  receive(network, announcement({ id: 'peer-1', name: ` ${'n'.repeat(80)} `, host: 1234 }, { transferPort: 5000 }));
+
+  const peer = network.getPeer('peer-1');
+  assert.equal(peer.name, 'n'.repeat(64));
+  assert.equal(peer.host, '1234');
+  assert.equal(peer.address, '192.168.1.20');
+  assert.deepEqual(peer.details, { transferPort: 5000 });
+});
+
+test('malformed packets are dropped without throwing', () => {
+  const network = new LanNetwork();
+  const packets = [
+    Buffer.from('not json'),
+    Buffer.from('null'),
+    { app: 'other-app', type: 'announce', from: { id: 'x' } },
+    { app: 'ftp-chat-app', type: 'announce', from: 'x' },
+    { app: 'ftp-chat-app', type: 'announce', from: { id: 12 } },
+    { app: 'ftp-chat-app', type: 'announce', from: { id: 'x'.repeat(65) } },
+    { app: 'ftp-chat-app', type: 'announce', from: { id: network.id } }
+  ];
+
+  for (const packet of packets) {
+    assert.doesNotThrow(() => receive(network, packet));
+  }
+  assert.equal(network.getPeers().length, 0);
+});
+
+test('a bye packet removes the peer', () => {
+  const network = new LanNetwork();
+  receive(network, announcement({ id: 'peer-1', name: 'a' }));
+  receive(network, { app: 'ftp-chat-app', type: 'bye', from: { id: 'peer-1' } });
+  assert.equal(network.getPeer('peer-1'), null);
+});
@@ -0,0 +1,22 @@
+require('./helpers/electron');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { assertSafeRegex } = require('../utils/remote-search');
+
+test('repeated groups that repeat or alternate are rejected', () => {
+  for (const source of ['(a+)+', '(a|aa)*', '(a*){2,}', '((ab)+c)+', '(?:x+y)*']) {
+    assert.throws(() => assertSafeRegex(source), /Repeating a group/, source);
+  }
+});
+
+test('backreferences are rejected', () => {
+  for (const source of ['(a)\\1', '(?<name>a)\\k<name>']) {
+    assert.throws(() => assertSafeRegex(source), /Backreferences/, source);
+  }
+});
+
+test('ordinary patterns are allowed', () => {
+  for (const source of ['^a.*\\.php$', '(ab)+|[(+]+', '(jpg|png)$', 'report-\\d{4}', '\\(a+\\)+', '[a|b]+']) {
+    assert.doesNotThrow(() => assertSafeRegex(source), source);
+  }
+});
@@ -0,0 +1,102 @@
+const { userData } = require('./helpers/electron');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { utils } = require('ssh2');
+const { startSftpServer } = require('./helpers/sftp-server');
+const {
+  SFTPClient,
+  HOST_KEY_ERRORS,
+  trustHostKey,
+  getHostKeyFingerprint,
+  getAppKnownHostsPath
+} = require('../utils/sftp-client');
+
+const CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz'.repeat(1000));
+let sftpServer;
+
+async function connect() {
+  const client = new SFTPClient(5000);
+  await client.access({ host: '127.0.0.1', port: sftpServer.port, user: 'test', password: 'test' });
+  return client;
+}
+
+async function connectTrusted() {
+  const error = await connect().then(client => client.close(), error => error);
+  if (error) {
+    trustHostKey('127.0.0.1', sftpServer.port, error.certificate.fingerprint);
+  }
+  return connect();
+}
+
+before(async () => {
+  sftpServer = await startSftpServer({ '/data.bin': CONTENT });
+});
+
+after(async () => {
+  await sftpServer.close();
+});
+
+beforeEach(() => {
+  fs.rmSync(getAppKnownHostsPath(), { force: true });
+});
+
+test('an unknown host key is rejected with its fingerprint and not written to known_hosts', async () => {
+  const error = await connect().then(() => null, error => error);
+
+  assert.ok(error, 'connection should be refused');
+  assert.equal(error.code, HOST_KEY_ERRORS.UNKNOWN);
+  assert.equal(error.certificate.hostKey, true);
+  assert.equal(error.certificate.fingerprint, getHostKeyFingerprint(sftpServer.publicKey.getPublicSSH()));
+  assert.equal(fs.existsSync(getAppKnownHostsPath()), false);
+});
+
+test('a host key the user trusted is stored and accepted on the next connect', async () => {
+  const error = await connect().then(() => null, error => error);
+  trustHostKey('127.0.0.1', sftpServer.port, error.certificate.fingerprint);
+
+  const line = fs.readFileSync(getAppKnownHostsPath(), 'utf8').trim();
+  assert.equal(line, `[127.0.0.1]:${sftpServer.port} ssh-ed25519 ${sftpServer.publicKey.getPublicSSH().toString('base64')}`);
+
+  const client = await connect();
+  assert.equal(client.closed, false);
+  client.close();
+});
+
+test('only a fingerprint seen while connecting can be trusted', () => {
+  assert.throws(() => trustHostKey('127.0.0.1', sftpServer.port, 'SHA256:not-a-pending-key'), /No pending host key/);
+  assert.equal(fs.existsSync(getAppKnownHostsPath()), false);
+});
+
+test('a changed host key is refused without offering to trust it', async () => {
+  const otherKey = utils.parseKey(utils.generateKeyPairSync('ed25519').public);
+  fs.mkdirSync(userData, { recursive: true });
+  fs.writeFileSync(getAppKnownHostsPath(), `[127.0.0.1]:${sftpServer.port} ssh-ed25519 ${otherKey.getPublicSSH().toString('base64')}\n`);
+
+  const error = await connect().then(() => null, error => error);
+  assert.match(error.message, /has changed/);
+  assert.equal(error.code, undefined);
+});
+
+test('downloadTo with startAt appends the rest of the file to the partial copy', async () => {
+  const client = await connectTrusted();
+  const localPath = path.join(userData, 'resumed.bin');
+  fs.writeFileSync(localPath, CONTENT.subarray(0, 1000));
+
+  await client.downloadTo(localPath, '/data.bin', 1000);
+  client.close();
+
+  assert.deepEqual(fs.readFileSync(localPath), CONTENT);
+});
+
+test('downloadTo with startAt starts over when the partial file is gone', async () => {
+  const client = await connectTrusted();
+  const localPath = path.join(userData, 'missing.bin');
+  fs.rmSync(localPath, { force: true });
+
+  await client.downloadTo(localPath, '/data.bin', 1000);
+  client.close();
+
+  assert.deepEqual(fs.readFileSync(localPath), CONTENT);
+});
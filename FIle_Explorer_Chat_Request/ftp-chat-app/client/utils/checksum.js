@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { createReadStream } = require('fs');
+const { Writable } = require('stream');
+
+// Algorithms we can compute locally, strongest first (names as used by the HASH command)
+const HASH_ALGORITHMS = {
+  'SHA-256': 'sha256',
+  'SHA-1': 'sha1',
+  'MD5': 'md5',
+  'CRC32': 'crc32'
+};
+
+// Older single-algorithm commands, checked when the server has no HASH
+const X_HASH_COMMANDS = [
+  { command: 'XSHA256', algorithm: 'SHA-256' },
+  { command: 'XSHA1', algorithm: 'SHA-1' },
+  { command: 'XMD5', algorithm: 'MD5' },
+  { command: 'XCRC', algorithm: 'CRC32' }
+];
+
+// Algorithm used when the server can't hash and the remote file is re-read instead
+const FALLBACK_ALGORITHM = 'SHA-256';
+
+let crcTable = null;
+
+function getCrcTable() {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+// Incremental hasher with the same update/digest shape for crypto hashes and CRC32
+function createHasher(algorithm) {
+  if (algorithm === 'CRC32') {
+    const table = getCrcTable();
+    let crc = 0xFFFFFFFF;
+    return {
+      update(chunk) {
+        for (let i = 0; i < chunk.length; i++) {
+          crc = table[(crc ^ chunk[i]) & 0xFF] ^ (crc >>> 8);
+        }
+      },
+      digest() {
+        return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+      }
+    };
+  }
+
+  const hash = crypto.createHash(HASH_ALGORITHMS[algorithm]);
+  return {
+    update: (chunk) => hash.update(chunk),
+    digest: () => hash.digest('hex')
+  };
+}
+
+// Hash a local file by streaming it from disk
+function hashLocalFile(localPath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hasher = createHasher(algorithm);
+    createReadStream(localPath)
+      .on('data', chunk => hasher.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hasher.digest()));
+  });
+}
+
+// Hash a remote file by reading it again over the data connection (nothing is stored)
+async function hashRemoteFile(client, remotePath, algorithm) {
+  const hasher = createHasher(algorithm);
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      hasher.update(chunk);
+      callback();
+    }
+  });
+
+  await client.downloadTo(sink, remotePath);
+  return hasher.digest();
+}
+
+// Find the best hash command the server advertises in FEAT. The result is cached on the client.
+// SFTP clients have no FEAT and always use the re-read fallback.
+async function getServerHashSupport(client) {
+  if (typeof client.features !== 'function') {
+    return null;
+  }
+  if (client._hashSupport !== undefined) {
+    return client._hashSupport;
+  }
+
+  let features = new Map();
+  try {
+    const advertised = await client.features();
+    features = new Map([...advertised].map(([name, value]) => [name.toUpperCase(), value || '']));
+  } catch (error) {
+    console.warn('Could not read server features:', error.message);
+  }
+
+  let support = null;
+  if (features.has('HASH')) {
+    // e.g. "SHA-256;SHA-1*;MD5" - the star marks the currently selected algorithm
+    const offered = features.get('HASH').split(';').map(name => name.replace('*', '').trim().toUpperCase());
+    const algorithm = Object.keys(HASH_ALGORITHMS).find(name => offered.includes(name));
+    if (algorithm) {
+      support = { command: 'HASH', algorithm };
+    }
+  }
+
+  if (!support) {
+    support = X_HASH_COMMANDS.find(entry => features.has(entry.command)) || null;
+  }
+
+  client._hashSupport = support;
+  return support;
+}
+
+// Ask the server for a file hash. Replies look like "213 SHA-256 0-1234 <hex> <file>"
+// for HASH and "250 <hex>" for the X commands.
+async function getServerHash(client, remotePath, support) {
+  let response;
+  if (support.command === 'HASH') {
+    await client.send(`OPTS HASH ${support.algorithm}`);
+    response = await client.send(`HASH ${remotePath}`);
+  } else {
+    response = await client.send(`${support.command} ${remotePath}`);
+  }
+
+  const expectedLength = { 'SHA-256': 64, 'SHA-1': 40, 'MD5': 32 }[support.algorithm];
+  const tokens = response.message.trim().split(/\s+/).slice(1); // Skip the reply code
+  const hash = tokens.find(token => /^[0-9a-f]+$/i.test(token) &&
+    (expectedLength ? token.length === expectedLength : token.length <= 8));
+
+  if (!hash) {
+    throw new Error(`Unexpected ${support.command} reply: ${response.message}`);
+  }
+
+  // Some servers drop leading zeros of the CRC
+  return support.algorithm === 'CRC32' ? hash.toLowerCase().padStart(8, '0') : hash.toLowerCase();
+}
+
+// Compare a local file with its remote copy. Uses the server's HASH/XSHA/XMD5/XCRC when
+// available, otherwise re-reads the remote file and hashes both sides locally.
+// The client must be idle (not in the middle of another transfer).
+async function verifyTransfer(client, localPath, remotePath) {
+  const support = await getServerHashSupport(client);
+
+  if (support) {
+    try {
+      const [remoteHash, localHash] = await Promise.all([
+        getServerHash(client, remotePath, support),
+        hashLocalFile(localPath, support.algorithm)
+      ]);
+      return {
+        verified: remoteHash === localHash,
+        method: support.command === 'HASH' ? `HASH ${support.algorithm}` : support.command,
+        algorithm: support.algorithm,
+        localHash,
+        remoteHash
+      };
+    } catch (error) {
+      // Advertised but not working for this file (permissions, path quoting, ...)
+      console.warn(`Server checksum failed for ${remotePath}, re-reading the file instead:`, error.message);
+    }
+  }
+
+  const remoteHash = await hashRemoteFile(client, remotePath, FALLBACK_ALGORITHM);
+  const localHash = await hashLocalFile(localPath, FALLBACK_ALGORITHM);
+  return {
+    verified: remoteHash === localHash,
+    method: `local ${FALLBACK_ALGORITHM}`,
+    algorithm: FALLBACK_ALGORITHM,
+    localHash,
+    remoteHash
+  };
+}
+
+module.exports = {
+  HASH_ALGORITHMS,
+  hashLocalFile,
+  hashRemoteFile,
+  getServerHashSupport,
+  getServerHash,
+  verifyTransfer
+};
@@ -2,13 +2,16 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const { app } = require('electron');
-const { Client } = require('basic-ftp');
+const transport = require('./transport');
 
 // Encryption settings
 const ENCRYPTION_ALGORITHM = 'aes-256-cbc';
 const ENCRYPTION_KEY_LENGTH = 32;
 const IV_LENGTH = 16;
 
+// Profile fields stored encrypted on disk
+const SECRET_FIELDS = ['password', 'passphrase'];
+
 // Get encryption key from environment or generate one
 function getEncryptionKey() {
   const envKey = process.env.ENCRYPTION_KEY;
@@ -75,27 +78,100 @@ function getConfigPath() {
   return path.join(userDataPath, 'config.json');
 }
 
+// Generate a unique id for a server profile
+function generateProfileId() {
+  return `profile_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Default watched publish folder of a profile: changed local files are uploaded to remoteDir
+function getDefaultPublishFolder() {
+  return {
+    enabled: false,
+    localDir: '',
+    remoteDir: '',
+    ignore: ['.git/**', 'node_modules/**', '.DS_Store', 'Thumbs.db', '*.tmp', '*.swp', '*~'],
+    debounceMs: 1000
+  };
+}
+
+// Default values for a single server profile
+function getDefaultProfile() {
+  return {
+    id: null,
+    name: '',
+    protocol: transport.PROTOCOLS.FTP, // 'ftp' or 'sftp'
+    host: '',
+    port: null, // Filled in by normalizeProfile from the protocol and TLS mode
+    username: '',
+    password: '', // Will be encrypted
+    privateKeyPath: '', // SFTP private key authentication
+    passphrase: '', // Will be encrypted
+    tlsMode: transport.TLS_MODES.NONE, // FTPS: 'none', 'explicit' or 'implicit'
+    caCertPath: '', // Custom CA bundle for FTPS
+    pinnedFingerprint: '', // SHA-256 fingerprint of a certificate the user trusted
+    remoteDir: '/',
+    publishFolder: getDefaultPublishFolder()
+  };
+}
+
 // Default configuration
 function getDefaultConfig() {
   return {
-    ftp: {
-      host: '',
-      port: 21,
-      username: '',
-      password: '', // Will be encrypted
-      secure: false
-    },
+    profiles: [],
+    activeProfileId: null,
     app: {
       theme: 'light',
       autoConnect: false,
-      tempDir: ''
+      tempDir: '',
+      downloadOverwritePolicy: 'skip', // Folder downloads: 'skip', 'overwrite', 'newer' or 'rename'
+      verifyTransfers: false, // Compare checksums after each queued transfer
+      displayName: '' // Name shown to others in the LAN chat (defaults to the OS user name)
     },
-    version: 1,
+    version: 2,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
 }
 
+// Normalize a profile so every expected property exists
+function normalizeProfile(profile) {
+  const normalized = { ...getDefaultProfile(), ...profile };
+  normalized.id = normalized.id || generateProfileId();
+  normalized.name = normalized.name || normalized.host || 'Untitled';
+  normalized.protocol = transport.isSFTP(normalized) ? transport.PROTOCOLS.SFTP : transport.PROTOCOLS.FTP;
+  
+  // Older profiles only had a `secure` flag, which meant explicit FTPS
+  if (!profile.tlsMode && profile.secure) {
+    normalized.tlsMode = transport.TLS_MODES.EXPLICIT;
+  }
+  if (!Object.values(transport.TLS_MODES).includes(normalized.tlsMode)) {
+    normalized.tlsMode = transport.TLS_MODES.NONE;
+  }
+  delete normalized.secure;
+  
+  normalized.port = parseInt(normalized.port) || transport.getDefaultPort(normalized.protocol, normalized.tlsMode);
+  normalized.remoteDir = normalized.remoteDir || '/';
+  normalized.publishFolder = { ...getDefaultPublishFolder(), ...(profile.publishFolder || {}) };
+  return normalized;
+}
+
+// Migrate version 1 configs that only had a single `ftp` block
+function migrateLegacyConfig(config) {
+  if (Array.isArray(config.profiles)) {
+    return config;
+  }
+  
+  const migrated = { ...config, profiles: [] };
+  if (config.ftp && config.ftp.host) {
+    const profile = normalizeProfile({ ...config.ftp, name: config.ftp.host });
+    migrated.profiles.push(profile);
+    migrated.activeProfileId = profile.id;
+    console.log(`Migrated legacy FTP config to profile: ${profile.name}`);
+  }
+  delete migrated.ftp;
+  return migrated;
+}
+
 // Read configuration from file
 async function getConfig() {
   try {
@@ -107,40 +183,59 @@ async function getConfig() {
     } catch (error) {
       // Config file doesn't exist, return default config
       console.log('Config file not found, returning default config');
-      return getDefaultConfig();
+      return withActiveFtp(getDefaultConfig());
     }
     
     // Read and parse config file
     const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
+    const config = migrateLegacyConfig(JSON.parse(configData));
     
-    // Decrypt password if it exists and is encrypted
-    if (config.ftp && config.ftp.password && typeof config.ftp.password === 'object') {
-      try {
-        config.ftp.password = decrypt(config.ftp.password);
-      } catch (error) {
-        console.error('Failed to decrypt FTP password:', error);
-        config.ftp.password = '';
+    // Decrypt profile passwords and key passphrases if they are encrypted
+    config.profiles = config.profiles.map(profile => {
+      const decrypted = { ...profile };
+      for (const field of SECRET_FIELDS) {
+        if (profile[field] && typeof profile[field] === 'object') {
+          try {
+            decrypted[field] = decrypt(profile[field]);
+          } catch (error) {
+            console.error(`Failed to decrypt ${field} for profile ${profile.name}:`, error);
+            decrypted[field] = '';
+          }
+        }
       }
-    }
+      return decrypted;
+    });
     
     // Merge with default config to ensure all properties exist
     const defaultConfig = getDefaultConfig();
     const mergedConfig = {
       ...defaultConfig,
       ...config,
-      ftp: { ...defaultConfig.ftp, ...config.ftp },
+      profiles: config.profiles.map(normalizeProfile),
       app: { ...defaultConfig.app, ...config.app }
     };
     
-    return mergedConfig;
+    if (!mergedConfig.profiles.some(profile => profile.id === mergedConfig.activeProfileId)) {
+      mergedConfig.activeProfileId = mergedConfig.profiles.length > 0 ? mergedConfig.profiles[0].id : null;
+    }
+    
+    return withActiveFtp(mergedConfig);
     
   } catch (error) {
     console.error('Error reading config:', error);
-    return getDefaultConfig();
+    return withActiveFtp(getDefaultConfig());
   }
 }
 
+// Expose the active profile as `ftp` for callers that expect a single server
+function withActiveFtp(config) {
+  const activeProfile = config.profiles.find(profile => profile.id === config.activeProfileId);
+  return {
+    ...config,
+    ftp: { ...getDefaultProfile(), ...(activeProfile || {}) }
+  };
+}
+
 // Save configuration to file
 async function saveConfig(newConfig) {
   try {
@@ -151,15 +246,38 @@ async function saveConfig(newConfig) {
     const updatedConfig = {
       ...currentConfig,
       ...newConfig,
-      ftp: { ...currentConfig.ftp, ...(newConfig.ftp || {}) },
+      profiles: (newConfig.profiles || currentConfig.profiles).map(normalizeProfile),
       app: { ...currentConfig.app, ...(newConfig.app || {}) },
       updatedAt: new Date().toISOString()
     };
     
-    // Encrypt FTP password before saving
-    if (updatedConfig.ftp.password && typeof updatedConfig.ftp.password === 'string') {
-      updatedConfig.ftp.password = encrypt(updatedConfig.ftp.password);
+    // A legacy `ftp` block updates the active profile
+    if (newConfig.ftp) {
+      const activeIndex = updatedConfig.profiles.findIndex(profile => profile.id === updatedConfig.activeProfileId);
+      if (activeIndex > -1) {
+        updatedConfig.profiles[activeIndex] = normalizeProfile({
+          ...updatedConfig.profiles[activeIndex],
+          ...newConfig.ftp,
+          id: updatedConfig.activeProfileId
+        });
+      } else {
+        const profile = normalizeProfile(newConfig.ftp);
+        updatedConfig.profiles.push(profile);
+        updatedConfig.activeProfileId = profile.id;
+      }
     }
+    delete updatedConfig.ftp;
+    
+    // Encrypt profile passwords and key passphrases before saving
+    updatedConfig.profiles = updatedConfig.profiles.map(profile => {
+      const encrypted = { ...profile };
+      for (const field of SECRET_FIELDS) {
+        if (profile[field] && typeof profile[field] === 'string') {
+          encrypted[field] = encrypt(profile[field]);
+        }
+      }
+      return encrypted;
+    });
     
     // Ensure user data directory exists
     const userDataPath = path.dirname(configPath);
@@ -181,6 +299,99 @@ async function saveConfig(newConfig) {
   }
 }
 
+// Get all saved server profiles
+async function getProfiles() {
+  const config = await getConfig();
+  return config.profiles;
+}
+
+// Get a profile by id, falling back to the active profile
+async function getProfile(profileId = null) {
+  const config = await getConfig();
+  const targetId = profileId || config.activeProfileId;
+  const profile = config.profiles.find(item => item.id === targetId);
+  
+  if (!profile) {
+    throw new Error(profileId ? `Profile not found: ${profileId}` : 'No server profile configured');
+  }
+  
+  return profile;
+}
+
+// Create or update a server profile
+async function saveProfile(profile, makeActive = false) {
+  const config = await getConfig();
+  const existing = config.profiles.find(item => item.id === profile.id);
+  
+  // The profile form doesn't carry the publish folder mapping, keep the stored one
+  const savedProfile = normalizeProfile(existing && !profile.publishFolder
+    ? { ...profile, publishFolder: existing.publishFolder }
+    : profile);
+  const profiles = [...config.profiles];
+  const index = profiles.findIndex(item => item.id === savedProfile.id);
+  
+  if (index > -1) {
+    profiles[index] = savedProfile;
+  } else {
+    profiles.push(savedProfile);
+  }
+  
+  await saveConfig({
+    profiles,
+    activeProfileId: makeActive || !config.activeProfileId ? savedProfile.id : config.activeProfileId
+  });
+  
+  console.log(`Profile saved: ${savedProfile.name}`);
+  return savedProfile;
+}
+
+// Delete a server profile
+async function deleteProfile(profileId) {
+  const config = await getConfig();
+  const profiles = config.profiles.filter(profile => profile.id !== profileId);
+  
+  if (profiles.length === config.profiles.length) {
+    throw new Error(`Profile not found: ${profileId}`);
+  }
+  
+  await saveConfig({
+    profiles,
+    activeProfileId: config.activeProfileId === profileId ? (profiles[0]?.id || null) : config.activeProfileId
+  });
+  
+  console.log(`Profile deleted: ${profileId}`);
+  return true;
+}
+
+// Pin a server certificate the user chose to trust for a profile
+async function pinCertificate(profileId, fingerprint) {
+  const profile = await getProfile(profileId);
+  const savedProfile = await saveProfile({ ...profile, pinnedFingerprint: fingerprint });
+  console.log(`Pinned TLS certificate for profile ${savedProfile.name}: ${fingerprint}`);
+  return savedProfile;
+}
+
+// Store the publish folder mapping of a profile
+async function savePublishFolder(profileId, publishFolder) {
+  const profile = await getProfile(profileId);
+  const savedProfile = await saveProfile({
+    ...profile,
+    publishFolder: { ...profile.publishFolder, ...publishFolder }
+  });
+  return savedProfile.publishFolder;
+}
+
+// Select which profile is used by default on startup
+async function setActiveProfile(profileId) {
+  const config = await getConfig();
+  if (!config.profiles.some(profile => profile.id === profileId)) {
+    throw new Error(`Profile not found: ${profileId}`);
+  }
+  
+  await saveConfig({ activeProfileId: profileId });
+  return true;
+}
+
 // Validate FTP configuration by attempting connection
 async function validateFTP(ftpConfig) {
   return new Promise((resolve, reject) => {
@@ -194,22 +405,19 @@ async function validateFTP(ftpConfig) {
     
     async function testConnection() {
       try {
-        client = new Client();
+        const profile = normalizeProfile(ftpConfig);
+        client = transport.createClient(profile);
         
         // Set up error handling
-        client.ftp.socket.on('error', (error) => {
-          clearTimeout(timeout);
-          reject(new Error(`FTP connection failed: ${error.message}`));
+        transport.watchConnection(client, {
+          onError: (error) => {
+            clearTimeout(timeout);
+            reject(new Error(`FTP connection failed: ${error.message}`));
+          }
         });
         
-        // Connect to FTP server
-        await client.access({
-          host: ftpConfig.host,
-          port: ftpConfig.port || 21,
-          user: ftpConfig.username,
-          password: ftpConfig.password,
-          secure: ftpConfig.secure || false
-        });
+        // Connect to FTP/SFTP server
+        await transport.connectClient(client, profile);
         
         // Test basic operations
         const list = await client.list('/');
@@ -228,7 +436,10 @@ async function validateFTP(ftpConfig) {
         if (client) {
           client.close();
         }
-        reject(new Error(`FTP validation failed: ${error.message}`));
+        const validationError = new Error(`FTP validation failed: ${error.message}`);
+        validationError.code = error.code;
+        validationError.certificate = error.certificate;
+        reject(validationError);
       }
     }
     
@@ -244,7 +455,7 @@ async function isConfigurationValid() {
     // Check FTP configuration
     const ftpValid = config.ftp.host && 
                     config.ftp.username && 
-                    config.ftp.password;
+                    transport.hasCredentials(config.ftp);
     
     return ftpValid;
     
@@ -257,6 +468,13 @@ async function isConfigurationValid() {
 module.exports = {
   getConfig,
   saveConfig,
+  getProfiles,
+  getProfile,
+  saveProfile,
+  deleteProfile,
+  setActiveProfile,
+  pinCertificate,
+  savePublishFolder,
   validateFTP,
   isConfigurationValid,
   getConfigPath
@@ -0,0 +1,363 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const ftpClient = require('./ftp-client');
+
+// Sync directions
+const SYNC_MODES = {
+  LOCAL_TO_REMOTE: 'local-to-remote',
+  REMOTE_TO_LOCAL: 'remote-to-local',
+  TWO_WAY: 'two-way'
+};
+
+// What a plan entry does
+const SYNC_ACTIONS = {
+  UPLOAD: 'upload',
+  DOWNLOAD: 'download',
+  MKDIR_REMOTE: 'mkdir-remote',
+  MKDIR_LOCAL: 'mkdir-local',
+  DELETE_REMOTE: 'delete-remote',
+  DELETE_LOCAL: 'delete-local'
+};
+
+// FTP servers report modification times in whole seconds
+const MTIME_TOLERANCE = 2000;
+
+// Previewed plans stay here; the renderer runs one by id and can't hand in its own paths
+const MAX_STORED_PLANS = 10;
+const storedPlans = new Map(); // plan id -> { sessionId, plan }
+
+function storePlan(sessionId, plan) {
+  storedPlans.set(plan.id, { sessionId, plan });
+  while (storedPlans.size > MAX_STORED_PLANS) {
+    storedPlans.delete(storedPlans.keys().next().value);
+  }
+}
+
+// Walk a local folder into a map of relative path -> entry. Symlinks are not followed.
+async function scanLocalTree(localDir) {
+  const entries = new Map();
+  const skipped = [];
+
+  async function walk(dirPath, relativeDir) {
+    const children = await fs.readdir(dirPath, { withFileTypes: true });
+
+    for (const child of children) {
+      const fullPath = path.join(dirPath, child.name);
+      const relativePath = relativeDir ? `${relativeDir}/${child.name}` : child.name;
+
+      if (child.isSymbolicLink()) {
+        skipped.push({ path: fullPath, relativePath, reason: 'Symbolic link' });
+      } else if (child.isDirectory()) {
+        entries.set(relativePath, { type: 'directory', localPath: fullPath });
+        await walk(fullPath, relativePath);
+      } else if (child.isFile()) {
+        const stats = await fs.stat(fullPath);
+        entries.set(relativePath, { type: 'file', localPath: fullPath, size: stats.size, mtime: stats.mtimeMs });
+      } else {
+        skipped.push({ path: fullPath, relativePath, reason: 'Not a regular file' });
+      }
+    }
+  }
+
+  await walk(localDir, '');
+  return { entries, skipped };
+}
+
+// List a remote folder into the same shape, using the pooled tree walk
+async function scanRemoteTree(session, remoteDir) {
+  const tree = await ftpClient.collectRemoteTree(session, remoteDir, null);
+  const entries = new Map();
+  const relative = (remotePath) => path.posix.relative(remoteDir, remotePath);
+
+  const rootFailure = tree.failed.find(entry => entry.path === remoteDir);
+  if (rootFailure) {
+    throw new Error(`Could not list ${remoteDir}: ${rootFailure.error}`);
+  }
+
+  for (const dir of tree.directories) {
+    if (dir.remotePath !== remoteDir) {
+      entries.set(relative(dir.remotePath), { type: 'directory', remotePath: dir.remotePath });
+    }
+  }
+  for (const file of tree.files) {
+    entries.set(relative(file.remotePath), {
+      type: 'file',
+      remotePath: file.remotePath,
+      size: file.size,
+      // LIST dates are only accurate to the minute; replaced with MDTM where it matters
+      mtime: file.modifiedAt ? new Date(file.modifiedAt).getTime() : null
+    });
+  }
+
+  const skipped = [
+    ...tree.skipped.map(entry => ({ ...entry, relativePath: relative(entry.path) })),
+    ...tree.failed.map(entry => ({ path: entry.path, relativePath: relative(entry.path), reason: entry.error }))
+  ];
+  return { entries, skipped, failed: tree.failed };
+}
+
+// A path the scans didn't look into, or a folder holding one: its absence on the other
+// side says nothing, so it must never be deleted
+function isUnscanned(relativePath, skipped) {
+  return skipped.some(entry =>
+    entry.relativePath === relativePath ||
+    entry.relativePath.startsWith(`${relativePath}/`) ||
+    relativePath.startsWith(`${entry.relativePath}/`)
+  );
+}
+
+// Fetch exact remote modification times (MDTM) for files that exist on both sides
+async function loadRemoteModifiedTimes(session, remoteEntries, relativePaths) {
+  await ftpClient.performConcurrentOperations(session, relativePaths.map(relativePath => async () => {
+    const entry = remoteEntries.get(relativePath);
+    const modifiedAt = await ftpClient.lastModPooled(session, entry.remotePath);
+    if (modifiedAt) {
+      entry.mtime = modifiedAt.getTime();
+    }
+  }), session.connectionPool.maxConnections);
+}
+
+// Decide what to do with a file that exists on both sides
+function compareFiles(local, remote, mode) {
+  const sizeDiffers = local.size !== remote.size;
+  const localNewer = remote.mtime !== null && local.mtime - remote.mtime > MTIME_TOLERANCE;
+  const remoteNewer = remote.mtime !== null && remote.mtime - local.mtime > MTIME_TOLERANCE;
+
+  switch (mode) {
+    case SYNC_MODES.LOCAL_TO_REMOTE:
+      return sizeDiffers || localNewer ? SYNC_ACTIONS.UPLOAD : null;
+    case SYNC_MODES.REMOTE_TO_LOCAL:
+      return sizeDiffers || remoteNewer ? SYNC_ACTIONS.DOWNLOAD : null;
+    default:
+      if (localNewer) return SYNC_ACTIONS.UPLOAD;
+      if (remoteNewer) return SYNC_ACTIONS.DOWNLOAD;
+      return sizeDiffers ? 'conflict' : null;
+  }
+}
+
+// Compare a local folder with a remote folder and build the list of changes for the mode.
+// Two-way sync never deletes: without a record of the last sync a missing file can't be
+// told apart from a new one on the other side. One-way sync holds back every deletion
+// when a remote folder failed to list, and deletions touching a skipped path otherwise.
+async function previewSync(sessionId, localDir, remoteDir, mode) {
+  if (!Object.values(SYNC_MODES).includes(mode)) {
+    throw new Error(`Unknown sync mode: ${mode}`);
+  }
+
+  const session = ftpClient.getSession(sessionId);
+  const normalizedRemoteDir = path.posix.normalize(remoteDir);
+  const [local, remote] = await Promise.all([
+    scanLocalTree(localDir),
+    scanRemoteTree(session, normalizedRemoteDir)
+  ]);
+
+  const shared = [...local.entries.keys()].filter(relativePath =>
+    local.entries.get(relativePath).type === 'file' &&
+    remote.entries.has(relativePath) &&
+    remote.entries.get(relativePath).type === 'file'
+  );
+  await loadRemoteModifiedTimes(session, remote.entries, shared);
+
+  const actions = [];
+  const conflicts = [];
+  const heldDeletes = [];
+  let unchanged = 0;
+
+  const skipped = [...local.skipped, ...remote.skipped];
+  const planDelete = (entry) => {
+    if (remote.failed.length > 0) {
+      heldDeletes.push({ ...entry, reason: `${remote.failed.length} remote folder(s) could not be listed` });
+    } else if (isUnscanned(entry.relativePath, skipped)) {
+      heldDeletes.push({ ...entry, reason: 'Contains or is a skipped path' });
+    } else {
+      actions.push(entry);
+    }
+  };
+
+  const allPaths = new Set([...local.entries.keys(), ...remote.entries.keys()]);
+  for (const relativePath of [...allPaths].sort()) {
+    const localEntry = local.entries.get(relativePath);
+    const remoteEntry = remote.entries.get(relativePath);
+    const localPath = path.join(localDir, ...relativePath.split('/'));
+    const remotePath = path.posix.join(normalizedRemoteDir, relativePath);
+    const base = { relativePath, localPath, remotePath };
+
+    if (localEntry && !remoteEntry) {
+      const isDirectory = localEntry.type === 'directory';
+      if (mode === SYNC_MODES.REMOTE_TO_LOCAL) {
+        planDelete({ ...base, action: SYNC_ACTIONS.DELETE_LOCAL, change: 'delete', isDirectory });
+      } else {
+        actions.push({ ...base, action: isDirectory ? SYNC_ACTIONS.MKDIR_REMOTE : SYNC_ACTIONS.UPLOAD, change: 'add', isDirectory, size: localEntry.size || 0, mtime: localEntry.mtime });
+      }
+    } else if (!localEntry && remoteEntry) {
+      const isDirectory = remoteEntry.type === 'directory';
+      if (mode === SYNC_MODES.LOCAL_TO_REMOTE) {
+        planDelete({ ...base, action: SYNC_ACTIONS.DELETE_REMOTE, change: 'delete', isDirectory });
+      } else {
+        actions.push({ ...base, action: isDirectory ? SYNC_ACTIONS.MKDIR_LOCAL : SYNC_ACTIONS.DOWNLOAD, change: 'add', isDirectory, size: remoteEntry.size || 0, mtime: remoteEntry.mtime });
+      }
+    } else if (localEntry.type !== remoteEntry.type) {
+      conflicts.push({ ...base, reason: `File on one side, folder on the other` });
+    } else if (localEntry.type === 'directory') {
+      unchanged++;
+    } else {
+      const action = compareFiles(localEntry, remoteEntry, mode);
+      if (action === 'conflict') {
+        conflicts.push({ ...base, reason: 'Same modification time but different size' });
+      } else if (action) {
+        const source = action === SYNC_ACTIONS.UPLOAD ? localEntry : remoteEntry;
+        actions.push({ ...base, action, change: 'update', isDirectory: false, size: source.size, mtime: source.mtime });
+      } else {
+        unchanged++;
+      }
+    }
+  }
+
+  // Deleting a folder removes its contents, so entries inside it are dropped from the plan
+  const deletedDirs = actions.filter(entry => entry.change === 'delete' && entry.isDirectory).map(entry => `${entry.relativePath}/`);
+  const plannedActions = actions.filter(entry =>
+    entry.change !== 'delete' || !deletedDirs.some(dir => entry.relativePath.startsWith(dir))
+  );
+  const heldDirs = heldDeletes.filter(entry => entry.isDirectory).map(entry => `${entry.relativePath}/`);
+  const heldTopLevel = heldDeletes.filter(entry => !heldDirs.some(dir => entry.relativePath.startsWith(dir)));
+
+  const count = (change) => plannedActions.filter(entry => entry.change === change).length;
+  const plan = {
+    id: crypto.randomBytes(8).toString('hex'),
+    mode,
+    localDir,
+    remoteDir: normalizedRemoteDir,
+    actions: plannedActions,
+    conflicts,
+    heldDeletes: heldTopLevel,
+    skipped,
+    summary: {
+      adds: count('add'),
+      updates: count('update'),
+      deletes: count('delete'),
+      unchanged,
+      conflicts: conflicts.length,
+      heldDeletes: heldTopLevel.length,
+      totalBytes: plannedActions.reduce((sum, entry) => sum + (entry.size || 0), 0)
+    }
+  };
+
+  storePlan(sessionId, plan);
+  return plan;
+}
+
+// Run a single transfer on a pooled connection and carry the modification time over,
+// so the next comparison sees both sides as equal
+async function runTransfer(session, entry) {
+  const connection = await session.connectionPool.getConnection();
+  try {
+    if (entry.action === SYNC_ACTIONS.UPLOAD) {
+      await connection.ensureDir(path.posix.dirname(entry.remotePath));
+      await ftpClient.uploadWithResume(connection, entry.localPath, entry.remotePath);
+      if (entry.mtime) {
+        await ftpClient.setRemoteModifiedTime(connection, entry.remotePath, new Date(entry.mtime));
+      }
+    } else {
+      await fs.mkdir(path.dirname(entry.localPath), { recursive: true });
+      await connection.downloadTo(entry.localPath, entry.remotePath);
+      if (entry.mtime) {
+        const modifiedAt = new Date(entry.mtime);
+        await fs.utimes(entry.localPath, modifiedAt, modifiedAt);
+      }
+    }
+  } finally {
+    session.connectionPool.releaseConnection(connection);
+  }
+}
+
+// Apply the chosen actions (indexes into plan.actions) of a plan from previewSync: folders
+// first, then transfers in parallel over the pool, then deletions (deepest first)
+async function executeSync(sessionId, planId, actionIndexes, onProgress = null) {
+  const stored = storedPlans.get(planId);
+  if (!stored || stored.sessionId !== sessionId) {
+    throw new Error('Sync preview is no longer available, compare the folders again');
+  }
+  storedPlans.delete(planId); // A plan is only valid until it has been run once
+
+  const session = ftpClient.getSession(sessionId);
+  const selected = new Set(actionIndexes || []);
+  const actions = stored.plan.actions.filter((entry, index) => selected.has(index));
+  const total = actions.length;
+  const completed = [];
+  const failed = [];
+
+  const report = (entry, error = null) => {
+    if (error) {
+      console.error(`Sync ${entry.action} failed for ${entry.relativePath}:`, error);
+      failed.push({ path: entry.relativePath, action: entry.action, error: error.message });
+    } else {
+      completed.push(entry.relativePath);
+    }
+    if (onProgress) {
+      onProgress({ completed: completed.length, failed: failed.length, total, current: entry.relativePath });
+    }
+  };
+
+  const byAction = (...names) => actions.filter(entry => names.includes(entry.action));
+
+  for (const entry of byAction(SYNC_ACTIONS.MKDIR_REMOTE, SYNC_ACTIONS.MKDIR_LOCAL)) {
+    try {
+      if (entry.action === SYNC_ACTIONS.MKDIR_LOCAL) {
+        await fs.mkdir(entry.localPath, { recursive: true });
+      } else {
+        await ftpClient.createDirectory(session, entry.remotePath);
+      }
+      report(entry);
+    } catch (error) {
+      report(entry, error);
+    }
+  }
+
+  const transfers = byAction(SYNC_ACTIONS.UPLOAD, SYNC_ACTIONS.DOWNLOAD);
+  await ftpClient.performConcurrentOperations(session, transfers.map(entry => async () => {
+    try {
+      await runTransfer(session, entry);
+      report(entry);
+    } catch (error) {
+      report(entry, error);
+    }
+  }), session.connectionPool.maxConnections);
+
+  const deletions = byAction(SYNC_ACTIONS.DELETE_REMOTE, SYNC_ACTIONS.DELETE_LOCAL)
+    .sort((a, b) => b.relativePath.split('/').length - a.relativePath.split('/').length);
+  for (const entry of deletions) {
+    try {
+      if (entry.action === SYNC_ACTIONS.DELETE_LOCAL) {
+        await fs.rm(entry.localPath, { recursive: true, force: true });
+      } else if (entry.isDirectory) {
+        await ftpClient.deleteDirectory(session, entry.remotePath);
+      } else {
+        await ftpClient.deleteFile(session, entry.remotePath);
+      }
+      report(entry);
+    } catch (error) {
+      report(entry, error);
+    }
+  }
+
+  // Listings of the synced folder are stale now
+  session.lazyLoader.directoryCache.clear();
+  session.lazyLoader.clearMemoryCache();
+
+  return {
+    success: failed.length === 0,
+    completed: completed.length,
+    failed,
+    total
+  };
+}
+
+module.exports = {
+  SYNC_MODES,
+  SYNC_ACTIONS,
+  previewSync,
+  executeSync,
+  compareFiles,
+  isUnscanned
+};
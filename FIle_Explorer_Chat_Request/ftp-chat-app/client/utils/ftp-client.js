@@ -1,8 +1,14 @@
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { Writable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { finished } = require('stream/promises');
 const path = require('path');
 const { app } = require('electron');
-const { Client } = require('basic-ftp');
 const config = require('./config');
+const transport = require('./transport');
+const checksum = require('./checksum');
+const { lockFiles, LOCK_REFRESH_INTERVAL, isLockFileName, getLockedFileName } = require('./lock-files');
 
 // Connection Pool Management
 class FTPConnectionPool {
@@ -44,32 +50,25 @@ class FTPConnectionPool {
       throw new Error('Connection pool not initialized');
     }
 
-    const client = new Client();
-    client.timeout = 30000;
+    const client = transport.createClient(this.connectionConfig);
     
     // Set up error handling
-    client.ftp.socket.on('error', (error) => {
-      console.error('FTP pool connection error:', error);
-      this.removeConnection(client);
-    });
-
-    client.ftp.socket.on('close', () => {
-      console.log('FTP pool connection closed');
-      this.removeConnection(client);
-    });
-
-    client.ftp.socket.on('timeout', () => {
-      console.warn('FTP pool connection timeout');
-      this.removeConnection(client);
+    transport.watchConnection(client, {
+      onError: (error) => {
+        console.error('FTP pool connection error:', error);
+        this.removeConnection(client);
+      },
+      onClose: () => {
+        console.log('FTP pool connection closed');
+        this.removeConnection(client);
+      },
+      onTimeout: () => {
+        console.warn('FTP pool connection timeout');
+        this.removeConnection(client);
+      }
     });
 
-    const connectPromise = client.access({
-      host: this.connectionConfig.host,
-      port: this.connectionConfig.port || 21,
-      user: this.connectionConfig.username,
-      password: this.connectionConfig.password,
-      secure: this.connectionConfig.secure || false
-    });
+    const connectPromise = transport.connectClient(client, this.connectionConfig);
 
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error('Connection timeout after 30 seconds')), 30000);
@@ -205,13 +204,111 @@ class FTPConnectionPool {
   }
 }
 
-// Global connection pool instance
-const connectionPool = new FTPConnectionPool(3);
+// FTP session - wraps the connection state for one server so several servers can be open at once
+class FTPSession {
+  constructor(sessionId) {
+    this.id = sessionId;
+    this.profileId = null;
+    this.profileName = null;
+    this.username = null;
+    this.protocol = 'ftp';
+    this.listingMode = null;
+    
+    // Real path of every symlink resolved so far -> { link, linkTarget, targetType },
+    // oldest first so the cache can be trimmed
+    this.symlinkTargets = new Map();
+    
+    // Files we hold an advisory lock on (opened in the editor)
+    this.heldLocks = new Set();
+    
+    // Single control connection used for user-initiated operations
+    this.ftpClient = null;
+    this.isConnected = false;
+    
+    // Per-session pool, directory loader and background worker
+    this.connectionPool = new FTPConnectionPool(3);
+    this.lazyLoader = new LazyDirectoryLoader(this);
+    this.backgroundWorker = new BackgroundDirectoryWorker(this);
+    this.createdAt = Date.now();
+  }
+
+  getInfo() {
+    return {
+      id: this.id,
+      profileId: this.profileId,
+      profileName: this.profileName,
+      username: this.username,
+      protocol: this.protocol,
+      listingMode: this.listingMode,
+      isConnected: this.isConnected,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+// Session registry - sessions only come from createSession
+const sessions = new Map();
+
+// Resolve a session by id (or pass through a session object). Unknown ids throw instead of
+// creating an empty session, so a stale or closed id fails loudly rather than acting on nothing
+function getSession(sessionId) {
+  if (sessionId instanceof FTPSession) {
+    return sessionId;
+  }
+  
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new Error(`Session not found: ${sessionId}`);
+  }
+  return session;
+}
+
+// Create a new session bound to a server profile
+function createSession(profileId = null) {
+  const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  const session = new FTPSession(sessionId);
+  sessions.set(sessionId, session);
+  session.profileId = profileId;
+  console.log(`Created FTP session ${sessionId} for profile: ${profileId || 'active'}`);
+  return session.getInfo();
+}
+
+// Close a session and release all of its connections
+async function closeSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return { success: false, message: `Session not found: ${sessionId}` };
+  }
+  
+  session.backgroundWorker.stop();
+  await releaseHeldLocks(session);
+  try {
+    await disconnect(session);
+  } catch (error) {
+    console.warn(`Error disconnecting session ${sessionId}:`, error.message);
+  }
+  sessions.delete(sessionId);
+  
+  console.log(`Closed FTP session ${sessionId}`);
+  return { success: true, message: 'Session closed' };
+}
+
+// List all open sessions
+function listSessions() {
+  return Array.from(sessions.values()).map(session => session.getInfo());
+}
 
-// Legacy single connection for backward compatibility
-let ftpClient = null;
-let isConnected = false;
-let currentUsername = null;
+// Disconnect every open session (used on app quit)
+async function disconnectAll() {
+  const results = await Promise.allSettled(
+    Array.from(sessions.values()).map(async session => {
+      session.backgroundWorker.stop();
+      await releaseHeldLocks(session);
+      return disconnect(session);
+    })
+  );
+  return results.filter(result => result.status === 'fulfilled').length;
+}
 
 // Cache settings
 const CACHE_TTL_HOURS = 48; // Cache valid for 48 hours (optimized for better persistence)
@@ -228,17 +325,20 @@ function getCacheDir() {
   return path.join(projectRoot, 'client', 'Caching');
 }
 
-// Generate cache filename based on username
-function getCacheFilename(username = null) {
-  const user = username || currentUsername || 'default';
-  // Sanitize username for filename
+// Generate cache filename based on the session's server profile and username
+function getCacheFilename(sessionId, username = null) {
+  const session = getSession(sessionId);
+  const user = username || session.username || 'default';
+  const profile = session.profileId || 'default';
+  // Sanitize profile id and username for filename
+  const sanitizedProfile = profile.replace(/[^a-zA-Z0-9_-]/g, '_');
   const sanitizedUser = user.replace(/[^a-zA-Z0-9_-]/g, '_');
-  return `${CACHE_FILE_PREFIX}${sanitizedUser}.json`;
+  return `${CACHE_FILE_PREFIX}${sanitizedProfile}_${sanitizedUser}.json`;
 }
 
 // Get full cache file path
-function getCacheFilePath(username = null) {
-  return path.join(getCacheDir(), getCacheFilename(username));
+function getCacheFilePath(sessionId, username = null) {
+  return path.join(getCacheDir(), getCacheFilename(sessionId, username));
 }
 
 // Ensure cache directory exists
@@ -251,15 +351,18 @@ async function ensureCacheDir() {
   }
 }
 
-// Initialize current username from config
-async function initializeUsername() {
+// Initialize the session's username from its server profile
+async function initializeUsername(sessionId, profileId = null) {
+  const session = getSession(sessionId);
   try {
-    const appConfig = await config.getConfig();
-    currentUsername = appConfig.ftp?.username || 'default';
-    console.log(`Cache initialized for user: ${currentUsername}`);
+    const profile = await config.getProfile(profileId || session.profileId);
+    session.profileId = profile.id;
+    session.profileName = profile.name;
+    session.username = profile.username || 'default';
+    console.log(`Cache initialized for user: ${session.username} (profile: ${profile.name}, session: ${session.id})`);
   } catch (error) {
     console.error('Error initializing username:', error);
-    currentUsername = 'default';
+    session.username = 'default';
   }
 }
 
@@ -332,9 +435,9 @@ async function cleanOldLoadHistory() {
 }
 
 // Optimize cache by removing least accessed entries when cache gets too large
-async function optimizeCache(username = null) {
+async function optimizeCache(sessionId, username = null) {
   try {
-    const cacheFilePath = getCacheFilePath(username);
+    const cacheFilePath = getCacheFilePath(sessionId, username);
     const historyFilePath = path.join(getCacheDir(), LOAD_HISTORY_FILE);
     
     // Check cache file size
@@ -346,7 +449,7 @@ async function optimizeCache(username = null) {
         console.log(`Cache file too large (${Math.round(stats.size / 1024 / 1024)}MB), optimizing...`);
         
         // Load cache and history
-        const cacheData = await readCache(username);
+        const cacheData = await readCache(sessionId, username);
         let history = {};
         
         try {
@@ -364,7 +467,7 @@ async function optimizeCache(username = null) {
           cacheData.optimized = true;
           cacheData.optimizedAt = new Date().toISOString();
           
-          await writeCache(cacheData, username);
+          await writeCache(sessionId, cacheData, username);
           console.log('Cache optimized successfully');
         }
       }
@@ -502,20 +605,221 @@ function isCacheValid(cacheData) {
   return isValid;
 }
 
+// UNIX permissions from a listing ({ user, group, world } bit masks) as an octal string, e.g. "755".
+// The setuid/setgid/sticky bits (permissions.special) become a leading digit, e.g. "4755".
+function formatPermissionsOctal(permissions) {
+  if (!permissions) {
+    return null;
+  }
+  const mode = `${permissions.user || 0}${permissions.group || 0}${permissions.world || 0}`;
+  return permissions.special ? `${permissions.special}${mode}` : mode;
+}
+
+const LIST_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// basic-ftp only sets modifiedAt for MLSD; LIST entries just carry the raw date text.
+// Handles Unix ("Jan  2 12:34", "Jan  2  2023") and DOS ("01-02-24  03:04PM") dates.
+// LIST doesn't say which timezone the server uses, so the time is taken as UTC like MDTM.
+function parseListDate(rawModifiedAt, now = new Date()) {
+  const raw = (rawModifiedAt || '').trim();
+
+  const unix = raw.match(/^([A-Za-z]{3})\s+(\d{1,2})\s+(?:(\d{4})|(\d{1,2}):(\d{2}))$/);
+  if (unix) {
+    const month = LIST_MONTHS.indexOf(unix[1].toLowerCase());
+    if (month === -1) {
+      return null;
+    }
+    if (unix[3]) {
+      return new Date(Date.UTC(parseInt(unix[3]), month, parseInt(unix[2])));
+    }
+
+    // Recent files show a time instead of a year; anything "in the future" is from last year
+    const date = new Date(Date.UTC(now.getUTCFullYear(), month, parseInt(unix[2]), parseInt(unix[4]), parseInt(unix[5])));
+    if (date.getTime() - now.getTime() > 24 * 60 * 60 * 1000) {
+      date.setUTCFullYear(date.getUTCFullYear() - 1);
+    }
+    return date;
+  }
+
+  const dos = raw.match(/^(\d{2})-(\d{2})-(\d{2}|\d{4})\s+(\d{1,2}):(\d{2})\s*([AP]M)?$/i);
+  if (dos) {
+    let year = parseInt(dos[3]);
+    if (year < 100) {
+      year += year < 70 ? 2000 : 1900;
+    }
+    let hours = parseInt(dos[4]) % (dos[6] ? 12 : 24);
+    if (dos[6] && dos[6].toUpperCase() === 'PM') {
+      hours += 12;
+    }
+    return new Date(Date.UTC(year, parseInt(dos[1]) - 1, parseInt(dos[2]), hours, parseInt(dos[5])));
+  }
+
+  return null;
+}
+
 // Normalize file information for consistency
 function normalizeFileInfo(file) {
+  const modifiedAt = file.modifiedAt || parseListDate(file.rawModifiedAt);
   return {
     name: file.name,
-    type: file.type === 1 ? 'file' : (file.type === 2 ? 'directory' : 'unknown'),
+    type: file.type === 1 ? 'file' : (file.type === 2 ? 'directory' : (file.type === 3 ? 'symlink' : 'unknown')),
     size: file.size || 0,
-    modifiedAt: file.modifiedAt ? file.modifiedAt.toISOString() : null,
+    modifiedAt: modifiedAt ? modifiedAt.toISOString() : null,
+    // Only MLSD reports a unique id (the "unique" fact); it stays the same across renames
+    uniqueId: file.uniqueID || null,
     permissions: file.permissions || null,
+    mode: formatPermissionsOctal(file.permissions),
+    owner: file.user || null,
+    group: file.group || null,
+    link: file.link || null,
+    // For lock files (".report.txt.lock"), the name of the file they lock
+    lockFor: isLockFileName(file.name) ? getLockedFileName(file.name) : null,
     isDirectory: file.isDirectory,
     isFile: file.isFile,
     isSymbolicLink: file.isSymbolicLink
   };
 }
 
+const MAX_SYMLINK_CACHE = 500; // Resolved symlinks remembered per session
+
+// Symlinks to folders are listed with the folders, everything else with the files
+function isDirectoryEntry(item) {
+  return item.type === 'directory' || (item.type === 'symlink' && item.targetType === 'directory');
+}
+
+function isFileEntry(item) {
+  return item.type === 'file' || (item.type === 'symlink' && item.targetType !== 'directory');
+}
+
+// Path with every symlink resolved so far replaced by its target
+function resolveRealPath(session, remotePath) {
+  let realPath = '/';
+  for (const part of remotePath.split('/').filter(Boolean)) {
+    realPath = path.posix.join(realPath, part);
+    const known = session.symlinkTargets.get(realPath);
+    if (known && known.linkTarget) {
+      realPath = known.linkTarget;
+    }
+  }
+  return realPath;
+}
+
+function rememberSymlink(session, realPath, info) {
+  session.symlinkTargets.delete(realPath);
+  session.symlinkTargets.set(realPath, info);
+  while (session.symlinkTargets.size > MAX_SYMLINK_CACHE) {
+    session.symlinkTargets.delete(session.symlinkTargets.keys().next().value);
+  }
+}
+
+// A link loops when it leads back into a folder already on the path to it
+// ("/www/site/current -> /www"); following it would nest forever
+function isSymlinkLoop(session, dirPath, targetPath) {
+  let prefix = '/';
+  const prefixes = ['/'];
+  for (const part of dirPath.split('/').filter(Boolean)) {
+    prefix = path.posix.join(prefix, part);
+    prefixes.push(prefix);
+  }
+
+  return prefixes.some(candidate => {
+    const realPath = resolveRealPath(session, candidate);
+    return realPath === targetPath || realPath.startsWith(`${targetPath === '/' ? '' : targetPath}/`);
+  });
+}
+
+// Whether a link points to a folder or a file: CWD only succeeds for folders. null = dangling link.
+// The working directory is put back afterwards, since the connection is shared.
+async function getSymlinkTargetType(client, targetPath) {
+  const previousDir = typeof client.pwd === 'function' ? await client.pwd().catch(() => null) : null;
+  try {
+    await client.cd(targetPath);
+    return 'directory';
+  } catch (error) {
+    return (await getRemoteFileSize(client, targetPath)) !== null ? 'file' : null;
+  } finally {
+    if (previousDir) {
+      await client.cd(previousDir).catch(() => {});
+    }
+  }
+}
+
+// Fill in what is already known about the symlinks of a normalized listing. Nothing is sent
+// to the server here: links not resolved before keep resolved = false (and are listed with
+// the files) until the user opens one, see resolveSymlink.
+function describeSymlinks(session, dirPath, entries) {
+  const realDir = resolveRealPath(session, dirPath);
+  for (const entry of entries) {
+    if (entry.type !== 'symlink') continue;
+
+    const known = session.symlinkTargets.get(path.posix.join(realDir, entry.name));
+    // FTP listings show the link text; a changed link makes the cached answer stale
+    if (known && (!entry.link || entry.link === known.link)) {
+      Object.assign(entry, known, { resolved: true });
+      entry.isLoop = entry.targetType === 'directory' && isSymlinkLoop(session, dirPath, entry.linkTarget);
+    } else {
+      entry.linkTarget = entry.link ? path.posix.resolve(realDir, entry.link) : null;
+      entry.targetType = null;
+      entry.isLoop = false;
+      entry.resolved = false;
+    }
+  }
+  return entries;
+}
+
+// Find out where a symlink points and whether that is a folder or a file. Runs over a pooled
+// connection when there is one, so it can't collide with an operation on the main connection.
+async function resolveSymlink(sessionId, remotePath) {
+  const session = getSession(sessionId);
+  const linkPath = path.posix.normalize(remotePath);
+  const dirPath = path.posix.dirname(linkPath);
+  const realPath = path.posix.join(resolveRealPath(session, dirPath), path.posix.basename(linkPath));
+
+  let info = session.symlinkTargets.get(realPath);
+  if (!info) {
+    const resolve = async (client) => {
+      const siblings = (await client.list(dirPath)).map(normalizeFileInfo);
+      const entry = siblings.find(item => item.name === path.posix.basename(linkPath));
+      if (!entry || entry.type !== 'symlink') {
+        throw new Error(`${linkPath} is not a symbolic link`);
+      }
+
+      // SFTP listings don't include the link target
+      let link = entry.link;
+      if (!link && typeof client.readLink === 'function') {
+        link = await client.readLink(linkPath).catch(() => null);
+      }
+      const linkTarget = link ? path.posix.resolve(path.posix.dirname(realPath), link) : null;
+      return {
+        link: link || null,
+        linkTarget,
+        targetType: linkTarget ? await getSymlinkTargetType(client, linkTarget) : null
+      };
+    };
+
+    if (session.connectionPool.isInitialized) {
+      const connection = await session.connectionPool.getConnection();
+      try {
+        info = await resolve(connection);
+      } finally {
+        session.connectionPool.releaseConnection(connection);
+      }
+    } else {
+      if (!session.isConnected) {
+        await connect(session);
+      }
+      info = await resolve(session.ftpClient);
+    }
+    rememberSymlink(session, realPath, info);
+  }
+
+  return {
+    ...info,
+    resolved: true,
+    isLoop: info.targetType === 'directory' && isSymlinkLoop(session, dirPath, info.linkTarget)
+  };
+}
+
 // Create minimal directory structure when all other methods fail
 function createMinimalStructure() {
   return {
@@ -532,57 +836,58 @@ function createMinimalStructure() {
   };
 }
 
-// Connect to FTP server
-async function connect() {
+// Connect to FTP server using a saved profile (defaults to the current or active profile)
+async function connect(sessionId, profileId = null) {
+  const session = getSession(sessionId);
   try {
-    if (isConnected && ftpClient) {
-      return { success: true, message: 'Already connected to FTP server' };
+    const targetProfileId = profileId || session.profileId;
+    
+    if (session.isConnected && session.ftpClient) {
+      if (!profileId || profileId === session.profileId) {
+        return { success: true, message: 'Already connected to FTP server', profileId: session.profileId };
+      }
+      
+      // Switching to another profile - drop the current connection and its cached listings
+      await disconnect(session);
+      session.lazyLoader.directoryCache.clear();
+      session.lazyLoader.clearMemoryCache();
     }
     
-    // Get FTP configuration
-    const appConfig = await config.getConfig();
-    const ftpConfig = appConfig.ftp;
+    // Get FTP configuration from the selected profile
+    const ftpConfig = await config.getProfile(targetProfileId);
     
-    if (!ftpConfig.host || !ftpConfig.username || !ftpConfig.password) {
+    if (!ftpConfig.host || !ftpConfig.username || !transport.hasCredentials(ftpConfig)) {
       throw new Error('FTP configuration is incomplete');
     }
     
     // Initialize username for cache
-    await initializeUsername();
+    await initializeUsername(session, ftpConfig.id);
     
     // Initialize connection pool
-    await connectionPool.initialize(ftpConfig);
-    
-    // Create legacy single connection for backward compatibility
-    ftpClient = new Client();
+    await session.connectionPool.initialize(ftpConfig);
     
-    // Configure timeouts to prevent hanging
-    ftpClient.timeout = 30000; // 30 seconds timeout
+    // Create legacy single connection for backward compatibility (FTP or SFTP)
+    session.ftpClient = transport.createClient(ftpConfig, 30000); // 30 seconds timeout
+    session.protocol = ftpConfig.protocol;
     
     // Set up error handling
-    ftpClient.ftp.socket.on('error', (error) => {
-      console.error('FTP socket error:', error);
-      isConnected = false;
-    });
-    
-    ftpClient.ftp.socket.on('close', () => {
-      console.log('FTP connection closed');
-      isConnected = false;
-    });
-    
-    ftpClient.ftp.socket.on('timeout', () => {
-      console.warn('FTP socket timeout');
-      isConnected = false;
+    transport.watchConnection(session.ftpClient, {
+      onError: (error) => {
+        console.error('FTP socket error:', error);
+        session.isConnected = false;
+      },
+      onClose: () => {
+        console.log('FTP connection closed');
+        session.isConnected = false;
+      },
+      onTimeout: () => {
+        console.warn('FTP socket timeout');
+        session.isConnected = false;
+      }
     });
     
     // Connect to server with timeout
-    const connectPromise = ftpClient.access({
-      host: ftpConfig.host,
-      port: ftpConfig.port || 21,
-      user: ftpConfig.username,
-      password: ftpConfig.password,
-      secure: ftpConfig.secure || false
-    });
+    const connectPromise = transport.connectClient(session.ftpClient, ftpConfig);
     
     // Add connection timeout
     const timeoutPromise = new Promise((_, reject) => {
@@ -591,54 +896,67 @@ async function connect() {
     
     await Promise.race([connectPromise, timeoutPromise]);
     
-    isConnected = true;
-    console.log(`Connected to FTP server: ${ftpConfig.host}`);
-    console.log(`Connection pool initialized with ${connectionPool.maxConnections} max connections`);
+    session.isConnected = true;
+    session.listingMode = transport.getListingMode(session.ftpClient);
+    console.log(`Connected to ${ftpConfig.protocol.toUpperCase()} server: ${ftpConfig.host} (listing: ${session.listingMode})`);
+    console.log(`Connection pool initialized with ${session.connectionPool.maxConnections} max connections`);
     
     return {
       success: true,
       message: 'Successfully connected to FTP server with connection pooling',
+      profileId: ftpConfig.id,
+      profileName: ftpConfig.name,
+      protocol: ftpConfig.protocol,
       host: ftpConfig.host,
-      port: ftpConfig.port || 21,
-      poolStats: connectionPool.getStats()
+      port: ftpConfig.port,
+      remoteDir: ftpConfig.remoteDir,
+      listingMode: session.listingMode,
+      poolStats: session.connectionPool.getStats()
     };
     
   } catch (error) {
-    isConnected = false;
-    if (ftpClient) {
-      ftpClient.close();
-      ftpClient = null;
+    session.isConnected = false;
+    if (session.ftpClient) {
+      session.ftpClient.close();
+      session.ftpClient = null;
     }
-    await connectionPool.closeAll();
-    throw new Error(`Failed to connect to FTP server: ${error.message}`);
+    await session.connectionPool.closeAll();
+    
+    // Keep certificate details so the renderer can ask the user to trust the server
+    const connectError = new Error(`Failed to connect to FTP server: ${error.message}`);
+    connectError.code = error.code;
+    connectError.certificate = error.certificate;
+    throw connectError;
   }
 }
 
 // Disconnect from FTP server
-async function disconnect() {
+async function disconnect(sessionId) {
+  const session = getSession(sessionId);
   try {
-    if (ftpClient) {
-      ftpClient.close();
-      ftpClient = null;
+    if (session.ftpClient) {
+      session.ftpClient.close();
+      session.ftpClient = null;
     }
     
     // Close all pooled connections
-    await connectionPool.closeAll();
+    await session.connectionPool.closeAll();
     
-    isConnected = false;
+    session.isConnected = false;
     console.log('Disconnected from FTP server and closed connection pool');
     return { success: true, message: 'Disconnected from FTP server and closed connection pool' };
   } catch (error) {
     console.error('Error disconnecting from FTP:', error);
-    ftpClient = null;
-    isConnected = false;
-    await connectionPool.closeAll();
+    session.ftpClient = null;
+    session.isConnected = false;
+    await session.connectionPool.closeAll();
     throw new Error(`Failed to disconnect: ${error.message}`);
   }
 }
 
 // List files and directories in the specified path
-async function list(remotePath = '/', retryCount = 0) {
+async function list(sessionId, remotePath = '/', retryCount = 0) {
+  const session = getSession(sessionId);
   // Normalize path to prevent path traversal
   const normalizedPath = path.posix.normalize(remotePath);
   if (normalizedPath.includes('..')) {
@@ -650,14 +968,14 @@ async function list(remotePath = '/', retryCount = 0) {
   
   try {
     // Ensure we're connected
-    if (!isConnected || !ftpClient) {
-      await connect();
+    if (!session.isConnected || !session.ftpClient) {
+      await connect(session);
     }
     
     console.log(`Listing FTP directory: ${normalizedPath}`);
     
     // Create timeout promise for list operation
-    const listPromise = ftpClient.list(normalizedPath);
+    const listPromise = session.ftpClient.list(normalizedPath);
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error('List operation timeout after 15 seconds')), 15000);
     });
@@ -665,10 +983,17 @@ async function list(remotePath = '/', retryCount = 0) {
     // Get directory listing from FTP server with timeout
     const rawList = await Promise.race([listPromise, timeoutPromise]);
     
+    // The first listing settles which command the server really supports
+    const listingMode = transport.getListingMode(session.ftpClient);
+    if (listingMode !== session.listingMode) {
+      console.warn(`Listing mode for session ${session.id} changed from ${session.listingMode} to ${listingMode}`);
+      session.listingMode = listingMode;
+    }
+    
     // Normalize file information
     const fileList = rawList.map(normalizeFileInfo);
     
-    return fileList;
+    return describeSymlinks(session, normalizedPath, fileList);
     
   } catch (error) {
     console.error('Error listing FTP directory:', error);
@@ -694,15 +1019,15 @@ async function list(remotePath = '/', retryCount = 0) {
       
       try {
         // Force reconnection
-        isConnected = false;
-        if (ftpClient) {
-          ftpClient.close();
-          ftpClient = null;
+        session.isConnected = false;
+        if (session.ftpClient) {
+          session.ftpClient.close();
+          session.ftpClient = null;
         }
-        await connect();
+        await connect(session);
         
         // Retry the list operation
-        return await list(normalizedPath, retryCount + 1);
+        return await list(session, normalizedPath, retryCount + 1);
       } catch (retryError) {
         if (retryCount === maxRetries - 1) {
           throw new Error(`Failed to list directory after ${maxRetries} retries: ${retryError.message}`);
@@ -725,11 +1050,12 @@ async function list(remotePath = '/', retryCount = 0) {
 }
 
 // Download file from FTP server to local path
-async function download(remotePath, localPath) {
+async function download(sessionId, remotePath, localPath) {
+  const session = getSession(sessionId);
   try {
     // Ensure we're connected
-    if (!isConnected || !ftpClient) {
-      await connect();
+    if (!session.isConnected || !session.ftpClient) {
+      await connect(session);
     }
     
     // Normalize remote path to prevent path traversal
@@ -745,7 +1071,7 @@ async function download(remotePath, localPath) {
     await fs.mkdir(localDir, { recursive: true });
     
     // Download file
-    await ftpClient.downloadTo(localPath, normalizedRemotePath);
+    await session.ftpClient.downloadTo(localPath, normalizedRemotePath);
     
     console.log(`File downloaded successfully: ${localPath}`);
     
@@ -762,9 +1088,9 @@ async function download(remotePath, localPath) {
     // If connection error, try to reconnect once
     if (error.message.includes('connection') || error.message.includes('socket')) {
       try {
-        isConnected = false;
-        await connect();
-        await ftpClient.downloadTo(localPath, remotePath);
+        session.isConnected = false;
+        await connect(session);
+        await session.ftpClient.downloadTo(localPath, remotePath);
         return {
           success: true,
           remotePath,
@@ -780,12 +1106,61 @@ async function download(remotePath, localPath) {
   }
 }
 
+// Local files a failed download left half-written: local path -> { remotePath, size } of
+// the remote file at the time. Only these are resumed, so saving over some other existing
+// file never keeps its old bytes as a prefix.
+const partialDownloads = new Map();
+
+// Offset to continue a download at: the length of the partial file from an earlier attempt
+// at the same remote file, or 0 to write the file from the start
+async function getResumePosition(localPath, remotePath, remoteFileSize) {
+  const partial = partialDownloads.get(localPath);
+  if (!partial || !remoteFileSize || partial.remotePath !== remotePath || partial.size !== remoteFileSize) {
+    return 0;
+  }
+  const stats = await fs.stat(localPath).catch(() => null);
+  return stats ? stats.size : 0;
+}
+
+// Stream a remote file straight to disk. The transfer is piped into a file write
+// stream, so backpressure keeps memory flat whatever the file size. With startAt > 0
+// the transfer starts at that offset (REST) and the stream appends to the partial file.
+async function streamDownloadToFile(client, remotePath, localPath, startAt = 0, onProgress = null) {
+  const fileStream = createWriteStream(localPath, { flags: startAt > 0 ? 'a' : 'w' });
+  const fileClosed = finished(fileStream);
+
+  if (onProgress) {
+    client.trackProgress(info => onProgress(startAt + info.bytes));
+  }
+
+  try {
+    await client.downloadTo(fileStream, remotePath, startAt);
+  } catch (error) {
+    fileStream.destroy();
+    await fileClosed.catch(() => {});
+    throw error;
+  } finally {
+    if (onProgress) {
+      client.trackProgress();
+    }
+  }
+
+  // basic-ftp ends the stream itself, the SFTP client leaves it open
+  if (!fileStream.writableEnded) {
+    fileStream.end();
+  }
+  await fileClosed;
+
+  return startAt + fileStream.bytesWritten;
+}
+
 // Enhanced download function with progress tracking and resume capability
-async function downloadWithProgress(remotePath, localPath, onProgress = null, allowResume = true) {
+async function downloadWithProgress(sessionId, remotePath, localPath, onProgress = null, allowResume = true) {
+  const session = getSession(sessionId);
   try {
     // Ensure we're connected
-    if (!isConnected || !ftpClient) {
-      await connect();
+    if (!session.isConnected || !session.ftpClient) {
+      await connect(session);
     }
     
     // Normalize remote path to prevent path traversal
@@ -801,28 +1176,20 @@ async function downloadWithProgress(remotePath, localPath, onProgress = null, al
     await fs.mkdir(localDir, { recursive: true });
     
     // Get remote file size for progress calculation
-    let remoteFileSize = 0;
+    const remoteFileSize = await getRemoteFileSize(session.ftpClient, normalizedRemotePath) || 0;
     let resumePosition = 0;
-    
-    try {
-      const fileList = await ftpClient.list(path.posix.dirname(normalizedRemotePath));
-      const fileName = path.posix.basename(normalizedRemotePath);
-      const fileInfo = fileList.find(item => item.name === fileName && item.type === 'file');
-      
-      if (fileInfo && fileInfo.size) {
-        remoteFileSize = parseInt(fileInfo.size);
-      }
-    } catch (listError) {
-      console.warn('Could not get remote file size:', listError.message);
+    if (!remoteFileSize) {
+      console.warn(`Could not get remote file size: ${normalizedRemotePath}`);
     }
     
-    // Check if local file exists for resume capability
-    if (allowResume && await fs.access(localPath).then(() => true).catch(() => false)) {
-      const localStats = await fs.stat(localPath);
-      resumePosition = localStats.size;
-      
+    // Only a file an earlier attempt left half-written is resumed, anything else is overwritten
+    if (allowResume) {
+      resumePosition = await getResumePosition(localPath, normalizedRemotePath, remoteFileSize);
+    }
+    if (resumePosition > 0) {
       // If local file is same size or larger, consider it complete
-      if (remoteFileSize > 0 && resumePosition >= remoteFileSize) {
+      if (resumePosition >= remoteFileSize) {
+        partialDownloads.delete(localPath);
         console.log('File already downloaded completely');
         if (onProgress) onProgress(100, remoteFileSize, remoteFileSize, 'Download complete');
         return {
@@ -840,50 +1207,42 @@ async function downloadWithProgress(remotePath, localPath, onProgress = null, al
     }
     
     let downloadedBytes = resumePosition;
-    const chunks = [];
     
     // Set up progress tracking
-    const progressTracker = {
-      write: (chunk) => {
-        chunks.push(chunk);
-        downloadedBytes += chunk.length;
-        
-        if (onProgress && remoteFileSize > 0) {
-          const progress = Math.round((downloadedBytes / remoteFileSize) * 100);
-          const speed = calculateDownloadSpeed(downloadedBytes - resumePosition, Date.now());
-          onProgress(progress, downloadedBytes, remoteFileSize, `Downloading... ${formatSpeed(speed)}`);
-        }
-      },
-      end: () => {}
+    const reportProgress = (bytes) => {
+      downloadedBytes = bytes;
+      
+      if (onProgress && remoteFileSize > 0) {
+        const progress = Math.round((downloadedBytes / remoteFileSize) * 100);
+        const speed = calculateDownloadSpeed(downloadedBytes - resumePosition, Date.now());
+        onProgress(progress, downloadedBytes, remoteFileSize, `Downloading... ${formatSpeed(speed)}`);
+      }
     };
     
+    // Remember the file as partial until it's complete, so a retry may continue it
+    partialDownloads.set(localPath, { remotePath: normalizedRemotePath, size: remoteFileSize });
+    
     // Perform download with resume support
     if (resumePosition > 0) {
-      // For resume, we need to use REST command
+      // For resume, start the transfer at the local size (REST on FTP, offset read on SFTP)
       try {
-        await ftpClient.ftp.send(`REST ${resumePosition}`);
-        await ftpClient.downloadTo(progressTracker, normalizedRemotePath);
-        
-        // Append new data to existing file
-        const newData = Buffer.concat(chunks);
-        await fs.appendFile(localPath, newData);
+        downloadedBytes = await streamDownloadToFile(session.ftpClient, normalizedRemotePath, localPath, resumePosition, reportProgress);
       } catch (resumeError) {
+        if (isConnectionError(resumeError)) {
+          throw resumeError;
+        }
         console.warn('Resume failed, starting fresh download:', resumeError.message);
         // Fallback to fresh download
         resumePosition = 0;
-        downloadedBytes = 0;
-        chunks.length = 0;
-        await ftpClient.downloadTo(progressTracker, normalizedRemotePath);
-        const fileData = Buffer.concat(chunks);
-        await fs.writeFile(localPath, fileData);
+        downloadedBytes = await streamDownloadToFile(session.ftpClient, normalizedRemotePath, localPath, 0, reportProgress);
       }
     } else {
       // Fresh download
-      await ftpClient.downloadTo(progressTracker, normalizedRemotePath);
-      const fileData = Buffer.concat(chunks);
-      await fs.writeFile(localPath, fileData);
+      downloadedBytes = await streamDownloadToFile(session.ftpClient, normalizedRemotePath, localPath, 0, reportProgress);
     }
     
+    partialDownloads.delete(localPath);
+    
     // Final progress update
     if (onProgress) {
       onProgress(100, downloadedBytes, downloadedBytes, 'Download complete');
@@ -906,10 +1265,10 @@ async function downloadWithProgress(remotePath, localPath, onProgress = null, al
     // If connection error, try to reconnect once
     if (error.message.includes('connection') || error.message.includes('socket')) {
       try {
-        isConnected = false;
-        await connect();
-        // Retry without resume to avoid complications
-        return await downloadWithProgress(remotePath, localPath, onProgress, false);
+        session.isConnected = false;
+        await connect(session);
+        // Continue from the bytes already written to disk
+        return await downloadWithProgress(session, remotePath, localPath, onProgress, true);
       } catch (retryError) {
         throw new Error(`Failed to download file after retry: ${retryError.message}`);
       }
@@ -942,6 +1301,98 @@ function formatSpeed(bytesPerSecond) {
   }
 }
 
+// What to do when a file of a downloaded folder already exists locally
+const OVERWRITE_POLICIES = {
+  SKIP: 'skip',
+  OVERWRITE: 'overwrite',
+  NEWER: 'newer', // only when the remote file is newer or has a different size
+  RENAME: 'rename' // keep both, saving the new one as "name (1).ext"
+};
+
+// Decide where a remote file goes locally; null means it should be skipped
+async function resolveDownloadTarget(localPath, remoteFile, overwritePolicy) {
+  let stats;
+  try {
+    stats = await fs.stat(localPath);
+  } catch (error) {
+    return localPath;
+  }
+
+  switch (overwritePolicy) {
+    case OVERWRITE_POLICIES.OVERWRITE:
+      return localPath;
+    case OVERWRITE_POLICIES.NEWER: {
+      const remoteTime = remoteFile.modifiedAt ? new Date(remoteFile.modifiedAt) : null;
+      const isNewer = remoteTime && remoteTime > stats.mtime;
+      return isNewer || remoteFile.size !== stats.size ? localPath : null;
+    }
+    case OVERWRITE_POLICIES.RENAME: {
+      const ext = path.extname(localPath);
+      const base = localPath.slice(0, localPath.length - ext.length);
+      for (let i = 1; ; i++) {
+        const candidate = `${base} (${i})${ext}`;
+        if (!await fs.access(candidate).then(() => true).catch(() => false)) {
+          return candidate;
+        }
+      }
+    }
+    default:
+      return null;
+  }
+}
+
+// Walk a remote directory tree level by level, listing several folders at once over the
+// connection pool. Local folders are created as they are found; pass localRoot = null to
+// only list the tree.
+async function collectRemoteTree(sessionId, remoteDir, localRoot, onProgress = null) {
+  const session = getSession(sessionId);
+  const maxConcurrency = session.connectionPool.maxConnections;
+  const directories = [];
+  const files = [];
+  const skipped = [];
+  const failed = [];
+
+  let pending = [{ remotePath: remoteDir, localPath: localRoot }];
+  while (pending.length > 0) {
+    const level = pending;
+    pending = [];
+
+    await performConcurrentOperations(session, level.map(dir => async () => {
+      try {
+        if (dir.localPath) {
+          await fs.mkdir(dir.localPath, { recursive: true });
+        }
+        const entries = await listPooled(session, dir.remotePath);
+        directories.push(dir);
+
+        for (const entry of entries) {
+          if (entry.name === '.' || entry.name === '..') continue;
+
+          const remotePath = path.posix.join(dir.remotePath, entry.name);
+          const localPath = dir.localPath ? path.join(dir.localPath, entry.name) : null;
+          if (/[\\/]/.test(entry.name)) {
+            skipped.push({ path: remotePath, reason: 'Invalid file name' });
+          } else if (entry.type === 'directory') {
+            pending.push({ remotePath, localPath });
+          } else if (entry.type === 'file') {
+            files.push({ remotePath, localPath, size: entry.size, modifiedAt: entry.modifiedAt });
+          } else {
+            skipped.push({ path: remotePath, reason: entry.isSymbolicLink ? 'Symbolic link' : 'Unsupported file type' });
+          }
+        }
+      } catch (error) {
+        failed.push({ path: dir.remotePath, error: error.message });
+      }
+
+      if (onProgress) {
+        onProgress(0, 0, 0, `Scanning... ${directories.length} folder, ${files.length} file`);
+      }
+    }), maxConcurrency);
+  }
+
+  return { directories, files, skipped, failed };
+}
+
 // Enhanced file download and temporary storage system
 class EnhancedFileDownloader {
   constructor() {
@@ -990,7 +1441,8 @@ class EnhancedFileDownloader {
       customTempDir = null,
       priority = 'normal',
       onProgress = null,
-      allowResume = true
+      allowResume = true,
+      sessionId
     } = options;
 
     if (!this.tempDirectory) {
@@ -1011,7 +1463,7 @@ class EnhancedFileDownloader {
         const stats = await fs.stat(tempFilePath);
         
         // Check if file is complete and valid
-        if (await this._validateTempFile(tempFilePath, remotePath)) {
+        if (await this._validateTempFile(tempFilePath, remotePath, sessionId)) {
           console.log(`File already exists in temp directory: ${tempFilePath}`);
           
           if (openAfterDownload) {
@@ -1041,7 +1493,7 @@ class EnhancedFileDownloader {
       const result = await this._downloadWithEnhancedFeatures(
         remotePath, 
         tempFilePath, 
-        { allowResume, onProgress, priority }
+        { allowResume, onProgress, priority, sessionId }
       );
 
       // Update download statistics
@@ -1085,12 +1537,13 @@ class EnhancedFileDownloader {
 
   // Enhanced download with advanced features
   async _downloadWithEnhancedFeatures(remotePath, localPath, options = {}) {
-    const { allowResume = true, onProgress = null, priority = 'normal' } = options;
+    const { allowResume = true, onProgress = null, priority = 'normal', sessionId } = options;
+    const session = getSession(sessionId);
     
     try {
       // Ensure we're connected
-      if (!isConnected || !ftpClient) {
-        await connect();
+      if (!session.isConnected || !session.ftpClient) {
+        await connect(session);
       }
 
       // Normalize remote path
@@ -1106,27 +1559,19 @@ class EnhancedFileDownloader {
       await fs.mkdir(localDir, { recursive: true });
 
       // Get remote file size
-      let remoteFileSize = 0;
+      const remoteFileSize = await getRemoteFileSize(session.ftpClient, normalizedRemotePath) || 0;
       let resumePosition = 0;
-
-      try {
-        const fileList = await ftpClient.list(path.posix.dirname(normalizedRemotePath));
-        const fileName = path.posix.basename(normalizedRemotePath);
-        const fileInfo = fileList.find(item => item.name === fileName && item.type === 'file');
-        
-        if (fileInfo && fileInfo.size) {
-          remoteFileSize = parseInt(fileInfo.size);
-        }
-      } catch (listError) {
-        console.warn('Could not get remote file size:', listError.message);
+      if (!remoteFileSize) {
+        console.warn(`Could not get remote file size: ${normalizedRemotePath}`);
       }
 
-      // Check if file exists for resume
-      if (allowResume && await fs.access(localPath).then(() => true).catch(() => false)) {
-        const localStats = await fs.stat(localPath);
-        resumePosition = localStats.size;
-
-        if (remoteFileSize > 0 && resumePosition >= remoteFileSize) {
+      // Only a file an earlier attempt left half-written is resumed, anything else is overwritten
+      if (allowResume) {
+        resumePosition = await getResumePosition(localPath, normalizedRemotePath, remoteFileSize);
+      }
+      if (resumePosition > 0) {
+        if (resumePosition >= remoteFileSize) {
+          partialDownloads.delete(localPath);
           console.log('File already complete in temp directory');
           return {
             success: true,
@@ -1140,54 +1585,43 @@ class EnhancedFileDownloader {
       // Track download performance
       const downloadStartTime = Date.now();
       let downloadedBytes = resumePosition;
-      const chunks = [];
 
       // Enhanced progress tracking
-      const progressTracker = {
-        write: (chunk) => {
-          chunks.push(chunk);
-          downloadedBytes += chunk.length;
+      const reportProgress = (bytes) => {
+        downloadedBytes = bytes;
+        
+        if (onProgress && remoteFileSize > 0) {
+          const progress = Math.round((downloadedBytes / remoteFileSize) * 100);
+          const speed = this.calculateDownloadSpeed(downloadedBytes - resumePosition, Date.now());
+          const estimatedTimeRemaining = this.calculateEstimatedTimeRemaining(
+            downloadedBytes - resumePosition, 
+            remoteFileSize - resumePosition, 
+            speed
+          );
           
-          if (onProgress && remoteFileSize > 0) {
-            const progress = Math.round((downloadedBytes / remoteFileSize) * 100);
-            const speed = this.calculateDownloadSpeed(downloadedBytes - resumePosition, Date.now());
-            const estimatedTimeRemaining = this.calculateEstimatedTimeRemaining(
-              downloadedBytes - resumePosition, 
-              remoteFileSize - resumePosition, 
-              speed
-            );
-            
-            onProgress(progress, downloadedBytes, remoteFileSize, 
-              `Downloading... ${formatSpeed(speed)}${estimatedTimeRemaining ? ` (ETA: ${estimatedTimeRemaining})` : ''}`);
-          }
-        },
-        end: () => {}
+          onProgress(progress, downloadedBytes, remoteFileSize, 
+            `Downloading... ${formatSpeed(speed)}${estimatedTimeRemaining ? ` (ETA: ${estimatedTimeRemaining})` : ''}`);
+        }
       };
 
-      // Perform download
+      // Perform download, appending to the partial file when resuming
+      partialDownloads.set(localPath, { remotePath: normalizedRemotePath, size: remoteFileSize });
       if (resumePosition > 0) {
         try {
-          await ftpClient.ftp.send(`REST ${resumePosition}`);
-          await ftpClient.downloadTo(progressTracker, normalizedRemotePath);
-          
-          // Append to existing file
-          const newData = Buffer.concat(chunks);
-          await fs.appendFile(localPath, newData);
+          downloadedBytes = await streamDownloadToFile(session.ftpClient, normalizedRemotePath, localPath, resumePosition, reportProgress);
         } catch (resumeError) {
+          if (isConnectionError(resumeError)) {
+            throw resumeError;
+          }
           console.warn('Resume failed, starting fresh download:', resumeError.message);
           resumePosition = 0;
-          downloadedBytes = 0;
-          chunks.length = 0;
-          await ftpClient.downloadTo(progressTracker, normalizedRemotePath);
-          const fileData = Buffer.concat(chunks);
-          await fs.writeFile(localPath, fileData);
+          downloadedBytes = await streamDownloadToFile(session.ftpClient, normalizedRemotePath, localPath, 0, reportProgress);
         }
       } else {
-        await ftpClient.downloadTo(progressTracker, normalizedRemotePath);
-        const fileData = Buffer.concat(chunks);
-        await fs.writeFile(localPath, fileData);
+        downloadedBytes = await streamDownloadToFile(session.ftpClient, normalizedRemotePath, localPath, 0, reportProgress);
       }
 
+      partialDownloads.delete(localPath);
       const downloadTime = Date.now() - downloadStartTime;
       this.downloadStats.averageDownloadTime = 
         (this.downloadStats.averageDownloadTime * (this.downloadStats.totalDownloads - 1) + downloadTime) / 
@@ -1233,7 +1667,7 @@ class EnhancedFileDownloader {
   }
 
   // Validate temp file
-  async _validateTempFile(filePath, remotePath) {
+  async _validateTempFile(filePath, remotePath, sessionId) {
     try {
       // Check file exists
       const stats = await fs.stat(filePath);
@@ -1246,13 +1680,20 @@ class EnhancedFileDownloader {
         return false;
       }
 
-      // Basic file integrity check
-      const buffer = await fs.readFile(filePath);
-      if (buffer.length !== stats.size) {
-        return false;
+      const session = getSession(sessionId);
+      if (!session.isConnected || !session.ftpClient) {
+        return true;
       }
 
-      return true;
+      // Compare with the remote file: checksums when verification is on, otherwise the size
+      const { app: appConfig } = await config.getConfig();
+      if (appConfig.verifyTransfers) {
+        const result = await checksum.verifyTransfer(session.ftpClient, filePath, remotePath);
+        return result.verified;
+      }
+
+      const remoteSize = await getRemoteFileSize(session.ftpClient, remotePath);
+      return remoteSize === null || remoteSize === stats.size;
     } catch (error) {
       return false;
     }
@@ -1295,6 +1736,7 @@ class EnhancedFileDownloader {
     this.tempFileCleanupInterval = setInterval(async () => {
       await this.cleanupTempFiles();
     }, 60 * 60 * 1000); // Run every hour
+    this.tempFileCleanupInterval.unref(); // Housekeeping alone shouldn't keep the process alive
   }
 
   // Cancel active download
@@ -1827,6 +2269,7 @@ class PerformanceMonitor {
         });
       }
     }, 60000); // Check every minute
+    this.monitoringInterval.unref();
   }
 
   // Stop performance monitoring
@@ -1895,25 +2338,26 @@ function generatePerformanceReport() {
 const enhancedDownloader = new EnhancedFileDownloader();
 
 // Read cache from file
-async function readCache(username = null) {
+async function readCache(sessionId, username = null) {
+  const session = getSession(sessionId);
   try {
     await ensureCacheDir();
-    const cacheFilePath = getCacheFilePath(username);
+    const cacheFilePath = getCacheFilePath(session, username);
     
     try {
       const cacheData = await fs.readFile(cacheFilePath, 'utf8');
       const parsed = JSON.parse(cacheData);
       
       if (isCacheValid(parsed)) {
-        console.log(`Using valid cache data for user: ${username || currentUsername || 'default'}`);
+        console.log(`Using valid cache data for user: ${username || session.username || 'default'}`);
         return parsed;
       } else {
-        console.log(`Cache data is expired for user: ${username || currentUsername || 'default'}`);
+        console.log(`Cache data is expired for user: ${username || session.username || 'default'}`);
         return null;
       }
     } catch (error) {
       if (error.code === 'ENOENT') {
-        console.log(`Cache file not found for user: ${username || currentUsername || 'default'}`);
+        console.log(`Cache file not found for user: ${username || session.username || 'default'}`);
         return null;
       }
       throw error;
@@ -1925,17 +2369,19 @@ async function readCache(username = null) {
 }
 
 // Write cache to file
-async function writeCache(directoryStructure, username = null) {
+async function writeCache(sessionId, directoryStructure, username = null) {
+  const session = getSession(sessionId);
   try {
     await ensureCacheDir();
-    const cacheFilePath = getCacheFilePath(username);
-    const user = username || currentUsername || 'default';
+    const cacheFilePath = getCacheFilePath(session, username);
+    const user = username || session.username || 'default';
     
     const cacheData = {
       timestamp: new Date().toISOString(),
       structure: directoryStructure,
       version: CACHE_VERSION,
       username: user,
+      profileId: session.profileId || 'default',
       cacheId: `${user}_${Date.now()}` // Unique cache identifier
     };
     
@@ -1955,7 +2401,8 @@ async function writeCache(directoryStructure, username = null) {
 
 // Build directory structure with optimized lazy loading for faster performance
 // Concurrent directory processing with smart caching
-async function buildDirectoryStructureConcurrent(basePath = '/', maxDepth = 2, currentDepth = 0) {
+async function buildDirectoryStructureConcurrent(sessionId, basePath = '/', maxDepth = 2, currentDepth = 0) {
+  const session = getSession(sessionId);
   const normalizedPath = basePath === '/' ? '/' : basePath.replace(/\/$/, '');
   const startTime = Date.now();
   
@@ -1978,11 +2425,11 @@ async function buildDirectoryStructureConcurrent(basePath = '/', maxDepth = 2, c
     const shouldPrioritize = await shouldPrioritizeInCache(normalizedPath);
     
     const buildPromise = async () => {
-      const items = await list(normalizedPath);
+      const items = await list(session, normalizedPath);
       
       // Separate files and directories
-      const files = items.filter(item => item.type === 'file');
-      const directories = items.filter(item => item.type === 'directory');
+      const files = items.filter(isFileEntry);
+      const directories = items.filter(isDirectoryEntry);
       
       // Add files immediately
       structure.files.push(...files);
@@ -1991,15 +2438,20 @@ async function buildDirectoryStructureConcurrent(basePath = '/', maxDepth = 2, c
       const directoryPromises = directories.map(async (item) => {
         const dirPath = path.posix.join(normalizedPath, item.name);
         
+        // A symlink back into its own path is shown, but never listed through
+        if (item.isLoop) {
+          return { ...item, path: dirPath, isAccessible: true, hasChildren: false, loaded: false, files: [], directories: [] };
+        }
+        
         try {
           // Add timeout for directory access check
-          const accessCheckPromise = list(dirPath);
+          const accessCheckPromise = list(session, dirPath);
           const timeoutPromise = new Promise((_, reject) => {
             setTimeout(() => reject(new Error('Directory access check timeout')), 8000);
           });
           
           const dirItems = await Promise.race([accessCheckPromise, timeoutPromise]);
-          const hasChildren = dirItems.some(subItem => subItem.type === 'directory');
+          const hasChildren = dirItems.some(isDirectoryEntry);
           
           return {
             ...item,
@@ -2088,12 +2540,14 @@ async function processConcurrently(promises, maxConcurrency) {
 }
 
 // Legacy function for backward compatibility
-async function buildDirectoryStructure(basePath = '/', maxDepth = 2, currentDepth = 0) {
-  return buildDirectoryStructureConcurrent(basePath, maxDepth, currentDepth);
+async function buildDirectoryStructure(sessionId, basePath = '/', maxDepth = 2, currentDepth = 0) {
+  const session = getSession(sessionId);
+  return buildDirectoryStructureConcurrent(session, basePath, maxDepth, currentDepth);
 }
 
 // Load directory contents on demand with concurrent processing and smart caching
-async function loadDirectoryContentsConcurrent(dirPath, maxDepth = 1) {
+async function loadDirectoryContentsConcurrent(sessionId, dirPath, maxDepth = 1) {
+  const session = getSession(sessionId);
   const startTime = Date.now();
   
   try {
@@ -2107,7 +2561,7 @@ async function loadDirectoryContentsConcurrent(dirPath, maxDepth = 1) {
       console.log(`Prioritizing ${dirPath} based on access history (${history.accessCount} accesses)`);
     }
     
-    const items = await list(dirPath);
+    const items = await list(session, dirPath);
     const structure = {
       path: dirPath,
       files: [],
@@ -2119,8 +2573,8 @@ async function loadDirectoryContentsConcurrent(dirPath, maxDepth = 1) {
     };
     
     // Separate files and directories
-    const files = items.filter(item => item.type === 'file');
-    const directories = items.filter(item => item.type === 'directory');
+    const files = items.filter(isFileEntry);
+    const directories = items.filter(isDirectoryEntry);
     
     // Add files immediately
     structure.files.push(...files);
@@ -2129,16 +2583,21 @@ async function loadDirectoryContentsConcurrent(dirPath, maxDepth = 1) {
     const directoryPromises = directories.map(async (item) => {
       const subDirPath = path.posix.join(dirPath, item.name);
       
+      // A symlink back into its own path is shown, but never listed through
+      if (item.isLoop) {
+        return { ...item, path: subDirPath, isAccessible: true, hasChildren: false, loaded: false, files: [], directories: [] };
+      }
+      
       try {
         // Use shorter timeout for frequently accessed paths
         const timeout = shouldPrioritize ? 6000 : 8000;
-        const accessCheckPromise = list(subDirPath);
+        const accessCheckPromise = list(session, subDirPath);
         const timeoutPromise = new Promise((_, reject) => {
           setTimeout(() => reject(new Error('Directory access check timeout')), timeout);
         });
         
         const subItems = await Promise.race([accessCheckPromise, timeoutPromise]);
-        const hasChildren = subItems.some(subItem => subItem.type === 'directory');
+        const hasChildren = subItems.some(isDirectoryEntry);
         
         return {
           ...item,
@@ -2201,13 +2660,15 @@ async function loadDirectoryContentsConcurrent(dirPath, maxDepth = 1) {
 }
 
 // Legacy function for backward compatibility
-async function loadDirectoryContents(dirPath, maxDepth = 1) {
-  return loadDirectoryContentsConcurrent(dirPath, maxDepth);
+async function loadDirectoryContents(sessionId, dirPath, maxDepth = 1) {
+  const session = getSession(sessionId);
+  return loadDirectoryContentsConcurrent(session, dirPath, maxDepth);
 }
 
 // Windows File Explorer-like lazy loading system
 class LazyDirectoryLoader {
-  constructor() {
+  constructor(session) {
+    this.session = session; // Owning FTP session
     this.loadingQueue = new Map(); // Track ongoing loads
     this.backgroundWorker = null;
     this.visibleDirectories = new Set(); // Currently visible directories
@@ -2320,7 +2781,7 @@ class LazyDirectoryLoader {
       console.log(`Lazy loading directory: ${dirPath} (priority: ${priority}, pooled: ${usePooled})`);
       
       // Use pooled connection for background operations or regular connection for user operations
-      const items = usePooled ? await listPooled(dirPath) : await list(dirPath);
+      const items = usePooled ? await listPooled(this.session, dirPath) : await list(this.session, dirPath);
       
       // Debug logging to see what we get from FTP server
       console.log(`Raw FTP items for ${dirPath}:`, items.length, 'items');
@@ -2331,12 +2792,12 @@ class LazyDirectoryLoader {
         isFile: item.isFile
       })));
       
-      const files = items.filter(item => item.type === 'file');
-      const directories = items.filter(item => item.type === 'directory').map(dir => ({
+      const files = items.filter(isFileEntry);
+      const directories = items.filter(isDirectoryEntry).map(dir => ({
         ...dir,
         path: path.posix.join(dirPath, dir.name),
         loaded: false, // Mark as not loaded initially
-        hasChildren: null, // Unknown until expanded
+        hasChildren: dir.isLoop ? false : null, // Unknown until expanded; looping symlinks never expand
         isAccessible: true
       }));
       
@@ -2705,6 +3166,19 @@ class LazyDirectoryLoader {
     this.clearMemoryCache(dirPath);
   }
 
+  // Clear a directory and every cached directory below it (after a rename or move)
+  clearDirectoryTree(dirPath) {
+    const prefix = dirPath === '/' ? '/' : `${dirPath}/`;
+    const cachedPaths = new Set([...this.directoryCache.keys(), ...this.memoryCache.keys()]);
+    
+    for (const cachedPath of cachedPaths) {
+      if (cachedPath === dirPath || cachedPath.startsWith(prefix)) {
+        this.clearDirectoryCache(cachedPath);
+        this.visibleDirectories.delete(cachedPath);
+      }
+    }
+  }
+
   // Memory cache management methods
   getFromMemoryCache(dirPath) {
     this.memoryCacheRequests++;
@@ -2799,13 +3273,11 @@ class LazyDirectoryLoader {
   }
 }
 
-// Global lazy loader instance
-const lazyLoader = new LazyDirectoryLoader();
-
 // Windows Explorer-like directory loading function
-async function loadDirectoryLazy(dirPath, options = {}) {
+async function loadDirectoryLazy(sessionId, dirPath, options = {}) {
+  const session = getSession(sessionId);
   try {
-    const structure = await lazyLoader.loadDirectoryOnDemand(dirPath, options);
+    const structure = await session.lazyLoader.loadDirectoryOnDemand(dirPath, options);
     return {
       success: true,
       structure: structure,
@@ -2822,28 +3294,33 @@ async function loadDirectoryLazy(dirPath, options = {}) {
 }
 
 // Set currently visible directories for optimization
-function setVisibleDirectories(directories) {
-  lazyLoader.setVisibleDirectories(directories);
+function setVisibleDirectories(sessionId, directories) {
+  const session = getSession(sessionId);
+  session.lazyLoader.setVisibleDirectories(directories);
 }
 
 // Background refresh for visible directories
-async function refreshVisibleDirectories() {
-  return await lazyLoader.refreshVisibleDirectories();
+async function refreshVisibleDirectories(sessionId) {
+  const session = getSession(sessionId);
+  return await session.lazyLoader.refreshVisibleDirectories();
 }
 
 // Get lazy loading statistics
-function getLazyLoadStats() {
-  return lazyLoader.getCacheStats();
+function getLazyLoadStats(sessionId) {
+  const session = getSession(sessionId);
+  return session.lazyLoader.getCacheStats();
 }
 
 // Clear specific directory from lazy cache
-function clearLazyCache(dirPath) {
-  lazyLoader.clearDirectoryCache(dirPath);
+function clearLazyCache(sessionId, dirPath) {
+  const session = getSession(sessionId);
+  session.lazyLoader.clearDirectoryCache(dirPath);
 }
 
 // Background worker for continuous directory monitoring
 class BackgroundDirectoryWorker {
-  constructor() {
+  constructor(session) {
+    this.session = session; // Owning FTP session
     this.isRunning = false;
     this.intervalId = null;
     this.refreshInterval = 12000; // 12 seconds default (optimized from 30s)
@@ -2978,7 +3455,7 @@ class BackgroundDirectoryWorker {
       console.log('Performing smart background refresh');
 
       // Refresh visible directories first (high priority)
-      if (lazyLoader.visibleDirectories.size > 0) {
+      if (this.session.lazyLoader.visibleDirectories.size > 0) {
         await this._smartRefreshVisibleDirectories();
       }
 
@@ -3007,7 +3484,7 @@ class BackgroundDirectoryWorker {
       try {
         // Use force refresh only for manual refreshes
         const shouldForceRefresh = this.manualRefreshTriggered;
-        await lazyLoader.loadDirectoryOnDemand(dirPath, { 
+        await this.session.lazyLoader.loadDirectoryOnDemand(dirPath, { 
           forceRefresh: shouldForceRefresh, 
           priority: 'background-smart',
           usePooled: true
@@ -3031,8 +3508,8 @@ class BackgroundDirectoryWorker {
     const refreshPromises = Array.from(this.monitoredDirectories).map(async (dirPath) => {
       try {
         // Only refresh if not already in visible directories
-        if (!lazyLoader.visibleDirectories.has(dirPath)) {
-          await lazyLoader.loadDirectoryOnDemand(dirPath, { 
+        if (!this.session.lazyLoader.visibleDirectories.has(dirPath)) {
+          await this.session.lazyLoader.loadDirectoryOnDemand(dirPath, { 
             forceRefresh: true, 
             priority: 'background-monitor',
             usePooled: true // Use pooled connections for background operations
@@ -3051,8 +3528,8 @@ class BackgroundDirectoryWorker {
   async _cleanupOldCacheEntries() {
     const maxCacheSize = 100; // Maximum cached directories
     
-    if (lazyLoader.directoryCache.size > maxCacheSize) {
-      const entries = Array.from(lazyLoader.directoryCache.entries());
+    if (this.session.lazyLoader.directoryCache.size > maxCacheSize) {
+      const entries = Array.from(this.session.lazyLoader.directoryCache.entries());
       
       // Sort by timestamp (oldest first)
       entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
@@ -3060,27 +3537,27 @@ class BackgroundDirectoryWorker {
       // Remove oldest entries
       const toRemove = entries.slice(0, entries.length - maxCacheSize);
       toRemove.forEach(([dirPath]) => {
-        lazyLoader.directoryCache.delete(dirPath);
+        this.session.lazyLoader.directoryCache.delete(dirPath);
         // Also clean from memory cache
-        lazyLoader.clearMemoryCache(dirPath);
+        this.session.lazyLoader.clearMemoryCache(dirPath);
       });
       
       console.log(`Cleaned up ${toRemove.length} old cache entries`);
     }
     
     // Also cleanup memory cache if it's getting too large
-    if (lazyLoader.memoryCache.size > lazyLoader.maxMemoryCacheSize) {
-      const memoryEntries = Array.from(lazyLoader.memoryCache.entries());
+    if (this.session.lazyLoader.memoryCache.size > this.session.lazyLoader.maxMemoryCacheSize) {
+      const memoryEntries = Array.from(this.session.lazyLoader.memoryCache.entries());
       // Sort by access frequency (least accessed first)
       memoryEntries.sort((a, b) => {
-        const freqA = lazyLoader.accessFrequency.get(a[0]) || 0;
-        const freqB = lazyLoader.accessFrequency.get(b[0]) || 0;
+        const freqA = this.session.lazyLoader.accessFrequency.get(a[0]) || 0;
+        const freqB = this.session.lazyLoader.accessFrequency.get(b[0]) || 0;
         return freqA - freqB;
       });
       
-      const memoryToRemove = memoryEntries.slice(0, memoryEntries.length - lazyLoader.maxMemoryCacheSize);
+      const memoryToRemove = memoryEntries.slice(0, memoryEntries.length - this.session.lazyLoader.maxMemoryCacheSize);
       memoryToRemove.forEach(([dirPath]) => {
-        lazyLoader.clearMemoryCache(dirPath);
+        this.session.lazyLoader.clearMemoryCache(dirPath);
       });
       
       console.log(`Cleaned up ${memoryToRemove.length} memory cache entries`);
@@ -3094,7 +3571,7 @@ class BackgroundDirectoryWorker {
       const inactiveTime = Date.now() - this.lastActivity;
       if (inactiveTime > 30000) {
         console.log('Warming up connection pool during idle time');
-        await connectionPool.warmUp(2);
+        await this.session.connectionPool.warmUp(2);
       }
     } catch (error) {
       console.warn('Connection pool warm-up failed:', error.message);
@@ -3113,106 +3590,116 @@ class BackgroundDirectoryWorker {
   }
 }
 
-// Global background worker instance
-const backgroundWorker = new BackgroundDirectoryWorker();
-
 // Background worker control functions
-function startBackgroundWorker(refreshInterval = 15000, enableSmartRefresh = true) {
-  backgroundWorker.start(refreshInterval, enableSmartRefresh);
+function startBackgroundWorker(sessionId, refreshInterval = 15000, enableSmartRefresh = true) {
+  const session = getSession(sessionId);
+  session.backgroundWorker.start(refreshInterval, enableSmartRefresh);
 }
 
-function stopBackgroundWorker() {
-  backgroundWorker.stop();
+function stopBackgroundWorker(sessionId) {
+  const session = getSession(sessionId);
+  session.backgroundWorker.stop();
 }
 
 // Manual refresh function for user-triggered refreshes
-function triggerManualRefresh() {
-  if (backgroundWorker.isRunning) {
-    backgroundWorker.triggerManualRefresh();
-    backgroundWorker.updateActivity(); // Update activity timestamp
+function triggerManualRefresh(sessionId) {
+  const session = getSession(sessionId);
+  if (session.backgroundWorker.isRunning) {
+    session.backgroundWorker.triggerManualRefresh();
+    session.backgroundWorker.updateActivity(); // Update activity timestamp
     return { success: true, message: 'Manual refresh triggered' };
   }
   return { success: false, message: 'Background worker not running' };
 }
 
-function addMonitoredDirectory(dirPath) {
-  backgroundWorker.addMonitoredDirectory(dirPath);
+function addMonitoredDirectory(sessionId, dirPath) {
+  const session = getSession(sessionId);
+  session.backgroundWorker.addMonitoredDirectory(dirPath);
 }
 
-function removeMonitoredDirectory(dirPath) {
-  backgroundWorker.removeMonitoredDirectory(dirPath);
+function removeMonitoredDirectory(sessionId, dirPath) {
+  const session = getSession(sessionId);
+  session.backgroundWorker.removeMonitoredDirectory(dirPath);
 }
 
-function updateWorkerActivity() {
-  backgroundWorker.updateActivity();
+function updateWorkerActivity(sessionId) {
+  const session = getSession(sessionId);
+  session.backgroundWorker.updateActivity();
 }
 
-function getBackgroundWorkerStats() {
-  return backgroundWorker.getStats();
+function getBackgroundWorkerStats(sessionId) {
+  const session = getSession(sessionId);
+  return session.backgroundWorker.getStats();
 }
 
 // Enhanced lazy loading utility functions
-function getIntelligentPrefetchStats() {
+function getIntelligentPrefetchStats(sessionId) {
+  const session = getSession(sessionId);
   return {
-    adaptivePrefetchEnabled: lazyLoader.adaptivePrefetchEnabled,
-    predictionAccuracy: lazyLoader.learningData.predictionAccuracy,
-    prefetchQueueSize: lazyLoader.prefetchQueue.size,
-    memoryCacheHitRate: lazyLoader.memoryCacheRequests > 0 
-      ? (lazyLoader.memoryHitCount / lazyLoader.memoryCacheRequests).toFixed(3)
+    adaptivePrefetchEnabled: session.lazyLoader.adaptivePrefetchEnabled,
+    predictionAccuracy: session.lazyLoader.learningData.predictionAccuracy,
+    prefetchQueueSize: session.lazyLoader.prefetchQueue.size,
+    memoryCacheHitRate: session.lazyLoader.memoryCacheRequests > 0 
+      ? (session.lazyLoader.memoryHitCount / session.lazyLoader.memoryCacheRequests).toFixed(3)
       : 0,
-    learningData: lazyLoader.learningData
+    learningData: session.lazyLoader.learningData
   };
 }
 
-function enableAdaptivePrefetch() {
-  lazyLoader.adaptivePrefetchEnabled = true;
-  lazyLoader.userBehaviorLearning = true;
+function enableAdaptivePrefetch(sessionId) {
+  const session = getSession(sessionId);
+  session.lazyLoader.adaptivePrefetchEnabled = true;
+  session.lazyLoader.userBehaviorLearning = true;
   return { success: true, message: 'Adaptive prefetch enabled' };
 }
 
-function disableAdaptivePrefetch() {
-  lazyLoader.adaptivePrefetchEnabled = false;
-  lazyLoader.userBehaviorLearning = false;
+function disableAdaptivePrefetch(sessionId) {
+  const session = getSession(sessionId);
+  session.lazyLoader.adaptivePrefetchEnabled = false;
+  session.lazyLoader.userBehaviorLearning = false;
   return { success: true, message: 'Adaptive prefetch disabled' };
 }
 
-function getUserBehaviorData() {
+function getUserBehaviorData(sessionId) {
+  const session = getSession(sessionId);
   return {
-    navigationPatterns: Array.from(lazyLoader.learningData.navigationPatterns.entries()),
-    accessHeatmap: Array.from(lazyLoader.learningData.accessHeatmap.entries()),
-    accessFrequency: Array.from(lazyLoader.accessFrequency.entries()),
-    accessRecency: Array.from(lazyLoader.accessRecency.entries())
+    navigationPatterns: Array.from(session.lazyLoader.learningData.navigationPatterns.entries()),
+    accessHeatmap: Array.from(session.lazyLoader.learningData.accessHeatmap.entries()),
+    accessFrequency: Array.from(session.lazyLoader.accessFrequency.entries()),
+    accessRecency: Array.from(session.lazyLoader.accessRecency.entries())
   };
 }
 
-function getCachePerformanceMetrics() {
+function getCachePerformanceMetrics(sessionId) {
+  const session = getSession(sessionId);
   return {
-    memoryCacheSize: lazyLoader.memoryCache.size,
-    maxMemoryCacheSize: lazyLoader.maxMemoryCacheSize,
-    directoryCacheSize: lazyLoader.directoryCache.size,
-    memoryHitRate: lazyLoader.memoryCacheRequests > 0 
-      ? (lazyLoader.memoryHitCount / lazyLoader.memoryCacheRequests).toFixed(3)
+    memoryCacheSize: session.lazyLoader.memoryCache.size,
+    maxMemoryCacheSize: session.lazyLoader.maxMemoryCacheSize,
+    directoryCacheSize: session.lazyLoader.directoryCache.size,
+    memoryHitRate: session.lazyLoader.memoryCacheRequests > 0 
+      ? (session.lazyLoader.memoryHitCount / session.lazyLoader.memoryCacheRequests).toFixed(3)
       : 0,
-    totalRequests: lazyLoader.memoryCacheRequests,
-    promotedToMemoryCache: Array.from(lazyLoader.accessFrequency.entries())
-      .filter(([_, count]) => count >= lazyLoader.CACHE_PROMOTION_THRESHOLD).length,
-    averageDirectoryLoadTime: lazyLoader.getAverageLoadTime ? lazyLoader.getAverageLoadTime() : 0
+    totalRequests: session.lazyLoader.memoryCacheRequests,
+    promotedToMemoryCache: Array.from(session.lazyLoader.accessFrequency.entries())
+      .filter(([_, count]) => count >= session.lazyLoader.CACHE_PROMOTION_THRESHOLD).length,
+    averageDirectoryLoadTime: session.lazyLoader.getAverageLoadTime ? session.lazyLoader.getAverageLoadTime() : 0
   };
 }
 
 // Refresh cache by rebuilding directory structure
-async function refreshCache(username = null, forceRefresh = false) {
-  const user = username || currentUsername || 'default';
+async function refreshCache(sessionId, username = null, forceRefresh = false) {
+  const session = getSession(sessionId);
+  const user = username || session.username || 'default';
   console.log(`Refreshing FTP cache for user: ${user}${forceRefresh ? ' (forced)' : ''}...`);
   
   try {
     // Check if we need to initialize username
-    if (!currentUsername) {
-      await initializeUsername();
+    if (!session.username) {
+      await initializeUsername(session);
     }
     
     // Try to build fresh directory structure with timeout
-    const buildPromise = buildDirectoryStructure('/', 1, 0);
+    const buildPromise = buildDirectoryStructure(session, '/', 1, 0);
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error('Cache refresh timeout after 45 seconds')), 45000);
     });
@@ -3220,7 +3707,7 @@ async function refreshCache(username = null, forceRefresh = false) {
     const structure = await Promise.race([buildPromise, timeoutPromise]);
     
     // Write to cache
-    await writeCache(structure, username);
+    await writeCache(session, structure, username);
     
     console.log(`Cache refreshed successfully for user: ${user}`);
     return structure;
@@ -3230,7 +3717,7 @@ async function refreshCache(username = null, forceRefresh = false) {
     
     // Try to read existing cache as fallback
     try {
-      const fallbackCache = await readCache(username);
+      const fallbackCache = await readCache(session, username);
       if (fallbackCache && fallbackCache.structure) {
         console.log(`Using existing cache as fallback for user: ${user}`);
         return fallbackCache.structure;
@@ -3245,23 +3732,24 @@ async function refreshCache(username = null, forceRefresh = false) {
 }
 
 // Get cached directory structure or build it if not available
-async function getCachedStructure(username = null, forceRefresh = false) {
+async function getCachedStructure(sessionId, username = null, forceRefresh = false) {
+  const session = getSession(sessionId);
   try {
-    const user = username || currentUsername || 'default';
+    const user = username || session.username || 'default';
     
     // Check if we need to initialize username
-    if (!currentUsername) {
-      await initializeUsername();
+    if (!session.username) {
+      await initializeUsername(session);
     }
     
     // Try to read from cache first (for fallback)
-    const cachedData = await readCache(username);
+    const cachedData = await readCache(session, username);
     
     // If force refresh is requested, try to refresh but fallback to cache on failure
     if (forceRefresh) {
       console.log(`Force refresh requested for user: ${user}`);
       try {
-        return await refreshCache(username, true);
+        return await refreshCache(session, username, true);
       } catch (refreshError) {
         console.warn('Force refresh failed, falling back to cached data:', refreshError.message);
         if (cachedData && cachedData.structure) {
@@ -3283,7 +3771,7 @@ async function getCachedStructure(username = null, forceRefresh = false) {
     // Try to refresh cache, but fallback to old cache if refresh fails
     console.log(`Cache invalid or missing for user: ${user}, attempting refresh...`);
     try {
-      return await refreshCache(username);
+      return await refreshCache(session, username);
     } catch (refreshError) {
       console.warn('Cache refresh failed, checking for any cached data:', refreshError.message);
       
@@ -3303,7 +3791,7 @@ async function getCachedStructure(username = null, forceRefresh = false) {
     
     // Final fallback: try to read any available cache
     try {
-      const fallbackCache = await readCache(username);
+      const fallbackCache = await readCache(session, username);
       if (fallbackCache && fallbackCache.structure) {
         console.log('Using fallback cached data due to error');
         return fallbackCache.structure;
@@ -3319,18 +3807,23 @@ async function getCachedStructure(username = null, forceRefresh = false) {
 }
 
 // Check connection status
-function getConnectionStatus() {
+function getConnectionStatus(sessionId) {
+  const session = getSession(sessionId);
   return {
-    isConnected,
-    hasClient: !!ftpClient
+    isConnected: session.isConnected,
+    hasClient: !!session.ftpClient,
+    profileId: session.profileId,
+    protocol: session.protocol,
+    sessionId: session.id
   };
 }
 
 // Clear cache for specific user
-async function clearUserCache(username = null) {
+async function clearUserCache(sessionId, username = null) {
+  const session = getSession(sessionId);
   try {
-    const user = username || currentUsername || 'default';
-    const cacheFilePath = getCacheFilePath(username);
+    const user = username || session.username || 'default';
+    const cacheFilePath = getCacheFilePath(session, username);
     
     try {
       await fs.unlink(cacheFilePath);
@@ -3350,17 +3843,18 @@ async function clearUserCache(username = null) {
 }
 
 // Check if cache exists for current user
-async function checkCacheExists(username = null) {
+async function checkCacheExists(sessionId, username = null) {
+  const session = getSession(sessionId);
   try {
     await ensureCacheDir();
     
-    const targetUsername = username || currentUsername;
+    const targetUsername = username || session.username;
     if (!targetUsername) {
       console.warn('No username provided for cache check');
       return false;
     }
     
-    const cacheFilePath = getCacheFilePath(targetUsername);
+    const cacheFilePath = getCacheFilePath(session, targetUsername);
     
     try {
       const stats = await fs.stat(cacheFilePath);
@@ -3395,7 +3889,8 @@ async function getCachedUsers() {
           const cacheData = JSON.parse(await fs.readFile(filePath, 'utf8'));
           
           users.push({
-            username: username,
+            username: cacheData.username || username,
+            profileId: cacheData.profileId || null,
             lastModified: stats.mtime,
             cacheValid: isCacheValid(cacheData),
             cacheVersion: cacheData.version || 1,
@@ -3414,9 +3909,94 @@ async function getCachedUsers() {
   }
 }
 
-// Upload file to FTP server
-async function upload(localPath, remotePath, onProgress = null) {
-  if (!isConnected || !ftpClient) {
+// How often an interrupted upload is resumed before giving up
+const MAX_UPLOAD_RESUME_ATTEMPTS = 3;
+
+// Errors that mean the control or data connection dropped (worth reconnecting and resuming)
+function isConnectionError(error) {
+  const codes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTCONN', 'EHOSTUNREACH', 'ENETUNREACH'];
+  const message = (error && error.message ? error.message : '').toLowerCase();
+  return codes.includes(error && error.code) ||
+    message.includes('connection') ||
+    message.includes('socket') ||
+    message.includes('timeout') ||
+    message.includes('client is closed');
+}
+
+// Size of a remote file via SIZE, or null if it doesn't exist or the server can't tell
+async function getRemoteFileSize(client, remotePath) {
+  try {
+    return await client.size(remotePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Set the modification time of a remote file (MFMT on FTP, utimes on SFTP).
+// Best effort: returns false when the server doesn't support it.
+async function setRemoteModifiedTime(client, remotePath, date) {
+  try {
+    if (typeof client.setModifiedTime === 'function') {
+      await client.setModifiedTime(remotePath, date);
+    } else {
+      const timestamp = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+      await client.send(`MFMT ${timestamp} ${remotePath}`);
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Upload one file on the given client. With resume, the size of the partial remote file
+// is read with SIZE and only the missing bytes are sent with APPE (appendFrom). The final
+// remote size is compared with the local size when the server supports SIZE.
+// onProgress(transferred, total, offset) counts the resumed offset as already done.
+async function uploadWithResume(client, localPath, remotePath, options = {}) {
+  const { resume = false, onProgress = null } = options;
+  const fileSize = (await fs.stat(localPath)).size;
+
+  let offset = 0;
+  if (resume) {
+    const remoteSize = await getRemoteFileSize(client, remotePath);
+    // A remote file larger than ours is not a partial copy of it - upload from scratch
+    if (remoteSize !== null && remoteSize <= fileSize) {
+      offset = remoteSize;
+    }
+  }
+
+  if (onProgress) {
+    client.trackProgress(info => onProgress(offset + info.bytes, fileSize, offset));
+  }
+
+  try {
+    if (offset > 0) {
+      console.log(`Resuming upload of ${remotePath} at byte ${offset} of ${fileSize}`);
+      if (offset < fileSize) {
+        await client.appendFrom(localPath, remotePath, { localStart: offset });
+      }
+    } else {
+      await client.uploadFrom(localPath, remotePath);
+    }
+  } finally {
+    if (onProgress) {
+      client.trackProgress();
+    }
+  }
+
+  const finalSize = await getRemoteFileSize(client, remotePath);
+  if (finalSize !== null && finalSize !== fileSize) {
+    throw new Error(`Uploaded size mismatch for ${remotePath}: expected ${fileSize} bytes, server has ${finalSize}`);
+  }
+
+  return { fileSize, resumedFrom: offset };
+}
+
+// Upload file to FTP server. A dropped connection is reconnected and the upload
+// continues from the bytes already on the server.
+async function upload(sessionId, localPath, remotePath, onProgress = null) {
+  const session = getSession(sessionId);
+  if (!session.isConnected || !session.ftpClient) {
     throw new Error('FTP client is not connected');
   }
 
@@ -3429,30 +4009,37 @@ async function upload(localPath, remotePath, onProgress = null) {
       throw new Error(`Local file does not exist: ${localPath}`);
     }
 
-    // Get file size for progress tracking
-    const stats = fs.statSync(localPath);
-    const fileSize = stats.size;
-    let uploadedBytes = 0;
-
-    // Set up progress tracking if callback provided
-    if (onProgress && typeof onProgress === 'function') {
-      const originalWrite = ftpClient.ftp.dataSocket?.write;
-      if (ftpClient.ftp.dataSocket && originalWrite) {
-        ftpClient.ftp.dataSocket.write = function(chunk) {
-          uploadedBytes += chunk.length;
-          const progress = Math.round((uploadedBytes / fileSize) * 100);
-          onProgress(progress, uploadedBytes, fileSize);
-          return originalWrite.call(this, chunk);
-        };
+    const reportProgress = onProgress && typeof onProgress === 'function'
+      ? (transferred, total) => onProgress(total > 0 ? Math.round((transferred / total) * 100) : 100, transferred, total)
+      : null;
+
+    let result;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        result = await uploadWithResume(session.ftpClient, localPath, remotePath, {
+          resume: attempt > 0,
+          onProgress: reportProgress
+        });
+        break;
+      } catch (error) {
+        if (!isConnectionError(error) || attempt >= MAX_UPLOAD_RESUME_ATTEMPTS) {
+          throw error;
+        }
+        
+        console.warn(`Upload of ${remotePath} interrupted (${error.message}), reconnecting to resume (attempt ${attempt + 1})`);
+        session.isConnected = false;
+        if (session.ftpClient) {
+          session.ftpClient.close();
+        }
+        await connect(session);
       }
     }
-
-    // Perform the upload
-    await ftpClient.uploadFrom(localPath, remotePath);
+    
+    const { fileSize, resumedFrom } = result;
     
     // Final progress update
-    if (onProgress && typeof onProgress === 'function') {
-      onProgress(100, fileSize, fileSize);
+    if (reportProgress) {
+      reportProgress(fileSize, fileSize);
     }
 
     console.log(`File uploaded successfully: ${remotePath}`);
@@ -3461,58 +4048,117 @@ async function upload(localPath, remotePath, onProgress = null) {
       localPath,
       remotePath,
       fileSize,
-      message: 'File uploaded successfully'
+      resumedFrom,
+      message: resumedFrom > 0 ? 'File uploaded successfully after resuming' : 'File uploaded successfully'
     };
   } catch (error) {
     console.error('Upload error:', error);
-    
-    // If connection error, try to reconnect once
-    if (error.message.includes('connection') || error.message.includes('socket')) {
+    throw new Error(`Failed to upload file: ${error.message}`);
+  }
+}
+
+// Expand the upload list: folders are walked recursively so their structure can be
+// recreated under targetDirectory. Symlinks and special files are skipped, not followed.
+async function collectUploadEntries(fileList, targetDirectory) {
+  const directories = [];
+  const files = [];
+  const skipped = [];
+
+  async function walk(localPath, remotePath) {
+    let stats;
+    try {
+      stats = await fs.lstat(localPath);
+    } catch (error) {
+      skipped.push({ path: localPath, reason: error.message });
+      return;
+    }
+
+    if (stats.isSymbolicLink()) {
+      skipped.push({ path: localPath, reason: 'Symbolic link' });
+    } else if (stats.isDirectory()) {
+      directories.push(remotePath);
+
+      let entries;
       try {
-        isConnected = false;
-        await connect();
-        await ftpClient.uploadFrom(localPath, remotePath);
-        
-        if (onProgress && typeof onProgress === 'function') {
-          onProgress(100, 0, 0);
-        }
-        
-        return {
-          success: true,
-          localPath,
-          remotePath,
-          message: 'File uploaded successfully after retry'
-        };
-      } catch (retryError) {
-        throw new Error(`Failed to upload file after retry: ${retryError.message}`);
+        entries = await fs.readdir(localPath);
+      } catch (error) {
+        skipped.push({ path: localPath, reason: error.message });
+        return;
+      }
+
+      for (const entry of entries) {
+        await walk(path.join(localPath, entry), path.posix.join(remotePath, entry));
       }
+    } else if (stats.isFile()) {
+      files.push({ localPath, remotePath, size: stats.size });
+    } else {
+      skipped.push({ path: localPath, reason: 'Not a regular file' });
     }
-    
-    throw new Error(`Failed to upload file: ${error.message}`);
   }
+
+  for (const file of fileList) {
+    const localPath = file.path || file.localPath;
+    await walk(localPath, path.posix.join(targetDirectory, path.basename(localPath)));
+  }
+
+  return { directories, files, skipped };
 }
 
-// Upload multiple files with progress tracking
-async function uploadMultiple(fileList, targetDirectory, onFileProgress = null, onOverallProgress = null) {
-  if (!isConnected || !ftpClient) {
+// Upload files and folders with per-file and overall progress tracking
+async function uploadMultiple(sessionId, fileList, targetDirectory, onFileProgress = null, onOverallProgress = null) {
+  const session = getSession(sessionId);
+  if (!session.isConnected || !session.ftpClient) {
     throw new Error('FTP client is not connected');
   }
 
+  const { directories, files, skipped } = await collectUploadEntries(fileList, targetDirectory);
   const results = [];
-  const totalFiles = fileList.length;
+  const failed = [];
+  const totalFiles = files.length;
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
   let completedFiles = 0;
   let failedFiles = 0;
+  let completedBytes = 0;
 
-  for (let i = 0; i < fileList.length; i++) {
-    const file = fileList[i];
-    const fileName = path.basename(file.path);
-    const remotePath = path.posix.join(targetDirectory, fileName).replace(/\\/g, '/');
+  const reportOverall = (currentFileBytes = 0) => {
+    if (onOverallProgress) {
+      const done = completedFiles + failedFiles;
+      const overallProgress = totalBytes > 0
+        ? Math.round(((completedBytes + currentFileBytes) / totalBytes) * 100)
+        : (totalFiles > 0 ? Math.round((done / totalFiles) * 100) : 100);
+      onOverallProgress(overallProgress, completedFiles, failedFiles, totalFiles, completedBytes + currentFileBytes, totalBytes);
+    }
+  };
 
+  // Create the remote folders first (parents come before children in the walk order)
+  const failedDirectories = new Set();
+  for (const remoteDir of directories) {
+    const parentFailed = failedDirectories.has(path.posix.dirname(remoteDir));
     try {
-      const result = await upload(file.path, remotePath, (progress, uploaded, total) => {
+      if (parentFailed) {
+        throw new Error('Parent directory could not be created');
+      }
+      await createDirectory(session, remoteDir);
+    } catch (error) {
+      failedDirectories.add(remoteDir);
+      failed.push({ path: remoteDir, error: error.message });
+    }
+  }
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const fileName = path.posix.relative(targetDirectory, file.remotePath);
+
+    try {
+      if (failedDirectories.has(path.posix.dirname(file.remotePath))) {
+        throw new Error('Remote directory could not be created');
+      }
+
+      const result = await upload(session, file.localPath, file.remotePath, (progress, uploaded, total) => {
         if (onFileProgress) {
           onFileProgress(i, fileName, progress, uploaded, total);
         }
+        reportOverall(uploaded);
       });
       
       results.push({
@@ -3528,42 +4174,45 @@ async function uploadMultiple(fileList, targetDirectory, onFileProgress = null,
       results.push({
         success: false,
         fileName,
-        localPath: file.path,
-        remotePath,
+        localPath: file.localPath,
+        remotePath: file.remotePath,
         index: i,
         status: 'error',
         error: error.message
       });
+      failed.push({ path: file.localPath, error: error.message });
       
       failedFiles++;
     }
 
-    // Update overall progress
-    if (onOverallProgress) {
-      const overallProgress = Math.round(((completedFiles + failedFiles) / totalFiles) * 100);
-      onOverallProgress(overallProgress, completedFiles, failedFiles, totalFiles);
-    }
+    completedBytes += file.size;
+    reportOverall();
   }
 
   return {
-    success: failedFiles === 0,
+    success: failed.length === 0,
     results,
+    skipped,
+    failed,
     summary: {
       total: totalFiles,
       completed: completedFiles,
-      failed: failedFiles
+      failed: failedFiles,
+      skipped: skipped.length,
+      directories: directories.length - failedDirectories.size
     }
   };
 }
 
 // Create directory on FTP server
-async function createDirectory(remotePath) {
-  if (!isConnected || !ftpClient) {
+async function createDirectory(sessionId, remotePath) {
+  const session = getSession(sessionId);
+  if (!session.isConnected || !session.ftpClient) {
     throw new Error('FTP client is not connected');
   }
 
   try {
-    await ftpClient.ensureDir(remotePath);
+    await session.ftpClient.ensureDir(remotePath);
     console.log(`Directory created: ${remotePath}`);
     return {
       success: true,
@@ -3576,15 +4225,21 @@ async function createDirectory(remotePath) {
   }
 }
 
-// Delete a file from the FTP server
-async function deleteFile(remotePath) {
-  if (!isConnected) {
-    await connect();
+// Delete a file from the FTP server; options.force ignores another user's lock
+async function deleteFile(sessionId, remotePath, options = {}) {
+  const session = getSession(sessionId);
+  if (!session.isConnected) {
+    await connect(session);
   }
 
+  const lock = await withLockConnection(session, client => lockFiles.assertUnlocked(client, remotePath, options));
+
   try {
-    await ftpClient.remove(remotePath);
+    await session.ftpClient.remove(remotePath);
     console.log(`File deleted successfully: ${remotePath}`);
+    if (lock || options.force) {
+      await removeLockAfterDelete(session, remotePath);
+    }
     return {
       success: true,
       remotePath,
@@ -3596,9 +4251,9 @@ async function deleteFile(remotePath) {
     // If connection error, try to reconnect once
     if (error.message.includes('connection') || error.message.includes('socket')) {
       try {
-        isConnected = false;
-        await connect();
-        await ftpClient.remove(remotePath);
+        session.isConnected = false;
+        await connect(session);
+        await session.ftpClient.remove(remotePath);
         
         return {
           success: true,
@@ -3615,13 +4270,14 @@ async function deleteFile(remotePath) {
 }
 
 // Delete a directory from the FTP server
-async function deleteDirectory(remotePath) {
-  if (!isConnected) {
-    await connect();
+async function deleteDirectory(sessionId, remotePath) {
+  const session = getSession(sessionId);
+  if (!session.isConnected) {
+    await connect(session);
   }
 
   try {
-    await ftpClient.removeDir(remotePath);
+    await session.ftpClient.removeDir(remotePath);
     console.log(`Directory deleted successfully: ${remotePath}`);
     return {
       success: true,
@@ -3634,9 +4290,9 @@ async function deleteDirectory(remotePath) {
     // If connection error, try to reconnect once
     if (error.message.includes('connection') || error.message.includes('socket')) {
       try {
-        isConnected = false;
-        await connect();
-        await ftpClient.removeDir(remotePath);
+        session.isConnected = false;
+        await connect(session);
+        await session.ftpClient.removeDir(remotePath);
         
         return {
           success: true,
@@ -3652,8 +4308,232 @@ async function deleteDirectory(remotePath) {
   }
 }
 
+// Rename or move a file/directory on the server. Both parent listings (and, for a folder,
+// everything cached below the old path) are dropped from the lazy loader's caches.
+async function rename(sessionId, fromPath, toPath) {
+  const session = getSession(sessionId);
+  if (!session.isConnected) {
+    await connect(session);
+  }
+
+  const sourcePath = path.posix.normalize(fromPath);
+  const targetPath = path.posix.normalize(toPath);
+  if (sourcePath === targetPath) {
+    return { success: true, fromPath: sourcePath, toPath: targetPath, message: 'Nothing to rename' };
+  }
+  if (targetPath.startsWith(`${sourcePath}/`)) {
+    throw new Error('Cannot move a folder into itself');
+  }
+
+  const renameOnServer = async () => {
+    // Most servers silently overwrite an existing target on RNTO
+    const siblings = await session.ftpClient.list(path.posix.dirname(targetPath));
+    if (siblings.some(item => item.name === path.posix.basename(targetPath))) {
+      throw new Error(`${targetPath} already exists`);
+    }
+    await session.ftpClient.rename(sourcePath, targetPath);
+  };
+
+  try {
+    await renameOnServer();
+  } catch (error) {
+    if (!isConnectionError(error)) {
+      console.error('Rename error:', error);
+      throw new Error(`Failed to rename: ${error.message}`);
+    }
+
+    // Reconnect once and try again
+    try {
+      session.isConnected = false;
+      await connect(session);
+      await renameOnServer();
+    } catch (retryError) {
+      throw new Error(`Failed to rename after retry: ${retryError.message}`);
+    }
+  }
+
+  session.lazyLoader.clearDirectoryCache(path.posix.dirname(sourcePath));
+  session.lazyLoader.clearDirectoryCache(path.posix.dirname(targetPath));
+  session.lazyLoader.clearDirectoryTree(sourcePath);
+  for (const dirPath of [...session.backgroundWorker.monitoredDirectories]) {
+    if (dirPath === sourcePath || dirPath.startsWith(`${sourcePath}/`)) {
+      session.backgroundWorker.removeMonitoredDirectory(dirPath);
+    }
+  }
+
+  console.log(`Renamed ${sourcePath} to ${targetPath}`);
+  return {
+    success: true,
+    fromPath: sourcePath,
+    toPath: targetPath,
+    message: 'Renamed successfully'
+  };
+}
+
+// Change permissions with SITE CHMOD (or the SFTP chmod call)
+async function sendChmod(client, remotePath, mode) {
+  if (typeof client.chmod === 'function') {
+    return await client.chmod(remotePath, mode);
+  }
+  return await client.send(`SITE CHMOD ${mode} ${remotePath}`);
+}
+
+// Change the permissions of a file or directory. With options.recursive the mode is applied to
+// every folder below a directory, and options.fileMode (default: mode) to every file.
+async function chmod(sessionId, remotePath, mode, options = {}) {
+  const { recursive = false, isDirectory = false, fileMode = mode } = options;
+  const session = getSession(sessionId);
+  if (!session.isConnected) {
+    await connect(session);
+  }
+
+  for (const value of [mode, fileMode]) {
+    if (!/^[0-7]{3,4}$/.test(value)) {
+      throw new Error(`Invalid permission mode: ${value}`);
+    }
+  }
+
+  const targetPath = path.posix.normalize(remotePath);
+  try {
+    await sendChmod(session.ftpClient, targetPath, isDirectory ? mode : fileMode);
+  } catch (error) {
+    console.error('Chmod error:', error);
+    throw new Error(`Failed to change permissions: ${error.message}`);
+  }
+
+  let changed = 1;
+  const failed = [];
+  if (recursive && isDirectory) {
+    const tree = await collectRemoteTree(session, targetPath, null);
+    const entries = [
+      ...tree.directories.filter(dir => dir.remotePath !== targetPath).map(dir => ({ remotePath: dir.remotePath, mode })),
+      ...tree.files.map(file => ({ remotePath: file.remotePath, mode: fileMode }))
+    ];
+    failed.push(...tree.failed);
+
+    await performConcurrentOperations(session, entries.map(entry => async () => {
+      let connection = null;
+      try {
+        connection = await session.connectionPool.getConnection();
+        await sendChmod(connection, entry.remotePath, entry.mode);
+        changed++;
+      } catch (error) {
+        failed.push({ path: entry.remotePath, error: error.message });
+      } finally {
+        session.connectionPool.releaseConnection(connection);
+      }
+    }), session.connectionPool.maxConnections);
+
+    session.lazyLoader.clearDirectoryTree(targetPath);
+  }
+
+  session.lazyLoader.clearDirectoryCache(path.posix.dirname(targetPath));
+
+  console.log(`Permissions of ${targetPath} set to ${mode}${recursive ? ' (recursive)' : ''}: ${changed} changed, ${failed.length} failed`);
+  return {
+    success: true,
+    remotePath: targetPath,
+    mode,
+    changed,
+    failed
+  };
+}
+
+// Parse an MLST reply. The facts sit on the one line that starts with a space:
+// " type=file;size=42;modify=20240101120000;UNIX.mode=0644; /path/file"
+function parseMlstFacts(message) {
+  const line = message.split(/\r?\n/).find(text => text.startsWith(' '));
+  if (!line) {
+    return null;
+  }
+
+  const facts = {};
+  for (const fact of line.trim().split(' ')[0].split(';')) {
+    const separator = fact.indexOf('=');
+    if (separator > 0) {
+      facts[fact.slice(0, separator).toLowerCase()] = fact.slice(separator + 1);
+    }
+  }
+  return facts;
+}
+
+// MLST facts for one path, or null when the server doesn't announce MLST in FEAT (or is SFTP)
+async function getMlstFacts(client, remotePath) {
+  if (typeof client.features !== 'function') {
+    return null;
+  }
+
+  try {
+    const features = await client.features();
+    if (!features.has('MLST')) {
+      return null;
+    }
+    const response = await client.send(`MLST ${remotePath}`);
+    return parseMlstFacts(response.message);
+  } catch (error) {
+    console.warn(`MLST failed for ${remotePath}:`, error.message);
+    return null;
+  }
+}
+
+// Everything the server can tell about one entry, for the Properties dialog: the listing entry
+// plus SIZE and MDTM for files, the symlink target and the MLST facts when supported
+async function getItemProperties(sessionId, remotePath) {
+  const session = getSession(sessionId);
+  const targetPath = path.posix.normalize(remotePath);
+  const connection = await session.connectionPool.getConnection();
+
+  try {
+    const siblings = (await connection.list(path.posix.dirname(targetPath))).map(normalizeFileInfo);
+    const entry = siblings.find(item => item.name === path.posix.basename(targetPath));
+    if (!entry) {
+      throw new Error(`${targetPath} not found`);
+    }
+
+    const properties = {
+      ...entry,
+      path: targetPath,
+      exactSize: null,
+      mdtm: null,
+      facts: await getMlstFacts(connection, targetPath)
+    };
+
+    if (entry.type === 'file') {
+      properties.exactSize = await getRemoteFileSize(connection, targetPath);
+      properties.mdtm = await connection.lastMod(targetPath).then(date => date.toISOString()).catch(() => null);
+    }
+
+    // SFTP listings don't include the link target
+    if (entry.isSymbolicLink && !entry.link && typeof connection.readLink === 'function') {
+      properties.link = await connection.readLink(targetPath).catch(() => null);
+    }
+
+    return properties;
+  } finally {
+    session.connectionPool.releaseConnection(connection);
+  }
+}
+
+// Total size and file count of a remote folder, walked level by level over the pool
+async function calculateDirectorySize(sessionId, remotePath) {
+  const session = getSession(sessionId);
+  const targetPath = path.posix.normalize(remotePath);
+  const tree = await collectRemoteTree(session, targetPath, null);
+
+  return {
+    success: true,
+    remotePath: targetPath,
+    totalSize: tree.files.reduce((sum, file) => sum + (file.size || 0), 0),
+    fileCount: tree.files.length,
+    folderCount: tree.directories.filter(dir => dir.remotePath !== targetPath).length,
+    skipped: tree.skipped.length,
+    failed: tree.failed
+  };
+}
+
 // Delete multiple files/directories with progress tracking
-async function deleteMultiple(items, onProgress) {
+async function deleteMultiple(sessionId, items, onProgress, options = {}) {
+  const session = getSession(sessionId);
   const results = [];
   let completed = 0;
   
@@ -3661,9 +4541,9 @@ async function deleteMultiple(items, onProgress) {
     try {
       let result;
       if (item.type === 'directory') {
-        result = await deleteDirectory(item.path);
+        result = await deleteDirectory(session, item.path);
       } else {
-        result = await deleteFile(item.path);
+        result = await deleteFile(session, item.path, options);
       }
       
       results.push({ ...result, item });
@@ -3683,6 +4563,8 @@ async function deleteMultiple(items, onProgress) {
       results.push({
         success: false,
         error: error.message,
+        code: error.code,
+        lock: error.lock,
         item
       });
       completed++;
@@ -3703,12 +4585,15 @@ async function deleteMultiple(items, onProgress) {
   return results;
 }
 
-// Update/edit file content on FTP server
-async function updateFile(remotePath, content, onProgress = null) {
-  if (!isConnected) {
-    await connect();
+// Update/edit file content on FTP server; options.force ignores another user's lock
+async function updateFile(sessionId, remotePath, content, onProgress = null, options = {}) {
+  const session = getSession(sessionId);
+  if (!session.isConnected) {
+    await connect(session);
   }
 
+  await withLockConnection(session, client => lockFiles.assertUnlocked(client, remotePath, options));
+
   try {
     console.log(`Updating file: ${remotePath}`);
     
@@ -3724,7 +4609,7 @@ async function updateFile(remotePath, content, onProgress = null) {
     }
 
     // Upload the content to replace the existing file
-    await ftpClient.uploadFrom(buffer, remotePath);
+    await session.ftpClient.uploadFrom(buffer, remotePath);
     
     if (onProgress) {
       onProgress(100, 'File updated successfully');
@@ -3746,12 +4631,15 @@ async function updateFile(remotePath, content, onProgress = null) {
   }
 }
 
-// Replace file with new file from local path
-async function replaceFile(localPath, remotePath, onProgress = null) {
-  if (!isConnected) {
-    await connect();
+// Replace file with new file from local path; options.force ignores another user's lock
+async function replaceFile(sessionId, localPath, remotePath, onProgress = null, options = {}) {
+  const session = getSession(sessionId);
+  if (!session.isConnected) {
+    await connect(session);
   }
 
+  await withLockConnection(session, client => lockFiles.assertUnlocked(client, remotePath, options));
+
   try {
     console.log(`Replacing file: ${remotePath} with ${localPath}`);
     
@@ -3780,7 +4668,7 @@ async function replaceFile(localPath, remotePath, onProgress = null) {
     }
 
     // Upload the new file to replace the existing one
-    await ftpClient.uploadFrom(localPath, remotePath);
+    await session.ftpClient.uploadFrom(localPath, remotePath);
     
     if (onProgress) {
       onProgress(100, 'File replaced successfully');
@@ -3803,26 +4691,43 @@ async function replaceFile(localPath, remotePath, onProgress = null) {
   }
 }
 
+// Largest file the editor will load into memory
+const MAX_EDITABLE_FILE_SIZE = 10 * 1024 * 1024;
+
 // Get file content for editing
-async function getFileContent(remotePath) {
-  if (!isConnected) {
-    await connect();
+async function getFileContent(sessionId, remotePath) {
+  const session = getSession(sessionId);
+  if (!session.isConnected) {
+    await connect(session);
   }
 
   try {
     console.log(`Reading file content: ${remotePath}`);
     
-    // Create a buffer to store the file content
-    const chunks = [];
-    
-    await ftpClient.downloadTo({
-      write: (chunk) => {
-        chunks.push(chunk);
-      },
-      end: () => {}
-    }, remotePath);
+    // Refuse files too large for the editor before transferring anything
+    const remoteSize = await getRemoteFileSize(session.ftpClient, remotePath);
+    if (remoteSize !== null && remoteSize > MAX_EDITABLE_FILE_SIZE) {
+      throw new Error(`File is too large to edit (${Math.round(remoteSize / (1024 * 1024))} MB, limit ${MAX_EDITABLE_FILE_SIZE / (1024 * 1024)} MB)`);
+    }
+    
+    // Decode the content as it streams in; the limit is checked again in case SIZE is unsupported
+    const decoder = new StringDecoder('utf8');
+    let content = '';
+    let received = 0;
+    const collector = new Writable({
+      write(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > MAX_EDITABLE_FILE_SIZE) {
+          callback(new Error(`File is too large to edit (limit ${MAX_EDITABLE_FILE_SIZE / (1024 * 1024)} MB)`));
+          return;
+        }
+        content += decoder.write(chunk);
+        callback();
+      }
+    });
     
-    const content = Buffer.concat(chunks).toString('utf8');
+    await session.ftpClient.downloadTo(collector, remotePath);
+    content += decoder.end();
     
     console.log(`File content read successfully: ${remotePath}`);
     return {
@@ -3838,40 +4743,197 @@ async function getFileContent(remotePath) {
   }
 }
 
+// Advisory Lock Files
+
+let lockRefreshTimer = null;
+
+// Lock files go over a pooled connection when there is one, so the periodic refresh
+// never runs into an operation on the main connection
+async function withLockConnection(session, operation) {
+  if (!session.connectionPool.isInitialized) {
+    if (!session.isConnected) {
+      await connect(session);
+    }
+    return operation(session.ftpClient);
+  }
+
+  const connection = await session.connectionPool.getConnection();
+  try {
+    return await operation(connection);
+  } finally {
+    session.connectionPool.releaseConnection(connection);
+  }
+}
+
+async function getLock(sessionId, remotePath) {
+  const session = getSession(sessionId);
+  return withLockConnection(session, client => lockFiles.read(client, remotePath));
+}
+
+// The locks on several files, read from the lock contents (a listing's mtime says nothing
+// about how fresh a lock is). Returns [{ path, lock }] with lock null when there is none.
+async function getLocks(sessionId, remotePaths) {
+  const session = getSession(sessionId);
+  return withLockConnection(session, async (client) => {
+    const locks = [];
+    for (const remotePath of remotePaths) {
+      try {
+        locks.push({ path: remotePath, lock: await lockFiles.read(client, remotePath) });
+      } catch (error) {
+        console.warn(`Could not read lock for ${remotePath}:`, error.message);
+        locks.push({ path: remotePath, lock: null, error: error.message });
+      }
+    }
+    return locks;
+  });
+}
+
+// Lock a file for editing. Someone else's fresh lock is only replaced with options.force;
+// stale locks (holder gone without cleaning up) are taken over silently.
+async function acquireLock(sessionId, remotePath, options = {}) {
+  const session = getSession(sessionId);
+  return withLockConnection(session, async (client) => {
+    const existing = await lockFiles.read(client, remotePath);
+    if (existing && !existing.mine && !existing.stale && !options.force) {
+      return { success: false, locked: true, lock: existing };
+    }
+
+    const lock = await lockFiles.write(client, remotePath);
+    session.heldLocks.add(remotePath);
+    scheduleLockRefresh();
+
+    const takenOver = Boolean(existing && !existing.mine);
+    console.log(`Lock acquired on ${remotePath}${takenOver ? ` (taken over from ${existing.owner}@${existing.host})` : ''}`);
+    return { success: true, lock, takenOver, previous: takenOver ? existing : null };
+  });
+}
+
+// Remove our lock; another user's lock is only removed with options.force
+async function releaseLock(sessionId, remotePath, options = {}) {
+  const session = getSession(sessionId);
+  session.heldLocks.delete(remotePath);
+
+  return withLockConnection(session, async (client) => {
+    const existing = await lockFiles.read(client, remotePath);
+    if (!existing) {
+      return { success: true, released: false };
+    }
+    if (!existing.mine && !options.force) {
+      // Someone took the lock over in the meantime; it is theirs now
+      return { success: true, released: false, lock: existing };
+    }
+
+    await lockFiles.remove(client, remotePath);
+    console.log(`Lock released on ${remotePath}`);
+    return { success: true, released: true };
+  });
+}
+
+async function removeLockAfterDelete(session, remotePath) {
+  try {
+    session.heldLocks.delete(remotePath);
+    await withLockConnection(session, client => lockFiles.remove(client, remotePath));
+  } catch (error) {
+    console.warn(`Could not remove lock file of ${remotePath}:`, error.message);
+  }
+}
+
+async function releaseHeldLocks(session) {
+  for (const remotePath of [...session.heldLocks]) {
+    try {
+      await releaseLock(session, remotePath);
+    } catch (error) {
+      console.warn(`Could not release lock on ${remotePath}:`, error.message);
+    }
+  }
+}
+
+// Rewrite held locks regularly so other clients don't consider them stale
+function scheduleLockRefresh() {
+  if (lockRefreshTimer) return;
+
+  lockRefreshTimer = setInterval(async () => {
+    const held = Array.from(sessions.values()).filter(session => session.heldLocks.size > 0);
+    if (held.length === 0) {
+      clearInterval(lockRefreshTimer);
+      lockRefreshTimer = null;
+      return;
+    }
+
+    for (const session of held) {
+      if (!session.isConnected) continue;
+      for (const remotePath of [...session.heldLocks]) {
+        try {
+          await withLockConnection(session, async (client) => {
+            const existing = await lockFiles.read(client, remotePath);
+            if (existing && !existing.mine) {
+              // Taken over by someone else; stop claiming it
+              session.heldLocks.delete(remotePath);
+              return;
+            }
+            await lockFiles.write(client, remotePath);
+          });
+        } catch (error) {
+          console.warn(`Could not refresh lock on ${remotePath}:`, error.message);
+        }
+      }
+    }
+  }, LOCK_REFRESH_INTERVAL);
+  lockRefreshTimer.unref();
+}
+
 // Connection Pool Optimized Functions
 
 // Pooled list operation for better concurrent performance
-async function listPooled(remotePath = '/') {
+async function listPooled(sessionId, remotePath = '/') {
+  const session = getSession(sessionId);
   let connection = null;
   try {
-    if (!connectionPool.isInitialized) {
+    if (!session.connectionPool.isInitialized) {
       throw new Error('Connection pool not initialized');
     }
     
-    connection = await connectionPool.getConnection();
+    connection = await session.connectionPool.getConnection();
     const normalizedPath = path.posix.normalize(remotePath);
     
     const files = await connection.list(normalizedPath);
-    return files.map(normalizeFileInfo);
+    return describeSymlinks(session, normalizedPath, files.map(normalizeFileInfo));
   } catch (error) {
     console.error('Pooled list error:', error);
     throw new Error(`Failed to list directory: ${error.message}`);
   } finally {
     if (connection) {
-      connectionPool.releaseConnection(connection);
+      session.connectionPool.releaseConnection(connection);
+    }
+  }
+}
+
+// Pooled MDTM: exact modification time of a remote file, or null when the server can't tell
+async function lastModPooled(sessionId, remotePath) {
+  const session = getSession(sessionId);
+  let connection = null;
+  try {
+    connection = await session.connectionPool.getConnection();
+    return await connection.lastMod(remotePath);
+  } catch (error) {
+    return null;
+  } finally {
+    if (connection) {
+      session.connectionPool.releaseConnection(connection);
     }
   }
 }
 
 // Pooled download operation
-async function downloadPooled(remotePath, localPath) {
+async function downloadPooled(sessionId, remotePath, localPath) {
+  const session = getSession(sessionId);
   let connection = null;
   try {
-    if (!connectionPool.isInitialized) {
+    if (!session.connectionPool.isInitialized) {
       throw new Error('Connection pool not initialized');
     }
     
-    connection = await connectionPool.getConnection();
+    connection = await session.connectionPool.getConnection();
     await connection.downloadTo(localPath, remotePath);
     
     return {
@@ -3885,26 +4947,44 @@ async function downloadPooled(remotePath, localPath) {
     throw new Error(`Failed to download file: ${error.message}`);
   } finally {
     if (connection) {
-      connectionPool.releaseConnection(connection);
+      session.connectionPool.releaseConnection(connection);
     }
   }
 }
 
 // Pooled upload operation
-async function uploadPooled(localPath, remotePath) {
+async function uploadPooled(sessionId, localPath, remotePath) {
+  const session = getSession(sessionId);
   let connection = null;
   try {
-    if (!connectionPool.isInitialized) {
+    if (!session.connectionPool.isInitialized) {
       throw new Error('Connection pool not initialized');
     }
     
-    connection = await connectionPool.getConnection();
-    await connection.uploadFrom(localPath, remotePath);
+    let result;
+    for (let attempt = 0; ; attempt++) {
+      connection = await session.connectionPool.getConnection();
+      try {
+        result = await uploadWithResume(connection, localPath, remotePath, { resume: attempt > 0 });
+        break;
+      } catch (error) {
+        if (!isConnectionError(error) || attempt >= MAX_UPLOAD_RESUME_ATTEMPTS) {
+          throw error;
+        }
+        
+        // Drop the broken connection and resume on a fresh one
+        console.warn(`Pooled upload of ${remotePath} interrupted (${error.message}), resuming (attempt ${attempt + 1})`);
+        session.connectionPool.removeConnection(connection);
+        connection = null;
+      }
+    }
     
     return {
       success: true,
       localPath,
       remotePath,
+      fileSize: result.fileSize,
+      resumedFrom: result.resumedFrom,
       message: 'File uploaded successfully using pooled connection'
     };
   } catch (error) {
@@ -3912,14 +4992,15 @@ async function uploadPooled(localPath, remotePath) {
     throw new Error(`Failed to upload file: ${error.message}`);
   } finally {
     if (connection) {
-      connectionPool.releaseConnection(connection);
+      session.connectionPool.releaseConnection(connection);
     }
   }
 }
 
 // Concurrent operations using connection pool
-async function performConcurrentOperations(operations, maxConcurrency = 3) {
-  if (!connectionPool.isInitialized) {
+async function performConcurrentOperations(sessionId, operations, maxConcurrency = 3) {
+  const session = getSession(sessionId);
+  if (!session.connectionPool.isInitialized) {
     throw new Error('Connection pool not initialized');
   }
   
@@ -3944,13 +5025,15 @@ async function performConcurrentOperations(operations, maxConcurrency = 3) {
 }
 
 // Get connection pool statistics
-function getPoolStats() {
-  return connectionPool.getStats();
+function getPoolStats(sessionId) {
+  const session = getSession(sessionId);
+  return session.connectionPool.getStats();
 }
 
 // Optimize connection pool size based on usage patterns
-async function optimizeConnectionPool() {
-  const stats = connectionPool.getStats();
+async function optimizeConnectionPool(sessionId) {
+  const session = getSession(sessionId);
+  const stats = session.connectionPool.getStats();
   const utilizationRate = stats.busy / stats.total;
   
   console.log(`Connection pool utilization: ${(utilizationRate * 100).toFixed(1)}%`);
@@ -3974,20 +5057,45 @@ async function optimizeConnectionPool() {
 
 // Export functions
 module.exports = {
+  FTPConnectionPool,
+  // Session Functions
+  getSession,
+  createSession,
+  closeSession,
+  listSessions,
+  disconnectAll,
   connect,
   disconnect,
   list,
   download,
   downloadWithProgress,
+  collectRemoteTree,
+  resolveDownloadTarget,
+  OVERWRITE_POLICIES,
   upload,
   uploadMultiple,
+  collectUploadEntries,
+  uploadWithResume,
+  setRemoteModifiedTime,
+  getRemoteFileSize,
+  lastModPooled,
+  isConnectionError,
   createDirectory,
   deleteFile,
   deleteDirectory,
   deleteMultiple,
+  rename,
+  chmod,
+  getItemProperties,
+  resolveSymlink,
+  calculateDirectorySize,
   updateFile,
   replaceFile,
   getFileContent,
+  getLock,
+  getLocks,
+  acquireLock,
+  releaseLock,
   getCachedStructure,
   refreshCache,
   getConnectionStatus,
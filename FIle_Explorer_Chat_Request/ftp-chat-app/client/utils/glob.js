@@ -0,0 +1,36 @@
+// Turn a glob pattern into a RegExp: "*" and "?" stay inside one path segment, "**" spans
+// segments. Patterns that only name a file or folder ("*.tmp", "node_modules/**", "dist/")
+// match at any depth; patterns with a path ("src/*.map", "/build") match from the root.
+function globToRegExp(pattern) {
+  let normalized = pattern.trim().replace(/\\/g, '/').replace(/(\/\*\*|\/)$/, '');
+  const anchored = normalized.includes('/') && !normalized.startsWith('**/');
+  normalized = normalized.replace(/^\//, '');
+
+  let source = '';
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (char === '*' && normalized[i + 1] === '*') {
+      // "**/" also matches zero folders
+      if (normalized[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  // A folder pattern also covers everything inside it
+  return new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}(?:/.*)?$`, 'i');
+}
+
+module.exports = {
+  globToRegExp
+};
@@ -0,0 +1,216 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { app } = require('electron');
+const { lanNetwork } = require('./lan-network');
+
+const HISTORY_FILE = 'lan-chat.json';
+const MAX_HISTORY = 500; // Messages kept in the list (and on disk)
+const MAX_TEXT_LENGTH = 4000;
+const MAX_ID_LENGTH = 64;
+
+const MESSAGE_KINDS = {
+  TEXT: 'text',
+  FILE: 'file' // A shared remote file: server profile, path, size and mtime
+};
+
+// A date from a peer as an ISO string, or null when it isn't a valid date
+function toIsoDate(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isFinite(date.getTime()) ? date.toISOString() : null;
+}
+
+// Keep only the fields a shared file card needs; the server is identified by
+// host/port/protocol because profile ids differ between clients
+function normalizeSharedFile(file) {
+  const profile = (file && file.profile) || {};
+  const remotePath = String((file && file.path) || '');
+  if (!remotePath.startsWith('/') || !profile.host) {
+    return null;
+  }
+
+  return {
+    profile: {
+      name: String(profile.name || profile.host),
+      host: String(profile.host),
+      port: parseInt(profile.port) || null,
+      protocol: String(profile.protocol || 'ftp')
+    },
+    path: remotePath,
+    name: String(file.name || path.posix.basename(remotePath)),
+    size: Number.isFinite(Number(file.size)) ? Number(file.size) : 0,
+    modifiedAt: toIsoDate(file.modifiedAt)
+  };
+}
+
+// Chat room shared by every client on the LAN. Messages travel as multicast packets
+// through the LAN network; each client keeps its own history on disk.
+class LanChat extends EventEmitter {
+  constructor(network) {
+    super();
+    this.network = network;
+    this.messages = [];
+    this.messageIds = new Set();
+    this.saveTimer = null;
+    this.initialized = false;
+  }
+
+  getHistoryPath() {
+    return path.join(app.getPath('userData'), HISTORY_FILE);
+  }
+
+  async init() {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.getHistoryPath(), 'utf8'));
+      this.messages = (data.messages || []).slice(-MAX_HISTORY);
+      this.messageIds = new Set(this.messages.map(message => message.id));
+      console.log(`LAN chat history restored with ${this.messages.length} message(s)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading LAN chat history:', error);
+      }
+    }
+
+    this.network.on('packet', (packet, peer) => {
+      if (packet.type === 'chat' && packet.message) {
+        this._receive(packet.message, peer);
+      }
+    });
+  }
+
+  getHistory() {
+    return [...this.messages];
+  }
+
+  async send(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+      throw new Error('Message is empty');
+    }
+    if (trimmed.length > MAX_TEXT_LENGTH) {
+      throw new Error(`Message is too long (max ${MAX_TEXT_LENGTH} characters)`);
+    }
+
+    return this._post({ kind: MESSAGE_KINDS.TEXT, text: trimmed });
+  }
+
+  async shareFile(file, text = '') {
+    const shared = normalizeSharedFile(file);
+    if (!shared) {
+      throw new Error('Shared file needs a server and an absolute path');
+    }
+
+    return this._post({
+      kind: MESSAGE_KINDS.FILE,
+      text: (text || '').trim().slice(0, MAX_TEXT_LENGTH),
+      file: shared
+    });
+  }
+
+  async clearHistory() {
+    this.messages = [];
+    this.messageIds.clear();
+    await this._saveNow();
+    this.emit('cleared');
+  }
+
+  // Send a message and keep it in our own history (our packets aren't delivered back to us)
+  async _post(content) {
+    const message = {
+      id: crypto.randomBytes(8).toString('hex'),
+      from: this.network.getIdentity(),
+      sentAt: Date.now(),
+      ...content
+    };
+
+    await this.network.send('chat', { message });
+    this._add({ ...message, own: true });
+    return message;
+  }
+
+  _receive(message, peer) {
+    if (!message || typeof message.id !== 'string' || !message.id || message.id.length > MAX_ID_LENGTH) return;
+    if (this.messageIds.has(message.id)) return;
+
+    let file = null;
+    if (message.kind === MESSAGE_KINDS.FILE) {
+      file = normalizeSharedFile(message.file);
+      if (!file) return;
+    }
+
+    // Only known fields are kept, and the sender identity comes from the packet, not the message
+    const receivedAt = Date.now();
+    this._add({
+      id: message.id,
+      kind: file ? MESSAGE_KINDS.FILE : MESSAGE_KINDS.TEXT,
+      text: String(message.text || '').slice(0, MAX_TEXT_LENGTH),
+      file,
+      from: { id: peer.id, name: peer.name, host: peer.host },
+      sentAt: Number.isFinite(message.sentAt) ? message.sentAt : receivedAt,
+      receivedAt,
+      own: false
+    });
+  }
+
+  _add(message) {
+    this.messages.push(message);
+    this.messageIds.add(message.id);
+    if (this.messages.length > MAX_HISTORY) {
+      const removed = this.messages.splice(0, this.messages.length - MAX_HISTORY);
+      removed.forEach(entry => this.messageIds.delete(entry.id));
+    }
+
+    this.emit('message', message);
+    this._save();
+  }
+
+  // Persist the history shortly after a change (messages come in bursts)
+  _save() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._saveNow();
+    }, 500);
+  }
+
+  async _saveNow() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      await fs.mkdir(path.dirname(this.getHistoryPath()), { recursive: true });
+      await fs.writeFile(this.getHistoryPath(), JSON.stringify({ version: 1, messages: this.messages }, null, 2), 'utf8');
+    } catch (error) {
+      console.error('Error saving LAN chat history:', error);
+    }
+  }
+
+  async shutdown() {
+    if (this.saveTimer) {
+      await this._saveNow();
+    }
+  }
+}
+
+// Global LAN chat instance
+const lanChat = new LanChat(lanNetwork);
+
+module.exports = {
+  MESSAGE_KINDS,
+  LanChat,
+  normalizeSharedFile,
+  lanChat,
+  initChat: () => lanChat.init(),
+  sendChatMessage: (text) => lanChat.send(text),
+  shareFileInChat: (file, text) => lanChat.shareFile(file, text),
+  getChatHistory: () => lanChat.getHistory(),
+  clearChatHistory: () => lanChat.clearHistory(),
+  shutdownChat: () => lanChat.shutdown()
+};
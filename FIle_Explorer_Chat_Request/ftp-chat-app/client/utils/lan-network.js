@@ -0,0 +1,251 @@
+const dgram = require('dgram');
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Every client on the LAN joins the same multicast group; several clients on one
+// machine can share the port because the socket is bound with reuseAddr
+const MULTICAST_GROUP = '239.255.42.99';
+const MULTICAST_PORT = 41234;
+const PROTOCOL_NAME = 'ftp-chat-app';
+const PROTOCOL_VERSION = 1;
+const ANNOUNCE_INTERVAL = 5000; // ms between "I'm here" packets
+const PEER_TIMEOUT = 15000; // Peers silent for this long are considered gone
+const MAX_PACKET_SIZE = 60 * 1024; // Stay below the UDP datagram limit
+const MAX_ID_LENGTH = 64;
+const MAX_NAME_LENGTH = 64; // Peer names and host names
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Names come from whoever sent the packet; keep them short plain strings
+function toPeerText(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().slice(0, MAX_NAME_LENGTH);
+}
+
+// Announcement details other LAN features rely on; anything else a peer sends is dropped.
+// The presence activity list is checked entry by entry in presence.js.
+function normalizeDetails(details) {
+  if (!isPlainObject(details)) return {};
+
+  const normalized = {};
+  if (Number.isInteger(details.transferPort) && details.transferPort >= 1 && details.transferPort <= 65535) {
+    normalized.transferPort = details.transferPort;
+  }
+  if (Array.isArray(details.activity)) {
+    normalized.activity = details.activity;
+  }
+  return normalized;
+}
+
+// Peer discovery and messaging over UDP multicast. Other LAN features (chat, ...)
+// send their packets through here and listen for them by type.
+class LanNetwork extends EventEmitter {
+  constructor() {
+    super();
+    this.id = crypto.randomBytes(8).toString('hex'); // One id per running client
+    this.name = os.userInfo().username;
+    this.hostName = os.hostname();
+    this.socket = null;
+    this.peers = new Map(); // client id -> peer
+    this.announceTimer = null;
+    this.details = {}; // Extra fields sent with every announcement
+  }
+
+  isRunning() {
+    return Boolean(this.socket);
+  }
+
+  getIdentity() {
+    return { id: this.id, name: this.name, host: this.hostName };
+  }
+
+  async start(options = {}) {
+    if (options.name) {
+      this.name = options.name;
+    }
+    if (this.socket) {
+      return this.getIdentity();
+    }
+
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    socket.on('message', (buffer, remote) => this._onPacket(buffer, remote));
+    socket.on('error', (error) => {
+      console.error('LAN network socket error:', error);
+      this.emit('error', error);
+    });
+
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind(options.port || MULTICAST_PORT, () => {
+        socket.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    try {
+      socket.addMembership(MULTICAST_GROUP);
+      socket.setMulticastLoopback(true); // Other clients on this machine
+      socket.setMulticastTTL(1); // Never leave the local network
+    } catch (error) {
+      socket.close();
+      throw new Error(`Could not join the LAN multicast group: ${error.message}`);
+    }
+
+    this.socket = socket;
+    this.port = options.port || MULTICAST_PORT;
+    this.announce();
+    this.announceTimer = setInterval(() => {
+      this.announce();
+      this._expirePeers();
+    }, ANNOUNCE_INTERVAL);
+
+    console.log(`LAN network started as ${this.name} (${this.id}) on ${MULTICAST_GROUP}:${this.port}`);
+    return this.getIdentity();
+  }
+
+  async stop() {
+    if (!this.socket) return;
+
+    clearInterval(this.announceTimer);
+    this.announceTimer = null;
+    await this.send('bye').catch(() => {});
+    this.socket.close();
+    this.socket = null;
+    this.peers.clear();
+    this.emit('peers', []);
+    console.log('LAN network stopped');
+  }
+
+  setName(name) {
+    this.name = name || os.userInfo().username;
+    this.announce();
+  }
+
+  // Merge fields into every following announcement (and send one right away)
+  setDetails(details) {
+    this.details = { ...this.details, ...details };
+    this.announce();
+  }
+
+  announce() {
+    if (!this.socket) return;
+    this.send('announce', { details: this.details }).catch(error => {
+      console.warn('LAN announcement failed:', error.message);
+    });
+  }
+
+  getPeers() {
+    return [...this.peers.values()];
+  }
+
+  getPeer(peerId) {
+    return this.peers.get(peerId) || null;
+  }
+
+  send(type, payload = {}) {
+    if (!this.socket) {
+      return Promise.reject(new Error('LAN network is not running'));
+    }
+
+    const packet = Buffer.from(JSON.stringify({
+      app: PROTOCOL_NAME,
+      version: PROTOCOL_VERSION,
+      type,
+      from: this.getIdentity(),
+      sentAt: Date.now(),
+      ...payload
+    }));
+    if (packet.length > MAX_PACKET_SIZE) {
+      return Promise.reject(new Error('Message is too large'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.socket.send(packet, this.port, MULTICAST_GROUP, (error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+  }
+
+  // Runs in the socket's 'message' handler, where a throw would be uncaught and end the
+  // main process; a malformed packet from any LAN host must only be dropped
+  _onPacket(buffer, remote) {
+    try {
+      this._handlePacket(buffer, remote);
+    } catch (error) {
+      console.warn(`Dropped LAN packet from ${remote.address}:`, error.message);
+    }
+  }
+
+  _handlePacket(buffer, remote) {
+    let packet;
+    try {
+      packet = JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+      return; // Not one of ours
+    }
+    if (!isPlainObject(packet) || packet.app !== PROTOCOL_NAME || !isPlainObject(packet.from)) return;
+    if (typeof packet.from.id !== 'string' || !packet.from.id || packet.from.id.length > MAX_ID_LENGTH) return;
+    if (packet.from.id === this.id) return; // Our own packet looped back
+
+    if (packet.type === 'bye') {
+      if (this.peers.delete(packet.from.id)) {
+        this.emit('peers', this.getPeers());
+      }
+      return;
+    }
+
+    const known = this.peers.get(packet.from.id);
+    const peer = {
+      ...(known || {}),
+      id: packet.from.id,
+      name: toPeerText(packet.from.name) || 'Unknown',
+      host: toPeerText(packet.from.host),
+      address: remote.address,
+      lastSeen: Date.now()
+    };
+    if (packet.type === 'announce') {
+      peer.details = normalizeDetails(packet.details);
+    }
+    this.peers.set(peer.id, peer);
+
+    if (!known) {
+      console.log(`LAN peer joined: ${peer.name}@${peer.host} (${peer.address})`);
+      this.announce(); // Let the newcomer know about us without waiting for the timer
+    }
+    if (!known || packet.type === 'announce') {
+      this.emit('peers', this.getPeers());
+    }
+
+    if (packet.type !== 'announce') {
+      this.emit('packet', packet, peer);
+    }
+  }
+
+  _expirePeers() {
+    const now = Date.now();
+    let changed = false;
+    for (const [peerId, peer] of this.peers) {
+      if (now - peer.lastSeen > PEER_TIMEOUT) {
+        this.peers.delete(peerId);
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.emit('peers', this.getPeers());
+    }
+  }
+}
+
+// Global LAN network instance
+const lanNetwork = new LanNetwork();
+
+module.exports = {
+  LanNetwork,
+  lanNetwork,
+  toPeerText,
+  normalizeDetails
+};
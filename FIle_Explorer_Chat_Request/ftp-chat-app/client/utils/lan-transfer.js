@@ -0,0 +1,428 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { lanNetwork } = require('./lan-network');
+
+const MAX_HEADER_SIZE = 16 * 1024; // Control lines are small JSON objects
+const OFFER_TIMEOUT = 60000; // Offers nobody answers are declined after this long
+const PROGRESS_INTERVAL = 250; // Minimum ms between progress events per transfer
+
+const TRANSFER_DIRECTIONS = {
+  SEND: 'send',
+  RECEIVE: 'receive'
+};
+
+// Read one newline-terminated JSON control message. Anything after the newline is
+// handed back so no file data gets lost.
+function readControlMessage(socket, buffered = Buffer.alloc(0), timeout = 0) {
+  return new Promise((resolve, reject) => {
+    let buffer = buffered;
+    let timer = null;
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      socket.removeListener('data', onData);
+      socket.removeListener('end', onEnd);
+      socket.removeListener('close', onEnd);
+      socket.removeListener('error', onError);
+    };
+    const tryParse = () => {
+      const newline = buffer.indexOf(0x0a);
+      if (newline === -1) {
+        if (buffer.length > MAX_HEADER_SIZE) {
+          cleanup();
+          reject(new Error('Invalid transfer message'));
+        }
+        return false;
+      }
+
+      cleanup();
+      socket.pause();
+      try {
+        resolve({ message: JSON.parse(buffer.subarray(0, newline).toString('utf8')), rest: buffer.subarray(newline + 1) });
+      } catch (error) {
+        reject(new Error('Invalid transfer message'));
+      }
+      return true;
+    };
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      tryParse();
+    };
+    const onEnd = () => {
+      cleanup();
+      reject(new Error('Connection closed by the other side'));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    if (tryParse()) return;
+    if (timeout) {
+      timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('No answer from the other side'));
+      }, timeout);
+    }
+    socket.on('data', onData);
+    socket.on('end', onEnd);
+    socket.on('close', onEnd);
+    socket.on('error', onError);
+    socket.resume();
+  });
+}
+
+function writeControlMessage(socket, message) {
+  socket.write(`${JSON.stringify(message)}\n`);
+}
+
+// Direct file transfer between LAN clients. Each client listens on a random TCP port
+// that it announces through the LAN network; the sender connects, offers the file and
+// streams it once the receiver accepts.
+class LanTransfer extends EventEmitter {
+  constructor(network) {
+    super();
+    this.network = network;
+    this.server = null;
+    this.transfers = new Map(); // transfer id -> transfer state
+  }
+
+  async start() {
+    if (this.server) return this.port;
+
+    const server = net.createServer({ allowHalfOpen: true }, socket => this._onIncoming(socket));
+    server.on('error', error => console.error('LAN transfer server error:', error));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.server = server;
+    this.port = server.address().port;
+    this.network.setDetails({ transferPort: this.port });
+    console.log(`LAN transfer listening on port ${this.port}`);
+    return this.port;
+  }
+
+  stop() {
+    for (const transfer of this.transfers.values()) {
+      transfer.socket.destroy();
+    }
+    this.transfers.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      this.network.setDetails({ transferPort: null });
+    }
+  }
+
+  _describe(transfer) {
+    return {
+      id: transfer.id,
+      direction: transfer.direction,
+      peer: transfer.peer,
+      fileName: transfer.fileName,
+      size: transfer.size,
+      transferred: transfer.transferred,
+      progress: transfer.size > 0 ? Math.round((transfer.transferred / transfer.size) * 100) : 100,
+      speed: transfer.speed || 0,
+      state: transfer.state
+    };
+  }
+
+  _reportProgress(transfer, force = false) {
+    const now = Date.now();
+    if (!force && now - transfer.lastReport < PROGRESS_INTERVAL) return;
+
+    const elapsed = (now - transfer.startedAt) / 1000;
+    transfer.speed = elapsed > 0 ? Math.round(transfer.transferred / elapsed) : 0;
+    transfer.lastReport = now;
+    this.emit('progress', this._describe(transfer));
+  }
+
+  // Offer a local file to a peer and stream it once they accept
+  async sendFile(peerId, localPath) {
+    const peer = this.network.getPeer(peerId);
+    if (!peer || !peer.details || !peer.details.transferPort) {
+      throw new Error('This user cannot receive files right now');
+    }
+
+    const stats = await fs.promises.stat(localPath);
+    if (!stats.isFile()) {
+      throw new Error('Only files can be sent');
+    }
+
+    const socket = net.connect({ host: peer.address, port: peer.details.transferPort });
+    // Errors are also reported through the reads below; this one just keeps a late
+    // error (e.g. after the other side hung up) from being thrown as unhandled
+    socket.on('error', error => console.warn('LAN transfer connection error:', error.message));
+    const transfer = {
+      id: crypto.randomBytes(8).toString('hex'),
+      direction: TRANSFER_DIRECTIONS.SEND,
+      peer: { id: peer.id, name: peer.name, host: peer.host },
+      fileName: path.basename(localPath),
+      localPath,
+      size: stats.size,
+      transferred: 0,
+      state: 'waiting',
+      socket,
+      startedAt: Date.now(),
+      lastReport: 0
+    };
+    this.transfers.set(transfer.id, transfer);
+
+    try {
+      await new Promise((resolve, reject) => {
+        const onConnect = () => {
+          socket.removeListener('error', onError);
+          resolve();
+        };
+        const onError = (error) => {
+          socket.removeListener('connect', onConnect);
+          reject(error);
+        };
+        socket.once('connect', onConnect);
+        socket.once('error', onError);
+      });
+
+      writeControlMessage(socket, {
+        type: 'offer',
+        transferId: transfer.id,
+        from: this.network.getIdentity(),
+        fileName: transfer.fileName,
+        size: transfer.size
+      });
+      this.emit('progress', this._describe(transfer));
+
+      // The receiver gets OFFER_TIMEOUT to answer; allow a little extra for the network
+      const { message: answer } = await readControlMessage(socket, undefined, OFFER_TIMEOUT + 5000);
+      if (answer.type !== 'accept') {
+        transfer.state = 'declined';
+        return { success: false, declined: true, transferId: transfer.id };
+      }
+
+      transfer.state = 'running';
+      transfer.startedAt = Date.now();
+      const reader = fs.createReadStream(localPath);
+      reader.on('data', chunk => {
+        transfer.transferred += chunk.length;
+        this._reportProgress(transfer);
+      });
+      reader.on('error', error => socket.destroy(error));
+      reader.pipe(socket); // Ends our side of the socket when the file is read
+
+      const { message: result } = await readControlMessage(socket);
+      if (result.type !== 'done') {
+        throw new Error(result.error || 'Transfer failed on the other side');
+      }
+
+      transfer.state = 'completed';
+      this._reportProgress(transfer, true);
+      console.log(`LAN transfer of ${transfer.fileName} to ${peer.name} completed`);
+      return { success: true, transferId: transfer.id, size: transfer.size };
+    } catch (error) {
+      transfer.state = transfer.cancelled ? 'cancelled' : 'failed';
+      if (transfer.cancelled) {
+        return { success: false, cancelled: true, transferId: transfer.id };
+      }
+      throw error;
+    } finally {
+      socket.destroy();
+      this.transfers.delete(transfer.id);
+    }
+  }
+
+  async _onIncoming(socket) {
+    socket.on('error', error => console.warn('LAN transfer connection error:', error.message));
+
+    let offer;
+    try {
+      offer = await readControlMessage(socket, undefined, 10000);
+    } catch (error) {
+      socket.destroy();
+      return;
+    }
+
+    const { message } = offer;
+    if (message.type !== 'offer' || !Number.isFinite(message.size) || message.size < 0) {
+      socket.destroy();
+      return;
+    }
+
+    const from = message.from || {};
+    const peer = this.network.getPeer(from.id);
+    const transfer = {
+      // Our own id: one picked by the sender could replace another transfer in the map
+      id: crypto.randomBytes(8).toString('hex'),
+      direction: TRANSFER_DIRECTIONS.RECEIVE,
+      // Prefer what discovery knows about the sender
+      peer: peer ? { id: peer.id, name: peer.name, host: peer.host } : { id: from.id || null, name: from.name || socket.remoteAddress, host: from.host || '' },
+      address: socket.remoteAddress,
+      fileName: path.basename(String(message.fileName || 'file')) || 'file',
+      size: message.size,
+      transferred: 0,
+      state: 'offered',
+      socket,
+      rest: offer.rest,
+      startedAt: Date.now(),
+      lastReport: 0
+    };
+    this.transfers.set(transfer.id, transfer);
+
+    transfer.timer = setTimeout(() => this.respond(transfer.id, false), OFFER_TIMEOUT);
+    const onGone = () => {
+      // The sender gave up before we answered
+      if (transfer.state === 'offered') {
+        transfer.state = 'withdrawn';
+        clearTimeout(transfer.timer);
+        socket.destroy();
+        this.transfers.delete(transfer.id);
+        this.emit('offer-withdrawn', this._describe(transfer));
+      }
+    };
+    socket.on('end', onGone);
+    socket.on('close', onGone);
+
+    // Keep reading while the user decides, otherwise a paused socket never reports that the
+    // sender hung up. Senders wait for the answer, so early data is only kept for _receive.
+    transfer.onEarlyData = (chunk) => {
+      transfer.rest = Buffer.concat([transfer.rest, chunk]);
+      if (transfer.rest.length > MAX_HEADER_SIZE) {
+        socket.destroy();
+      }
+    };
+    socket.on('data', transfer.onEarlyData);
+    socket.resume();
+
+    console.log(`LAN transfer offered by ${transfer.peer.name}: ${transfer.fileName} (${transfer.size} bytes)`);
+    this.emit('offer', this._describe(transfer));
+  }
+
+  // Answer an incoming offer; accepting needs the local path to save to
+  async respond(transferId, accept, localPath = null) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || transfer.state !== 'offered') {
+      throw new Error('This offer is no longer available');
+    }
+    clearTimeout(transfer.timer);
+
+    if (!accept || !localPath) {
+      transfer.state = 'declined';
+      writeControlMessage(transfer.socket, { type: 'decline' });
+      transfer.socket.end();
+      this.transfers.delete(transferId);
+      return { success: true, declined: true, transferId };
+    }
+
+    transfer.state = 'running';
+    transfer.localPath = localPath;
+    transfer.startedAt = Date.now();
+    return this._receive(transfer);
+  }
+
+  _receive(transfer) {
+    const { socket } = transfer;
+    socket.removeListener('data', transfer.onEarlyData);
+    const writer = fs.createWriteStream(transfer.localPath);
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const fail = async (error) => {
+        if (settled) return;
+        settled = true;
+        transfer.state = transfer.cancelled ? 'cancelled' : 'failed';
+        socket.destroy();
+        writer.destroy();
+        await fs.promises.unlink(transfer.localPath).catch(() => {});
+        this.transfers.delete(transfer.id);
+        this._reportProgress(transfer, true);
+        if (transfer.cancelled) {
+          resolve({ success: false, cancelled: true, transferId: transfer.id });
+        } else {
+          reject(error);
+        }
+      };
+
+      const onChunk = (chunk) => {
+        transfer.transferred += chunk.length;
+        if (transfer.transferred > transfer.size) {
+          fail(new Error('Received more data than offered'));
+          return;
+        }
+        if (!writer.write(chunk)) {
+          socket.pause();
+          writer.once('drain', () => socket.resume());
+        }
+        this._reportProgress(transfer);
+      };
+
+      writer.on('error', error => {
+        writeControlMessage(socket, { type: 'error', error: error.message });
+        fail(error);
+      });
+      socket.on('data', onChunk);
+      socket.on('close', () => {
+        if (!settled && transfer.state === 'running') {
+          fail(new Error(transfer.cancelled ? 'Transfer cancelled' : 'Connection closed by the other side'));
+        }
+      });
+      socket.on('end', () => {
+        writer.end(() => {
+          if (settled) return;
+          if (transfer.transferred !== transfer.size) {
+            writeControlMessage(socket, { type: 'error', error: 'Incomplete file' });
+            fail(new Error(`Incomplete file (${transfer.transferred} of ${transfer.size} bytes)`));
+            return;
+          }
+
+          settled = true;
+          transfer.state = 'completed';
+          socket.end(`${JSON.stringify({ type: 'done' })}\n`);
+          this.transfers.delete(transfer.id);
+          this._reportProgress(transfer, true);
+          console.log(`LAN transfer of ${transfer.fileName} from ${transfer.peer.name} completed`);
+          resolve({ success: true, transferId: transfer.id, localPath: transfer.localPath, size: transfer.size });
+        });
+      });
+
+      writeControlMessage(socket, { type: 'accept' });
+      if (transfer.rest && transfer.rest.length > 0) {
+        onChunk(transfer.rest);
+      }
+      socket.resume();
+    });
+  }
+
+  cancel(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) return false;
+
+    if (transfer.state === 'offered') {
+      this.respond(transferId, false).catch(() => {});
+      return true;
+    }
+    transfer.cancelled = true;
+    transfer.socket.destroy();
+    return true;
+  }
+}
+
+// Global LAN transfer instance
+const lanTransfer = new LanTransfer(lanNetwork);
+
+module.exports = {
+  TRANSFER_DIRECTIONS,
+  LanTransfer,
+  lanTransfer,
+  startLanTransfer: () => lanTransfer.start(),
+  stopLanTransfer: () => lanTransfer.stop(),
+  sendLanFile: (peerId, localPath) => lanTransfer.sendFile(peerId, localPath),
+  respondToLanOffer: (transferId, accept, localPath) => lanTransfer.respond(transferId, accept, localPath),
+  cancelLanTransfer: (transferId) => lanTransfer.cancel(transferId)
+};
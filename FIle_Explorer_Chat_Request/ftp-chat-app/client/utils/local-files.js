@@ -0,0 +1,86 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+// Starting points for the local pane: the home folder plus every drive on Windows, or / elsewhere
+async function getLocalRoots() {
+  const roots = [{ name: 'Home', path: os.homedir() }];
+
+  if (process.platform === 'win32') {
+    for (const letter of 'CDEFGHIJKLMNOPQRSTUVWXYZ') {
+      const drive = `${letter}:\\`;
+      try {
+        await fs.access(drive);
+        roots.push({ name: `${letter}:`, path: drive });
+      } catch (error) {
+        // Drive not present
+      }
+    }
+  } else {
+    roots.push({ name: '/', path: '/' });
+  }
+
+  return { roots, separator: path.sep, homeDir: os.homedir() };
+}
+
+// List a local directory in the same shape the FTP pane uses (directories first, then files)
+async function listLocalDirectory(dirPath) {
+  const resolvedPath = path.resolve(dirPath);
+  const entries = await fs.readdir(resolvedPath, { withFileTypes: true });
+
+  const directories = [];
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(resolvedPath, entry.name);
+    let stats;
+
+    try {
+      // stat() follows symlinks so linked folders can be opened like normal ones
+      stats = await fs.stat(fullPath);
+    } catch (error) {
+      // Broken symlink or no permission - skip it
+      continue;
+    }
+
+    const item = {
+      name: entry.name,
+      path: fullPath,
+      type: stats.isDirectory() ? 'directory' : 'file',
+      size: stats.isDirectory() ? 0 : stats.size,
+      modifiedAt: stats.mtime.toISOString(),
+      isSymbolicLink: entry.isSymbolicLink()
+    };
+
+    if (item.type === 'directory') {
+      directories.push(item);
+    } else {
+      files.push(item);
+    }
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+  directories.sort(byName);
+  files.sort(byName);
+
+  const parentPath = path.dirname(resolvedPath);
+
+  return {
+    path: resolvedPath,
+    parentPath: parentPath !== resolvedPath ? parentPath : null,
+    directories,
+    files
+  };
+}
+
+// Create a local directory (and any missing parents)
+async function createLocalDirectory(dirPath) {
+  await fs.mkdir(dirPath, { recursive: true });
+  return { path: path.resolve(dirPath) };
+}
+
+module.exports = {
+  getLocalRoots,
+  listLocalDirectory,
+  createLocalDirectory
+};
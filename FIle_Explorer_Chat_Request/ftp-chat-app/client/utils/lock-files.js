@@ -0,0 +1,139 @@
+const os = require('os');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+
+// Advisory lock convention shared by every client: "report.txt" is locked by a JSON
+// file ".report.txt.lock" next to it. Nothing on the server enforces it; clients check
+// it before overwriting or deleting a file.
+const LOCK_STALE_AFTER = 30 * 60 * 1000; // Locks not refreshed for this long can be ignored
+const LOCK_REFRESH_INTERVAL = 5 * 60 * 1000; // Holders rewrite their lock this often
+const MAX_LOCK_FILE_SIZE = 4096;
+const LOCK_ERROR_CODE = 'ELOCKED';
+
+function getLockPath(remotePath) {
+  return path.posix.join(path.posix.dirname(remotePath), `.${path.posix.basename(remotePath)}.lock`);
+}
+
+function isLockFileName(name) {
+  return name.length > '..lock'.length && name.startsWith('.') && name.endsWith('.lock');
+}
+
+// ".report.txt.lock" -> "report.txt"
+function getLockedFileName(lockName) {
+  return lockName.slice(1, -'.lock'.length);
+}
+
+function isNotFound(error) {
+  return error.code === 550 || error.code === 2; // FTP "file unavailable" / SFTP "no such file"
+}
+
+function createLockedError(lock, remotePath) {
+  const error = new Error(`${path.posix.basename(remotePath)} is locked by ${lock.owner}@${lock.host} since ${lock.timestamp}`);
+  error.code = LOCK_ERROR_CODE;
+  error.lock = lock;
+  return error;
+}
+
+class LockFiles {
+  constructor() {
+    this.user = os.userInfo().username;
+    this.host = os.hostname();
+    this.owner = this.user;
+  }
+
+  setOwner(name) {
+    this.owner = name || this.user;
+  }
+
+  // Add what callers need to decide: is it ours, is it too old to respect
+  describe(data, remotePath) {
+    const timestamp = new Date(data.timestamp);
+    const age = Number.isNaN(timestamp.getTime()) ? Infinity : Date.now() - timestamp.getTime();
+    return {
+      path: remotePath,
+      lockPath: getLockPath(remotePath),
+      owner: String(data.owner || 'unknown'),
+      host: String(data.host || 'unknown'),
+      user: data.user || null,
+      timestamp: data.timestamp || null,
+      // The user name stays the same when the display name changes
+      mine: data.host === this.host && (data.user || data.owner) === this.user,
+      stale: age > LOCK_STALE_AFTER
+    };
+  }
+
+  // The lock on remotePath, or null when there is none
+  async read(client, remotePath) {
+    const chunks = [];
+    let size = 0;
+    const collector = new Writable({
+      write(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size > MAX_LOCK_FILE_SIZE) {
+          callback(new Error('Lock file is too large'));
+          return;
+        }
+        chunks.push(chunk);
+        callback();
+      }
+    });
+
+    try {
+      await client.downloadTo(collector, getLockPath(remotePath));
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      data = {}; // Unreadable locks still count, as stale ones
+    }
+    return this.describe(data, remotePath);
+  }
+
+  async write(client, remotePath) {
+    const data = {
+      owner: this.owner,
+      host: this.host,
+      user: this.user,
+      timestamp: new Date().toISOString()
+    };
+    await client.uploadFrom(Readable.from([Buffer.from(JSON.stringify(data, null, 2))]), getLockPath(remotePath));
+    return this.describe(data, remotePath);
+  }
+
+  async remove(client, remotePath) {
+    try {
+      await client.remove(getLockPath(remotePath));
+    } catch (error) {
+      if (!isNotFound(error)) throw error;
+    }
+  }
+
+  // Throw when someone else holds a fresh lock, unless the caller forces its way through
+  async assertUnlocked(client, remotePath, options = {}) {
+    if (options.force) return null;
+
+    const lock = await this.read(client, remotePath);
+    if (lock && !lock.mine && !lock.stale) {
+      throw createLockedError(lock, remotePath);
+    }
+    return lock;
+  }
+}
+
+// Global lock file helper
+const lockFiles = new LockFiles();
+
+module.exports = {
+  LOCK_STALE_AFTER,
+  LOCK_REFRESH_INTERVAL,
+  LOCK_ERROR_CODE,
+  lockFiles,
+  getLockPath,
+  isLockFileName,
+  getLockedFileName
+};
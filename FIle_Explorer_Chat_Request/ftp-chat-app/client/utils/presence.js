@@ -0,0 +1,135 @@
+const { EventEmitter } = require('events');
+const { lanNetwork } = require('./lan-network');
+
+const MAX_FEED_ENTRIES = 100; // Activity changes kept for the feed
+const MAX_ACTIVITY_ENTRIES = 20; // Paths one client may announce at a time
+
+const ACTIVITY_MODES = {
+  VIEWING: 'viewing',
+  EDITING: 'editing'
+};
+
+function normalizeActivity(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const server = (entry.server && typeof entry.server === 'object') ? entry.server : {};
+  if (!server.host || typeof entry.path !== 'string' || !entry.path.startsWith('/')) {
+    return null;
+  }
+
+  return {
+    mode: entry.mode === ACTIVITY_MODES.EDITING ? ACTIVITY_MODES.EDITING : ACTIVITY_MODES.VIEWING,
+    server: {
+      name: String(server.name || server.host),
+      host: String(server.host),
+      port: parseInt(server.port) || null,
+      protocol: String(server.protocol || 'ftp')
+    },
+    path: entry.path
+  };
+}
+
+// Announcements come from anyone on the LAN; anything that isn't a list counts as no activity
+function getPeerActivity(peer) {
+  const details = peer.details;
+  if (!details || typeof details !== 'object' || !Array.isArray(details.activity)) {
+    return [];
+  }
+  return details.activity.map(normalizeActivity).filter(Boolean).slice(0, MAX_ACTIVITY_ENTRIES);
+}
+
+function getActivityKey(entry) {
+  return `${entry.mode}|${entry.server.protocol}://${entry.server.host.toLowerCase()}:${entry.server.port || ''}${entry.path}`;
+}
+
+// Which server folders and files every LAN client is looking at or editing. Our own
+// activity rides along with the LAN network's announcements; changes in what peers
+// announce become entries in the activity feed.
+class PresenceService extends EventEmitter {
+  constructor(network) {
+    super();
+    this.network = network;
+    this.activity = [];
+    this.peerActivity = new Map(); // peer id -> { peer, activity, keys }
+    this.feed = [];
+    this.network.on('peers', peers => this._onPeers(peers));
+  }
+
+  setActivity(activity) {
+    this.activity = (activity || []).map(normalizeActivity).filter(Boolean).slice(0, MAX_ACTIVITY_ENTRIES);
+    this.network.setDetails({ activity: this.activity });
+    return this.activity;
+  }
+
+  getPresence() {
+    return [...this.peerActivity.values()].map(({ peer, activity }) => ({ peer, activity }));
+  }
+
+  getFeed() {
+    return [...this.feed];
+  }
+
+  _onPeers(peers) {
+    const entries = [];
+    const seen = new Set();
+    let changed = false;
+
+    for (const peer of peers) {
+      seen.add(peer.id);
+      const activity = getPeerActivity(peer);
+      const keys = new Set(activity.map(getActivityKey));
+      const known = this.peerActivity.get(peer.id);
+      const summary = { id: peer.id, name: peer.name, host: peer.host };
+      if (!known || known.keys.size !== keys.size || [...keys].some(key => !known.keys.has(key)) || known.peer.name !== peer.name) {
+        changed = true;
+      }
+
+      activity.forEach(entry => {
+        if (!known || !known.keys.has(getActivityKey(entry))) {
+          entries.push({ peer: summary, action: 'started', ...entry });
+        }
+      });
+      if (known) {
+        // Leaving a folder is noise; finishing an edit is worth knowing
+        known.activity.forEach(entry => {
+          if (entry.mode === ACTIVITY_MODES.EDITING && !keys.has(getActivityKey(entry))) {
+            entries.push({ peer: summary, action: 'stopped', ...entry });
+          }
+        });
+      }
+      this.peerActivity.set(peer.id, { peer: summary, activity, keys });
+    }
+
+    for (const [peerId, known] of this.peerActivity) {
+      if (!seen.has(peerId)) {
+        this.peerActivity.delete(peerId);
+        changed = true;
+        known.activity
+          .filter(entry => entry.mode === ACTIVITY_MODES.EDITING)
+          .forEach(entry => entries.push({ peer: known.peer, action: 'stopped', ...entry }));
+      }
+    }
+
+    // Announcements repeat every few seconds; only real changes are reported
+    if (!changed) return;
+
+    const time = Date.now();
+    entries.forEach(entry => this.feed.push({ time, ...entry }));
+    if (this.feed.length > MAX_FEED_ENTRIES) {
+      this.feed.splice(0, this.feed.length - MAX_FEED_ENTRIES);
+    }
+
+    this.emit('changed', { presence: this.getPresence(), entries });
+  }
+}
+
+// Global presence instance
+const presenceService = new PresenceService(lanNetwork);
+
+module.exports = {
+  ACTIVITY_MODES,
+  PresenceService,
+  presenceService,
+  setActivity: (activity) => presenceService.setActivity(activity),
+  getPresence: () => presenceService.getPresence(),
+  getActivityFeed: () => presenceService.getFeed()
+};
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const ftpClient = require('./ftp-client');
+const { globToRegExp } = require('./glob');
+
+const MAX_LOG_ENTRIES = 200; // Entries kept in the publish log
+const MIN_DEBOUNCE_MS = 200;
+
+const PUBLISH_STATUS = {
+  UPLOADED: 'uploaded',
+  FAILED: 'failed',
+  DELETED: 'deleted'
+};
+
+function isIgnored(relativePath, matchers) {
+  return matchers.some(matcher => matcher.test(relativePath));
+}
+
+// Watches local folders and uploads changed files to the mapped remote folder.
+// One watcher per FTP session; uploads run on the session's connection pool.
+class PublishWatcher extends EventEmitter {
+  constructor() {
+    super();
+    this.watches = new Map(); // session id -> watch state
+    this.log = [];
+    this.nextLogId = 1;
+  }
+
+  async start(sessionId, profileId, mapping) {
+    if (!mapping.localDir || !mapping.remoteDir) {
+      throw new Error('Local and remote folder are required');
+    }
+
+    const stats = await fs.promises.stat(mapping.localDir).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`Local folder does not exist: ${mapping.localDir}`);
+    }
+
+    this.stop(sessionId);
+
+    const watch = {
+      sessionId,
+      profileId,
+      localDir: path.resolve(mapping.localDir),
+      remoteDir: path.posix.normalize(mapping.remoteDir),
+      ignore: (mapping.ignore || []).filter(pattern => pattern.trim()),
+      matchers: (mapping.ignore || []).filter(pattern => pattern.trim()).map(globToRegExp),
+      debounceMs: Math.max(MIN_DEBOUNCE_MS, parseInt(mapping.debounceMs) || 1000),
+      watchers: new Map(), // local dir -> fs.FSWatcher (a single entry when recursive watching works)
+      pending: new Set(),
+      pushed: new Map(), // relative path -> "size:mtime" of the last upload
+      timer: null,
+      flushing: false,
+      startedAt: Date.now(),
+      uploadedCount: 0,
+      failedCount: 0
+    };
+
+    this.watches.set(sessionId, watch);
+    this._watchTree(watch);
+
+    console.log(`Publish folder started for session ${sessionId}: ${watch.localDir} -> ${watch.remoteDir}`);
+    this.emit('status', this.getStatus());
+    return this._describe(watch);
+  }
+
+  stop(sessionId) {
+    const watch = this.watches.get(sessionId);
+    if (!watch) {
+      return false;
+    }
+
+    clearTimeout(watch.timer);
+    for (const watcher of watch.watchers.values()) {
+      watcher.close();
+    }
+    watch.watchers.clear();
+    this.watches.delete(sessionId);
+
+    console.log(`Publish folder stopped for session ${sessionId}`);
+    this.emit('status', this.getStatus());
+    return true;
+  }
+
+  stopAll() {
+    for (const sessionId of [...this.watches.keys()]) {
+      this.stop(sessionId);
+    }
+  }
+
+  getStatus() {
+    return [...this.watches.values()].map(watch => this._describe(watch));
+  }
+
+  getLog(sessionId = null) {
+    return sessionId ? this.log.filter(entry => entry.sessionId === sessionId) : [...this.log];
+  }
+
+  _describe(watch) {
+    return {
+      sessionId: watch.sessionId,
+      profileId: watch.profileId,
+      localDir: watch.localDir,
+      remoteDir: watch.remoteDir,
+      ignore: watch.ignore,
+      debounceMs: watch.debounceMs,
+      pending: watch.pending.size,
+      uploadedCount: watch.uploadedCount,
+      failedCount: watch.failedCount,
+      startedAt: watch.startedAt
+    };
+  }
+
+  // Recursive fs.watch isn't available everywhere (older Node on Linux);
+  // fall back to one watcher per folder
+  _watchTree(watch) {
+    try {
+      const watcher = fs.watch(watch.localDir, { recursive: true }, (eventType, fileName) => {
+        if (fileName) {
+          this._onChange(watch, fileName.toString());
+        }
+      });
+      watcher.on('error', error => this._onWatchError(watch, error));
+      watch.watchers.set(watch.localDir, watcher);
+      watch.recursive = true;
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      watch.recursive = false;
+      this._watchDirectory(watch, watch.localDir);
+    }
+  }
+
+  _watchDirectory(watch, dirPath) {
+    if (watch.watchers.has(dirPath)) {
+      return;
+    }
+
+    const relativeDir = path.relative(watch.localDir, dirPath).split(path.sep).join('/');
+    if (relativeDir && isIgnored(relativeDir, watch.matchers)) {
+      return;
+    }
+
+    try {
+      const watcher = fs.watch(dirPath, (eventType, fileName) => {
+        if (fileName) {
+          this._onChange(watch, path.join(path.relative(watch.localDir, dirPath), fileName.toString()));
+        }
+      });
+      watcher.on('error', error => this._onWatchError(watch, error));
+      watch.watchers.set(dirPath, watcher);
+
+      for (const child of fs.readdirSync(dirPath, { withFileTypes: true })) {
+        if (child.isDirectory()) {
+          this._watchDirectory(watch, path.join(dirPath, child.name));
+        }
+      }
+    } catch (error) {
+      console.error(`Could not watch ${dirPath}:`, error);
+    }
+  }
+
+  _onWatchError(watch, error) {
+    console.error(`Publish folder watcher error (${watch.localDir}):`, error);
+    this._addLog(watch, { relativePath: '', remotePath: watch.remoteDir, status: PUBLISH_STATUS.FAILED, error: error.message });
+  }
+
+  // Editors fire several events per save; collect them and upload once things settle
+  _onChange(watch, fileName) {
+    const relativePath = fileName.split(path.sep).join('/');
+    if (!relativePath || isIgnored(relativePath, watch.matchers)) {
+      return;
+    }
+
+    watch.pending.add(relativePath);
+    clearTimeout(watch.timer);
+    watch.timer = setTimeout(() => this._flush(watch), watch.debounceMs);
+  }
+
+  async _flush(watch) {
+    // Changes that arrive during an upload run are picked up by the next one
+    if (watch.flushing) {
+      watch.timer = setTimeout(() => this._flush(watch), watch.debounceMs);
+      return;
+    }
+
+    watch.flushing = true;
+    const batch = [...watch.pending].sort();
+    watch.pending.clear();
+
+    try {
+      for (const relativePath of batch) {
+        if (this.watches.get(watch.sessionId) !== watch) {
+          break; // Stopped while uploading
+        }
+        // One bad entry must not drop the rest of the batch
+        await this._publish(watch, relativePath).catch(error => {
+          console.error(`Publish of ${relativePath} failed:`, error);
+          this._addLog(watch, {
+            relativePath,
+            remotePath: path.posix.join(watch.remoteDir, relativePath),
+            status: PUBLISH_STATUS.FAILED,
+            error: error.message
+          });
+        });
+      }
+    } finally {
+      watch.flushing = false;
+      this.emit('status', this.getStatus());
+    }
+  }
+
+  async _publish(watch, relativePath) {
+    const localPath = path.join(watch.localDir, ...relativePath.split('/'));
+    const remotePath = path.posix.join(watch.remoteDir, relativePath);
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(localPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this._addLog(watch, { relativePath, remotePath, status: PUBLISH_STATUS.FAILED, error: error.message });
+        return;
+      }
+
+      // Remote copies are never deleted automatically, the deletion is only logged
+      if (watch.pushed.delete(relativePath)) {
+        this._addLog(watch, { relativePath, remotePath, status: PUBLISH_STATUS.DELETED });
+      }
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      // A folder moved or copied in doesn't always report its contents
+      if (!watch.recursive) {
+        this._watchDirectory(watch, localPath);
+      }
+      // Temp and checkout folders often vanish again before they can be read
+      let children;
+      try {
+        children = await fs.promises.readdir(localPath);
+      } catch (error) {
+        this._addLog(watch, { relativePath, remotePath, status: PUBLISH_STATUS.FAILED, error: error.message });
+        return;
+      }
+      for (const child of children) {
+        const childPath = `${relativePath}/${child}`;
+        if (!isIgnored(childPath, watch.matchers)) {
+          watch.pending.add(childPath);
+        }
+      }
+      if (watch.pending.size > 0) {
+        clearTimeout(watch.timer);
+        watch.timer = setTimeout(() => this._flush(watch), watch.debounceMs);
+      }
+      return;
+    }
+
+    if (!stats.isFile()) {
+      return;
+    }
+
+    // Touch events without a content change (or repeated events for one save)
+    const signature = `${stats.size}:${stats.mtimeMs}`;
+    if (watch.pushed.get(relativePath) === signature) {
+      return;
+    }
+
+    try {
+      await this._upload(watch, localPath, remotePath);
+      watch.pushed.set(relativePath, signature);
+      watch.uploadedCount++;
+      this._addLog(watch, { relativePath, remotePath, status: PUBLISH_STATUS.UPLOADED, size: stats.size });
+    } catch (error) {
+      console.error(`Publish of ${relativePath} failed:`, error);
+      watch.failedCount++;
+      this._addLog(watch, { relativePath, remotePath, status: PUBLISH_STATUS.FAILED, size: stats.size, error: error.message });
+    }
+  }
+
+  // Upload on a pooled connection: the session's main client belongs to the user's own
+  // browsing and transfers, and basic-ftp rejects a second task while one is running
+  async _upload(watch, localPath, remotePath) {
+    const session = ftpClient.getSession(watch.sessionId);
+    const connection = await session.connectionPool.getConnection();
+    try {
+      await connection.ensureDir(path.posix.dirname(remotePath));
+      await ftpClient.uploadWithResume(connection, localPath, remotePath);
+      // Listings of the target folder are stale now
+      session.lazyLoader.clearDirectoryCache(path.posix.dirname(remotePath));
+    } finally {
+      session.connectionPool.releaseConnection(connection);
+    }
+  }
+
+  _addLog(watch, entry) {
+    const logEntry = {
+      id: this.nextLogId++,
+      time: Date.now(),
+      sessionId: watch.sessionId,
+      profileId: watch.profileId,
+      size: 0,
+      error: null,
+      ...entry
+    };
+
+    this.log.push(logEntry);
+    if (this.log.length > MAX_LOG_ENTRIES) {
+      this.log.splice(0, this.log.length - MAX_LOG_ENTRIES);
+    }
+    this.emit('log', logEntry);
+  }
+}
+
+// Global publish watcher instance
+const publishWatcher = new PublishWatcher();
+
+module.exports = {
+  PUBLISH_STATUS,
+  publishWatcher,
+  startPublishing: (sessionId, profileId, mapping) => publishWatcher.start(sessionId, profileId, mapping),
+  stopPublishing: (sessionId) => publishWatcher.stop(sessionId),
+  stopAllPublishing: () => publishWatcher.stopAll(),
+  getPublishStatus: () => publishWatcher.getStatus(),
+  getPublishLog: (sessionId) => publishWatcher.getLog(sessionId)
+};
@@ -0,0 +1,233 @@
+const path = require('path');
+const { PassThrough } = require('stream');
+const ftpClient = require('./ftp-client');
+
+const PROGRESS_INTERVAL = 250; // Minimum ms between progress events
+
+// "report.txt" -> "report copy.txt", "report copy 2.txt", ...; folders keep no extension
+function getCopyName(name, isDirectory, index) {
+  const extension = isDirectory ? '' : path.posix.extname(name);
+  const base = extension && extension !== name ? name.slice(0, -extension.length) : name;
+  return `${base} copy${index > 1 ? ` ${index}` : ''}${extension && extension !== name ? extension : ''}`;
+}
+
+// Pick a name that doesn't exist in targetDir yet; copies never overwrite
+async function getAvailableTargetPath(session, targetDir, name, isDirectory) {
+  const existing = new Set((await ftpClient.listPooled(session, targetDir)).map(entry => entry.name));
+  if (!existing.has(name)) {
+    return path.posix.join(targetDir, name);
+  }
+
+  for (let index = 1; ; index++) {
+    const candidate = getCopyName(name, isDirectory, index);
+    if (!existing.has(candidate)) {
+      return path.posix.join(targetDir, candidate);
+    }
+  }
+}
+
+// Stream one file from a download on one pooled connection straight into an upload
+// on another, so nothing is written to local disk
+async function copyRemoteFile(session, fromPath, toPath, onBytes, signal = null) {
+  const pool = session.connectionPool;
+  const source = await pool.getConnection();
+  let target;
+  try {
+    target = await pool.getConnection();
+  } catch (error) {
+    pool.releaseConnection(source);
+    throw error;
+  }
+
+  // Closing both connections is the only reliable way to stop a transfer that is
+  // waiting on the other side
+  const pipe = new PassThrough();
+  const stop = (error) => {
+    if (pipe.destroyed) return;
+    pipe.destroy(error);
+    source.close();
+    target.close();
+  };
+  const abort = () => stop(new Error('Copy cancelled'));
+  if (signal) {
+    signal.addEventListener('abort', abort, { once: true });
+  }
+
+  let failed = false;
+  try {
+    source.trackProgress(info => onBytes(info.bytes));
+
+    const download = source.downloadTo(pipe, fromPath).then(() => {
+      // SFTP doesn't end a stream it didn't open
+      if (!pipe.writableEnded) {
+        pipe.end();
+      }
+    });
+    const upload = target.uploadFrom(pipe, toPath);
+
+    // Either side failing must stop the other one
+    const results = await Promise.allSettled([
+      download.catch(error => { stop(error); throw error; }),
+      upload.catch(error => { stop(error); throw error; })
+    ]);
+    const rejected = results.find(result => result.status === 'rejected');
+    if (rejected) {
+      failed = true;
+      throw rejected.reason;
+    }
+  } finally {
+    source.trackProgress();
+    if (signal) {
+      signal.removeEventListener('abort', abort);
+    }
+
+    // A connection torn down mid-transfer isn't safe to reuse
+    if (failed) {
+      pool.removeConnection(source);
+      pool.removeConnection(target);
+    } else {
+      pool.releaseConnection(source);
+      pool.releaseConnection(target);
+    }
+  }
+}
+
+// Remove the partial copy of a failed file, best effort
+async function removePartialCopy(session, remotePath) {
+  let connection = null;
+  try {
+    connection = await session.connectionPool.getConnection();
+    await connection.remove(remotePath);
+  } catch (error) {
+    console.warn(`Could not remove partial copy ${remotePath}:`, error.message);
+  } finally {
+    session.connectionPool.releaseConnection(connection);
+  }
+}
+
+async function getSourceSize(session, remotePath) {
+  const connection = await session.connectionPool.getConnection();
+  try {
+    return (await ftpClient.getRemoteFileSize(connection, remotePath)) || 0;
+  } finally {
+    session.connectionPool.releaseConnection(connection);
+  }
+}
+
+// Work out every folder to create and file to copy. Existing names get a " copy" suffix.
+async function planCopy(session, items, targetDir) {
+  const directories = [];
+  const files = [];
+  const skipped = [];
+
+  for (const item of items) {
+    const sourcePath = path.posix.normalize(item.path);
+    const isDirectory = item.type === 'directory';
+
+    if (isDirectory && (targetDir === sourcePath || targetDir.startsWith(`${sourcePath}/`))) {
+      skipped.push({ path: sourcePath, reason: 'Cannot copy a folder into itself' });
+      continue;
+    }
+
+    const targetRoot = await getAvailableTargetPath(session, targetDir, item.name, isDirectory);
+    if (!isDirectory) {
+      // Items selected in the file list don't carry a size
+      const size = item.size || await getSourceSize(session, sourcePath);
+      files.push({ fromPath: sourcePath, toPath: targetRoot, size });
+      continue;
+    }
+
+    const tree = await ftpClient.collectRemoteTree(session, sourcePath, null);
+    const toTarget = (remotePath) => path.posix.join(targetRoot, path.posix.relative(sourcePath, remotePath));
+
+    directories.push(...tree.directories.map(dir => toTarget(dir.remotePath)));
+    files.push(...tree.files.map(file => ({ fromPath: file.remotePath, toPath: toTarget(file.remotePath), size: file.size || 0 })));
+    skipped.push(...tree.skipped, ...tree.failed.map(entry => ({ path: entry.path, reason: entry.error })));
+  }
+
+  // Shallow folders first so parents exist before their children
+  directories.sort((a, b) => a.split('/').length - b.split('/').length);
+  return { directories, files, skipped };
+}
+
+// Copy files and folders to targetDir on the same server ("Duplicate" when targetDir is their own folder)
+async function copyRemoteItems(sessionId, items, targetDir, options = {}) {
+  const { onProgress = null, signal = null } = options;
+  const session = ftpClient.getSession(sessionId);
+  const normalizedTargetDir = path.posix.normalize(targetDir);
+
+  const plan = await planCopy(session, items, normalizedTargetDir);
+  const totalBytes = plan.files.reduce((sum, file) => sum + file.size, 0);
+  const failed = plan.skipped.map(entry => ({ path: entry.path, error: entry.reason }));
+  let copiedBytes = 0;
+  let completedFiles = 0;
+  let lastReport = 0;
+
+  const report = (current, force = false) => {
+    const now = Date.now();
+    if (!onProgress || (!force && now - lastReport < PROGRESS_INTERVAL)) return;
+    lastReport = now;
+    onProgress({
+      copiedBytes,
+      totalBytes,
+      completedFiles,
+      totalFiles: plan.files.length,
+      progress: totalBytes > 0 ? Math.round((copiedBytes / totalBytes) * 100) : Math.round((completedFiles / Math.max(plan.files.length, 1)) * 100),
+      current
+    });
+  };
+
+  for (const dirPath of plan.directories) {
+    const connection = await session.connectionPool.getConnection();
+    try {
+      await connection.ensureDir(dirPath);
+    } catch (error) {
+      failed.push({ path: dirPath, error: error.message });
+    } finally {
+      session.connectionPool.releaseConnection(connection);
+    }
+  }
+
+  // Every copy holds two connections, so only half the pool can run at once
+  const maxConcurrency = Math.max(1, Math.floor(session.connectionPool.maxConnections / 2));
+  await ftpClient.performConcurrentOperations(session, plan.files.map(file => async () => {
+    if (signal && signal.aborted) return;
+
+    let fileBytes = 0;
+    try {
+      await copyRemoteFile(session, file.fromPath, file.toPath, (bytes) => {
+        copiedBytes += bytes - fileBytes;
+        fileBytes = bytes;
+        report(file.toPath);
+      }, signal);
+      completedFiles++;
+    } catch (error) {
+      copiedBytes -= fileBytes;
+      if (!(signal && signal.aborted)) {
+        console.error(`Copy of ${file.fromPath} failed:`, error);
+        failed.push({ path: file.fromPath, error: error.message });
+      }
+      await removePartialCopy(session, file.toPath);
+    }
+    report(file.toPath, true);
+  }), maxConcurrency);
+
+  // Listings of the target folders are stale now
+  session.lazyLoader.clearDirectoryCache(normalizedTargetDir);
+  for (const dirPath of plan.directories) {
+    session.lazyLoader.clearDirectoryCache(dirPath);
+  }
+
+  return {
+    success: failed.length === 0 && !(signal && signal.aborted),
+    cancelled: Boolean(signal && signal.aborted),
+    completedFiles,
+    totalFiles: plan.files.length,
+    copiedBytes,
+    failed
+  };
+}
+
+module.exports = {
+  copyRemoteItems
+};
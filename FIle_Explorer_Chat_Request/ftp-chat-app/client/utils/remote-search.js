@@ -0,0 +1,235 @@
+const path = require('path');
+const ftpClient = require('./ftp-client');
+const { globToRegExp } = require('./glob');
+
+const RESULT_BATCH_INTERVAL = 250; // Minimum ms between streamed result batches
+const MAX_RESULTS = 1000;
+const MAX_QUERY_LENGTH = 200;
+
+const SEARCH_MODES = {
+  GLOB: 'glob',
+  REGEX: 'regex'
+};
+
+// Scan a user regex for the shapes that backtrack catastrophically: backreferences and a
+// repeated group that itself repeats or alternates, like "(a+)+" or "(a|aa)*". The search
+// runs in the main process, so a runaway pattern would freeze the whole app.
+function assertSafeRegex(source) {
+  if (/\\[1-9]|\\k</.test(source)) {
+    throw new Error('Backreferences are not supported in regex search');
+  }
+
+  const groups = []; // per open group: does its body repeat or alternate?
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const variable = groups.pop();
+      const next = source[i + 1];
+      if (variable && (next === '*' || next === '+' || next === '{')) {
+        throw new Error('Repeating a group that repeats or alternates, like "(a+)+", is not supported in regex search');
+      }
+      if (variable && groups.length > 0) groups[groups.length - 1] = true;
+    } else if ((char === '*' || char === '+' || char === '{' || char === '|') && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+}
+
+// Build a predicate from the search criteria. Names are matched case-insensitively;
+// size limits only apply to files, date limits skip entries without a date.
+function createMatcher(criteria) {
+  const query = (criteria.query || '').trim();
+  let nameMatcher = null;
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Search pattern is too long (max ${MAX_QUERY_LENGTH} characters)`);
+  }
+  if (query) {
+    if (criteria.mode === SEARCH_MODES.REGEX) {
+      assertSafeRegex(query);
+      nameMatcher = new RegExp(query, 'i'); // A SyntaxError names the problem well enough
+    } else {
+      nameMatcher = globToRegExp(query);
+    }
+  }
+
+  const minSize = Number.isFinite(criteria.minSize) ? criteria.minSize : null;
+  const maxSize = Number.isFinite(criteria.maxSize) ? criteria.maxSize : null;
+  const modifiedAfter = criteria.modifiedAfter ? new Date(criteria.modifiedAfter).getTime() : null;
+  const modifiedBefore = criteria.modifiedBefore ? new Date(criteria.modifiedBefore).getTime() : null;
+  const type = criteria.type || 'any';
+
+  return (entry) => {
+    if (type !== 'any' && entry.type !== type) return false;
+    if (nameMatcher && !nameMatcher.test(entry.name)) return false;
+
+    if (entry.type === 'file') {
+      if (minSize !== null && entry.size < minSize) return false;
+      if (maxSize !== null && entry.size > maxSize) return false;
+    }
+
+    if (modifiedAfter !== null || modifiedBefore !== null) {
+      const modifiedAt = entry.modifiedAt ? new Date(entry.modifiedAt).getTime() : null;
+      if (modifiedAt === null) return false;
+      if (modifiedAfter !== null && modifiedAt < modifiedAfter) return false;
+      if (modifiedBefore !== null && modifiedAt > modifiedBefore) return false;
+    }
+    return true;
+  };
+}
+
+function isInside(rootPath, remotePath) {
+  return rootPath === '/' || remotePath === rootPath || remotePath.startsWith(`${rootPath}/`);
+}
+
+function toResult(parentPath, entry) {
+  return {
+    name: entry.name,
+    path: path.posix.join(parentPath, entry.name),
+    parentPath,
+    type: entry.type,
+    size: entry.size || 0,
+    modifiedAt: entry.modifiedAt || null
+  };
+}
+
+// Every entry already known without touching the server: the lazy loader's per-folder
+// caches and the cached structure on disk
+async function collectCachedEntries(session, rootPath) {
+  const entries = new Map(); // remote path -> result
+  const add = (parentPath, entry) => {
+    if (entry.type !== 'file' && entry.type !== 'directory') return;
+    const result = toResult(parentPath, entry);
+    if (isInside(rootPath, result.path) && result.path !== rootPath) {
+      entries.set(result.path, result);
+    }
+  };
+
+  const addListing = (dirPath, structure) => {
+    if (!structure) return;
+    (structure.files || []).forEach(file => add(dirPath, file));
+    (structure.directories || []).forEach(dir => {
+      add(dirPath, dir);
+      // The disk cache nests loaded folders inside their parent
+      if (dir.loaded && (dir.files || dir.directories)) {
+        addListing(path.posix.join(dirPath, dir.name), dir);
+      }
+    });
+  };
+
+  const lazyLoader = session.lazyLoader;
+  for (const [dirPath, cached] of lazyLoader.directoryCache) {
+    addListing(dirPath, cached.data);
+  }
+  for (const [dirPath, cached] of lazyLoader.memoryCache) {
+    addListing(dirPath, cached.data);
+  }
+
+  try {
+    const diskCache = await ftpClient.readCache(session);
+    if (diskCache && diskCache.structure) {
+      addListing(diskCache.structure.path || '/', diskCache.structure);
+    }
+  } catch (error) {
+    console.warn('Search could not read the directory cache:', error.message);
+  }
+
+  return entries;
+}
+
+// Search below rootPath: cached listings first, then (with criteria.live) a level-by-level
+// scan over the connection pool. Results stream out through onResults in batches.
+async function searchRemote(sessionId, criteria, options = {}) {
+  const { onResults = null, signal = null } = options;
+  const session = ftpClient.getSession(sessionId);
+  const rootPath = path.posix.normalize(criteria.rootPath || '/');
+  const matches = createMatcher(criteria);
+
+  const found = new Set();
+  let pending = [];
+  let lastReport = 0;
+  let scannedFolders = 0;
+  let truncated = false;
+
+  const flush = (phase, force = false) => {
+    const now = Date.now();
+    if (!onResults || (!force && now - lastReport < RESULT_BATCH_INTERVAL)) return;
+    lastReport = now;
+    onResults({ phase, results: pending, scannedFolders, total: found.size });
+    pending = [];
+  };
+
+  const report = (result, phase) => {
+    if (found.has(result.path) || truncated) return;
+    if (found.size >= MAX_RESULTS) {
+      truncated = true;
+      return;
+    }
+    found.add(result.path);
+    pending.push(result);
+    flush(phase);
+  };
+
+  const cached = await collectCachedEntries(session, rootPath);
+  for (const result of cached.values()) {
+    if (matches(result)) {
+      report(result, 'cache');
+    }
+  }
+  flush('cache', true);
+
+  const failed = [];
+  if (criteria.live && !truncated) {
+    // Symlinks are listed with type "symlink", so linked folders are never walked into
+    let level = [rootPath];
+    while (level.length > 0 && !truncated && !(signal && signal.aborted)) {
+      const nextLevel = [];
+
+      await ftpClient.performConcurrentOperations(session, level.map(dirPath => async () => {
+        if (truncated || (signal && signal.aborted)) return;
+        try {
+          const entries = await ftpClient.listPooled(session, dirPath);
+          scannedFolders++;
+          for (const entry of entries) {
+            if (entry.type === 'directory') {
+              nextLevel.push(path.posix.join(dirPath, entry.name));
+            }
+            const result = toResult(dirPath, entry);
+            if ((entry.type === 'file' || entry.type === 'directory') && matches(result)) {
+              report(result, 'live');
+            }
+          }
+        } catch (error) {
+          failed.push({ path: dirPath, error: error.message });
+        }
+        flush('live');
+      }), session.connectionPool.maxConnections);
+
+      level = nextLevel;
+    }
+    flush('live', true);
+  }
+
+  return {
+    success: true,
+    cancelled: Boolean(signal && signal.aborted),
+    total: found.size,
+    scannedFolders,
+    truncated,
+    failed
+  };
+}
+
+module.exports = {
+  SEARCH_MODES,
+  searchRemote,
+  assertSafeRegex
+};
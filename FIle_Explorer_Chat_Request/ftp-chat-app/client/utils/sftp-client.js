@@ -0,0 +1,525 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { app } = require('electron');
+const { Client: SSHClient } = require('ssh2');
+
+// File types - same values as basic-ftp's FileType so callers can treat listings alike
+const FileType = {
+  Unknown: 0,
+  File: 1,
+  Directory: 2,
+  SymbolicLink: 3
+};
+
+// POSIX mode bits used by SFTP attributes
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFREG = 0o100000;
+const S_IFLNK = 0o120000;
+
+// =============================================
+// known_hosts verification
+// =============================================
+
+// known_hosts files to check - the user's OpenSSH file plus the app's own trust store
+function getKnownHostsFiles() {
+  return [
+    path.join(os.homedir(), '.ssh', 'known_hosts'),
+    getAppKnownHostsPath()
+  ];
+}
+
+const HOST_KEY_ERRORS = {
+  UNKNOWN: 'HOSTKEY_UNKNOWN'
+};
+
+// Keys of unknown hosts seen while connecting, waiting for the user to trust them:
+// "hostPattern fingerprint" -> known_hosts line
+const MAX_PENDING_HOST_KEYS = 20;
+const pendingHostKeys = new Map();
+
+// Trust store for host keys the user accepted
+function getAppKnownHostsPath() {
+  return path.join(app.getPath('userData'), 'known_hosts');
+}
+
+// OpenSSH writes non-standard ports as [host]:port
+function getHostPattern(host, port) {
+  return port && port !== 22 ? `[${host}]:${port}` : host;
+}
+
+// OpenSSH style fingerprint (SHA256:base64 without padding)
+function getHostKeyFingerprint(keyBuffer) {
+  const digest = crypto.createHash('sha256').update(keyBuffer).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+// Read the key type (e.g. ssh-ed25519) from the raw SSH wire-format key
+function getHostKeyType(keyBuffer) {
+  const length = keyBuffer.readUInt32BE(0);
+  return keyBuffer.slice(4, 4 + length).toString('ascii');
+}
+
+// Check a single known_hosts host field against the target pattern (supports hashed hosts)
+function matchesHostEntry(hostField, hostPattern) {
+  return hostField.split(',').some(entry => {
+    if (entry.startsWith('|1|')) {
+      const [, , salt, hash] = entry.split('|');
+      const hmac = crypto.createHmac('sha1', Buffer.from(salt, 'base64'))
+        .update(hostPattern)
+        .digest('base64');
+      return hmac === hash;
+    }
+    return entry === hostPattern;
+  });
+}
+
+// Parse known_hosts entries that apply to a host
+function readKnownHostEntries(hostPattern) {
+  const entries = [];
+
+  for (const filePath of getKnownHostsFiles()) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      continue; // File might not exist yet
+    }
+
+    for (const rawLine of content.split('\n')) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) {
+        continue;
+      }
+
+      const parts = line.split(/\s+/);
+      const marker = parts[0].startsWith('@') ? parts.shift() : null;
+      const [hostField, keyType, keyData] = parts;
+
+      if (!keyData || marker === '@cert-authority' || !matchesHostEntry(hostField, hostPattern)) {
+        continue;
+      }
+
+      entries.push({ keyType, keyData, revoked: marker === '@revoked', file: filePath });
+    }
+  }
+
+  return entries;
+}
+
+// Verify a server host key. Unknown hosts are not trusted until the user accepts the key
+// (see trustHostKey); the key is kept aside until then.
+function verifyHostKey(host, port, keyBuffer) {
+  const hostPattern = getHostPattern(host, port);
+  const keyType = getHostKeyType(keyBuffer);
+  const keyData = keyBuffer.toString('base64');
+  const fingerprint = getHostKeyFingerprint(keyBuffer);
+  const entries = readKnownHostEntries(hostPattern);
+
+  if (entries.some(entry => entry.revoked && entry.keyData === keyData)) {
+    return { trusted: false, fingerprint, message: `Host key for ${hostPattern} has been revoked (${fingerprint})` };
+  }
+
+  if (entries.some(entry => !entry.revoked && entry.keyData === keyData)) {
+    return { trusted: true, fingerprint };
+  }
+
+  if (entries.some(entry => !entry.revoked && entry.keyType === keyType)) {
+    return {
+      trusted: false,
+      fingerprint,
+      message: `Host key verification failed: the ${keyType} key for ${hostPattern} has changed (${fingerprint})`
+    };
+  }
+
+  pendingHostKeys.set(`${hostPattern} ${fingerprint}`, `${hostPattern} ${keyType} ${keyData}`);
+  while (pendingHostKeys.size > MAX_PENDING_HOST_KEYS) {
+    pendingHostKeys.delete(pendingHostKeys.keys().next().value);
+  }
+
+  return {
+    trusted: false,
+    unknown: true,
+    fingerprint,
+    keyType,
+    hostPattern,
+    message: `Host key for ${hostPattern} is not known yet (${keyType} ${fingerprint})`
+  };
+}
+
+// Add a host key the user accepted to the app's known_hosts. Only a key seen in a
+// connection attempt can be trusted, and only by its fingerprint.
+function trustHostKey(host, port, fingerprint) {
+  const hostPattern = getHostPattern(host, port);
+  const line = pendingHostKeys.get(`${hostPattern} ${fingerprint}`);
+  if (!line) {
+    throw new Error(`No pending host key ${fingerprint} for ${hostPattern}; connect again first`);
+  }
+
+  const knownHostsPath = getAppKnownHostsPath();
+  fs.mkdirSync(path.dirname(knownHostsPath), { recursive: true });
+  fs.appendFileSync(knownHostsPath, `${line}\n`, 'utf8');
+  pendingHostKeys.delete(`${hostPattern} ${fingerprint}`);
+  console.log(`Added host key for ${hostPattern} to known_hosts (${fingerprint})`);
+  return { hostPattern, fingerprint };
+}
+
+// Expand ~ in private key paths
+function expandHomePath(filePath) {
+  if (filePath && filePath.startsWith('~')) {
+    return path.join(os.homedir(), filePath.slice(1));
+  }
+  return filePath;
+}
+
+// =============================================
+// SFTP client
+// =============================================
+
+// SFTP client exposing the subset of basic-ftp's Client API used by ftp-client.js
+class SFTPClient extends EventEmitter {
+  constructor(timeout = 30000) {
+    super();
+    this.timeout = timeout;
+    this.ssh = null;
+    this.sftp = null;
+    this.closed = true;
+    this.hostKeyFingerprint = null;
+    this.progressHandler = null;
+    this.bytesOverall = 0;
+  }
+
+  // Connect and open the SFTP subsystem
+  async access(options = {}) {
+    const port = options.port || 22;
+    let privateKey;
+
+    if (options.privateKeyPath) {
+      privateKey = await fs.promises.readFile(expandHomePath(options.privateKeyPath));
+    }
+
+    if (!options.password && !privateKey) {
+      throw new Error('SFTP requires a password or a private key');
+    }
+
+    return new Promise((resolve, reject) => {
+      const ssh = new SSHClient();
+      let hostKeyError = null;
+      let settled = false;
+
+      ssh.on('ready', () => {
+        ssh.sftp((error, sftp) => {
+          if (error) {
+            settled = true;
+            ssh.end();
+            reject(new Error(`Failed to start SFTP subsystem: ${error.message}`));
+            return;
+          }
+
+          this.sftp = sftp;
+          this.closed = false;
+          settled = true;
+          resolve({ code: 0, message: `Connected to ${options.host} over SFTP` });
+        });
+      });
+
+      ssh.on('error', (error) => {
+        if (!settled) {
+          settled = true;
+          reject(hostKeyError || error);
+          return;
+        }
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+      });
+
+      ssh.on('close', () => {
+        this.closed = true;
+        this.sftp = null;
+        this.emit('close');
+      });
+
+      ssh.connect({
+        host: options.host,
+        port,
+        username: options.user,
+        password: options.password || undefined,
+        privateKey,
+        passphrase: options.passphrase || undefined,
+        readyTimeout: this.timeout,
+        keepaliveInterval: 15000,
+        hostVerifier: (keyBuffer) => {
+          const result = verifyHostKey(options.host, port, keyBuffer);
+          this.hostKeyFingerprint = result.fingerprint;
+          if (!result.trusted) {
+            hostKeyError = new Error(result.message);
+            if (result.unknown) {
+              // Same shape as an untrusted FTPS certificate, so the renderer can ask the user
+              hostKeyError.code = HOST_KEY_ERRORS.UNKNOWN;
+              hostKeyError.certificate = {
+                hostKey: true,
+                host: options.host,
+                port,
+                hostPattern: result.hostPattern,
+                keyType: result.keyType,
+                fingerprint: result.fingerprint
+              };
+            }
+          }
+          return result.trusted;
+        }
+      });
+
+      this.ssh = ssh;
+    });
+  }
+
+  close() {
+    if (this.ssh) {
+      this.ssh.end();
+    }
+    this.closed = true;
+    this.sftp = null;
+  }
+
+  // Report transfer progress like basic-ftp's trackProgress()
+  trackProgress(handler) {
+    this.bytesOverall = 0;
+    this.progressHandler = handler || null;
+  }
+
+  _getSFTP() {
+    if (!this.sftp || this.closed) {
+      throw new Error('SFTP client is not connected');
+    }
+    return this.sftp;
+  }
+
+  // Promisify a method of the SFTP wrapper
+  _call(method, ...args) {
+    const sftp = this._getSFTP();
+    return new Promise((resolve, reject) => {
+      sftp[method](...args, (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  }
+
+  // bytes counts the current transfer, bytesOverall everything since trackProgress()
+  _reportProgress(name, type, chunkLength, bytes) {
+    if (this.progressHandler) {
+      this.bytesOverall += chunkLength;
+      this.progressHandler({ name, type, bytes, bytesOverall: this.bytesOverall });
+    }
+  }
+
+  // Convert SFTP attributes into a basic-ftp style FileInfo
+  _toFileInfo(name, attrs, longname = '') {
+    const format = attrs.mode & S_IFMT;
+    const type = format === S_IFDIR ? FileType.Directory :
+      (format === S_IFLNK ? FileType.SymbolicLink :
+        (format === S_IFREG ? FileType.File : FileType.Unknown));
+    const owner = longname.split(/\s+/);
+    const modifiedAt = attrs.mtime ? new Date(attrs.mtime * 1000) : undefined;
+
+    return {
+      name,
+      type,
+      size: attrs.size || 0,
+      rawModifiedAt: modifiedAt ? modifiedAt.toISOString() : '',
+      modifiedAt,
+      permissions: {
+        user: (attrs.mode >> 6) & 7,
+        group: (attrs.mode >> 3) & 7,
+        world: attrs.mode & 7,
+        special: (attrs.mode >> 9) & 7 // setuid, setgid, sticky
+      },
+      user: owner[2] || String(attrs.uid ?? ''),
+      group: owner[3] || String(attrs.gid ?? ''),
+      link: '',
+      isDirectory: type === FileType.Directory,
+      isFile: type === FileType.File,
+      isSymbolicLink: type === FileType.SymbolicLink
+    };
+  }
+
+  async list(remotePath = '.') {
+    const entries = await this._call('readdir', remotePath);
+    return entries
+      .filter(entry => entry.filename !== '.' && entry.filename !== '..')
+      .map(entry => this._toFileInfo(entry.filename, entry.attrs, entry.longname));
+  }
+
+  async size(remotePath) {
+    const stats = await this._call('stat', remotePath);
+    return stats.size;
+  }
+
+  async lastMod(remotePath) {
+    const stats = await this._call('stat', remotePath);
+    return new Date(stats.mtime * 1000);
+  }
+
+  async setModifiedTime(remotePath, date) {
+    await this._call('utimes', remotePath, date, date);
+  }
+
+  // Download to a local path or a writable (anything with write/end), optionally resuming at an offset
+  async downloadTo(destination, fromRemotePath, startAt = 0) {
+    const sftp = this._getSFTP();
+    const name = path.posix.basename(fromRemotePath);
+    const ownsDestination = typeof destination === 'string';
+    // 'r+' can't open a missing file; without the partial file the download starts over
+    if (ownsDestination && startAt > 0 && !fs.existsSync(destination)) {
+      console.warn(`Partial file ${destination} is gone, downloading ${fromRemotePath} from the start`);
+      startAt = 0;
+    }
+    const target = ownsDestination
+      ? fs.createWriteStream(destination, { flags: startAt > 0 ? 'r+' : 'w', start: startAt })
+      : destination;
+    const source = sftp.createReadStream(fromRemotePath, { start: startAt });
+
+    let transferred = 0;
+
+    await new Promise((resolve, reject) => {
+      source.on('data', (chunk) => {
+        transferred += chunk.length;
+        this._reportProgress(name, 'download', chunk.length, transferred);
+        const canContinue = target.write(chunk);
+        if (canContinue === false && typeof target.once === 'function') {
+          source.pause();
+          target.once('drain', () => source.resume());
+        }
+      });
+      source.on('error', reject);
+      source.on('end', resolve);
+      if (typeof target.on === 'function') {
+        target.on('error', reject);
+      }
+    });
+
+    if (ownsDestination) {
+      await new Promise((resolve, reject) => {
+        target.end(resolve);
+        target.on('error', reject);
+      });
+    }
+
+    return { code: 226, message: 'Transfer complete' };
+  }
+
+  // Upload from a local path, a readable stream or a buffer. Like basic-ftp,
+  // options.localStart skips the first bytes of a local file.
+  async uploadFrom(source, toRemotePath, options = {}) {
+    const sftp = this._getSFTP();
+    const name = path.posix.basename(toRemotePath);
+    const input = typeof source === 'string'
+      ? fs.createReadStream(source, { start: options.localStart || 0 })
+      : (Buffer.isBuffer(source) ? Readable.from([source]) : source);
+    const output = sftp.createWriteStream(toRemotePath, { flags: options.append ? 'a' : 'w' });
+
+    let transferred = 0;
+
+    await new Promise((resolve, reject) => {
+      input.on('data', (chunk) => {
+        transferred += chunk.length;
+        this._reportProgress(name, 'upload', chunk.length, transferred);
+      });
+      input.on('error', reject);
+      output.on('error', reject);
+      output.on('close', resolve);
+      input.pipe(output);
+    });
+
+    return { code: 226, message: 'Transfer complete' };
+  }
+
+  // Append to a remote file (used to resume interrupted uploads)
+  async appendFrom(source, toRemotePath, options = {}) {
+    return this.uploadFrom(source, toRemotePath, { ...options, append: true });
+  }
+
+  async ensureDir(remotePath) {
+    const isAbsolute = remotePath.startsWith('/');
+    const segments = remotePath.split('/').filter(Boolean);
+    let current = isAbsolute ? '' : '.';
+
+    for (const segment of segments) {
+      current = `${current}/${segment}`;
+      try {
+        const stats = await this._call('stat', current);
+        if ((stats.mode & S_IFMT) !== S_IFDIR) {
+          throw new Error(`Not a directory: ${current}`);
+        }
+      } catch (error) {
+        if (error.code !== 2) { // 2 = SSH_FX_NO_SUCH_FILE
+          throw error;
+        }
+        await this._call('mkdir', current);
+      }
+    }
+  }
+
+  async remove(remotePath) {
+    await this._call('unlink', remotePath);
+    return { code: 250, message: 'File removed' };
+  }
+
+  // Remove a directory and all of its contents
+  async removeDir(remotePath) {
+    const entries = await this.list(remotePath);
+    for (const entry of entries) {
+      const entryPath = path.posix.join(remotePath, entry.name);
+      if (entry.isDirectory) {
+        await this.removeDir(entryPath);
+      } else {
+        await this.remove(entryPath);
+      }
+    }
+    await this._call('rmdir', remotePath);
+  }
+
+  async rename(fromPath, toPath) {
+    await this._call('rename', fromPath, toPath);
+    return { code: 250, message: 'Rename successful' };
+  }
+
+  // SFTP has no working directory; like FTP's CWD this fails unless the path (or the
+  // directory a symlink points to) is a directory
+  async cd(remotePath) {
+    const stats = await this._call('stat', remotePath);
+    if ((stats.mode & S_IFMT) !== S_IFDIR) {
+      throw new Error(`Not a directory: ${remotePath}`);
+    }
+    return { code: 250, message: 'Directory exists' };
+  }
+
+  async readLink(remotePath) {
+    return await this._call('readlink', remotePath);
+  }
+
+  // SFTP has no SITE commands; mode is an octal string like FTP's SITE CHMOD
+  async chmod(remotePath, mode) {
+    await this._call('chmod', remotePath, parseInt(mode, 8));
+    return { code: 200, message: 'Permissions changed' };
+  }
+}
+
+module.exports = {
+  SFTPClient,
+  FileType,
+  HOST_KEY_ERRORS,
+  verifyHostKey,
+  trustHostKey,
+  getHostKeyFingerprint,
+  getAppKnownHostsPath
+};
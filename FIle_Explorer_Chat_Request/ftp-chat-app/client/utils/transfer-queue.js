@@ -0,0 +1,516 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+const { app } = require('electron');
+const config = require('./config');
+const ftpClient = require('./ftp-client');
+const checksum = require('./checksum');
+
+// Lifecycle of a queued transfer
+const TRANSFER_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const DIRECTIONS = {
+  UPLOAD: 'upload',
+  DOWNLOAD: 'download'
+};
+
+const QUEUE_FILE = 'transfer-queue.json';
+const MAX_FINISHED_ITEMS = 200; // Finished transfers kept in the list (and on disk)
+const PROGRESS_INTERVAL = 250; // Minimum ms between progress events per transfer
+const MAX_AUTO_ATTEMPTS = 4; // Runs per transfer before a dropped connection counts as a failure
+const MAX_VERIFY_RETRIES = 2; // Re-transfers after a checksum mismatch before giving up
+
+function isFinished(item) {
+  return [TRANSFER_STATES.COMPLETED, TRANSFER_STATES.FAILED, TRANSFER_STATES.CANCELLED].includes(item.state);
+}
+
+// Unified upload/download queue. Transfers run on the queue's own connection pools
+// (one per server profile) so they survive closed tabs and app restarts.
+class TransferQueue extends EventEmitter {
+  constructor(maxConcurrent = 3) {
+    super();
+    this.maxConcurrent = maxConcurrent;
+    this.items = [];
+    this.active = new Map(); // transfer id -> { pool, connection }
+    this.pools = new Map(); // profile id -> FTPConnectionPool
+    this.saveTimer = null;
+    this.initialized = false;
+  }
+
+  getQueuePath() {
+    return path.join(app.getPath('userData'), QUEUE_FILE);
+  }
+
+  // Restore the persisted queue; transfers that were running when the app closed start again
+  async init() {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.getQueuePath(), 'utf8'));
+      this.items = (data.items || []).map(item => ({
+        ...item,
+        state: item.state === TRANSFER_STATES.RUNNING ? TRANSFER_STATES.QUEUED : item.state,
+        speed: 0,
+        eta: null
+      }));
+      console.log(`Transfer queue restored with ${this.items.length} item(s)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading transfer queue:', error);
+      }
+    }
+
+    this._schedule();
+  }
+
+  // Persist the queue shortly after a change (changes come in bursts)
+  _save() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        const items = this.items.map(({ speed, eta, ...item }) => item);
+        await fs.writeFile(this.getQueuePath(), JSON.stringify({ version: 1, items }, null, 2), 'utf8');
+      } catch (error) {
+        console.error('Error saving transfer queue:', error);
+      }
+    }, 500);
+  }
+
+  _changed() {
+    this._trimFinished();
+    this._save();
+    this.emit('changed', this.list());
+  }
+
+  _trimFinished() {
+    const finished = this.items.filter(isFinished);
+    if (finished.length > MAX_FINISHED_ITEMS) {
+      const remove = new Set(finished.slice(0, finished.length - MAX_FINISHED_ITEMS).map(item => item.id));
+      this.items = this.items.filter(item => !remove.has(item.id));
+    }
+  }
+
+  list() {
+    return this.items.map(item => ({ ...item }));
+  }
+
+  _find(id) {
+    const item = this.items.find(entry => entry.id === id);
+    if (!item) {
+      throw new Error(`Transfer not found: ${id}`);
+    }
+    return item;
+  }
+
+  _createItem(fields) {
+    return {
+      id: `transfer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      batchId: null,
+      direction: DIRECTIONS.DOWNLOAD,
+      sessionId: null,
+      profileId: null,
+      name: '',
+      localPath: '',
+      remotePath: '',
+      isDirectory: false,
+      size: 0,
+      transferred: 0,
+      state: TRANSFER_STATES.QUEUED,
+      error: null,
+      attempts: 0,
+      verification: null,
+      verifyRetries: 0,
+      speed: 0,
+      eta: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      ...fields
+    };
+  }
+
+  // Queue local files and folders for upload into remoteDir (folders are expanded recursively)
+  async enqueueUpload(sessionId, localPaths, remoteDir) {
+    const session = ftpClient.getSession(sessionId);
+    const batchId = `batch_${Date.now()}`;
+    const { directories, files, skipped } = await ftpClient.collectUploadEntries(
+      localPaths.map(localPath => ({ path: localPath })),
+      remoteDir
+    );
+
+    const common = { batchId, direction: DIRECTIONS.UPLOAD, sessionId: session.id, profileId: session.profileId };
+    const items = [
+      ...directories.map(remotePath => this._createItem({
+        ...common,
+        name: path.posix.basename(remotePath),
+        remotePath,
+        isDirectory: true
+      })),
+      ...files.map(file => this._createItem({
+        ...common,
+        name: path.basename(file.localPath),
+        localPath: file.localPath,
+        remotePath: file.remotePath,
+        size: file.size
+      }))
+    ];
+
+    this.items.push(...items);
+    this._changed();
+    this._schedule();
+
+    return { batchId, added: items.length, files: files.length, skipped };
+  }
+
+  // Queue remote files and folders for download into localDir (folders are expanded recursively)
+  async enqueueDownload(sessionId, remoteItems, localDir, options = {}) {
+    const session = ftpClient.getSession(sessionId);
+    const { overwritePolicy = ftpClient.OVERWRITE_POLICIES.OVERWRITE } = options;
+    const batchId = `batch_${Date.now()}`;
+    const files = [];
+    const skipped = [];
+
+    for (const remoteItem of remoteItems) {
+      const localPath = path.join(localDir, remoteItem.name);
+
+      if (remoteItem.type === 'directory') {
+        const tree = await ftpClient.collectRemoteTree(session, remoteItem.path, localPath);
+        files.push(...tree.files);
+        skipped.push(...tree.skipped, ...tree.failed.map(entry => ({ path: entry.path, reason: entry.error })));
+      } else {
+        files.push({ remotePath: remoteItem.path, localPath, size: remoteItem.size || 0, modifiedAt: remoteItem.modifiedAt });
+      }
+    }
+
+    const items = [];
+    for (const file of files) {
+      const target = await ftpClient.resolveDownloadTarget(file.localPath, file, overwritePolicy);
+      if (!target) {
+        skipped.push({ path: file.remotePath, reason: 'File already exists' });
+        continue;
+      }
+
+      items.push(this._createItem({
+        batchId,
+        direction: DIRECTIONS.DOWNLOAD,
+        sessionId: session.id,
+        profileId: session.profileId,
+        name: path.basename(target),
+        localPath: target,
+        remotePath: file.remotePath,
+        size: file.size
+      }));
+    }
+
+    this.items.push(...items);
+    this._changed();
+    this._schedule();
+
+    return { batchId, added: items.length, files: items.length, skipped };
+  }
+
+  pause(id) {
+    const item = this._find(id);
+    if (item.state === TRANSFER_STATES.QUEUED || item.state === TRANSFER_STATES.RUNNING) {
+      item.state = TRANSFER_STATES.PAUSED;
+      this._abort(id);
+      this._changed();
+    }
+    return item;
+  }
+
+  resume(id) {
+    const item = this._find(id);
+    if (item.state === TRANSFER_STATES.PAUSED) {
+      item.state = TRANSFER_STATES.QUEUED;
+      this._changed();
+      this._schedule();
+    }
+    return item;
+  }
+
+  cancel(id) {
+    const item = this._find(id);
+    if (!isFinished(item)) {
+      item.state = TRANSFER_STATES.CANCELLED;
+      item.finishedAt = new Date().toISOString();
+      this._abort(id);
+      this._changed();
+    }
+    return item;
+  }
+
+  retry(id) {
+    const item = this._find(id);
+    if (item.state === TRANSFER_STATES.FAILED || item.state === TRANSFER_STATES.CANCELLED) {
+      item.state = TRANSFER_STATES.QUEUED;
+      item.error = null;
+      item.attempts = 0;
+      item.verification = null;
+      item.verifyRetries = 0;
+      item.finishedAt = null;
+      this._changed();
+      this._schedule();
+    }
+    return item;
+  }
+
+  // Remove a finished transfer from the list (running ones must be cancelled first)
+  remove(id) {
+    const item = this._find(id);
+    if (item.state === TRANSFER_STATES.RUNNING) {
+      throw new Error('Cancel the transfer before removing it');
+    }
+    this.items = this.items.filter(entry => entry.id !== id);
+    this._changed();
+  }
+
+  clearFinished() {
+    this.items = this.items.filter(item => !isFinished(item) || item.state === TRANSFER_STATES.FAILED);
+    this._changed();
+  }
+
+  // Move a transfer to a new position; queued transfers start in list order
+  move(id, toIndex) {
+    const fromIndex = this.items.findIndex(item => item.id === id);
+    if (fromIndex === -1) {
+      throw new Error(`Transfer not found: ${id}`);
+    }
+    const [item] = this.items.splice(fromIndex, 1);
+    const index = Math.max(0, Math.min(toIndex, this.items.length));
+    this.items.splice(index, 0, item);
+    this._changed();
+  }
+
+  // Close the connection of a running transfer; the runner sees the new state and stops
+  _abort(id) {
+    const running = this.active.get(id);
+    if (running && running.connection) {
+      running.pool.removeConnection(running.connection);
+    }
+  }
+
+  _schedule() {
+    while (this.active.size < this.maxConcurrent) {
+      const next = this.items.find(item => item.state === TRANSFER_STATES.QUEUED && !this.active.has(item.id));
+      if (!next) break;
+
+      this.active.set(next.id, { pool: null, connection: null });
+      this._run(next).finally(() => {
+        this.active.delete(next.id);
+        this._schedule();
+      });
+    }
+  }
+
+  // Pool for the item's server profile, created on first use
+  async _getPool(item) {
+    let profileId = item.profileId;
+    if (!profileId) {
+      profileId = ftpClient.getSession(item.sessionId).profileId;
+      item.profileId = profileId;
+    }
+
+    const key = profileId || 'active';
+    if (!this.pools.has(key)) {
+      const pool = new ftpClient.FTPConnectionPool(this.maxConcurrent);
+      await pool.initialize(await config.getProfile(profileId));
+      this.pools.set(key, pool);
+    }
+    return this.pools.get(key);
+  }
+
+  async _run(item) {
+    const running = this.active.get(item.id);
+    item.state = TRANSFER_STATES.RUNNING;
+    item.attempts++;
+    item.error = null;
+    item.startedAt = new Date().toISOString();
+    this._changed();
+
+    try {
+      running.pool = await this._getPool(item);
+      running.connection = await running.pool.getConnection();
+
+      if (item.state !== TRANSFER_STATES.RUNNING) return; // Paused or cancelled while connecting
+
+      if (item.direction === DIRECTIONS.UPLOAD) {
+        await this._upload(item, running.connection);
+      } else {
+        await this._download(item, running.connection);
+      }
+
+      if (!item.isDirectory && await this._isVerificationEnabled()) {
+        const verified = await this._verify(item, running.connection);
+        if (!verified) return; // Queued again or failed
+      }
+
+      item.state = TRANSFER_STATES.COMPLETED;
+      item.transferred = item.size;
+      item.finishedAt = new Date().toISOString();
+    } catch (error) {
+      if (item.state === TRANSFER_STATES.RUNNING && ftpClient.isConnectionError(error) && item.attempts < MAX_AUTO_ATTEMPTS) {
+        // Dropped connection: queue it again, the next run resumes where this one stopped
+        console.warn(`Transfer interrupted, will resume: ${item.remotePath} (${error.message})`);
+        item.state = TRANSFER_STATES.QUEUED;
+        running.broken = true;
+      } else if (item.state === TRANSFER_STATES.RUNNING) {
+        console.error(`Transfer failed: ${item.remotePath}`, error);
+        item.state = TRANSFER_STATES.FAILED;
+        item.error = error.message;
+        item.finishedAt = new Date().toISOString();
+      }
+    } finally {
+      if (running.connection) {
+        running.connection.trackProgress();
+        if (running.broken) {
+          running.pool.removeConnection(running.connection);
+        } else {
+          running.pool.releaseConnection(running.connection);
+        }
+      }
+      item.speed = 0;
+      item.eta = null;
+      this._changed();
+    }
+  }
+
+  async _isVerificationEnabled() {
+    const { app: appConfig } = await config.getConfig();
+    return !!appConfig.verifyTransfers;
+  }
+
+  // Compare checksums after a transfer; on a mismatch the file is sent again from scratch
+  async _verify(item, connection) {
+    item.verification = { status: 'verifying' };
+    this._changed();
+
+    const result = await checksum.verifyTransfer(connection, item.localPath, item.remotePath);
+    if (item.state !== TRANSFER_STATES.RUNNING) return false; // Paused or cancelled meanwhile
+
+    item.verification = {
+      status: result.verified ? 'verified' : 'mismatch',
+      method: result.method,
+      hash: result.localHash
+    };
+    if (result.verified) return true;
+
+    console.warn(`Checksum mismatch for ${item.remotePath} (${result.method}): local ${result.localHash}, remote ${result.remoteHash}`);
+    item.transferred = 0;
+
+    if (item.verifyRetries < MAX_VERIFY_RETRIES) {
+      item.verifyRetries++;
+      item.state = TRANSFER_STATES.QUEUED;
+    } else {
+      item.state = TRANSFER_STATES.FAILED;
+      item.error = `Checksum mismatch (${result.method})`;
+      item.finishedAt = new Date().toISOString();
+    }
+    return false;
+  }
+
+  // Progress reporter that updates speed/ETA and emits throttled progress events.
+  // Takes the bytes done in total and the bytes sent by this run (for the speed).
+  _createProgressReporter(item) {
+    const startTime = Date.now();
+    let lastEmit = 0;
+
+    return (transferred, sentThisRun) => {
+      const now = Date.now();
+      item.transferred = transferred;
+
+      const elapsed = (now - startTime) / 1000;
+      item.speed = elapsed > 0 ? sentThisRun / elapsed : 0;
+      item.eta = item.speed > 0 ? Math.max(0, (item.size - item.transferred) / item.speed) : null;
+
+      if (now - lastEmit >= PROGRESS_INTERVAL) {
+        lastEmit = now;
+        this.emit('progress', { ...item });
+      }
+    };
+  }
+
+  async _upload(item, connection) {
+    if (item.isDirectory) {
+      await connection.ensureDir(item.remotePath);
+      return;
+    }
+
+    await connection.ensureDir(path.posix.dirname(item.remotePath));
+
+    // Continue a paused or interrupted upload from the bytes already on the server
+    const report = this._createProgressReporter(item);
+    await ftpClient.uploadWithResume(connection, item.localPath, item.remotePath, {
+      resume: item.transferred > 0,
+      onProgress: (transferred, total, offset) => report(transferred, transferred - offset)
+    });
+  }
+
+  async _download(item, connection) {
+    await fs.mkdir(path.dirname(item.localPath), { recursive: true });
+
+    // Items dragged from the file list don't carry a size
+    if (!item.size) {
+      item.size = await connection.size(item.remotePath).catch(() => 0);
+    }
+
+    // Continue a paused or interrupted download from the bytes already on disk
+    let startAt = 0;
+    if (item.transferred > 0) {
+      const stats = await fs.stat(item.localPath).catch(() => null);
+      if (stats && stats.size < item.size) {
+        startAt = stats.size;
+      }
+    }
+
+    item.transferred = startAt;
+    const report = this._createProgressReporter(item);
+    connection.trackProgress(info => report(startAt + info.bytes, info.bytes));
+    await connection.downloadTo(item.localPath, item.remotePath, startAt);
+  }
+
+  async shutdown() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    const items = this.items.map(({ speed, eta, ...item }) => item);
+    await fs.writeFile(this.getQueuePath(), JSON.stringify({ version: 1, items }, null, 2), 'utf8');
+
+    for (const pool of this.pools.values()) {
+      await pool.closeAll();
+    }
+    this.pools.clear();
+  }
+}
+
+// Global transfer queue instance
+const transferQueue = new TransferQueue();
+
+module.exports = {
+  TRANSFER_STATES,
+  DIRECTIONS,
+  transferQueue,
+  initTransferQueue: () => transferQueue.init(),
+  listTransfers: () => transferQueue.list(),
+  enqueueUpload: (sessionId, localPaths, remoteDir) => transferQueue.enqueueUpload(sessionId, localPaths, remoteDir),
+  enqueueDownload: (sessionId, remoteItems, localDir, options) => transferQueue.enqueueDownload(sessionId, remoteItems, localDir, options),
+  pauseTransfer: (id) => transferQueue.pause(id),
+  resumeTransfer: (id) => transferQueue.resume(id),
+  cancelTransfer: (id) => transferQueue.cancel(id),
+  retryTransfer: (id) => transferQueue.retry(id),
+  removeTransfer: (id) => transferQueue.remove(id),
+  moveTransfer: (id, toIndex) => transferQueue.move(id, toIndex),
+  clearFinishedTransfers: () => transferQueue.clearFinished(),
+  shutdownTransferQueue: () => transferQueue.shutdown()
+};
@@ -0,0 +1,231 @@
+const fs = require('fs').promises;
+const net = require('net');
+const { Client, parseList } = require('basic-ftp');
+const { SFTPClient } = require('./sftp-client');
+
+// Supported transport protocols for server profiles
+const PROTOCOLS = {
+  FTP: 'ftp',
+  SFTP: 'sftp'
+};
+
+// FTPS modes: explicit upgrades with AUTH TLS, implicit starts with TLS (usually port 990)
+const TLS_MODES = {
+  NONE: 'none',
+  EXPLICIT: 'explicit',
+  IMPLICIT: 'implicit'
+};
+
+// How directory listings are read: machine-readable MLSD, parsed LIST output, or SFTP readdir
+const LISTING_MODES = {
+  MLSD: 'mlsd',
+  LIST: 'list',
+  SFTP: 'sftp'
+};
+
+// Error codes used when a server certificate needs the user's decision
+const CERTIFICATE_ERRORS = {
+  UNTRUSTED: 'CERT_UNTRUSTED',
+  CHANGED: 'CERT_CHANGED'
+};
+
+function isSFTP(profile) {
+  return !!profile && profile.protocol === PROTOCOLS.SFTP;
+}
+
+function getDefaultPort(protocol, tlsMode = TLS_MODES.NONE) {
+  if (protocol === PROTOCOLS.SFTP) {
+    return 22;
+  }
+  return tlsMode === TLS_MODES.IMPLICIT ? 990 : 21;
+}
+
+// Setuid (4), setgid (2) and sticky (1) bits of one raw listing line: the "s"/"t" letters of
+// a Unix LIST line, or the leading digit of a four-digit MLSD UNIX.mode fact
+function parseSpecialBits(line) {
+  const mlsdMode = /(?:^|;)unix\.mode=0*([0-7]{1,4});/i.exec(line);
+  if (mlsdMode) {
+    return mlsdMode[1].length === 4 ? parseInt(mlsdMode[1][0], 8) : 0;
+  }
+
+  const unixMode = /^[-dlbcpsf][r-][w-]([xsStTL-])[r-][w-]([xsStTL-])[r-][w-]([xsStTL-])/.exec(line);
+  if (!unixMode) {
+    return 0;
+  }
+  return ('sS'.includes(unixMode[1]) ? 4 : 0) + ('sS'.includes(unixMode[2]) ? 2 : 0) + ('tT'.includes(unixMode[3]) ? 1 : 0);
+}
+
+// basic-ftp's parsers drop the special bits, so put them back on the entries as
+// permissions.special. Lines are matched to entries by the name they end with.
+function parseListWithSpecialBits(rawList) {
+  const files = parseList(rawList);
+  for (const line of rawList.split(/\r?\n/)) {
+    const special = parseSpecialBits(line);
+    if (!special) continue;
+
+    const file = files
+      .filter(entry => entry.permissions && (line.endsWith(` ${entry.name}`) || line.includes(` ${entry.name} -> `)))
+      .sort((a, b) => b.name.length - a.name.length)[0];
+    if (file) {
+      file.permissions.special = special;
+    }
+  }
+  return files;
+}
+
+// Create a client for the profile's protocol. Both clients expose the same
+// basic-ftp style API (list, downloadTo, uploadFrom, ensureDir, remove, ...).
+function createClient(profile, timeout = 30000) {
+  if (isSFTP(profile)) {
+    return new SFTPClient(timeout);
+  }
+
+  const client = new Client();
+  client.timeout = timeout;
+  client.parseList = parseListWithSpecialBits;
+  return client;
+}
+
+// Attach error/close/timeout handlers to the client's underlying connection
+function watchConnection(client, handlers = {}) {
+  const { onError, onClose, onTimeout } = handlers;
+
+  if (client instanceof SFTPClient) {
+    if (onError) client.on('error', onError);
+    if (onClose) client.on('close', onClose);
+    return;
+  }
+
+  if (onError) client.ftp.socket.on('error', onError);
+  if (onClose) client.ftp.socket.on('close', onClose);
+  if (onTimeout) client.ftp.socket.on('timeout', onTimeout);
+}
+
+// Log in to the server described by a profile
+async function connectClient(client, profile) {
+  const options = {
+    host: profile.host,
+    port: profile.port || getDefaultPort(profile.protocol, profile.tlsMode),
+    user: profile.username,
+    password: profile.password
+  };
+
+  if (client instanceof SFTPClient) {
+    return client.access({
+      ...options,
+      privateKeyPath: profile.privateKeyPath,
+      passphrase: profile.passphrase
+    });
+  }
+
+  if (!profile.tlsMode || profile.tlsMode === TLS_MODES.NONE) {
+    return client.access(options);
+  }
+
+  return connectFTPS(client, profile, options);
+}
+
+// basic-ftp reads FEAT at login and puts MLSD first when the server announces MLST.
+// After the first listing only the command that worked is kept, so a server that
+// announces MLST but fails MLSD shows up here as LIST.
+function getListingMode(client) {
+  if (client instanceof SFTPClient) {
+    return LISTING_MODES.SFTP;
+  }
+  return (client.availableListCommands || []).includes('MLSD') ? LISTING_MODES.MLSD : LISTING_MODES.LIST;
+}
+
+// Summary of a peer certificate for the trust dialog
+function describeCertificate(certificate) {
+  return {
+    fingerprint: certificate.fingerprint256,
+    subject: certificate.subject ? certificate.subject.CN || JSON.stringify(certificate.subject) : '',
+    issuer: certificate.issuer ? certificate.issuer.CN || JSON.stringify(certificate.issuer) : '',
+    validFrom: certificate.valid_from,
+    validTo: certificate.valid_to
+  };
+}
+
+function createCertificateError(code, message, certificate) {
+  const error = new Error(message);
+  error.code = code;
+  error.certificate = certificate;
+  return error;
+}
+
+// Check the TLS certificate against the profile's pinned fingerprint or the CA store
+function verifyCertificate(socket, profile) {
+  const peerCertificate = socket.getPeerCertificate();
+  if (!peerCertificate || !peerCertificate.fingerprint256) {
+    throw new Error('Server did not present a TLS certificate');
+  }
+
+  const certificate = describeCertificate(peerCertificate);
+
+  if (profile.pinnedFingerprint) {
+    if (profile.pinnedFingerprint !== certificate.fingerprint) {
+      throw createCertificateError(
+        CERTIFICATE_ERRORS.CHANGED,
+        `TLS certificate for ${profile.host} has changed (expected ${profile.pinnedFingerprint})`,
+        { ...certificate, pinnedFingerprint: profile.pinnedFingerprint }
+      );
+    }
+    return certificate;
+  }
+
+  if (!socket.authorized) {
+    throw createCertificateError(
+      CERTIFICATE_ERRORS.UNTRUSTED,
+      `TLS certificate for ${profile.host} is not trusted: ${socket.authorizationError}`,
+      { ...certificate, reason: String(socket.authorizationError) }
+    );
+  }
+
+  return certificate;
+}
+
+// Connect over FTPS, verifying the certificate before any credentials are sent
+async function connectFTPS(client, profile, options) {
+  const tlsOptions = {
+    host: profile.host,
+    servername: net.isIP(profile.host) ? undefined : profile.host,
+    // Verification is done in verifyCertificate() so self-signed servers can be pinned
+    rejectUnauthorized: false
+  };
+
+  if (profile.caCertPath) {
+    tlsOptions.ca = await fs.readFile(profile.caCertPath);
+  }
+
+  if (profile.tlsMode === TLS_MODES.IMPLICIT) {
+    await client.connectImplicitTLS(options.host, options.port, tlsOptions);
+  } else {
+    await client.connect(options.host, options.port);
+    await client.useTLS(tlsOptions);
+  }
+
+  const certificate = verifyCertificate(client.ftp.socket, profile);
+
+  const response = await client.login(options.user, options.password);
+  await client.useDefaultSettings();
+  return { ...response, certificate };
+}
+
+// A profile can log in with a password, or with a private key over SFTP
+function hasCredentials(profile) {
+  return !!(profile.password || (isSFTP(profile) && profile.privateKeyPath));
+}
+
+module.exports = {
+  PROTOCOLS,
+  TLS_MODES,
+  LISTING_MODES,
+  CERTIFICATE_ERRORS,
+  isSFTP,
+  getDefaultPort,
+  createClient,
+  watchConnection,
+  connectClient,
+  getListingMode,
+  hasCredentials
+};